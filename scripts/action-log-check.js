@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/*
+  The action log — a room can be rebuilt from what it recorded.
+
+    node scripts/action-log-check.js
+
+  Snapshots are debounced by 2s, so a crash used to lose the last moves of
+  every busy room, and nothing recorded HOW a room reached its state. The
+  engine now sends every change through applyEntry (src/engine/replay.js) and
+  logs the entry; restore replays the tail the snapshot missed, and
+  scripts/rebuild-room.js replays the lot.
+
+  That only works if replaying an entry gives exactly the state the live call
+  gave — in games that shuffle, deal, pick a chameleon and stamp deadlines. So
+  this plays several such games with a random driver, the way the engine
+  would (a fresh room seed, real clock), and then checks:
+    - the log alone rebuilds the final state, byte for byte
+    - a snapshot from part-way through plus the log's tail does too
+    - a gap in the log stops the replay instead of guessing past it
+    - once the cap has trimmed the room's creation, the stored base still
+      rebuilds it
+    - over real sockets, the engine numbers every accepted change and a
+      refused action leaves no trace
+
+  No database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+import { applyEntry, replayTail, toLogged, ACTION_LOG_CAP, isLogBase } from '../src/engine/replay.js';
+import { newSeed, withRoomRandom } from '../src/engine/random.js';
+import { ChameleonGame } from '../src/games/chameleon/game.js';
+import { TabooGame } from '../src/games/taboo/game.js';
+import { HueMatchGame } from '../src/games/huematch/game.js';
+import { SayAnythingGame } from '../src/games/sayAnything/game.js';
+import { GuesstimateGame } from '../src/games/guesstimate/game.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// A state without its socket ids — wherever a game copied a player — which is
+// what a rebuilt state is compared on.
+const scrub = (state) => JSON.stringify(state, (k, v) => (k === 'socketId' ? null : v));
+
+/*
+  Per game, the moves a driver may try: [action, payload from the state].
+  Most attempts are refused — that is fine, only accepted ones are logged —
+  but enough land to walk each game through several rounds.
+*/
+const pickId = (s, rnd) => s.players[Math.floor(rnd() * s.players.length)].id;
+const GAMES = {
+  Chameleon: [ChameleonGame, [
+    ['submit_clue', () => ({ word: 'hmm' })],
+    ['submit_vote', (s, rnd) => ({ suspectId: pickId(s, rnd) })],
+    ['chameleon_guess', (s, rnd) => ({ wordIndex: Math.floor(rnd() * 16) })],
+    ['force_voting', () => ({})], ['force_votes', () => ({})], ['next_round', () => ({})],
+  ]],
+  Taboo: [TabooGame, [
+    ['start_turn', () => ({})], ['got_word', () => ({})], ['skip_word', () => ({})],
+    ['buzz', () => ({})], ['end_turn', () => ({})],
+  ]],
+  'Hue Match': [HueMatchGame, [
+    ['cue', (s, rnd) => ({ text: rnd() < 0.2 ? 'red' : s.phase === 'clue1' ? 'sunset' : 'rusty tomato' })],
+    ['place', (s, rnd) => ({ col: Math.floor(rnd() * 30), row: Math.floor(rnd() * 16) })],
+    ['lock', () => ({})], ['move_on', () => ({})], ['next_round', () => ({})],
+  ]],
+  'Say Anything': [SayAnythingGame, [
+    ['pick_question', (s) => ({ question: s.round?.questionChoices?.[0] })],
+    ['submit_answer', (s, rnd) => ({ text: `answer ${Math.floor(rnd() * 100)}` })],
+    ['judge_pick', (s, rnd) => ({ answerId: s.round?.answers?.[Math.floor(rnd() * (s.round.answers.length || 1))]?.id })],
+    ['submit_bet', (s, rnd) => ({ answerId: s.round?.answers?.[Math.floor(rnd() * (s.round.answers.length || 1))]?.id })],
+    ['force_judging', () => ({})], ['force_reveal', () => ({})], ['next_round', () => ({})],
+  ]],
+  Guesstimate: [GuesstimateGame, [
+    ['submit_answer', (s, rnd) => ({ number: Math.floor(rnd() * 1000) })],
+    ['submit_bet', (s, rnd) => ({ boardIndex: Math.floor(rnd() * 4) })],
+    ['force_betting', () => ({})], ['force_reveal', () => ({})], ['next_round', () => ({})],
+  ]],
+};
+
+// The driver's own dice, kept apart from the room's stream.
+function mulberry32(seed) {
+  let s = seed >>> 0;
+  return function () {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), 1 | t);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/*
+  Play a room the way the engine does: each change is an entry stamped with
+  the clock, applied once, logged as toLogged() stores it. Returns the live
+  final state, the log, and a snapshot from part-way.
+*/
+function play(gameDef, moves, driverSeed) {
+  const rnd = mulberry32(driverSeed);
+  const log = [];
+  let state = null;
+  let at = Date.now();
+  let snapshot = null;
+  const step = (fields) => {
+    at += 1 + Math.floor(rnd() * 4000); // time passes between moves
+    const entry = { seq: (state?.logSeq ?? 0) + 1, at, ...fields };
+    const next = applyEntry(gameDef, state, entry);
+    if (next) { log.push(toLogged(entry)); state = next; }
+    return next;
+  };
+  const player = (n) => ({
+    id: `p${n}`, username: `P${n}`, socketId: `sock${n}`, connected: true, isHost: n === 1, score: 0, joinedAt: at,
+  });
+
+  const seed = newSeed();
+  const initial = withRoomRandom({ rng: seed }, () => gameDef.createInitialState({}));
+  step({ kind: 'create', seed, state: { roomCode: 'TEST', hostId: 'p1', status: 'lobby', players: [player(1)], ...initial, createdAt: at } });
+  for (let n = 2; n <= 4; n++) step({ kind: 'join', player: player(n), late: false });
+  step({ kind: 'start' });
+
+  for (let i = 0; i < 600; i++) {
+    if (i === 300) snapshot = JSON.parse(scrub(state));
+    const roll = rnd();
+    if (roll < 0.01) step({ kind: 'disconnect', playerId: pickId(state, rnd) });
+    else if (roll < 0.03) step({ kind: 'rejoin', playerId: pickId(state, rnd), socketId: 'again' });
+    else if (roll < 0.05 && gameDef.onDeadline) step({ kind: 'deadline' });
+    else {
+      const [action, payload] = moves[Math.floor(rnd() * moves.length)];
+      step({ kind: 'action', playerId: pickId(state, rnd), action, payload: payload(state, rnd) });
+    }
+  }
+  return { state, log, snapshot };
+}
+
+console.log('\n=== replay rebuilds the room ===');
+for (const [name, [gameDef, moves]] of Object.entries(GAMES)) {
+  const { state, log, snapshot } = play(gameDef, moves, 7 + name.length);
+
+  const actions = log.filter((e) => e.kind === 'action').length;
+  const { state: rebuilt, applied } = replayTail(gameDef, { logSeq: 0 }, log);
+  is(`${name}: the log alone rebuilds the final state (${log.length} entries, ${actions} moves)`,
+    applied === log.length && scrub(rebuilt) === scrub(state), `applied ${applied}/${log.length}`);
+
+  const { state: resumed } = replayTail(gameDef, snapshot, log);
+  is(`${name}: a snapshot from part-way plus the log's tail rebuilds it too`, scrub(resumed) === scrub(state));
+
+  const holed = log.filter((e) => e.seq !== snapshot.logSeq + 5);
+  const { state: stopped, applied: upTo } = replayTail(gameDef, snapshot, holed);
+  is(`${name}: a gap in the log stops the replay at the gap`, upTo === 4 && stopped.logSeq === snapshot.logSeq + 4, `applied ${upTo}`);
+
+  is(`${name}: no socket id is ever logged`, !/"sock\d/.test(JSON.stringify(log)));
+}
+
+{
+  /* A rematch logs a fresh 'create'; whatever came before it is history. */
+  const { state, log } = play(TabooGame, GAMES.Taboo[1], 99);
+  const fresh = { ...JSON.parse(scrub(state)), status: 'lobby', rematched: true };
+  const rematch = { seq: state.logSeq + 1, at: Date.now(), kind: 'create', state: fresh };
+  const { state: restored } = replayTail(TabooGame, { logSeq: 3 }, [...log.slice(10), rematch]);
+  is('a rematch in the tail restarts the replay from it, gaps before it or not',
+    restored.rematched === true && restored.logSeq === rematch.seq);
+}
+
+{
+  /*
+    The cap trims the front of the log, 'create' and all. Whatever the log's
+    length, the latest base (the engine stores one at every isLogBase seq)
+    must be no older than the oldest entry kept, or the room is lost.
+  */
+  let lost = null;
+  for (let n = 1; n <= 5 * ACTION_LOG_CAP && lost === null; n++) {
+    const oldest = Math.max(1, n - ACTION_LOG_CAP + 1);
+    let base = n;
+    while (base > 0 && !isLogBase(base)) base -= 1;
+    if (oldest > 1 && base < oldest - 1) lost = n;
+  }
+  is('a trimmed log always follows on from its latest base', lost === null, `nothing to start from at #${lost}`);
+
+  const { state, log, snapshot: base } = play(GuesstimateGame, GAMES.Guesstimate[1], 41);
+  const trimmed = log.filter((e) => e.seq > base.logSeq - 3);
+  const { state: rebuilt } = replayTail(GuesstimateGame, base, trimmed);
+  is('...and base plus trimmed log rebuild the room without its create',
+    trimmed[0].kind !== 'create' && scrub(rebuilt) === scrub(state));
+}
+
+console.log('\n=== the engine ===');
+const CounterGame = {
+  minPlayers: 1,
+  createInitialState: () => ({ count: 0 }),
+  onStart: (state) => ({ ...state, status: 'playing' }),
+  handleAction: (state, action) => (action === 'bump' ? { ...state, count: state.count + 1 } : null),
+  deriveClientState: (state) => ({ count: state.count }),
+};
+const httpServer = createServer();
+const ioServer = new Server(httpServer, { cors: { origin: '*' } });
+mountGame(ioServer, '/counter', CounterGame);
+await new Promise((r) => httpServer.listen(0, r));
+const sockets = [];
+try {
+  const client = async () => {
+    const s = connect(`http://127.0.0.1:${httpServer.address().port}/counter`, { transports: ['websocket'], forceNew: true });
+    sockets.push(s);
+    await new Promise((res, rej) => {
+      s.once('connect', res); s.once('connect_error', rej);
+      setTimeout(() => rej(new Error('connect timeout')), 8000);
+    });
+    return s;
+  };
+  const ann = await client();
+  ann.emit('create_game', { username: 'Ann' });
+  const code = await new Promise((res) => ann.once('joined', (d) => res(d.roomCode)));
+  is('a new room is entry #1', (await store.getGame(code)).logSeq === 1);
+
+  ann.emit('start_game', { roomCode: code });
+  ann.emit('game_action', { roomCode: code, action: 'bump' });
+  ann.emit('game_action', { roomCode: code, action: 'nonsense' });
+  ann.emit('game_action', { roomCode: code, action: 'bump' });
+  await sleep(300);
+  const room = await store.getGame(code);
+  is('every accepted change takes the next number, and a refused one none',
+    room.logSeq === 4 && room.count === 2, `logSeq ${room.logSeq}, count ${room.count}`);
+} catch (err) {
+  fail('the engine half ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  ioServer.close(); httpServer.close();
+}
+
+console.log('');
+if (failures) { console.log(`action log — ${failures} problem(s)`); process.exit(1); }
+console.log('action log — every room can be rebuilt from what it recorded');
+process.exit(0);
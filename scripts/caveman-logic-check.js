@@ -13,6 +13,8 @@
  */
 import { CavemanCluesGame as G } from '../src/games/cavemanclues/game.js';
 import { CAVEMAN_WORDS, shuffledDeck } from '../src/games/cavemanclues/words.js';
+import { CAVEMAN_WORDS_ES } from '../src/games/cavemanclues/words-es.js';
+import { CAVEMAN_WORDS_DE } from '../src/games/cavemanclues/words-de.js';
 import { readFileSync, existsSync } from 'fs';
 
 let failures = 0;
@@ -471,6 +473,25 @@ is('the round counter never overruns its total', steps < 60 && long.phase === 'f
   ok('a malformed seen-list is ignored rather than fatal');
 }
 
+/* ── Languages ───────────────────────────────────────────────────────────── */
+{
+  const es = fresh(4, { language: 'es' });
+  const esGiver = es.turn.giverId;
+  const esGuesser = es.players.find((p) => p.id !== esGiver).id;
+  is('a Spanish room deals the Spanish deck', CAVEMAN_WORDS_ES.includes(es.deck[0]) && !CAVEMAN_WORDS.includes(es.deck[0]));
+  const slip = act(es, 'clue', { text: 'un gran animal gris' }, esGiver);
+  is('...and referees clues in Spanish', slip.turn.clues.at(-1)?.bad.join() === 'animal');
+  const card = es.deck[es.deckIndex];
+  const bare = card.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  is('...and a guess typed without accents is right', act(es, 'guess', { text: bare }, esGuesser).lastTurn?.solvedBy === esGuesser);
+  let de = fresh(4, { language: 'de' });
+  is('a German room deals the German deck', CAVEMAN_WORDS_DE.includes(de.deck[0]));
+  de = { ...de, deck: ['Kühlschrank', ...de.deck], deckIndex: 0 };
+  const said = act(de, 'clue', { text: 'ein Kuehlschrank' }, de.turn.giverId);
+  is('...and catches the answer typed without umlauts', said.turn.clues.length === 0 && said.turn.rejected?.reason === 'answer');
+  is('an unknown language is English', G.createInitialState({ language: 'xx' }).language === 'en');
+}
+
 /* ── Minimum players ─────────────────────────────────────────────────────── */
 is('three players is the floor', G.minPlayers === 3,
   'someone must give clues while at least two race to guess');
@@ -0,0 +1,132 @@
+/**
+ * The German referee in Caveman Clues.
+ *
+ *   node scripts/caveman-syllable-check-de.js
+ *
+ * Held to the same standard as the English and Spanish checks: no real
+ * one-syllable word refused, ever; multi-syllable words caught well enough.
+ * German's risks are different — long consonant clusters ("Strumpf",
+ * "schnell") that are still one syllable, vowel pairs that are one sound
+ * ("Haus", "Bier", "See"), and umlauts typed as "ae"/"oe"/"ue" by anyone on
+ * an English keyboard, which must not turn "Tür" into a slip.
+ *
+ * Also checks the German deck: big enough for two games, no accidental
+ * duplicates, one word per card, and no "ß" (see words-de.js).
+ */
+import { isOneSyllable, countSyllables, illegalWords, WORD_LISTS } from '../src/games/cavemanclues/syllables-de.js';
+import { CAVEMAN_WORDS_DE, CAVEMAN_WORDS_DE_RAW } from '../src/games/cavemanclues/words-de.js';
+import { LANGUAGES } from '../src/games/cavemanclues/languages.js';
+
+/* One syllable, every one, and every one MUST be allowed. */
+const ONE = `
+ich du er sie es wir ihr man ja nein nicht und mit bei für von aus
+Haus Baum Hund Kind Mann Frau Tag Nacht Jahr Zeit Welt Land Stadt Berg Meer
+See Schnee Bier Knie Zoo Boot Haar Mai Ei
+groß klein alt neu gut schlecht heiß kalt warm nass schnell laut still
+rot blau grün gelb schwarz weiß grau braun
+geht isst trinkt schläft läuft springt schwimmt fliegt
+Strumpf Herbst Schrank Strand Brot Fisch Fleisch Milch Salz Licht
+Tuer fuer schoen gruen Baer Oel heiss
+Team Steak live
+`.trim().split(/\s+/);
+
+/* More than one syllable. Missing one is a miss, not a failure. */
+const MANY = `
+Wasser Feuer Erde Himmel Sonne Katze Vogel Blume Apfel Garten Schule
+Bauer Eier Mauer teuer neue Theater Museum Poet Ruhe Hase Käse Löwe
+Familie Radio Kamera Elefant Giraffe Schokolade
+Seen Feen knien Ruin
+essen trinken laufen schlafen spielen
+`.trim().split(/\s+/);
+
+let failures = 0;
+
+/* As in English: a word in both lists has a dead MULTI entry. */
+const overlap = [...WORD_LISTS.MULTI].filter((w) => WORD_LISTS.ONE_SYLLABLE.has(w));
+if (overlap.length) {
+  console.error(`These words are in BOTH syllable lists, so the MULTI entry is dead:\n`);
+  overlap.forEach((w, i) => console.error(`  ${i + 1}. ${w}`));
+  process.exit(1);
+}
+
+/*
+  As in Spanish, the rule is regular enough that a list entry it already
+  agrees with is dead weight. Every ONE_SYLLABLE entry must be a word the rule
+  counts as more, and every MULTI entry one it counts as one.
+*/
+{
+  const redundant = [
+    ...[...WORD_LISTS.ONE_SYLLABLE].filter((w) => countSyllables(w) <= 1),
+    ...[...WORD_LISTS.MULTI].filter((w) => countSyllables(w) > 1),
+  ];
+  if (redundant.length) {
+    console.error('These list entries say what the rule already says:\n');
+    redundant.forEach((w, i) => console.error(`  ${i + 1}. ${w}`));
+    process.exit(1);
+  }
+  console.log(`  every listed word is one the rule needs help with (${WORD_LISTS.ONE_SYLLABLE.size + WORD_LISTS.MULTI.size} words)`);
+}
+
+const badOnes = ONE.filter((w) => !isOneSyllable(w)).map((w) => `${w} -> ${countSyllables(w)}`);
+const missedOnes = MANY.filter((w) => isOneSyllable(w)).map((w) => `${w} -> ${countSyllables(w)}`);
+
+console.log('caveman clues — the German referee\n');
+console.log(`  one-syllable words allowed   ${ONE.length - badOnes.length}/${ONE.length}  <- must be 100%`);
+console.log(`  multi-syllable words caught  ${MANY.length - missedOnes.length}/${MANY.length}  <- good is enough`);
+
+/* Clue-level, including the tokenizer: an accented word must not split in two. */
+const CLUES = [
+  ['groß und grau mit Rüssel', ['Rüssel']],
+  ['ein Tier im Zoo', []],
+  ['heiß, hell, rund', []],
+  ['Straße', ['Straße']],
+  ['der Baer hat Hunger', ['Hunger']],
+  ['', []],
+];
+let clueFails = 0;
+console.log('');
+for (const [clue, expected] of CLUES) {
+  const got = illegalWords(clue);
+  if (got.join() !== expected.join()) { clueFails += 1; console.log(`  FAIL  "${clue}" -> [${got}] expected [${expected}]`); }
+}
+if (!clueFails) console.log(`  every sample clue is judged as designed (${CLUES.length} clues)`);
+
+/* The deck. 43 is the floor words.js works from: 16 cards a game, doubled, over 0.75. */
+{
+  const dupes = CAVEMAN_WORDS_DE_RAW.length - CAVEMAN_WORDS_DE.length;
+  const phrases = CAVEMAN_WORDS_DE.filter((w) => /\s/.test(w) || w.includes('ß'));
+  if (CAVEMAN_WORDS_DE.length < 43) { failures += 1; console.log(`  FAIL  the deck has ${CAVEMAN_WORDS_DE.length} words, under the floor of 43`); }
+  if (dupes) { failures += 1; console.log(`  FAIL  ${dupes} duplicate card(s) in the deck`); }
+  if (phrases.length) { failures += 1; console.log(`  FAIL  cards must be one word, without ß: ${phrases.join(', ')}`); }
+  if (CAVEMAN_WORDS_DE.length >= 43 && !dupes && !phrases.length) console.log(`  the deck is ${CAVEMAN_WORDS_DE.length} single words, none repeated`);
+}
+
+/*
+  A guess typed without umlauts is still the card, however it leaves them out:
+  "ue" for "ü" as Germans type it, or a bare "u". And German is not run
+  through the English stemmer, which cuts "Hering" to "here".
+*/
+{
+  const { matchKey } = LANGUAGES.de;
+  const same = (a, b) => matchKey(a) === matchKey(b);
+  const unfolded = [['Tür', 'Tuer'], ['Tür', 'Tur'], ['Tuer', 'Tur'], ['Kühlschrank', 'kuehlschrank'], ['Löwe', 'Lowe'], ['Straße', 'strasse']]
+    .filter(([a, b]) => !same(a, b));
+  if (unfolded.length) { failures += 1; console.log(`  FAIL  guesses are not folded: ${unfolded.map(([a, b]) => `"${b}" would miss ${a}`).join(', ')}`); }
+  else console.log('  a guess typed without umlauts still finds the card, "ue" or "u"');
+  if (same('Hering', 'Here')) { failures += 1; console.log('  FAIL  German guesses are stemmed as English: "Here" finds Hering'); }
+  else console.log('  and German words are not stemmed as English');
+}
+
+console.log('');
+if (badOnes.length) {
+  console.error(`${badOnes.length} FALSE PENALTIES — these are real one-syllable words the referee rejects:\n`);
+  badOnes.forEach((w, i) => console.error(`  ${i + 1}. ${w}`));
+  console.error('\nFix the rule in src/games/cavemanclues/syllables-de.js, or add them to ONE_SYLLABLE.');
+  process.exit(1);
+}
+if (clueFails) { console.error(`${clueFails} clue(s) judged wrongly`); process.exit(1); }
+if (failures) { console.error(`${failures} problem(s) with the German deck`); process.exit(1); }
+if (missedOnes.length) {
+  console.log(`  (${missedOnes.length} multi-syllable word(s) slip through, which is the safe direction: ${missedOnes.join(', ')})`);
+}
+console.log('  no real one-syllable German word is ever refused');
@@ -0,0 +1,120 @@
+/**
+ * The Spanish referee in Caveman Clues has to be right too.
+ *
+ *   node scripts/caveman-syllable-check-es.js
+ *
+ * The same asymmetry as caveman-syllable-check.js: a real one-syllable word
+ * refused is a player cheated by a referee they cannot argue with, so that
+ * must be 100%; a two-syllable word getting through is harmless, so catching
+ * them only has to be good. Spanish spelling marks its own syllables, so in
+ * practice this one catches nearly everything — the test words lean on the
+ * places a rule could go wrong: diphthongs, hiatus, accents, final "y", the
+ * silent "u" of que/gue.
+ *
+ * Also checks the Spanish deck: big enough for two games, no accidental
+ * duplicates, one word per card.
+ */
+import { isOneSyllable, countSyllables, illegalWords, WORD_LISTS } from '../src/games/cavemanclues/syllables-es.js';
+import { CAVEMAN_WORDS_ES, CAVEMAN_WORDS_ES_RAW } from '../src/games/cavemanclues/words-es.js';
+import { LANGUAGES } from '../src/games/cavemanclues/languages.js';
+
+/* One syllable, every one, and every one MUST be allowed. */
+const ONE = `
+sol mar pan sal luz paz voz pez mes sur tren flor gris
+yo tú él mi tu su no sí ya más muy hoy hay rey ley soy voy doy fue fui dio vio
+bien pie cien diez seis tres dos mil gran buen mal fin
+qué quien cual cuál pues
+sed red col haz pon ven ten dar ver ir
+`.trim().split(/\s+/);
+
+/* More than one syllable. Missing one is a miss, not a failure. */
+const MANY = `
+casa perro gato agua fuego tierra cielo noche mano cabeza
+día río tía frío país maíz baúl oído leer creer caer poeta teatro museo
+ayer mayo playa joya
+queso guerra guitarra aquí quizás
+ciudad tiempo bueno nuevo cuerpo pueblo
+ahí búho prohibir
+grande pequeño animal caliente rápido
+comer beber correr saltar dormir
+`.trim().split(/\s+/);
+
+let failures = 0;
+
+/* As in English: a word in both lists has a dead MULTI entry. */
+const overlap = [...WORD_LISTS.MULTI].filter((w) => WORD_LISTS.ONE_SYLLABLE.has(w));
+if (overlap.length) {
+  console.error(`These words are in BOTH syllable lists, so the MULTI entry is dead:\n`);
+  overlap.forEach((w, i) => console.error(`  ${i + 1}. ${w}`));
+  process.exit(1);
+}
+
+/*
+  Spanish spelling is regular enough that a list entry the rule already agrees
+  with is dead weight, and a hint that someone "fixed" a word that was never
+  broken. Every ONE_SYLLABLE entry must be a word the rule counts as more.
+*/
+{
+  const redundant = [...WORD_LISTS.ONE_SYLLABLE].filter((w) => countSyllables(w) <= 1);
+  if (redundant.length) {
+    console.error('These are whitelisted but the rule already allows them:\n');
+    redundant.forEach((w, i) => console.error(`  ${i + 1}. ${w}`));
+    process.exit(1);
+  }
+  console.log(`  every whitelisted word is one the rule needs help with (${WORD_LISTS.ONE_SYLLABLE.size} words)`);
+}
+
+const badOnes = ONE.filter((w) => !isOneSyllable(w)).map((w) => `${w} -> ${countSyllables(w)}`);
+const missedOnes = MANY.filter((w) => isOneSyllable(w)).map((w) => `${w} -> ${countSyllables(w)}`);
+
+console.log('caveman clues — the Spanish referee\n');
+console.log(`  one-syllable words allowed   ${ONE.length - badOnes.length}/${ONE.length}  <- must be 100%`);
+console.log(`  multi-syllable words caught  ${MANY.length - missedOnes.length}/${MANY.length}  <- good is enough`);
+
+/* Clue-level, including the tokenizer: an accented word must not split in two. */
+const CLUES = [
+  ['el rey de la selva', ['selva']],
+  ['un gran pez gris', []],
+  ['niño con sed', ['niño']],
+  ['¿qué es? ¡sí!', []],
+  ['es un animal', ['animal']],
+  ['', []],
+];
+let clueFails = 0;
+console.log('');
+for (const [clue, expected] of CLUES) {
+  const got = illegalWords(clue);
+  if (got.join() !== expected.join()) { clueFails += 1; console.log(`  FAIL  "${clue}" -> [${got}] expected [${expected}]`); }
+}
+if (!clueFails) console.log(`  every sample clue is judged as designed (${CLUES.length} clues)`);
+
+/* The deck. 43 is the floor words.js works from: 16 cards a game, doubled, over 0.75. */
+{
+  const dupes = CAVEMAN_WORDS_ES_RAW.length - CAVEMAN_WORDS_ES.length;
+  const phrases = CAVEMAN_WORDS_ES.filter((w) => /\s/.test(w));
+  if (CAVEMAN_WORDS_ES.length < 43) { failures += 1; console.log(`  FAIL  the deck has ${CAVEMAN_WORDS_ES.length} words, under the floor of 43`); }
+  if (dupes) { failures += 1; console.log(`  FAIL  ${dupes} duplicate card(s) in the deck`); }
+  if (phrases.length) { failures += 1; console.log(`  FAIL  cards must be one word: ${phrases.join(', ')}`); }
+  if (CAVEMAN_WORDS_ES.length >= 43 && !dupes && !phrases.length) console.log(`  the deck is ${CAVEMAN_WORDS_ES.length} single words, none repeated`);
+}
+
+/* A guess typed without the accents or the ñ is still the card. */
+{
+  const { fold } = LANGUAGES.es;
+  if (fold('Araña') !== 'Arana' || fold('Búho') !== 'Buho') { failures += 1; console.log('  FAIL  guesses are not folded: "arana" would miss Araña'); }
+  else console.log('  a guess without accents or ñ still finds the card');
+}
+
+console.log('');
+if (badOnes.length) {
+  console.error(`${badOnes.length} FALSE PENALTIES — these are real one-syllable words the referee rejects:\n`);
+  badOnes.forEach((w, i) => console.error(`  ${i + 1}. ${w}`));
+  console.error('\nFix the rule in src/games/cavemanclues/syllables-es.js, or add them to ONE_SYLLABLE.');
+  process.exit(1);
+}
+if (clueFails) { console.error(`${clueFails} clue(s) judged wrongly`); process.exit(1); }
+if (failures) { console.error(`${failures} problem(s) with the Spanish deck`); process.exit(1); }
+if (missedOnes.length) {
+  console.log(`  (${missedOnes.length} multi-syllable word(s) slip through, which is the safe direction: ${missedOnes.join(', ')})`);
+}
+console.log('  no real one-syllable Spanish word is ever refused');
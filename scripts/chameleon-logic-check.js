@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/*
+  The Chameleon — custom grids and the two-Chameleon room.
+
+    node scripts/chameleon-logic-check.js
+
+    - a pack's grids are what the room plays, and a malformed one is dropped
+    - one Chameleon plays exactly as it always has
+    - two Chameleons: neither is told about the other, the vote catches two,
+      each caught one guesses privately, and each is scored on its own
+    - a Chameleon who leaves before guessing has guessed wrong
+
+  Pure functions, no database and no server needed.
+*/
+import { ChameleonGame as G } from '../src/games/chameleon/game.js';
+import { GRIDS } from '../src/games/chameleon/words.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+const players = (n) => Array.from({ length: n }, (_, i) => ({
+  id: `p${i}`, username: `P${i}`, connected: true, score: 0,
+}));
+const start = (n, settings = {}) => G.onStart({ hostId: 'p0', status: 'lobby', players: players(n), ...G.createInitialState(settings) });
+const find = (s, id) => s.players.find((p) => p.id === id);
+const act = (s, action, payload, id) => G.handleAction(s, action, payload, find(s, id)) || s;
+const score = (s, id) => find(s, id).score;
+
+function clueAll(s) {
+  for (const p of s.players) s = act(s, 'submit_clue', { word: `clue${p.id}` }, p.id);
+  return s;
+}
+// Everyone votes: `ballots` maps a suspect to how many votes they get, in order.
+function vote(s, ballots) {
+  const queue = Object.entries(ballots).flatMap(([id, n]) => Array(n).fill(id));
+  s.players.forEach((p, i) => { s = act(s, 'submit_vote', { suspectId: queue[i % queue.length] }, p.id); });
+  return s;
+}
+
+console.log('custom grids');
+{
+  const words = (tag) => Array.from({ length: 16 }, (_, i) => `${tag}${i}`);
+  const customQuestions = [
+    { category: 'Our office', words: words('o') },
+    { category: 'Too short', words: words('s').slice(0, 12) },
+    'a herd question, from a pack for another game',
+    { category: 'Team in-jokes', words: words('j') },
+  ];
+  const initial = G.createInitialState({ customQuestions });
+  is('only whole 4x4 grids are kept', initial.customGrids.length === 2, JSON.stringify(initial.customGrids.map((g) => g.category)));
+  let s = start(4, { customQuestions });
+  const seen = new Set([s.round.category]);
+  for (let r = 0; r < 3; r += 1) {
+    s = { ...s, phase: 'result', status: 'playing' };
+    s = act(s, 'next_round', {}, 'p0');
+    seen.add(s.round.category);
+  }
+  is('the room plays the pack\'s grids and no built-in ones', [...seen].every((c) => c === 'Our office' || c === 'Team in-jokes'), [...seen].join(', '));
+  const { category } = start(4).round;
+  is('a room without a pack plays the built-in grids', GRIDS.some((g) => g.category === category), category);
+}
+
+console.log('\none Chameleon');
+{
+  const s = start(5, { twoChameleons: true });
+  is('two Chameleons needs a big room', s.round.chameleonIds.length === 1, String(s.round.chameleonIds.length));
+  is('chameleonId is the Chameleon', s.round.chameleonId === s.round.chameleonIds[0]);
+
+  let r = vote(clueAll(s), { [s.round.chameleonId]: 5 });
+  is('caught, the Chameleon guesses', r.phase === 'guessing');
+  const cham = s.round.chameleonId;
+  r = act(r, 'chameleon_guess', { wordIndex: (s.round.secretIndex + 1) % 16 }, cham);
+  is('a wrong guess gives everyone else a point', r.players.every((p) => p.score === (p.id === cham ? 0 : 1)));
+  is('...and the result reads as it always has', r.round.result.reason === 'caught' && r.round.result.chameleonWon === false
+    && Number.isInteger(r.round.result.guessIndex));
+
+  const innocent = s.players.find((p) => p.id !== cham).id;
+  const esc = vote(clueAll(s), { [innocent]: 5 });
+  is('escaping the vote is worth two', esc.phase === 'result' && score(esc, cham) === 2 && esc.round.result.reason === 'escaped');
+}
+
+console.log('\ntwo Chameleons');
+{
+  const s = start(8, { twoChameleons: true });
+  const [a, b] = s.round.chameleonIds;
+  is('a big room deals two', s.round.chameleonIds.length === 2 && a !== b);
+  const av = G.deriveClientState(s, a);
+  is('each is told they are a Chameleon', av.round.youAreChameleon && G.deriveClientState(s, b).round.youAreChameleon);
+  is('...but not who the other is', av.round.chameleonIds === null && av.round.chameleonId === null);
+  is('...and neither sees the word', av.round.secretIndex === null && G.deriveClientState(s, b).round.secretIndex === null);
+  const c = s.players.find((p) => ![a, b].includes(p.id)).id;
+  is('everyone else sees the word', G.deriveClientState(s, c).round.secretIndex === s.round.secretIndex);
+
+  // Both caught: each guesses, one right, one wrong.
+  let r = vote(clueAll(s), { [a]: 4, [b]: 4 });
+  is('the vote catches two', r.phase === 'guessing' && r.round.caughtIds.length === 2, JSON.stringify(r.round.caughtIds));
+  r = act(r, 'chameleon_guess', { wordIndex: s.round.secretIndex }, a);
+  is('one guess does not end the round', r.phase === 'guessing');
+  is('...and the other Chameleon cannot see it', Object.keys(G.deriveClientState(r, b).round.guesses).length === 0
+    && G.deriveClientState(r, b).round.guessCount === 1);
+  is('a Chameleon guesses once', act(r, 'chameleon_guess', { wordIndex: 0 }, a) === r);
+  is('an innocent cannot guess', act(r, 'chameleon_guess', { wordIndex: 0 }, c) === r);
+  r = act(r, 'chameleon_guess', { wordIndex: (s.round.secretIndex + 1) % 16 }, b);
+  is('the round ends once both have guessed', r.phase === 'result');
+  is('the right guess scores one', score(r, a) === 1, String(score(r, a)));
+  is('the wrong one scores nothing', score(r, b) === 0);
+  is('everyone else scores one, for the Chameleon caught out', score(r, c) === 1, String(score(r, c)));
+  is('the result tells each Chameleon\'s story', r.round.result.outcomes[a] === 'caught-but-guessed'
+    && r.round.result.outcomes[b] === 'caught' && r.round.result.reason === 'split');
+
+  // One caught, one escaped: the escaped one stays hidden while the other guesses.
+  let h = vote(clueAll(s), { [a]: 5, [c]: 3 });
+  is('one caught and one not', h.phase === 'guessing' && JSON.stringify(h.round.caughtIds) === JSON.stringify([a, c]));
+  const view = G.deriveClientState(h, c);
+  is('only the caught Chameleon is revealed', JSON.stringify(view.round.chameleonIds) === JSON.stringify([a]));
+  is('an innocent who was voted out does not guess', act(h, 'chameleon_guess', { wordIndex: 0 }, c) === h);
+  h = { ...h, players: h.players.map((p) => (p.id === a ? { ...p, connected: false } : p)) };
+  h = G.onPlayerDisconnect(h, find(h, a)) || h;
+  is('a Chameleon who leaves before guessing has guessed wrong', h.phase === 'result' && h.round.result.outcomes[a] === 'caught');
+  is('the one who escaped still scores two', score(h, b) === 2 && h.round.result.outcomes[b] === 'escaped');
+  is('everyone else scores one', score(h, c) === 1);
+
+  // Both escape.
+  const both = vote(clueAll(s), { [c]: 8 });
+  is('both escaping is four points between them', both.phase === 'result' && score(both, a) === 2 && score(both, b) === 2
+    && both.round.result.chameleonWon && score(both, c) === 0);
+}
+
+console.log('');
+if (failures) { console.log(`chameleon — ${failures} problem(s)`); process.exit(1); }
+console.log('chameleon — custom grids play, and two Chameleons keep their secrets');
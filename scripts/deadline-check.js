@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/*
+  Server-authoritative phase timers — the room moves on when the clock runs
+  out, whether or not any client noticed.
+
+    node scripts/deadline-check.js
+
+  Every timed phase used to end only when a client sent end_turn / force_reveal
+  / move_on. A giver whose phone slept took that client with them and the room
+  sat on a 0s clock until the host stepped in. The engine now schedules
+  gameDef.onDeadline from `state.deadline`.
+
+  What this proves, over real sockets against a real mounted engine:
+    - the hook fires when the deadline passes, with nobody sending anything
+    - it fires ONCE, even when a client races it and gets there first
+    - a room restored with a deadline already in the past fires at once
+  and, per game, that each real onDeadline ends the phase it should.
+
+  Uses a tiny timed game so the check takes a second, not a Taboo turn. No
+  database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+import { TabooGame } from '../src/games/taboo/game.js';
+import { FishbowlGame } from '../src/games/fishbowl/game.js';
+import { ScattergoriesGame } from '../src/games/scattergories/game.js';
+import { CavemanCluesGame } from '../src/games/cavemanclues/game.js';
+import { HueMatchGame } from '../src/games/huematch/game.js';
+import { TeamTriviaGame } from '../src/games/teamtrivia/game.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+/* One timed phase: `tick` starts a 300ms clock, the deadline (or `stop`) ends it. */
+let fired = 0;
+const TimedGame = {
+  minPlayers: 1,
+  createInitialState: () => ({ phase: null, deadline: null, endedBy: null }),
+  onStart: (state) => ({ ...state, status: 'playing', phase: 'waiting' }),
+  handleAction(state, action) {
+    if (action === 'tick' && state.phase === 'waiting') return { ...state, phase: 'timed', deadline: Date.now() + 300 };
+    if (action === 'stop' && state.phase === 'timed') return { ...state, phase: 'waiting', deadline: null, endedBy: 'player' };
+    return null;
+  },
+  deriveClientState: (state) => ({ ...state, players: state.players.map(({ socketId, ...rest }) => rest) }),
+  onDeadline(state) {
+    fired += 1;
+    return { ...state, phase: 'waiting', deadline: null, endedBy: 'server' };
+  },
+};
+
+const httpServer = createServer();
+const ioServer = new Server(httpServer, { cors: { origin: '*' } });
+mountGame(ioServer, '/timed', TimedGame);
+await new Promise((r) => httpServer.listen(0, r));
+const URL = `http://127.0.0.1:${httpServer.address().port}`;
+
+const sockets = [];
+const client = () => {
+  const s = connect(`${URL}/timed`, { transports: ['websocket'], forceNew: true });
+  sockets.push(s);
+  return s;
+};
+const ready = (s) => new Promise((res, rej) => {
+  s.once('connect', res); s.once('connect_error', rej);
+  setTimeout(() => rej(new Error('connect timeout')), 8000);
+});
+const once = (s, ev, ms = 5000) => new Promise((res) => {
+  const t = setTimeout(() => res(null), ms);
+  s.once(ev, (d) => { clearTimeout(t); res(d); });
+});
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+try {
+  console.log('\n=== the engine ===');
+  const host = client(); await ready(host);
+  host.emit('create_game', { username: 'Ann' });
+  const created = await once(host, 'joined');
+  const code = created?.roomCode;
+  host.emit('start_game', { roomCode: code });
+  await sleep(200);
+
+  host.emit('game_action', { roomCode: code, action: 'tick' });
+  await sleep(700);
+  is('the deadline ends the phase with no client involved',
+    store.getGame(code)?.endedBy === 'server' && fired === 1, `fired ${fired}`);
+
+  fired = 0;
+  host.emit('game_action', { roomCode: code, action: 'tick' });
+  await sleep(100);
+  host.emit('game_action', { roomCode: code, action: 'stop' });
+  await sleep(700);
+  is('a client that ends the phase first wins, and the timer stands down',
+    store.getGame(code)?.endedBy === 'player' && fired === 0, `fired ${fired}`);
+
+  /* A restored room: exactly what join_game does after loadRoom, with a
+     deadline that ran out while the server was down. */
+  fired = 0;
+  const snap = JSON.parse(JSON.stringify(store.getGame(code)));
+  snap.phase = 'timed';
+  snap.deadline = Date.now() - 5000;
+  snap.players = snap.players.map((p) => ({ ...p, socketId: null, connected: false }));
+  store.restoreGame('ZZZZ', snap, [{ token: 'restored-token', playerId: snap.players[0].id }]);
+  const back = client(); await ready(back);
+  back.emit('join_game', { roomCode: 'ZZZZ', rejoinToken: 'restored-token' });
+  await once(back, 'joined');
+  await sleep(300);
+  is('a restored room whose deadline already passed fires at once',
+    store.getGame('ZZZZ')?.endedBy === 'server' && fired === 1, `fired ${fired}`);
+} catch (err) {
+  fail('the check ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  ioServer.close();
+  httpServer.close();
+}
+
+console.log('\n=== each game ends its own phase ===');
+const players = (n) => Array.from({ length: n }, (_, i) => ({
+  id: 'p' + i, username: 'P' + i, connected: true, isHost: i === 0, score: 0, joinedAt: Date.now() + i,
+}));
+const room = (def, n) => ({ roomCode: 'T', hostId: 'p0', status: 'lobby', players: players(n), ...def.createInitialState({}) });
+
+{
+  let s = TabooGame.onStart(room(TabooGame, 4));
+  const giver = s.players.find((p) => p.id === s.teams.A[0]);
+  s = TabooGame.handleAction(s, 'start_turn', {}, giver);
+  is('Taboo: a turn sets the deadline', Number.isFinite(s.deadline) && s.deadline === s.turn.deadline);
+  const after = TabooGame.onDeadline(s);
+  is('Taboo: the deadline ends the turn and clears itself', after.turn === null && after.deadline === null);
+}
+{
+  let s = FishbowlGame.onStart(room(FishbowlGame, 4));
+  for (const p of s.players) s = FishbowlGame.handleAction(s, 'submit_words', { words: ['a' + p.id, 'b' + p.id] }, p) || s;
+  const giver = s.players.find((p) => p.id === s.teams.A[0]);
+  s = FishbowlGame.handleAction(s, 'start_turn', {}, giver);
+  const after = FishbowlGame.onDeadline(s);
+  is('Fishbowl: the deadline ends the turn', after.turn === null && after.deadline === null && after.currentTeam === 'B');
+}
+{
+  const s = ScattergoriesGame.onStart(room(ScattergoriesGame, 3));
+  is('Scattergories: the server waits past the clients\' clock', s.deadline > s.round.deadline);
+  const after = ScattergoriesGame.onDeadline(s);
+  is('Scattergories: the deadline reveals the round', after.phase === 'results' && after.deadline === null);
+}
+{
+  const s = CavemanCluesGame.onStart(room(CavemanCluesGame, 3));
+  is('Caveman Clues: a turn sets the deadline', s.deadline === s.turn.startedAt + s.turnSec * 1000);
+  const after = CavemanCluesGame.onDeadline(s);
+  is('Caveman Clues: the deadline reveals the turn unsolved', after.phase === 'reveal' && after.lastTurn.solvedBy === null);
+}
+{
+  const s = HueMatchGame.onStart(room(HueMatchGame, 3));
+  is('Hue Match: a phase sets the deadline', Number.isFinite(s.deadline));
+  const guess = HueMatchGame.handleAction(s, 'cue', { text: 'ocean' }, s.players.find((p) => p.id === s.turn.giverId));
+  const next = HueMatchGame.onDeadline(guess);
+  is('Hue Match: a spent guess phase moves to the second cue', next.phase === 'clue2' && next.deadline >= guess.deadline);
+  is('Hue Match: a spent cue phase goes to the reveal', HueMatchGame.onDeadline(next).phase === 'reveal');
+}
+{
+  const untimed = TeamTriviaGame.onStart(room(TeamTriviaGame, 3));
+  is('Team Trivia: no clock unless the host asks for one', untimed.deadline === null && untimed.round.deadline === null);
+  const s = TeamTriviaGame.onStart({ ...room(TeamTriviaGame, 3), ...TeamTriviaGame.createInitialState({ scoring: 'speed' }) });
+  is('Team Trivia: speed scoring puts a clock on the question, and waits past it', s.deadline > s.round.deadline);
+  const after = TeamTriviaGame.onDeadline(s);
+  is('Team Trivia: the deadline reveals the question', after.phase === 'reveal' && after.deadline === null);
+}
+
+console.log('');
+if (failures) { console.log(`deadlines — ${failures} problem(s)`); process.exit(1); }
+console.log('deadlines — the server ends the clock, once');
+process.exit(0);
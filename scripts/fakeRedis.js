@@ -0,0 +1,142 @@
+/*
+  An in-process stand-in for a Redis server, speaking the slice of the
+  node-redis v4 client API that redisStore.js and @socket.io/redis-adapter use.
+
+  For scripts/redis-store-check.js, which runs two instances without a
+  Redis: every client from one createFakeRedis() shares the same keys and the
+  same pub/sub bus, exactly as clients of one real server would. Not a
+  general-purpose Redis — commands the store does not use are not here.
+
+    const redis = createFakeRedis();
+    const client = redis.createClient();   // also .duplicate() for pub/sub
+*/
+export function createFakeRedis() {
+  const data = new Map();      // key -> string | Map (hash)
+  const expiries = new Map();  // key -> epoch ms
+  const subscribers = new Set();
+
+  function live(key) {
+    const at = expiries.get(key);
+    if (at !== undefined && at <= Date.now()) { data.delete(key); expiries.delete(key); }
+    return data.has(key);
+  }
+
+  function hash(key) {
+    if (!live(key)) data.set(key, new Map());
+    return data.get(key);
+  }
+
+  const globToRegex = (glob) => new RegExp('^' + glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+
+  function createClient() {
+    const channels = new Map();  // channel -> listener
+    const patterns = new Map();  // glob -> { re, listener }
+
+    const commands = {
+      async get(key) {
+        return live(key) ? data.get(key) : null;
+      },
+      async set(key, value, opts = {}) {
+        if (opts.NX && live(key)) return null;
+        const keep = opts.KEEPTTL && live(key) ? expiries.get(key) : undefined;
+        data.set(key, String(value));
+        expiries.delete(key);
+        if (opts.PX) expiries.set(key, Date.now() + opts.PX);
+        else if (keep !== undefined) expiries.set(key, keep);
+        return 'OK';
+      },
+      async del(keys) {
+        let n = 0;
+        for (const key of [].concat(keys)) {
+          if (live(key)) n += 1;
+          data.delete(key); expiries.delete(key);
+        }
+        return n;
+      },
+      async pExpire(key, ms) {
+        if (!live(key)) return false;
+        expiries.set(key, Date.now() + ms);
+        return true;
+      },
+      async hSet(key, field, value) {
+        hash(key).set(field, String(value));
+        return 1;
+      },
+      async hKeys(key) {
+        return live(key) ? [...data.get(key).keys()] : [];
+      },
+      async hGetAll(key) {
+        return live(key) ? Object.fromEntries(data.get(key)) : {};
+      },
+    };
+
+    const client = {
+      ...commands,
+      isOpen: true,
+      async connect() { return client; },
+      async quit() { client.isOpen = false; subscribers.delete(client); },
+      async disconnect() { return client.quit(); },
+      duplicate: () => createClient(),
+      on() { return client; },
+      off() { return client; },
+      listenerCount: () => 0,
+
+      // Queued like a real MULTI: nothing runs until exec(), then in order.
+      multi() {
+        const queue = [];
+        const tx = { exec: async () => { const out = []; for (const run of queue) out.push(await run()); return out; } };
+        for (const [name, fn] of Object.entries(commands)) {
+          tx[name] = (...args) => { queue.push(() => fn(...args)); return tx; };
+        }
+        return tx;
+      },
+
+      async publish(channel, message) {
+        let n = 0;
+        const payload = Buffer.from(message);
+        for (const sub of subscribers) n += sub.deliver(channel, payload);
+        return n;
+      },
+      async subscribe(list, listener) {
+        for (const ch of [].concat(list)) channels.set(ch, listener);
+        subscribers.add(client);
+      },
+      async pSubscribe(glob, listener) {
+        patterns.set(glob, { re: globToRegex(glob), listener });
+        subscribers.add(client);
+      },
+      async unsubscribe(list) {
+        for (const ch of [].concat(list ?? [...channels.keys()])) channels.delete(ch);
+      },
+      async pUnsubscribe(glob) {
+        if (glob === undefined) patterns.clear(); else patterns.delete(glob);
+      },
+      // Present so the Socket.IO adapter recognises a v4 client; never used.
+      async sSubscribe() {},
+
+      // Only PUBSUB NUMSUB, which the adapter uses to count instances.
+      async sendCommand([cmd, sub, channel]) {
+        if (cmd !== 'PUBSUB' || sub !== 'NUMSUB') throw new Error(`fake redis: ${cmd} ${sub} is not supported`);
+        let n = 0;
+        for (const s of subscribers) if (s.hasChannel(channel)) n += 1;
+        return [channel, n];
+      },
+
+      hasChannel: (channel) => channels.has(channel),
+      // Asynchronous like the real thing — a publisher never hears its own
+      // message inside the publish call.
+      deliver(channel, payload) {
+        let n = 0;
+        const direct = channels.get(channel);
+        if (direct) { n += 1; setImmediate(() => direct(payload, channel)); }
+        for (const { re, listener } of patterns.values()) {
+          if (re.test(channel)) { n += 1; setImmediate(() => listener(payload, channel)); }
+        }
+        return n;
+      },
+    };
+    return client;
+  }
+
+  return { createClient };
+}
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/*
+  Guesstimate — questions from a custom pack.
+
+    node scripts/guesstimate-logic-check.js
+
+    - a pack's questions are what the room plays, and a malformed one is dropped
+    - the unit travels with the round, so the board can say "330 metres"
+    - the answer stays hidden until the reveal, and the pack never leaves the server
+    - a room without a pack plays the built-in bank as it always has
+
+  Pure functions, no database and no server needed.
+*/
+import { GuesstimateGame as G } from '../src/games/guesstimate/game.js';
+import { questions } from '../src/games/guesstimate/questions.js';
+import { parsePack } from '../src/models/packParse.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+const players = (n) => Array.from({ length: n }, (_, i) => ({
+  id: `p${i}`, username: `P${i}`, connected: true, score: 0,
+}));
+const start = (settings = {}) => G.onStart({ hostId: 'p0', status: 'lobby', players: players(3), ...G.createInitialState(settings) });
+const find = (s, id) => s.players.find((p) => p.id === id);
+const act = (s, action, payload, id) => G.handleAction(s, action, payload, find(s, id)) || s;
+
+const pack = parsePack('guesstimate', [
+  'How tall is the Eiffel Tower? | 330 | metres',
+  'How many people live in Tokyo? | 14 million',
+  'How cold is the coldest day on record in Chicago? | -27 | °F',
+  'How many steps to the top of the Eiffel Tower? | 1,665',
+  'How many bridges cross the Seine in Paris? | 37',
+  'How long is the Thames? | 346 | km',
+  'How many islands make up Japan? | 14.1k',
+  'How many lines are on the London Underground? | 11',
+].join('\n'));
+
+console.log('custom questions');
+{
+  const customQuestions = [...pack.items, { q: 'No answer' }, 'a herd prompt, from a pack for another game'];
+  const initial = G.createInitialState({ customQuestions });
+  is('only questions with a number are kept', initial.customQuestions.length === pack.items.length, String(initial.customQuestions.length));
+
+  let s = start({ customQuestions });
+  const asked = new Set([s.round.question]);
+  for (let r = 1; r < s.totalRounds; r += 1) {
+    s = act({ ...s, phase: 'reveal' }, 'next_round', {}, 'p0');
+    asked.add(s.round.question);
+  }
+  const ours = new Set(pack.items.map((item) => item.q));
+  is('the room plays the pack and no built-in questions', [...asked].every((q) => ours.has(q)), [...asked].join(' / '));
+  is('and never the same question twice', asked.size === s.totalRounds, String(asked.size));
+
+  const eiffel = start({ customQuestions: pack.items.slice(0, 1) });
+  is('the unit travels with the round', eiffel.round.unit === 'metres' && eiffel.round.actualAnswer === 330, JSON.stringify(eiffel.round));
+
+  const view = G.deriveClientState(eiffel, 'p1');
+  is('the answer is hidden until the reveal', view.round.actualAnswer === null);
+  is('...and the pack, which is every answer, is never sent', !('customQuestions' in view)
+    && !('customQuestions' in G.deriveSpectatorState(eiffel)));
+}
+
+console.log('\nthe reveal');
+{
+  let s = start({ customQuestions: pack.items.slice(2, 3) });
+  is('a negative answer plays', s.round.actualAnswer === -27);
+  s = act(s, 'submit_answer', { number: -30 }, 'p0');
+  s = act(s, 'submit_answer', { number: -20 }, 'p1');
+  s = act(s, 'submit_answer', { number: 0 }, 'p2');
+  for (const p of s.players) {
+    s = act(s, 'submit_bet', { boardIndex: 0 }, p.id);
+    s = act(s, 'submit_bet', { boardIndex: 0 }, p.id);
+  }
+  is('closest without going over wins below zero too', s.phase === 'reveal' && s.round.board[s.round.winningBoardIndex].number === -30,
+    JSON.stringify(s.round.board.map((b) => b.number)));
+}
+
+console.log('\nno pack');
+{
+  const s = start();
+  is('a room without a pack plays the built-in bank', questions.some((q) => q.q === s.round.question) && s.round.unit === null, s.round.question);
+}
+
+console.log('');
+if (failures) { console.log(`guesstimate — ${failures} problem(s)`); process.exit(1); }
+console.log('guesstimate — custom packs play, with their units and their answers kept back');
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/*
+  Herd Mentality on the engine — does the port play the same game?
+
+    node scripts/herd-engine-check.js
+
+  The flagship moved off the legacy Mongo handlers onto a gameDef. The rules did
+  not move: scoring, the pink cow and the win check are the same functions the
+  legacy handlers call (herd-scoring-check.js covers those). What this covers is
+  the wiring around them — that a round resolves when everyone is in, that
+  answers stay hidden until it does, and that the host's hands (move the cow,
+  adjust a score) can end the game the way they do at a table.
+
+  Drives HerdGame directly. No database, no sockets.
+*/
+import { HerdGame } from '../src/games/herd/game.js';
+
+let failures = 0;
+const fail = (m) => { console.log(`  FAIL  ${m}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond) => (cond ? ok(m) : fail(m));
+
+function mk(N) {
+  const players = Array.from({ length: N }, (_, i) => ({
+    id: 'p' + i, username: 'P' + i, connected: true, isHost: i === 0, score: 0, joinedAt: Date.now() + i,
+  }));
+  return { roomCode: 'H', hostId: 'p0', status: 'lobby', players, ...HerdGame.createInitialState({}), game: '/herd', createdAt: Date.now() };
+}
+
+const by = (state, id) => state.players.find((p) => p.id === id);
+
+console.log('\n=== a round resolves when everyone is in ===');
+{
+  let s = HerdGame.onStart(mk(4));
+  is('starts answering a question', s.phase === 'answering' && !!s.round.question);
+
+  s = HerdGame.handleAction(s, 'submit_answer', { answer: 'Pizza' }, by(s, 'p0'));
+  const seen = HerdGame.deriveClientState(s, 'p1').round;
+  is('other players see the count, not the answer', seen.answers.length === 0 && seen.answeredCount === 1);
+  is('a second answer from the same player is refused',
+    HerdGame.handleAction(s, 'submit_answer', { answer: 'Tacos' }, by(s, 'p0')) === null);
+
+  s = HerdGame.handleAction(s, 'submit_answer', { answer: 'pizzas' }, by(s, 'p1'));
+  s = HerdGame.handleAction(s, 'submit_answer', { answer: 'the pizza' }, by(s, 'p2'));
+  s = HerdGame.handleAction(s, 'submit_answer', { answer: 'Sushi' }, by(s, 'p3'));
+  is('the last answer reveals the round', s.phase === 'results');
+  is('the herd scores through the shared normaliser',
+    by(s, 'p0').score === 1 && by(s, 'p1').score === 1 && by(s, 'p2').score === 1 && by(s, 'p3').score === 0);
+  is('the lone answer takes the pink cow', s.pinkCowHolder === 'p3');
+  is('results are public once revealed', HerdGame.deriveClientState(s, 'p1').round.results.allAnswers.length === 4);
+}
+
+console.log('\n=== a player who leaves does not hold the round ===');
+{
+  let s = HerdGame.onStart(mk(3));
+  s = HerdGame.handleAction(s, 'submit_answer', { answer: 'a' }, by(s, 'p0'));
+  s = HerdGame.handleAction(s, 'submit_answer', { answer: 'a' }, by(s, 'p1'));
+  const gone = { ...s, players: s.players.map((p) => (p.id === 'p2' ? { ...p, connected: false } : p)) };
+  const after = HerdGame.onPlayerDisconnect(gone, by(gone, 'p2'));
+  is('the round resolves without them', after?.phase === 'results');
+}
+
+console.log('\n=== the host\'s hands ===');
+{
+  let s = HerdGame.onStart(mk(3));
+  s = { ...s, players: s.players.map((p) => (p.id === 'p1' ? { ...p, score: 8 } : p)), pinkCowHolder: 'p1' };
+  is('only the host can move the cow', HerdGame.handleAction(s, 'move_pink_cow', { playerId: 'p2' }, by(s, 'p1')) === null);
+
+  const moved = HerdGame.handleAction(s, 'move_pink_cow', { playerId: 'p2' }, by(s, 'p0'));
+  is('moving the cow off someone on 8 wins them the game',
+    moved.status === 'finished' && moved.winner?.id === 'p1');
+
+  const cleared = HerdGame.handleAction(s, 'move_pink_cow', { playerId: '' }, by(s, 'p0'));
+  is('an empty target takes the cow off the table', cleared.pinkCowHolder === null);
+
+  let t = HerdGame.onStart(mk(3));
+  t = { ...t, players: t.players.map((p) => (p.id === 'p2' ? { ...p, score: 7 } : p)) };
+  is('a delta other than ±1 is refused', HerdGame.handleAction(t, 'adjust_score', { playerId: 'p2', delta: 3 }, by(t, 'p0')) === null);
+  const bumped = HerdGame.handleAction(t, 'adjust_score', { playerId: 'p2', delta: 1 }, by(t, 'p0'));
+  is('a +1 to 8 re-runs the win check', bumped.status === 'finished' && bumped.winner?.id === 'p2');
+  const floored = HerdGame.handleAction(t, 'adjust_score', { playerId: 'p1', delta: -1 }, by(t, 'p0'));
+  is('a score never goes below zero', by(floored, 'p1').score === 0);
+}
+
+console.log('\n=== a full game reaches finished ===');
+{
+  let s = HerdGame.onStart(mk(4));
+  let guard = 0;
+  while (s.status !== 'finished' && guard++ < 40) {
+    for (const p of s.players) {
+      // p0..p2 always agree, p3 is always the odd one out
+      const next = HerdGame.handleAction(s, 'submit_answer', { answer: p.id === 'p3' ? `odd ${guard}` : 'same' }, p);
+      if (next) s = next;
+    }
+    if (s.status !== 'finished') s = HerdGame.handleAction(s, 'next_round', {}, by(s, 'p0')) || s;
+  }
+  is('finishes with a winner on 8 who is not holding the cow',
+    s.status === 'finished' && s.winner && s.winner.score >= 8 && s.winner.id !== s.pinkCowHolder);
+}
+
+console.log('');
+if (failures) { console.log(`herd engine — ${failures} problem(s)`); process.exit(1); }
+console.log('All checks passed.');
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/*
+  Host transfer and co-hosts.
+
+    node scripts/host-roles-check.js
+
+  Host used to change hands one way only: 20s after the host went offline,
+  to whoever joined first. A host could not hand the room over, and nobody
+  else could press Start or "Next round" while they were busy. Now:
+    - transfer_host hands the room to a connected player, host only
+    - set_co_host names co-hosts, who can run every host-only control —
+      start_game, kick_player and the games' own (through canHost)
+    - nobody removes the host, and only the host removes a co-host
+    - a host who drops is replaced by a connected co-host before the earliest
+      joiner
+
+  No database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+import { canHost } from '../src/engine/roles.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* A counter anyone can bump and only the host's side can reset — a stand-in for force_reveal. */
+const CounterGame = {
+  minPlayers: 1,
+  createInitialState: () => ({ count: 0 }),
+  onStart: (state) => ({ ...state, status: 'playing' }),
+  handleAction(state, action, payload, player) {
+    if (action === 'bump') return { ...state, count: state.count + 1 };
+    if (action === 'reset' && canHost(state, player)) return { ...state, count: 0 };
+    return null;
+  },
+  deriveClientState: (state) => ({ ...state, players: state.players.map(({ socketId, ...rest }) => rest) }),
+};
+
+const httpServer = createServer();
+const ioServer = new Server(httpServer, { cors: { origin: '*' } });
+mountGame(ioServer, '/counter', CounterGame);
+await new Promise((r) => httpServer.listen(0, r));
+
+const sockets = [];
+const client = async () => {
+  const s = connect(`http://127.0.0.1:${httpServer.address().port}/counter`, { transports: ['websocket'], forceNew: true });
+  sockets.push(s);
+  await new Promise((res, rej) => {
+    s.once('connect', res); s.once('connect_error', rej);
+    setTimeout(() => rej(new Error('connect timeout')), 8000);
+  });
+  return s;
+};
+const once = (s, ev, ms = 5000) => new Promise((res) => {
+  const t = setTimeout(() => res(null), ms);
+  s.once(ev, (d) => { clearTimeout(t); res(d); });
+});
+const room = (code) => store.getGame(code);
+const byName = async (code, name) => (await room(code)).players.find((p) => p.username === name);
+
+try {
+  const ann = await client();
+  ann.emit('create_game', { username: 'Ann' });
+  const { roomCode: code } = await once(ann, 'joined');
+  const seats = {};
+  for (const name of ['Bob', 'Cat', 'Dan', 'Eve']) {
+    const s = await client();
+    s.emit('join_game', { roomCode: code, username: name });
+    seats[name] = { socket: s, ...(await once(s, 'joined')) };
+  }
+  const { Bob, Cat, Dan, Eve } = seats;
+
+  console.log('\n=== co-hosts ===');
+  Bob.socket.emit('set_co_host', { roomCode: code, playerId: Cat.playerId });
+  const refused = await once(Bob.socket, 'error');
+  is('only the host can name a co-host', refused?.code === 'UNAUTHORIZED' && !(await byName(code, 'Cat')).isCoHost);
+
+  ann.emit('set_co_host', { roomCode: code, playerId: Cat.playerId });
+  ann.emit('set_co_host', { roomCode: code, playerId: Eve.playerId });
+  await sleep(200);
+  is('the host names co-hosts', (await byName(code, 'Cat')).isCoHost === true && (await byName(code, 'Eve')).isCoHost === true);
+
+  Cat.socket.emit('start_game', { roomCode: code });
+  await sleep(200);
+  is('a co-host can start the game', (await room(code)).status === 'playing');
+
+  Bob.socket.emit('game_action', { roomCode: code, action: 'bump' });
+  await sleep(100);
+  Bob.socket.emit('game_action', { roomCode: code, action: 'reset' });
+  await sleep(100);
+  is('a player cannot use a game\'s host control', (await room(code)).count === 1);
+  Cat.socket.emit('game_action', { roomCode: code, action: 'reset' });
+  await sleep(100);
+  is('...and a co-host can', (await room(code)).count === 0);
+
+  Cat.socket.emit('kick_player', { roomCode: code, playerId: (await room(code)).hostId });
+  Cat.socket.emit('kick_player', { roomCode: code, playerId: Eve.playerId });
+  await sleep(200);
+  is('a co-host can remove neither the host nor another co-host', (await room(code)).players.length === 5);
+  const kicked = once(Dan.socket, 'kicked');
+  Cat.socket.emit('kick_player', { roomCode: code, playerId: Dan.playerId });
+  is('...but can remove a player', !!(await kicked) && !(await byName(code, 'Dan')));
+
+  ann.emit('set_co_host', { roomCode: code, playerId: Eve.playerId, coHost: false });
+  await sleep(200);
+  is('the host can drop a co-host', (await byName(code, 'Eve')).isCoHost === false);
+
+  console.log('\n=== transfer ===');
+  Cat.socket.emit('transfer_host', { roomCode: code, playerId: Bob.playerId });
+  is('a co-host cannot hand the room over', (await once(Cat.socket, 'error'))?.code === 'UNAUTHORIZED');
+
+  ann.emit('transfer_host', { roomCode: code, playerId: Cat.playerId });
+  await sleep(200);
+  const after = await room(code);
+  const annNow = after.players.find((p) => p.username === 'Ann');
+  const catNow = after.players.find((p) => p.username === 'Cat');
+  is('the host hands the room to a co-host', after.hostId === catNow.id && catNow.isHost && !annNow.isHost);
+  is('...who is now the host, not a co-host', catNow.isCoHost === false);
+  ann.emit('start_game', { roomCode: code });
+  is('...and the old host is an ordinary player', (await once(ann, 'error'))?.code === 'UNAUTHORIZED');
+
+  console.log('\n=== migration ===');
+  /* Bob joined before Eve; make Eve a co-host, then let Cat's host seat go
+     stale. The next broadcast arms migration, which picks Eve over Bob. */
+  Cat.socket.emit('set_co_host', { roomCode: code, playerId: Eve.playerId });
+  await sleep(200);
+  const before = await room(code);
+  await store.setGame(code, {
+    ...before,
+    players: before.players.map((p) => (p.id === before.hostId ? { ...p, connected: false, socketId: null, disconnectedAt: Date.now() - 60_000 } : p)),
+  });
+  Bob.socket.emit('game_action', { roomCode: code, action: 'bump' });
+  await sleep(300);
+  const migrated = await room(code);
+  is('a host who dropped is replaced by a co-host before the earliest joiner',
+    migrated.hostId === Eve.playerId, `host is now ${migrated.players.find((p) => p.id === migrated.hostId)?.username}`);
+} catch (err) {
+  fail('the checks ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  ioServer.close(); httpServer.close();
+}
+
+console.log('');
+if (failures) { console.log(`host roles — ${failures} problem(s)`); process.exit(1); }
+console.log('host roles — the room can change hands, and be shared');
+process.exit(0);
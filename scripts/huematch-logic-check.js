@@ -13,13 +13,16 @@
  * No database, no browser, no server.
  */
 import { HueMatchGame as G } from '../src/games/huematch/game.js';
-import { COLS, ROWS, colourAt, allSquares, scoreFor, ringDistance, inBounds, labelOf } from '../src/games/huematch/grid.js';
+import {
+  COLS, ROWS, colourAt, allSquares, scoreFor, ringDistance, inBounds, labelOf, nameOf, gridFor, allGrids, SAFE_GRID, SAFE_PALETTE,
+} from '../src/games/huematch/grid.js';
 import { rejectCue } from '../src/games/huematch/hueWords.js';
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+const DEFAULT_BOARD = { cols: COLS, rows: ROWS, space: 'hsl' };
 const here = path.dirname(fileURLToPath(import.meta.url));
 
 /*
@@ -82,6 +85,109 @@ const act = (s, action, payload, id) => G.handleAction(s, action, payload, find(
     && !inBounds(1.5, 2) && !inBounds(NaN, 0));
 }
 
+/* ── Board presets ───────────────────────────────────────────────────────── */
+{
+  is('a room with no board settings gets the phone board', JSON.stringify(gridFor({})) === JSON.stringify({ cols: 14, rows: 9, space: 'hsl' }));
+  is('unknown settings fall back too', gridFor({ board: 'huge', colourSpace: 'cmyk' }).cols === 14 && gridFor({ colourSpace: 'cmyk' }).space === 'hsl');
+  const boxed = gridFor({ board: 'boxed', colourSpace: 'oklch' });
+  is('the big-screen board is the boxed game\'s 30 x 16', boxed.cols === 30 && boxed.rows === 16 && boxed.space === 'oklch');
+
+  for (const grid of allGrids()) {
+    const name = `${grid.cols} x ${grid.rows} ${grid.space}`;
+    const squares = allSquares(grid);
+    const hexes = squares.map((q) => q.hex);
+    is(`${name}: every square is a distinct, valid colour`,
+      squares.length === grid.cols * grid.rows && new Set(hexes).size === hexes.length && hexes.every((h) => /^#[0-9a-f]{6}$/.test(h)));
+    const labels = squares.map((q) => labelOf(q.col, q.row));
+    is(`${name}: every square has its own label, without I or O`,
+      new Set(labels).size === labels.length && !labels.some((l) => /\?|^[IO]/.test(l)));
+    const flat = squares.filter((q) => q.col < grid.cols - 1 && q.hex === colourAt(q.col + 1, q.row, grid));
+    is(`${name}: no two side-by-side squares share a colour`, flat.length === 0, `${flat.length} pair(s)`);
+  }
+  is('the phone board is unchanged by the presets', colourAt(3, 4) === colourAt(3, 4, gridFor({})));
+  is('the colour spaces paint different boards', colourAt(3, 4, gridFor({ colourSpace: 'oklch' })) !== colourAt(3, 4));
+  is('columns past Z read like a spreadsheet', labelOf(24, 0) === 'AA1' && labelOf(29, 15) === 'AF16', labelOf(29, 15));
+
+  /* Rings scale with the board: two squares on the boxed board is one ring. */
+  const big = gridFor({ board: 'boxed' });
+  const t = { col: 15, row: 8 };
+  is('on the big board two squares off still touches', scoreFor({ col: 17, row: 10 }, t, big) === 2);
+  is('...four off is the next ring', scoreFor({ col: 19, row: 8 }, t, big) === 1 && scoreFor({ col: 20, row: 8 }, t, big) === 0);
+  is('...and only the target itself scores three', allSquares(big).filter((q) => scoreFor(q, t, big) === 3).length === 1);
+  is('bounds follow the board', inBounds(29, 15, big) && !inBounds(29, 15) && !inBounds(30, 0, big));
+
+  let b = G.onStart({ players: players(4), ...G.createInitialState({ board: 'boxed', colourSpace: 'oklch' }) });
+  const view = G.deriveClientState(b, 'p0');
+  is('every client is sent the board to paint', JSON.stringify(view.grid) === JSON.stringify(boxed), JSON.stringify(view.grid));
+  const g = b.turn.giverId;
+  b = act(b, 'cue', { text: 'moss' }, g);
+  const u = b.players.find((p) => p.id !== g).id;
+  is('a marker off the phone board lands on the big one', act(b, 'place', { col: 25, row: 14 }, u).turn.markers[u]?.a?.col === 25);
+  is('the target is painted in the room\'s colour space', b.turn.targetHex === colourAt(b.turn.target.col, b.turn.target.row, boxed));
+}
+
+/* ── The colour-blind safe board ─────────────────────────────────────────────
+
+   Simulated the way accessibility tools do it: each colour through Machado,
+   Oliveira and Fernandes' (2009) full-severity matrices for deuteranopia and
+   protanopia, then CIELAB ΔE (1976) between every pair of squares that touch.
+   5 is a difference seen at a glance; the closest pair on the hue sweep
+   comes out under 1, which is the same colour.
+*/
+{
+  const MIN_DELTA_E = 5;
+  const DEUTERANOPIA = [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.01182, 0.04294, 0.968881]];
+  const PROTANOPIA = [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]];
+  const linear = (hex) => [1, 3, 5].map((i) => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const through = (m, rgb) => (m ? m.map((r) => Math.min(1, Math.max(0, r[0] * rgb[0] + r[1] * rgb[1] + r[2] * rgb[2]))) : rgb);
+  const lab = ([r, g, b]) => {
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const x = f((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047);
+    const y = f(0.2126729 * r + 0.7151522 * g + 0.072175 * b);
+    const z = f((0.0193339 * r + 0.119192 * g + 0.9503041 * b) / 1.08883);
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+  };
+  const closest = (grid, m) => {
+    let worst = { d: Infinity, at: '' };
+    for (const q of allSquares(grid)) {
+      for (const [dc, dr] of [[1, 0], [0, 1]]) {
+        if (!inBounds(q.col + dc, q.row + dr, grid)) continue;
+        const [a, b] = [q.hex, colourAt(q.col + dc, q.row + dr, grid)].map((h) => lab(through(m, linear(h))));
+        const d = Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+        if (d < worst.d) worst = { d, at: `${labelOf(q.col, q.row)}/${labelOf(q.col + dc, q.row + dr)}` };
+      }
+    }
+    return worst;
+  };
+
+  const safe = gridFor({ colourSafe: true, board: 'boxed', colourSpace: 'oklch' });
+  is('colourSafe swaps in the safe board, whatever else was asked for', JSON.stringify(safe) === JSON.stringify(SAFE_GRID));
+  for (const [name, m] of [['normal vision', null], ['deuteranopia', DEUTERANOPIA], ['protanopia', PROTANOPIA]]) {
+    const worst = closest(safe, m);
+    is(`safe board, ${name}: neighbours differ by at least ΔE ${MIN_DELTA_E}`, worst.d >= MIN_DELTA_E, `${worst.at} is ΔE ${worst.d.toFixed(2)}`);
+  }
+  const sweep = closest(DEFAULT_BOARD, DEUTERANOPIA);
+  is(`...which the hue sweep is not (ΔE ${sweep.d.toFixed(2)} at ${sweep.at})`, sweep.d < MIN_DELTA_E);
+
+  const names = allSquares(safe).map((q) => nameOf(q.col, q.row, safe));
+  is('every safe square has a name from the palette', names.every((n) => SAFE_PALETTE.flat().includes(n)));
+  is('...and the other boards have none', nameOf(0, 0) === null);
+  for (const name of SAFE_PALETTE.flat()) {
+    const refused = rejectCue(name, name.split(' ').length);
+    if (refused?.reason !== 'colour') fail(`"${name}" names a safe-board colour, so it must be refused as a cue`, refused?.reason ?? 'allowed');
+  }
+  ok('every palette name is refused as a cue');
+
+  const room = G.onStart({ players: players(4), ...G.createInitialState({ colourSafe: true }) });
+  const g = room.turn.giverId;
+  const u = room.players.find((p) => p.id !== g).id;
+  is('the giver is told the target by name', typeof G.deriveClientState(room, g).turn.targetName === 'string');
+  is('...and a guesser is not', G.deriveClientState(room, u).turn.targetName === undefined);
+}
+
 /* ── Scoring rings ───────────────────────────────────────────────────────── */
 {
   const t = { col: 7, row: 4 };
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/*
+  Late join — someone who turns up after Start gets a seat, on the game's terms.
+
+    node scripts/late-join-check.js
+
+  join_game used to refuse every fresh join once a room left the lobby, telling
+  the newcomer to "ask the host for a rejoin link" — a link that only exists for
+  people who were already in. Parties keep growing after Start; the engine now
+  asks gameDef.onLateJoin where to put them, and still refuses for games that
+  have no answer.
+
+  Two halves:
+    - over real sockets, that a game with onLateJoin takes the joiner mid-game
+      and one without it still says GAME_IN_PROGRESS
+    - per game, that each seating rule holds and that a late joiner never holds
+      up an "everyone has answered" check they were not part of
+
+  No database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+import { TeamTriviaGame } from '../src/games/teamtrivia/game.js';
+import { WouldYouRatherGame } from '../src/games/wouldyourather/game.js';
+import { TabooGame } from '../src/games/taboo/game.js';
+import { FishbowlGame } from '../src/games/fishbowl/game.js';
+import { TwoTruthsGame } from '../src/games/twotruths/game.js';
+import { ChameleonGame } from '../src/games/chameleon/game.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+const httpServer = createServer();
+const ioServer = new Server(httpServer, { cors: { origin: '*' } });
+mountGame(ioServer, '/teamtrivia', TeamTriviaGame);
+mountGame(ioServer, '/chameleon', ChameleonGame);
+await new Promise((r) => httpServer.listen(0, r));
+const URL = `http://127.0.0.1:${httpServer.address().port}`;
+
+const sockets = [];
+const client = (ns) => {
+  const s = connect(`${URL}${ns}`, { transports: ['websocket'], forceNew: true });
+  sockets.push(s);
+  return s;
+};
+const ready = (s) => new Promise((res, rej) => {
+  s.once('connect', res); s.once('connect_error', rej);
+  setTimeout(() => rej(new Error('connect timeout')), 8000);
+});
+const once = (s, ev, ms = 5000) => new Promise((res) => {
+  const t = setTimeout(() => res(null), ms);
+  s.once(ev, (d) => { clearTimeout(t); res(d); });
+});
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* Create a room on `ns` with the given names and start it; returns the code. */
+async function startedRoom(ns, names) {
+  const [host, ...rest] = await Promise.all(names.map(async () => { const s = client(ns); await ready(s); return s; }));
+  host.emit('create_game', { username: names[0] });
+  const code = (await once(host, 'joined'))?.roomCode;
+  for (const [i, s] of rest.entries()) {
+    s.emit('join_game', { roomCode: code, username: names[i + 1] });
+    await once(s, 'joined');
+  }
+  host.emit('start_game', { roomCode: code });
+  await sleep(300);
+  return { code, host, rest };
+}
+
+console.log('\n=== the engine ===');
+try {
+  const { code, host, rest: [bob] } = await startedRoom('/teamtrivia', ['Ann', 'Bob']);
+  const cat = client('/teamtrivia'); await ready(cat);
+  cat.emit('join_game', { roomCode: code, username: 'Cat' });
+  const joined = await once(cat, 'joined');
+  is('a game with onLateJoin takes a new player mid-game', !!joined?.rejoinToken && store.getGame(code).players.length === 3);
+  is('...on a score of 0', store.getGame(code).players.find((p) => p.username === 'Cat')?.score === 0);
+
+  host.emit('game_action', { roomCode: code, action: 'submit_answer', payload: { optionIndex: 0 } });
+  bob.emit('game_action', { roomCode: code, action: 'submit_answer', payload: { optionIndex: 1 } });
+  await sleep(300);
+  is('the question resolves without waiting for the late joiner', store.getGame(code).phase === 'reveal');
+
+  const dup = client('/teamtrivia'); await ready(dup);
+  dup.emit('join_game', { roomCode: code, username: 'cat' });
+  is('the name check still applies mid-game', (await once(dup, 'error'))?.code === 'USERNAME_TAKEN');
+
+  const cham = await startedRoom('/chameleon', ['Ann', 'Bob', 'Cat']);
+  const dan = client('/chameleon'); await ready(dan);
+  dan.emit('join_game', { roomCode: cham.code, username: 'Dan' });
+  is('a game without onLateJoin still refuses', (await once(dan, 'error'))?.code === 'GAME_IN_PROGRESS');
+} catch (err) {
+  fail('the socket half ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  ioServer.close();
+  httpServer.close();
+}
+
+console.log('\n=== where each game seats them ===');
+const players = (n) => Array.from({ length: n }, (_, i) => ({
+  id: 'p' + i, username: 'P' + i, connected: true, isHost: i === 0, score: 0, joinedAt: Date.now() + i,
+}));
+const room = (def, n) => ({ roomCode: 'T', hostId: 'p0', status: 'lobby', players: players(n), ...def.createInitialState({}) });
+const newcomer = { id: 'late', username: 'Late', connected: true, isHost: false, score: 0, joinedAt: Date.now() + 99 };
+const arrive = (def, s) => def.onLateJoin({ ...s, players: [...s.players, newcomer] }, newcomer);
+
+{
+  let s = arrive(TeamTriviaGame, TeamTriviaGame.onStart(room(TeamTriviaGame, 2)));
+  is('Team Trivia: sits out the open question', TeamTriviaGame.handleAction(s, 'submit_answer', { optionIndex: 0 }, newcomer) === null);
+  s = TeamTriviaGame.handleAction(s, 'force_reveal', {}, s.players[0]);
+  s = TeamTriviaGame.handleAction(s, 'next_round', {}, s.players[0]);
+  is('Team Trivia: answers from the next one', !!TeamTriviaGame.handleAction(s, 'submit_answer', { optionIndex: 0 }, newcomer));
+}
+{
+  let s = arrive(WouldYouRatherGame, WouldYouRatherGame.onStart(room(WouldYouRatherGame, 2)));
+  is('Would You Rather: sits out the open prompt', WouldYouRatherGame.handleAction(s, 'vote', { choice: 'A' }, newcomer) === null);
+  s = WouldYouRatherGame.handleAction(s, 'vote', { choice: 'A' }, s.players[0]);
+  s = WouldYouRatherGame.handleAction(s, 'vote', { choice: 'B' }, s.players[1]);
+  is('Would You Rather: the vote closes without them', s.phase === 'reveal');
+}
+{
+  const s = TabooGame.onStart(room(TabooGame, 5)); // A has 3, B has 2
+  const after = arrive(TabooGame, s);
+  is('Taboo: joins the smaller team', after.teams.B.includes('late') && !after.teams.A.includes('late'));
+  const coop = arrive(TabooGame, TabooGame.onStart(room(TabooGame, 3)));
+  is('Taboo: joins the one team in co-op', coop.teams.A.includes('late'));
+}
+{
+  let s = FishbowlGame.onStart(room(FishbowlGame, 4));
+  is('Fishbowl: while the bowl fills, simply joins', arrive(FishbowlGame, s).teams.A.length === 0);
+  for (const p of s.players) s = FishbowlGame.handleAction(s, 'submit_words', { words: ['a' + p.id, 'b' + p.id] }, p) || s;
+  s = { ...s, players: s.players.map((p) => (p.id === 'p0' ? { ...p, connected: false } : p)) };
+  const after = arrive(FishbowlGame, s);
+  is('Fishbowl: counts who is online when picking the smaller team', after.teams.A.includes('late'));
+}
+{
+  let s = TwoTruthsGame.onStart(room(TwoTruthsGame, 3));
+  for (const p of s.players) {
+    s = TwoTruthsGame.handleAction(s, 'submit_statements', { statements: ['x', 'y', 'z'], lieIndex: 1 }, p);
+  }
+  s = arrive(TwoTruthsGame, s);
+  is('Two Truths: writes first, not a subject yet', s.writingIds.includes('late') && !s.subjects.includes('late'));
+  const subject = s.current.subjectId;
+  for (const p of s.players.filter((x) => x.id !== subject && x.id !== 'late')) {
+    s = TwoTruthsGame.handleAction(s, 'submit_guess', { position: 0 }, p);
+  }
+  is('Two Truths: a writer does not hold up the guess', s.phase === 'reveal');
+  const over = { ...s, status: 'finished' };
+  is('Two Truths: nothing is taken once the game is over',
+    TwoTruthsGame.handleAction(over, 'submit_statements', { statements: ['a', 'b', 'c'], lieIndex: 0 }, newcomer) === null);
+  s = TwoTruthsGame.handleAction(s, 'submit_statements', { statements: ['a', 'b', 'c'], lieIndex: 0 }, newcomer);
+  is('Two Truths: submitting queues them as a subject', s.subjects.at(-1) === 'late' && !s.writingIds.includes('late'));
+}
+
+console.log('');
+if (failures) { console.log(`late join — ${failures} problem(s)`); process.exit(1); }
+console.log('late join — latecomers get a seat where the game says they should');
+process.exit(0);
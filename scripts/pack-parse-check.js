@@ -9,7 +9,7 @@
 
   Run: node scripts/pack-parse-check.js
 */
-import { parseTrivia, parsePrompts, parsePairs, PACK_LIMITS } from '../src/models/packParse.js';
+import { parseTrivia, parsePrompts, parsePairs, parseGrids, parseNumeric, parseSpectrums, parseNumber, describeNumber, parsePack, minItems, PACK_LIMITS } from '../src/models/packParse.js';
 
 let failures = 0;
 const fail = (m) => { console.log('  FAIL  ' + m); failures++; };
@@ -128,6 +128,37 @@ console.log('\n=== TEAM TRIVIA: the answer key is never wrong ===');
   else ok('a short but real question ("2+2?") is accepted');
 }
 
+console.log('\n=== TEAM TRIVIA: question types ===');
+{
+  const cases = [
+    ['four options is multiple choice', 'Capital of France? | Paris | London | Rome | Berlin', { type: 'mcq', options: ['Paris', 'London', 'Rome', 'Berlin'] }],
+    ['a lone True is true/false', 'The sun is a star | True', { type: 'truefalse', options: ['True', 'False'] }],
+    ['a lone T is the letter, not True', 'Which letter follows S? | T', { type: 'typed', options: ['T'] }],
+    ['a lone F is the letter, not False', 'Chemical symbol for fluorine? | F', { type: 'typed', options: ['F'] }],
+    ['T and F together are true/false', 'Is water wet? | T | F', { type: 'truefalse', options: ['True', 'False'] }],
+    ['True and False, the false one marked', 'Is the moon a planet? | True | False*', { type: 'truefalse', options: ['False', 'True'] }],
+    ['a lone answer is typed', 'Capital of Spain? | Madrid', { type: 'typed', options: ['Madrid'] }],
+    ['Type: takes alternates', 'Type: Capital of Germany? | Berlin | Berlín', { type: 'typed', options: ['Berlin', 'Berlín'] }],
+    ['a lone number is closest-wins', 'When did Apollo 11 land? | 1969', { type: 'number', options: ['1969'], unit: null }],
+    ['...read the Guesstimate way, unit and all', 'How tall is Everest? | 8.8k metres', { type: 'number', options: ['8800'], unit: 'metres' }],
+    ['a name that starts with a number is typed, not "7 of Up"', 'Best soda? | 7 Up', { type: 'typed', options: ['7 Up'] }],
+    ['...and so is 50 Cent', 'Who sang In Da Club? | 50 Cent', { type: 'typed', options: ['50 Cent'] }],
+    ['an exponent is a number', 'Avogadro\'s number, roughly? | 6.02e23', { type: 'number', options: ['6.02e+23'], unit: null }],
+    ['a price is a number, in its currency', 'What did a pint cost in 1990? | £1.50', { type: 'number', options: ['1.5'], unit: '£' }],
+    ['a one-line answer below the question', 'Which came first?\nThe egg', { type: 'typed', options: ['The egg'] }],
+  ];
+  for (const [label, text, want] of cases) {
+    const { items, problems } = parseTrivia(text);
+    const got = items[0] && { type: items[0].type, options: items[0].options, ...('unit' in want && { unit: items[0].unit }) };
+    if (items.length !== 1 || JSON.stringify(got) !== JSON.stringify(want)) {
+      fail(`${label}: got ${JSON.stringify(items)}${problems.length ? ` (${problems.map((p) => p.reason).join('; ')})` : ''}`);
+    } else ok(label);
+  }
+  const { items, problems } = parseTrivia('Number: Legs on a spider? | eight');
+  if (items.length || !problems[0]?.reason.includes('"eight"')) fail(`Number: with a word for an answer: ${JSON.stringify(problems)}`);
+  else ok('Number: with a word for an answer names the word');
+}
+
 console.log('\n=== PROMPTS (Herd, Say Anything, WYR, Hot Takes) ===');
 {
   const { items, problems } = parsePrompts([
@@ -232,10 +263,139 @@ for (const [name, parse, make] of [
   else ok('exactly at the cap, and with trailing blank lines, reports nothing');
 }
 
+console.log('\n=== CHAMELEON: a category and its sixteen words ===');
+{
+  const w = Array.from({ length: 16 }, (_, i) => `Word${i}`);
+  const cases = [
+    ['colon then commas', `Our office: ${w.join(', ')}`],
+    ['pipes, as the other games take them', `Our office | ${w.join(' | ')}`],
+    ['a tab-separated spreadsheet row', `Our office\t${w.join('\t')}`],
+    ['a heading with a word per line below', `Our office:\n${w.join('\n')}`],
+    ['a heading with a few words to a line', `Our office\n${w.slice(0, 8).join(', ')}\n${w.slice(8).join(', ')}`],
+    ['a bulleted list under the heading', `Our office\n${w.map((x) => `- ${x}`).join('\n')}`],
+  ];
+  for (const [label, text] of cases) {
+    const { items, problems } = parseGrids(text);
+    if (items.length !== 1 || items[0].category !== 'Our office' || items[0].words.join() !== w.join()) {
+      fail(`${label}: got ${JSON.stringify(items)}${problems.length ? ` (${problems.map((p) => p.reason).join('; ')})` : ''}`);
+    } else ok(label);
+  }
+
+  const two = parseGrids(`One: ${w.join(', ')}\n\nTwo\n${w.join('\n')}\n\nThree: ${w.join(', ')}`);
+  if (two.items.length !== 3) fail(`three grids in a row, mixed layouts: got ${two.items.length}`);
+  else ok('three grids in a row, mixed layouts');
+
+  for (const [label, text, needle] of [
+    ['fifteen words says how many it found', `Short: ${w.slice(1).join(', ')}`, 'found 15'],
+    ['seventeen words says how many it found', `Long: ${w.join(', ')}, Extra`, 'found 17'],
+    ['a word twice names the word', `Twice: ${w.slice(1).join(', ')}, word3`, '"word3"'],
+    ['a word too long for a square', `Long words: ${w.slice(1).join(', ')}, ${'x'.repeat(30)}`, 'too long'],
+  ]) {
+    const { items, problems } = parseGrids(text);
+    if (items.length || !problems[0]?.reason.includes(needle)) fail(`${label}: ${JSON.stringify(problems)}`);
+    else ok(label);
+  }
+
+  if (parsePack('chameleon', `One: ${w.join(', ')}`).kind !== 'grids') fail('a chameleon pack is not parsed as grids');
+  else if (minItems('chameleon') !== PACK_LIMITS.minGrids || minItems('herd') !== PACK_LIMITS.minQuestions) fail('minItems does not follow the game');
+  else ok(`a chameleon pack is grids, and needs ${PACK_LIMITS.minGrids} of them rather than ${PACK_LIMITS.minQuestions}`);
+}
+
+console.log('\n=== GUESSTIMATE: a question, a number and a unit ===');
+{
+  const eiffel = { q: 'How tall is the Eiffel Tower?', a: 330, unit: 'metres' };
+  const cases = [
+    ['pipes, unit in its own column', 'How tall is the Eiffel Tower? | 330 | metres', eiffel],
+    ['the unit straight after the number', 'How tall is the Eiffel Tower? | 330 metres', eiffel],
+    ['a tab-separated spreadsheet row', 'How tall is the Eiffel Tower?\t330\tmetres', eiffel],
+    ['the answer after the question mark', 'How tall is the Eiffel Tower? 330 metres', eiffel],
+    ['the number on the line below', 'How tall is the Eiffel Tower?\n330 metres', eiffel],
+    ['no unit at all', 'How many legs does a spider have? | 8', { q: 'How many legs does a spider have?', a: 8, unit: null }],
+  ];
+  for (const [label, text, want] of cases) {
+    const { items, problems } = parseNumeric(text);
+    if (items.length !== 1 || JSON.stringify(items[0]) !== JSON.stringify(want)) {
+      fail(`${label}: got ${JSON.stringify(items)}${problems.length ? ` (${problems.map((p) => p.reason).join('; ')})` : ''}`);
+    } else ok(label);
+  }
+
+  for (const [written, value, unit = ''] of [
+    ['1,234,567', 1234567], ['1 234 567', 1234567], ["1'234", 1234], ['1.2k', 1200], ['3 million', 3e6],
+    ['2.5bn people', 2.5e9, 'people'], ['-40', -40], ['−40 °C', -40, '°C'], ['0.5', 0.5], ['330m', 330, 'm'],
+    ['1e6', 1e6], ['6.02E23', 6.02e23], ['$5', 5, '$'], ['£1.2m', 1.2e6, '£'], ['-$40', -40, '$'], ['€3 billion', 3e9, '€'],
+  ]) {
+    const got = parseNumber(written);
+    if (got?.value !== value || got.unit !== unit) fail(`"${written}" read as ${JSON.stringify(got)}`);
+    else ok(`"${written}" is ${value}${unit ? ` ${unit}` : ''}`);
+  }
+  if (parseNumber('1,5') || parseNumber('lots') || parseNumber('3.5.1')) fail('a number that cannot be read was guessed at');
+  else ok('"1,5", "lots" and "3.5.1" are not guessed at');
+
+  // A comma is a thousands separator here, never a field break.
+  const tokyo = parseNumeric('How many people live in Tokyo, roughly? | 14,000,000').items[0];
+  if (tokyo?.a !== 14000000) fail(`commas split the number: ${JSON.stringify(tokyo)}`);
+  else ok('commas in the question and the number both survive');
+
+  for (const [label, text, needle] of [
+    ['no number says where to put it', 'How tall is the Eiffel Tower?', 'No answer found'],
+    ['a word for a number names the word', 'How tall is the Eiffel Tower? | very', '"very"'],
+  ]) {
+    const { items, problems } = parseNumeric(text);
+    if (items.length || !problems[0]?.reason.includes(needle)) fail(`${label}: ${JSON.stringify(problems)}`);
+    else ok(label);
+  }
+
+  const packed = parsePack('guesstimate', 'How tall is the Eiffel Tower? | 1.2k | feet');
+  if (packed.kind !== 'numeric' || describeNumber(packed.items[0]) !== '1,200 feet') fail(`preview reads ${JSON.stringify(packed)}`);
+  else ok('a guesstimate pack is numeric, and the preview writes the number out');
+  if (describeNumber({ a: 1.2e6, unit: '£' }) !== '£1,200,000') fail(`a price previews as ${describeNumber({ a: 1.2e6, unit: '£' })}`);
+  else ok('a price previews with its sign in front');
+}
+
+console.log('\n=== SPECTRUM: the two ends of a dial ===');
+{
+  for (const [label, text] of [
+    ['a pipe, as Would You Rather takes it', 'Quick fix | Full rewrite'],
+    ['the double arrow the request was written with', 'Quick fix ↔ Full rewrite'],
+    ['an ASCII arrow', 'Quick fix <-> Full rewrite'],
+    ['a spaced dash, from a phone', 'Quick fix - Full rewrite'],
+    ['an en dash Word put in', 'Quick fix – Full rewrite'],
+    ['a tab-separated spreadsheet row', 'Quick fix\tFull rewrite'],
+    ['a numbered list', '1. Quick fix ↔ Full rewrite'],
+  ]) {
+    const { items, problems } = parseSpectrums(text);
+    if (items.length !== 1 || items[0].left !== 'Quick fix' || items[0].right !== 'Full rewrite') {
+      fail(`${label}: got ${JSON.stringify(items)}${problems.length ? ` (${problems.map((p) => p.reason).join('; ')})` : ''}`);
+    } else ok(label);
+  }
+
+  const hyphens = parseSpectrums('Short-term - Long-term').items[0];
+  if (hyphens?.left !== 'Short-term' || hyphens?.right !== 'Long-term') fail(`a hyphen inside a word split it: ${JSON.stringify(hyphens)}`);
+  else ok('a hyphen inside a word is part of the label');
+
+  for (const [label, text, needle] of [
+    ['one end only says how to write two', 'Old-fashioned', 'Needs two ends'],
+    ['the same end twice', 'Hot ↔ hot', 'same'],
+    ['an end too long for the dial is reported, not cut', `Quick fix ↔ ${'x'.repeat(PACK_LIMITS.maxLabelLen + 1)}`, 'too long'],
+  ]) {
+    const { items, problems } = parseSpectrums(text);
+    if (items.length || !problems[0]?.reason.includes(needle)) fail(`${label}: ${JSON.stringify(problems)}`);
+    else ok(label);
+  }
+
+  const wyr = parsePairs('Be able to fly');
+  if (!wyr.problems[0]?.reason.includes('two choices')) fail(`Would You Rather lost its own wording: ${JSON.stringify(wyr.problems)}`);
+  else ok('Would You Rather keeps its own wording');
+
+  const packed = parsePack('spectrum', 'Quick fix ↔ Full rewrite\nMeeting ↔ Email');
+  if (packed.kind !== 'spectrum' || packed.count !== 2) fail(`a spectrum pack reads ${JSON.stringify(packed)}`);
+  else ok('a spectrum pack is its own kind');
+}
+
 console.log('\n=== nothing crashes on junk ===');
 for (const junk of ['', '   ', '\n\n\n', '|||', '???', 'a'.repeat(5000), '\t\t\t', '- \n- \n- ']) {
   try {
-    parseTrivia(junk); parsePrompts(junk);
+    parseTrivia(junk); parsePrompts(junk); parseGrids(junk); parseNumeric(junk); parseSpectrums(junk);
   } catch (e) {
     fail(`threw on input ${JSON.stringify(junk.slice(0, 20))}: ${e.message}`);
   }
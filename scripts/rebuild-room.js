@@ -0,0 +1,159 @@
+/*
+  REBUILD ROOM — what actually happened in a room, move by move.
+
+  "I answered Paris, it says I answered Rome." Until now the only record of a
+  room was its last snapshot, which says where the game ended up and nothing
+  about how it got there. The action log kept next to the snapshot
+  (src/engine/replay.js) has every join, start, move and timeout; this plays
+  it back through the same applyEntry the live server used and prints the
+  timeline, so a disputed round can be settled from what the server saw.
+
+  Run from backend/:
+    node scripts/rebuild-room.js ABCD              # the timeline
+    node scripts/rebuild-room.js ABCD --at 42      # ...and the state after entry 42
+    node scripts/rebuild-room.js ABCD --state      # ...and the final state
+
+  Only the last ACTION_LOG_CAP entries are kept. A log that no longer starts
+  at the room's creation is rebuilt from the base stored with it, and says
+  so. Writes nothing.
+*/
+import dns from 'dns';
+dns.setServers(['1.1.1.1', '8.8.8.8']);
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { applyEntry } from '../src/engine/replay.js';
+import { SayAnythingGame } from '../src/games/sayAnything/game.js';
+import { GuesstimateGame } from '../src/games/guesstimate/game.js';
+import { CloverGame } from '../src/games/clover/game.js';
+import { TeamTriviaGame } from '../src/games/teamtrivia/game.js';
+import { ChameleonGame } from '../src/games/chameleon/game.js';
+import { SpectrumGame } from '../src/games/wavelength/game.js';
+import { TwoTruthsGame } from '../src/games/twotruths/game.js';
+import { ScattergoriesGame } from '../src/games/scattergories/game.js';
+import { CavemanCluesGame } from '../src/games/cavemanclues/game.js';
+import { HueMatchGame } from '../src/games/huematch/game.js';
+import { WouldYouRatherGame } from '../src/games/wouldyourather/game.js';
+import { FishbowlGame } from '../src/games/fishbowl/game.js';
+import { TabooGame } from '../src/games/taboo/game.js';
+import { HerdGame } from '../src/games/herd/game.js';
+
+// The same namespaces src/index.js mounts each game on.
+const GAMES = {
+  '/herd': HerdGame,
+  '/sa': SayAnythingGame,
+  '/guesstimate': GuesstimateGame,
+  '/clover': CloverGame,
+  '/teamtrivia': TeamTriviaGame,
+  '/chameleon': ChameleonGame,
+  '/spectrum': SpectrumGame,
+  '/twotruths': TwoTruthsGame,
+  '/scattergories': ScattergoriesGame,
+  '/wyr': WouldYouRatherGame,
+  '/fishbowl': FishbowlGame,
+  '/taboo': TabooGame,
+  '/cavemanclues': CavemanCluesGame,
+  '/huematch': HueMatchGame,
+};
+
+const args = process.argv.slice(2);
+const code = args.find((a) => !a.startsWith('--'))?.toUpperCase();
+const atIdx = args.indexOf('--at');
+const stopAt = atIdx >= 0 ? Number(args[atIdx + 1]) : null;
+const showState = args.includes('--state') || stopAt !== null;
+if (!code) {
+  console.error('usage: node scripts/rebuild-room.js CODE [--at SEQ] [--state]');
+  process.exit(2);
+}
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/herdmentality');
+const doc = await mongoose.connection.collection('game_rooms').findOne({ roomCode: code });
+await mongoose.disconnect();
+
+if (!doc) {
+  console.error(`No room ${code} (snapshots expire 3 hours after the room was last touched).`);
+  process.exit(1);
+}
+let gameDef = GAMES[doc.namespace];
+if (!gameDef) {
+  console.error(`Room ${code} belongs to ${doc.namespace}, which this script does not know.`);
+  process.exit(1);
+}
+const log = [...(doc.log || [])].sort((a, b) => a.seq - b.seq);
+if (!log.length) {
+  console.error(`Room ${code} has a snapshot but no action log (it predates the log).`);
+  process.exit(1);
+}
+
+/*
+  Where to start. From nothing if the log still has the 'create' entry;
+  otherwise from the log's base (replay.js), the state the oldest entries
+  kept follow on from — or, for a room logged before bases were stored, the
+  snapshot, if it is no newer than the oldest entry kept.
+*/
+let state = null;
+let entries = log;
+if (log[0].seq !== 1 || log[0].kind !== 'create') {
+  const from = [doc.base, doc.state].find((s) => s && s.logSeq >= log[0].seq - 1);
+  if (!from) {
+    console.error(`The log starts at #${log[0].seq} and nothing earlier survives — cannot rebuild ${code}.`);
+    process.exit(1);
+  }
+  console.log(`(log truncated: starting from the ${from === doc.base ? 'base' : 'snapshot'} at #${from.logSeq}, not from the room's creation)`);
+  state = from;
+  entries = log.filter((e) => e.seq > from.logSeq);
+  // A rematch may have moved the room to another game since it was created.
+  if (GAMES[from.game]) gameDef = GAMES[from.game];
+}
+
+const name = (st, id) => st?.players?.find((p) => p.id === id)?.username ?? id ?? '';
+const clock = (at) => {
+  const s = Math.round((at - (log[0].at ?? at)) / 1000);
+  return `+${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+};
+
+function describe(before, entry, after) {
+  switch (entry.kind) {
+    case 'create': return before
+      ? `rematch${after.game !== before.game ? ` — now ${after.game}` : ''}`
+      : `created by ${name(after, after.hostId)}`;
+    case 'join': return `${entry.player.username} joined${entry.late ? ' (mid-game)' : ''}`;
+    case 'rejoin': return `${name(before, entry.playerId)} reconnected`;
+    case 'disconnect': return `${name(before, entry.playerId)} disconnected`;
+    case 'kick': return `${name(before, entry.playerId)} was removed by the host`;
+    case 'migrate': return `host passed to ${name(before, entry.playerId)}`;
+    case 'co_host': return `${name(before, entry.playerId)} ${entry.on ? 'made' : 'no longer'} a co-host`;
+    case 'start': return 'game started';
+    case 'deadline': return 'phase timer ran out';
+    case 'action': return `${name(before, entry.playerId)}: ${entry.action} ${JSON.stringify(entry.payload ?? {})}`;
+    default: return entry.kind;
+  }
+}
+
+console.log(`Room ${code} — ${doc.namespace} — ${log.length} logged entr${log.length === 1 ? 'y' : 'ies'}`);
+// The seed the room's random stream started from: create a room locally with
+// settings.seed set to it and the same moves deal the same cards (random.js).
+if (log[0].kind === 'create' && log[0].seed !== undefined) console.log(`seed ${log[0].seed}`);
+console.log('');
+let expected = entries[0]?.seq;
+for (const entry of entries) {
+  if (stopAt !== null && entry.seq > stopAt) break;
+  if (entry.seq !== expected) {
+    console.log(`\n!! entry #${expected} is missing — stopping here rather than guessing past it.`);
+    break;
+  }
+  // A rematch may have moved the room to another game; its 'create' says which.
+  if (entry.kind === 'create' && GAMES[entry.state?.game]) gameDef = GAMES[entry.state.game];
+  const next = applyEntry(gameDef, state, entry);
+  if (!next) {
+    console.log(`\n!! #${entry.seq} (${entry.kind}) is refused on replay — the log and the game code disagree.`);
+    break;
+  }
+  const phase = next.phase !== state?.phase && next.phase ? `   → ${next.phase}` : '';
+  console.log(`#${String(entry.seq).padStart(4)}  ${clock(entry.at)}  ${describe(state, entry, next)}${phase}`);
+  state = next;
+  expected += 1;
+}
+
+if (showState) {
+  console.log('\n' + JSON.stringify(state, null, 2));
+}
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/*
+  Two instances, one set of rooms — the Redis store and adapter.
+
+    node scripts/redis-store-check.js                      # in-process fake
+    REDIS_URL=redis://localhost:6379 node scripts/redis-store-check.js
+
+  The backend was pinned to one replica because rooms, tokens and timers lived
+  in process-local Maps. This runs TWO engines side by side, each with its own
+  Socket.IO server and Redis adapter, sharing one Redis, and plays across them:
+    - the store contract itself: reserved codes, tokens, TTL, revocation, and
+      the per-room lock that keeps concurrent writes from eating each other
+    - a room made on one instance is joinable, playable and kickable from the
+      other, with every emit reaching sockets on both
+    - host migration armed by whichever instance sees the host gone
+
+  Against a real Redis it writes under a throwaway key prefix and removes
+  nothing else. No database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { createClient } from 'redis';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+import { createRedisStore } from '../src/engine/redisStore.js';
+import { createFakeRedis } from './fakeRedis.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const fake = process.env.REDIS_URL ? null : createFakeRedis();
+const clients = [];
+async function redisClient() {
+  const c = fake ? fake.createClient() : createClient({ url: process.env.REDIS_URL });
+  await c.connect();
+  clients.push(c);
+  return c;
+}
+const prefix = `check:${Date.now()}:`;
+console.log(`(${fake ? 'in-process fake' : process.env.REDIS_URL})`);
+
+/* One counter per room; `bump` adds one. Enough to see a lost write. */
+const CounterGame = {
+  minPlayers: 1,
+  createInitialState: () => ({ count: 0 }),
+  onStart: (state) => ({ ...state, status: 'playing' }),
+  handleAction: (state, action) => (action === 'bump' ? { ...state, count: state.count + 1 } : null),
+  deriveClientState: (state) => ({ ...state, players: state.players.map(({ socketId, ...rest }) => rest) }),
+};
+
+console.log('\n=== the store ===');
+{
+  const s = createRedisStore(await redisClient(), { prefix, ttlMs: 300 });
+  const code = await s.generateRoomCode();
+  is('a generated code is reserved before the room is written',
+    (await s.restoreGame(code, { roomCode: code })) === false && (await s.getGame(code)) === null);
+  const memory = store.createMemoryStore();
+  const drawn = [memory.generateRoomCode(), memory.generateRoomCode()];
+  is('...and by the memory store too', memory.restoreGame(drawn[0], { roomCode: drawn[0] }) === false
+    && memory.getGame(drawn[0]) === null && drawn[0] !== drawn[1]);
+  drawn.forEach(memory.deleteGame);
+
+  await s.setGame(code, { roomCode: code, players: [] });
+  await s.setToken('t1', { roomCode: code, playerId: 'p1' });
+  is('a token resolves from any instance', (await s.getToken('t1'))?.playerId === 'p1');
+  is('a room lists its tokens for the snapshot', (await s.tokensForRoom(code)).length === 1);
+
+  await sleep(200);
+  await s.refreshCleanup(code);
+  await sleep(200);
+  is('touching a room extends it, tokens included', !!(await s.getGame(code)) && !!(await s.getToken('t1')));
+  await sleep(400);
+  is('an untouched room expires by itself', (await s.getGame(code)) === null && (await s.getToken('t1')) === null);
+
+  const other = await s.generateRoomCode();
+  await s.setGame(other, { roomCode: other });
+  await s.setToken('t2', { roomCode: other, playerId: 'p2' });
+  await s.deleteGame(other);
+  is('deleting a room revokes its tokens', (await s.getToken('t2')) === null);
+
+  const lockCode = await s.generateRoomCode();
+  await s.setGame(lockCode, { n: 0 });
+  const bump = () => s.withRoomLock(lockCode, async () => {
+    const st = await s.getGame(lockCode);
+    await sleep(20); // a write that takes a moment, as it does over the network
+    await s.setGame(lockCode, { n: st.n + 1 });
+  });
+  await Promise.all([bump(), bump(), bump(), bump()]);
+  is('the room lock loses no concurrent write', (await s.getGame(lockCode)).n === 4, `n = ${(await s.getGame(lockCode)).n}`);
+}
+
+console.log('\n=== two instances ===');
+store.useStore(createRedisStore(await redisClient(), { prefix }));
+
+const servers = [];
+async function instance() {
+  const httpServer = createServer();
+  const io = new Server(httpServer, { cors: { origin: '*' } });
+  const pub = await redisClient();
+  const sub = await redisClient();
+  io.adapter(createAdapter(pub, sub, { key: `${prefix}socket.io` }));
+  mountGame(io, '/counter', CounterGame);
+  await new Promise((r) => httpServer.listen(0, r));
+  servers.push({ io, httpServer });
+  return `http://127.0.0.1:${httpServer.address().port}/counter`;
+}
+
+const sockets = [];
+const client = async (url) => {
+  const s = connect(url, { transports: ['websocket'], forceNew: true });
+  sockets.push(s);
+  await new Promise((res, rej) => {
+    s.once('connect', res); s.once('connect_error', rej);
+    setTimeout(() => rej(new Error('connect timeout')), 8000);
+  });
+  return s;
+};
+const once = (s, ev, ms = 5000) => new Promise((res) => {
+  const t = setTimeout(() => res(null), ms);
+  s.once(ev, (d) => { clearTimeout(t); res(d); });
+});
+
+try {
+  const A = await instance();
+  const B = await instance();
+
+  const ann = await client(A);
+  ann.emit('create_game', { username: 'Ann' });
+  const code = (await once(ann, 'joined'))?.roomCode;
+
+  const annSawBob = new Promise((res) => ann.on('state_update', (d) => { if (d.state.players.length === 2) res(true); }));
+  const bob = await client(B);
+  bob.emit('join_game', { roomCode: code, username: 'Bob' });
+  const bobJoined = await once(bob, 'joined');
+  is('a code made on one instance joins on the other', !!bobJoined);
+  is('...and the join, broadcast on B, reaches the host on A', await Promise.race([annSawBob, sleep(2000).then(() => false)]));
+
+  const cat = await client(B);
+  cat.emit('join_game', { roomCode: code, username: 'Cat' });
+  const catJoined = await once(cat, 'joined');
+
+  ann.emit('start_game', { roomCode: code });
+  await sleep(300);
+
+  let seen = 0;
+  ann.on('state_update', (d) => { seen = d.state.count; });
+  for (let i = 0; i < 5; i++) {
+    ann.emit('game_action', { roomCode: code, action: 'bump' });
+    bob.emit('game_action', { roomCode: code, action: 'bump' });
+  }
+  await sleep(800);
+  is('actions racing on both instances all land', (await store.getGame(code)).count === 10, `count ${(await store.getGame(code)).count}`);
+  is('...and a socket on A hears what B did', seen === 10, `saw ${seen}`);
+
+  const kicked = once(cat, 'kicked');
+  ann.emit('kick_player', { roomCode: code, playerId: catJoined?.playerId });
+  is('a kick from A reaches the kicked socket on B', !!(await kicked));
+
+  /* A host who left long ago, in a room nobody has broadcast since (a
+     snapshot restore): the first instance to broadcast it migrates it. */
+  const room = await store.getGame(code);
+  const annId = room.hostId;
+  await store.setGame(code, {
+    ...room,
+    players: room.players.map((p) => (p.id === annId ? { ...p, connected: false, socketId: null, disconnectedAt: Date.now() - 60_000 } : p)),
+  });
+  const bobToken = bobJoined?.rejoinToken;
+  const bob2 = await client(B);
+  bob2.emit('join_game', { roomCode: code, rejoinToken: bobToken });
+  await once(bob2, 'joined');
+  await sleep(300);
+  is('host migration is armed by whichever instance sees the host gone', (await store.getGame(code)).hostId !== annId);
+} catch (err) {
+  fail('the two-instance half ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  for (const { io, httpServer } of servers) { io.close(); httpServer.close(); }
+  for (const c of clients) { try { await c.quit(); } catch { /* ignore */ } }
+}
+
+console.log('');
+if (failures) { console.log(`redis store — ${failures} problem(s)`); process.exit(1); }
+console.log('redis store — two instances, one set of rooms');
+process.exit(0);
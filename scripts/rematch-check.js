@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/*
+  Rematch — play again in the same room, or move the whole room to another game.
+
+    node scripts/rematch-check.js
+
+  A finished engine game used to be a dead end: "play again" meant a new room,
+  a new code read out to the table, everyone typing their name again. The
+  host's `rematch` now resets the room in place and, with `game`, moves it to
+  another namespace with everyone following on the tokens they already hold.
+
+  Checks, over real sockets: who may ask and when; the same code, players and
+  tokens afterwards; settings kept; scores reset or carried; `start` going
+  straight into play; and a move to another game, end to end.
+
+  No database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* First to `target` bumps wins; each bump is a point. `target` is a setting. */
+const RaceGame = {
+  minPlayers: 2,
+  createInitialState: (settings = {}) => ({ target: Number(settings.target) || 3, phase: null }),
+  onStart: (state) => ({ ...state, status: 'playing', phase: 'racing' }),
+  handleAction(state, action, payload, player) {
+    if (action !== 'bump' || state.status !== 'playing') return null;
+    const players = state.players.map((p) => (p.id === player.id ? { ...p, score: p.score + 1 } : p));
+    const done = players.find((p) => p.id === player.id).score >= state.target;
+    return { ...state, players, ...(done && { status: 'finished', phase: 'over' }) };
+  },
+  deriveClientState: (state) => ({ ...state, players: state.players.map(({ socketId, ...rest }) => rest) }),
+};
+const OtherGame = {
+  minPlayers: 2,
+  createInitialState: () => ({ other: true }),
+  onStart: (state) => ({ ...state, status: 'playing' }),
+  handleAction: () => null,
+  deriveClientState: (state) => ({ ...state, players: state.players.map(({ socketId, ...rest }) => rest) }),
+};
+
+const httpServer = createServer();
+const ioServer = new Server(httpServer, { cors: { origin: '*' } });
+mountGame(ioServer, '/race', RaceGame);
+mountGame(ioServer, '/huematch', OtherGame); // any namespace in GAME_DIRECTORY, for its path
+await new Promise((r) => httpServer.listen(0, r));
+const base = `http://127.0.0.1:${httpServer.address().port}`;
+
+const sockets = [];
+const client = async (ns) => {
+  const s = connect(`${base}${ns}`, { transports: ['websocket'], forceNew: true });
+  sockets.push(s);
+  await new Promise((res, rej) => {
+    s.once('connect', res); s.once('connect_error', rej);
+    setTimeout(() => rej(new Error('connect timeout')), 8000);
+  });
+  return s;
+};
+const once = (s, ev, ms = 5000) => new Promise((res) => {
+  const t = setTimeout(() => res(null), ms);
+  s.once(ev, (d) => { clearTimeout(t); res(d); });
+});
+
+async function finish(code, s, times) {
+  for (let i = 0; i < times; i++) s.emit('game_action', { roomCode: code, action: 'bump' });
+  await sleep(200);
+}
+
+try {
+  const ann = await client('/race');
+  ann.emit('create_game', { username: 'Ann', settings: { target: 2 } });
+  const annJoined = await once(ann, 'joined');
+  const code = annJoined.roomCode;
+  const bob = await client('/race');
+  bob.emit('join_game', { roomCode: code, username: 'Bob' });
+  const bobJoined = await once(bob, 'joined');
+  const ids = (await store.getGame(code)).players.map((p) => p.id).join();
+
+  console.log('\n=== in place ===');
+  ann.emit('start_game', { roomCode: code });
+  await sleep(200);
+  ann.emit('rematch', { roomCode: code });
+  is('no rematch while the game is still going', (await once(ann, 'error'))?.code === 'GAME_IN_PROGRESS');
+
+  await finish(code, ann, 2);
+  is('(the race finishes)', (await store.getGame(code)).status === 'finished');
+  bob.emit('rematch', { roomCode: code });
+  is('a player cannot call the rematch', (await once(bob, 'error'))?.code === 'UNAUTHORIZED');
+
+  const seen = once(bob, 'state_update');
+  ann.emit('rematch', { roomCode: code });
+  const update = await seen;
+  let room = await store.getGame(code);
+  is('the room is back in its lobby under the same code', room?.status === 'lobby' && room.roomCode === code);
+  is('...with the same players', room.players.map((p) => p.id).join() === ids);
+  is('...the same settings', room.target === 2);
+  is('...and scores from zero', room.players.every((p) => p.score === 0));
+  is('everyone hears about it', update?.state?.status === 'lobby');
+  is('...and nobody is sent the stream or the settings', !('rng' in update.state) && !('roomSettings' in update.state));
+
+  const bob2 = await client('/race');
+  bob2.emit('join_game', { roomCode: code, rejoinToken: bobJoined.rejoinToken });
+  is('a rejoin token from before the rematch still works', (await once(bob2, 'joined'))?.playerId === bobJoined.playerId);
+
+  ann.emit('start_game', { roomCode: code });
+  await sleep(200);
+  await finish(code, bob2, 2);
+  ann.emit('rematch', { roomCode: code, carryScores: true, start: true });
+  await sleep(200);
+  room = await store.getGame(code);
+  is('`start` goes straight into play', room.status === 'playing' && room.phase === 'racing');
+  is('`carryScores` keeps the running totals', room.players.find((p) => p.id === bobJoined.playerId).score === 2, JSON.stringify(room.players.map((p) => p.score)));
+
+  console.log('\n=== to another game ===');
+  await store.setGame(code, { ...room, status: 'finished' });
+  const told = once(bob2, 'game_switched');
+  ann.emit('rematch', { roomCode: code, game: '/huematch' });
+  const where = await told;
+  is('players are told where the room went', where?.game === '/huematch' && where.path === '/hue-match' && where.roomCode === code);
+  room = await store.getGame(code);
+  is('the room is now that game\'s, in its lobby', room.game === '/huematch' && room.other === true && room.status === 'lobby');
+
+  const bob3 = await client('/huematch');
+  bob3.emit('join_game', { roomCode: code, rejoinToken: bobJoined.rejoinToken });
+  const moved = await once(bob3, 'joined');
+  is('the same token rejoins on the new game', moved?.playerId === bobJoined.playerId);
+  const ann2 = await client('/huematch');
+  ann2.emit('join_game', { roomCode: code, rejoinToken: annJoined.rejoinToken });
+  await once(ann2, 'joined');
+  ann2.emit('start_game', { roomCode: code });
+  await sleep(200);
+  is('...and the host starts it there', (await store.getGame(code)).status === 'playing');
+
+  const late = await client('/race');
+  late.emit('join_game', { roomCode: code, username: 'Cat' });
+  is('the old game\'s page now points at the new one', (await once(late, 'error'))?.code === 'WRONG_GAME');
+} catch (err) {
+  fail('the checks ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  ioServer.close(); httpServer.close();
+}
+
+console.log('');
+if (failures) { console.log(`rematch — ${failures} problem(s)`); process.exit(1); }
+console.log('rematch — same room, same people, another game');
+process.exit(0);
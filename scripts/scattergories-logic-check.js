@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/*
+  Scattergories — answers the room can dispute.
+
+    node scripts/scattergories-logic-check.js
+
+  resolve() used to score an answer the moment it started with the letter and
+  nobody else had it, so "Zebra" for "Things in a kitchen" was a point and
+  the only appeal was an argument in chat. Between writing and results there
+  is now a challenge phase: anyone flags an entry, the room votes, the host
+  can overrule. Checks who may do what, how a ruling is reached, and that the
+  final scores and roundGained follow the rulings — including a struck answer
+  no longer counting as someone else's duplicate.
+
+  Duplicates are found by the shared answer normalizer ("Pizzas" is "pizza")
+  and near-misses put to the room; checks that each grouping says why. And
+  the host's letter rules — alliteration bonus, "ends with", all-alliterative —
+  each recorded on the entries they judged.
+
+  Pure functions, no database and no server needed.
+*/
+import { ScattergoriesGame as G } from '../src/games/scattergories/game.js';
+import { alliterationBonus, isAlliterative } from '../src/games/scattergories/scattergoriesData.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+const players = ['ann', 'bob', 'cat', 'dan'].map((id, i) => ({ id, username: id, connected: true, isHost: i === 0, score: 0 }));
+const [ann, bob, cat, dan] = players;
+
+/* A one-round game on the letter Z with fixed categories, everyone's answers in. */
+function written(answers, settings = {}) {
+  let s = { roomCode: 'TEST', hostId: 'ann', players, ...G.createInitialState({ rounds: 1, categories: 5, ...settings }) };
+  s = G.onStart(s);
+  s = { ...s, round: { ...s.round, letter: 'Z', categories: ['Kitchen things', 'Animals', 'Cities', 'Foods', 'Bands'] } };
+  for (const p of players) s = G.handleAction(s, 'submit_answers', { answers: answers[p.id] }, p) ?? s;
+  return s;
+}
+const entry = (s, c, pid) => s.round.results[c].entries.find((e) => e.playerId === pid);
+const act = (s, action, payload, p) => G.handleAction(s, action, payload, p) ?? s;
+
+console.log('\n=== the phase ===');
+let s = written({
+  ann: ['Zester', 'Zebra'],
+  bob: ['Zebra', 'Zebra'],
+  cat: ['Zucchini', 'Yak'],
+  dan: ['', ''],
+});
+is('writing ends in the challenge phase, answers shown', s.phase === 'challenge' && s.round.results.length === 5);
+is('...with its own deadline', Number.isFinite(s.deadline) && s.deadline === s.round.challengeDeadline);
+is('...and nobody scored yet', s.players.every((p) => p.score === 0) && !s.round.roundGained);
+
+is('nobody can flag their own answer', G.handleAction(s, 'challenge', { category: 0, playerId: 'bob' }, bob) === null);
+is('...or a blank one', G.handleAction(s, 'challenge', { category: 0, playerId: 'dan' }, ann) === null);
+s = act(s, 'challenge', { category: 0, playerId: 'bob' }, ann);
+is('anyone can flag someone else\'s', entry(s, 0, 'bob').challenge?.by === 'ann');
+is('...once', G.handleAction(s, 'challenge', { category: 0, playerId: 'bob' }, cat) === null);
+
+console.log('\n=== the vote ===');
+is('the author does not vote on their own answer', G.handleAction(s, 'vote_challenge', { category: 0, playerId: 'bob', accept: true }, bob) === null);
+s = act(s, 'vote_challenge', { category: 0, playerId: 'bob', accept: false }, ann);
+s = act(s, 'vote_challenge', { category: 0, playerId: 'bob', accept: true }, cat);
+is('a tie leaves the letter check to decide', entry(s, 0, 'bob').challenge.ruling === 'accepted' && entry(s, 0, 'bob').point === 1);
+s = act(s, 'vote_challenge', { category: 0, playerId: 'bob', accept: false }, dan);
+is('more rejects than accepts strike it, and the provisional points show it', entry(s, 0, 'bob').valid === false && entry(s, 0, 'bob').point === 0);
+s = act(s, 'vote_challenge', { category: 0, playerId: 'bob', accept: true }, dan);
+is('a second vote replaces the first', entry(s, 0, 'bob').challenge.accept === 2 && entry(s, 0, 'bob').challenge.reject === 1);
+
+s = act(s, 'challenge', { category: 1, playerId: 'cat' }, cat);
+s = act(s, 'challenge', { category: 1, playerId: 'cat' }, ann);
+s = act(s, 'vote_challenge', { category: 1, playerId: 'cat', accept: true }, ann);
+s = act(s, 'vote_challenge', { category: 1, playerId: 'cat', accept: true }, bob);
+is('the room can accept an answer the letter check refused', entry(s, 1, 'cat').valid === true && entry(s, 1, 'cat').letterOk === false);
+
+console.log('\n=== the host ===');
+is('a player cannot overrule', G.handleAction(s, 'override_challenge', { category: 1, playerId: 'ann', accept: false }, bob) === null);
+s = act(s, 'override_challenge', { category: 1, playerId: 'ann', accept: false }, ann);
+is('the host can overrule, with no flag needed first', entry(s, 1, 'ann').challenge.ruling === 'rejected');
+is('a struck answer no longer spoils the same answer for someone else', entry(s, 1, 'bob').unique === true);
+s = act(s, 'override_challenge', { category: 0, playerId: 'bob', accept: false }, ann);
+is('...and the host\'s word beats the vote', entry(s, 0, 'bob').challenge.ruling === 'rejected');
+s = act(s, 'override_challenge', { category: 0, playerId: 'bob', accept: null }, ann);
+is('...until handed back to it', entry(s, 0, 'bob').challenge.ruling === 'accepted');
+
+console.log('\n=== scoring ===');
+is('only the host ends it early', G.handleAction(s, 'finish_challenges', {}, bob) === null);
+let done = s;
+for (const p of players.slice(0, 3)) done = act(done, 'done_challenging', {}, p);
+is('...or everyone saying they are done', done.phase === 'challenge');
+done = act(done, 'done_challenging', {}, dan);
+is('(everyone done)', done.phase === 'results');
+const end = act(s, 'finish_challenges', {}, ann);
+const score = Object.fromEntries(end.players.map((p) => [p.id, p.score]));
+// ann: Zester 1, Zebra struck 0 · bob: Zebra 1, Zebra 1 · cat: Zucchini 1, Yak accepted 1
+is('the final scores follow the rulings', JSON.stringify(score) === JSON.stringify({ ann: 1, bob: 2, cat: 2, dan: 0 }), JSON.stringify(score));
+is('...and so does roundGained', JSON.stringify(end.round.roundGained) === JSON.stringify({ ann: 1, bob: 2, cat: 2, dan: 0 }));
+is('the results say how each dispute went', entry(end, 1, 'cat').challenge.ruling === 'accepted' && entry(end, 1, 'ann').challenge.override === false);
+is('the challenge deadline scores the round too', G.onDeadline(s).phase === 'results');
+is('a round where nobody wrote anything goes straight to results', written({ ann: [], bob: [], cat: [], dan: [] }).phase === 'results');
+
+console.log('\n=== the same answer ===');
+s = written({
+  ann: ['Zesters', 'Zucchini', 'Zagreb', 'Zeppelin'],
+  bob: ['zester', 'Zuchini', 'Zurich', 'Zip Line'],
+  cat: ['Zapper', 'Zucchinis', 'Zug', 'Zipline'],
+  dan: ['Zapper', 'Zebu', '', 'zip line'],
+});
+const group = (st, c, pid) => entry(st, c, pid).group;
+is('plurals are one answer, and say so',
+  entry(s, 0, 'ann').point === 0 && group(s, 0, 'ann').reason === 'normalised' && group(s, 0, 'ann').with.join() === 'bob');
+is('...the same words are \'exact\'', group(s, 0, 'cat').reason === 'exact' && group(s, 0, 'dan').with.join() === 'cat');
+is('...and spacing is no longer a difference', group(s, 3, 'bob').with.length === 2 && group(s, 3, 'dan').reason === 'normalised' && entry(s, 3, 'ann').point === 1);
+const pair = s.round.results[1].matches?.[0];
+is('a near-miss is put to the room, not merged', pair?.ruling === 'different' && entry(s, 1, 'bob').point === 1 && pair.edits === 1, JSON.stringify(s.round.results[1]));
+is('short answers are never near-misses', !s.round.results[2].matches);
+is('those in the pair do not vote on it', G.handleAction(s, 'vote_match', { matchId: pair.id, same: false }, bob) === null);
+let m = act(s, 'vote_match', { matchId: pair.id, same: true }, dan);
+is('the room confirming merges the pair',
+  entry(m, 1, 'bob').point === 0 && group(m, 1, 'bob').reason === 'close' && group(m, 1, 'bob').with.sort().join() === 'ann,cat');
+m = act(m, 'override_match', { matchId: pair.id, same: false }, ann);
+is('...and the host can part them again', entry(m, 1, 'bob').point === 1);
+is('`closeMatches: false` leaves grouping to the normalizer', (() => {
+  let off = { roomCode: 'TEST', hostId: 'ann', players, ...G.createInitialState({ rounds: 1, categories: 5, closeMatches: false }) };
+  off = G.onStart(off);
+  for (const p of players) off = act(off, 'submit_answers', { answers: ['', p.id === 'ann' ? 'Zucchini' : 'Zuchini'] }, p);
+  return off.phase === 'challenge' && Object.keys(off.round.matches).length === 0;
+})());
+
+console.log('\n=== letter rules ===');
+let r = written({ ann: ['Zany Zoo Zebras', 'Zoo Zebra'], bob: ['', 'Zoo zebras'], cat: [], dan: [] }, { alliterationBonus: true });
+is('the alliteration bonus pays each further word', entry(r, 0, 'ann').point === 3 && entry(r, 0, 'ann').bonus === 2 && entry(r, 0, 'ann').rule === 'starts');
+is('...only on a point', entry(r, 1, 'ann').point === 0);
+is('...and articles are not words', written({ ann: ['The Zany Zoo'], bob: [], cat: [], dan: [] }, { alliterationBonus: true, letterRule: 'alliterative' }).round.results[0].entries[0].point === 2);
+is('...unless the article starts with the letter: on T, "The Tempest" is two words',
+  alliterationBonus('The Tempest', 'T') === 1 && isAlliterative('The Tempest', 'T'));
+is('...and on B, "The Big Bang" is still alliterative without it',
+  alliterationBonus('The Big Bang', 'B') === 1 && isAlliterative('The Big Bang', 'B'));
+is('off, a long answer is still one point', entry(written({ ann: ['Zany Zoo Zebras'], bob: [], cat: [], dan: [] }), 0, 'ann').point === 1);
+r = written({ ann: ['Waltz', 'Zebra', 'Jazz!'], bob: [], cat: [], dan: [] }, { letterRule: 'ends', alliterationBonus: true });
+is('"ends with" judges the last letter, past any punctuation',
+  entry(r, 0, 'ann').valid && !entry(r, 1, 'ann').valid && entry(r, 2, 'ann').valid && entry(r, 0, 'ann').rule === 'ends');
+is('...and pays no alliteration bonus', entry(r, 0, 'ann').bonus === 0);
+r = written({ ann: ['Zany Zoo', 'Zany Bus', 'Zoo'], bob: [], cat: [], dan: [] }, { letterRule: 'alliterative' });
+is('all-alliterative refuses a stray word, and passes one word that starts right',
+  entry(r, 0, 'ann').valid && !entry(r, 1, 'ann').letterOk && entry(r, 2, 'ann').valid && entry(r, 1, 'ann').rule === 'alliterative');
+is('an unknown rule is the classic one', G.createInitialState({ letterRule: 'middle' }).letterRule === 'starts');
+
+console.log('');
+if (failures) { console.log(`scattergories — ${failures} problem(s)`); process.exit(1); }
+console.log('scattergories — disputed answers are settled by the room');
+process.exit(0);
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/*
+  Seeded deals — a room's randomness comes from its own seed, and only that.
+
+    node scripts/seeded-random-check.js
+
+  Games used to call Math.random() wherever they needed a card, a letter or a
+  chameleon, so a bad deal someone reported could never be dealt again — not
+  by a logic check, not by hand. Every draw now goes through random() in
+  src/engine/random.js, fed from a per-room stream on the state. This checks:
+    - per game, the same seed deals the same game, and a different seed a
+      different one, for every engine game
+    - over real sockets, create_game's debug `seed` setting reproduces a
+      room's deal, is ignored in production, and the stream itself never
+      reaches a client (it would give away every deal to come)
+
+  No database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+import { withRoomRandom, seedFrom } from '../src/engine/random.js';
+import { SayAnythingGame } from '../src/games/sayAnything/game.js';
+import { GuesstimateGame } from '../src/games/guesstimate/game.js';
+import { CloverGame } from '../src/games/clover/game.js';
+import { TeamTriviaGame } from '../src/games/teamtrivia/game.js';
+import { ChameleonGame } from '../src/games/chameleon/game.js';
+import { SpectrumGame } from '../src/games/wavelength/game.js';
+import { TwoTruthsGame } from '../src/games/twotruths/game.js';
+import { ScattergoriesGame } from '../src/games/scattergories/game.js';
+import { CavemanCluesGame } from '../src/games/cavemanclues/game.js';
+import { HueMatchGame } from '../src/games/huematch/game.js';
+import { WouldYouRatherGame } from '../src/games/wouldyourather/game.js';
+import { FishbowlGame } from '../src/games/fishbowl/game.js';
+import { TabooGame } from '../src/games/taboo/game.js';
+import { HerdGame } from '../src/games/herd/game.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const GAMES = {
+  Herd: HerdGame, 'Say Anything': SayAnythingGame, Guesstimate: GuesstimateGame, Clover: CloverGame,
+  'Team Trivia': TeamTriviaGame, Chameleon: ChameleonGame, Spectrum: SpectrumGame, 'Two Truths': TwoTruthsGame,
+  Scattergories: ScattergoriesGame, 'Caveman Clues': CavemanCluesGame, 'Hue Match': HueMatchGame,
+  'Would You Rather': WouldYouRatherGame, Fishbowl: FishbowlGame, Taboo: TabooGame,
+};
+
+/* A started four-player room, dealt from `seed` — what the engine does, minus sockets. */
+function dealt(gameDef, seed) {
+  const players = [1, 2, 3, 4].map((n) => ({ id: `p${n}`, username: `P${n}`, socketId: null, connected: true, isHost: n === 1, score: 0, joinedAt: 0 }));
+  const created = { roomCode: 'SEED', hostId: 'p1', status: 'lobby', players, ...withRoomRandom({ rng: seed }, () => gameDef.createInitialState({})), createdAt: 0 };
+  // Time is pinned too, so only the seed can make two deals differ.
+  const realNow = Date.now;
+  Date.now = () => 0;
+  try {
+    // Without the stream's own position, which differs by seed whatever was dealt.
+    const { rng, ...started } = withRoomRandom(created, () => gameDef.onStart(created));
+    return JSON.stringify(started);
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+// These open with everyone writing; nothing is dealt until that is done.
+const WRITE_FIRST = new Set(['Two Truths', 'Fishbowl']);
+
+console.log('\n=== per game ===');
+for (const [name, gameDef] of Object.entries(GAMES)) {
+  const a = dealt(gameDef, 1234);
+  is(`${name}: the same seed deals the same game`, a === dealt(gameDef, 1234));
+  if (WRITE_FIRST.has(name)) continue;
+  const others = new Set([5, 6, 7, 8].map((s) => dealt(gameDef, s)));
+  is(`${name}: a different seed deals a different one`, others.size > 1 || !others.has(a));
+}
+is('a typed seed hashes the same every time, and a number is taken as it is',
+  seedFrom('chameleon-bug-3') === seedFrom(' chameleon-bug-3 ') && seedFrom('42') === 42 && seedFrom(42) === 42);
+
+console.log('\n=== the engine ===');
+const httpServer = createServer();
+const ioServer = new Server(httpServer, { cors: { origin: '*' } });
+mountGame(ioServer, '/chameleon', ChameleonGame);
+await new Promise((r) => httpServer.listen(0, r));
+const sockets = [];
+const client = async () => {
+  const s = connect(`http://127.0.0.1:${httpServer.address().port}/chameleon`, { transports: ['websocket'], forceNew: true });
+  sockets.push(s);
+  await new Promise((res, rej) => {
+    s.once('connect', res); s.once('connect_error', rej);
+    setTimeout(() => rej(new Error('connect timeout')), 8000);
+  });
+  return s;
+};
+const once = (s, ev, ms = 5000) => new Promise((res) => {
+  const t = setTimeout(() => res(null), ms);
+  s.once(ev, (d) => { clearTimeout(t); res(d); });
+});
+
+/* A three-player Chameleon room started from `settings`; returns the deal and every payload seen. */
+async function room(settings) {
+  const seen = [];
+  const [ann, bob, cat] = await Promise.all([client(), client(), client()]);
+  for (const s of [ann, bob, cat]) s.on('state_update', (d) => seen.push(d));
+  ann.emit('create_game', { username: 'Ann', settings });
+  const joined = await once(ann, 'joined');
+  seen.push(joined);
+  for (const [s, username] of [[bob, 'Bob'], [cat, 'Cat']]) {
+    s.emit('join_game', { roomCode: joined.roomCode, username });
+    seen.push(await once(s, 'joined'));
+  }
+  ann.emit('start_game', { roomCode: joined.roomCode });
+  await sleep(300);
+  const state = await store.getGame(joined.roomCode);
+  const { category, secretIndex, chameleonId } = state.round;
+  return { deal: JSON.stringify([category, secretIndex, state.players.findIndex((p) => p.id === chameleonId)]), rng: state.rng, seen };
+}
+
+try {
+  const first = await room({ seed: 'chameleon-bug-3' });
+  const again = await room({ seed: 'chameleon-bug-3' });
+  is('a room created with the same seed deals the same category, word and chameleon', first.deal === again.deal, `${first.deal} vs ${again.deal}`);
+  is('the stream never reaches a client', first.seen.length > 0 && first.seen.every((d) => !JSON.stringify(d).includes('"rng"')));
+  is('...and neither does the seed setting', first.seen.every((d) => !JSON.stringify(d).includes('chameleon-bug-3')));
+
+  const realEnv = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  try {
+    const prod = await room({ seed: 'chameleon-bug-3' });
+    is('production ignores the seed setting', prod.rng !== first.rng);
+  } finally {
+    if (realEnv === undefined) delete process.env.NODE_ENV; else process.env.NODE_ENV = realEnv;
+  }
+} catch (err) {
+  fail('the engine half ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  ioServer.close(); httpServer.close();
+}
+
+console.log('');
+if (failures) { console.log(`seeded deals — ${failures} problem(s)`); process.exit(1); }
+console.log('seeded deals — every room deals from its own seed');
+process.exit(0);
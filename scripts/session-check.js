@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/*
+  Game nights — one room code across several games, with a running leaderboard.
+
+    node scripts/session-check.js
+
+  A team playing Team Trivia, then Chameleon, then Would You Rather used to
+  re-enter a code and a name for each game and never saw an overall winner.
+  The host's `launch_game` now moves the room on while keeping its session
+  (src/engine/session.js), and every game's final scores feed a normalised
+  leaderboard that everyone is sent between games. Checks:
+    - scores are read from wherever a game keeps them, and normalised
+    - over real sockets: who may launch and what; the leaderboard across two
+      games and a move between namespaces; the standings sent when a game
+      finishes, when the next is launched, and to anyone who rejoins
+
+  No database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+import { finalScores, normalise, recordGame, openSession, leaderboard } from '../src/engine/session.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+console.log('\n=== scores ===');
+const players = [{ id: 'a', username: 'Ann', score: 7 }, { id: 'b', username: 'Bob', score: 2 }, { id: 'c', username: 'Cat', score: -3 }];
+is('the best score is worth 100 and the rest their share of it, never below 0',
+  JSON.stringify(normalise({ a: 40, b: 10, c: -5 })) === JSON.stringify({ a: 100, b: 25, c: 0 }));
+is('a game nobody scored in gives nobody points', Object.values(normalise({ a: 0, b: 0 })).every((v) => v === 0));
+is('team games score each player as their team',
+  JSON.stringify(finalScores({ players, teams: { red: ['a', 'c'], blue: ['b'] }, teamScores: { red: 4, blue: 9 } })) === JSON.stringify({ a: 4, b: 9, c: 4 }));
+is('a scores map is read as it is', finalScores({ players, scores: { a: 1, b: 5 } }).b === 5);
+is('co-op games share the table\'s total', Object.values(finalScores({ players, totalScore: 12 })).every((v) => v === 12));
+is('otherwise each player\'s own score', finalScores({ players }).a === 7);
+is('a game left unfinished is not recorded', recordGame(openSession({}), { status: 'playing', players }).games.length === 0);
+const night = recordGame(recordGame(openSession({}), { status: 'finished', game: '/a', players }),
+  { status: 'finished', game: '/b', players: players.slice(1).map((p) => ({ ...p, score: 1 })) });
+const board = leaderboard(night, players);
+is('the leaderboard adds up games and puts the best first',
+  board[0].username === 'Bob' && board[0].points === 129 && board[1].points === 100 && board.find((r) => r.playerId === 'c').games === 2,
+  JSON.stringify(board));
+
+/* First to `target` bumps wins; each bump is a point. */
+const RaceGame = {
+  minPlayers: 2,
+  createInitialState: (settings = {}) => ({ target: Number(settings.target) || 2 }),
+  onStart: (state) => ({ ...state, status: 'playing' }),
+  handleAction(state, action, payload, player) {
+    if (action !== 'bump' || state.status !== 'playing') return null;
+    const players = state.players.map((p) => (p.id === player.id ? { ...p, score: p.score + 1 } : p));
+    return { ...state, players, ...(players.find((p) => p.id === player.id).score >= state.target && { status: 'finished' }) };
+  },
+  deriveClientState: (state) => ({ ...state, players: state.players.map(({ socketId, ...rest }) => rest) }),
+};
+
+const httpServer = createServer();
+const ioServer = new Server(httpServer, { cors: { origin: '*' } });
+mountGame(ioServer, '/chameleon', RaceGame); // namespaces in GAME_DIRECTORY, for their names and paths
+mountGame(ioServer, '/wyr', RaceGame);
+await new Promise((r) => httpServer.listen(0, r));
+const base = `http://127.0.0.1:${httpServer.address().port}`;
+
+const sockets = [];
+const client = async (ns) => {
+  const s = connect(`${base}${ns}`, { transports: ['websocket'], forceNew: true });
+  sockets.push(s);
+  await new Promise((res, rej) => {
+    s.once('connect', res); s.once('connect_error', rej);
+    setTimeout(() => rej(new Error('connect timeout')), 8000);
+  });
+  return s;
+};
+const once = (s, ev, ms = 5000) => new Promise((res) => {
+  const t = setTimeout(() => res(null), ms);
+  s.once(ev, (d) => { clearTimeout(t); res(d); });
+});
+const bump = async (code, s, times) => {
+  for (let i = 0; i < times; i++) s.emit('game_action', { roomCode: code, action: 'bump' });
+  await sleep(200);
+};
+
+try {
+  console.log('\n=== a night ===');
+  const ann = await client('/chameleon');
+  ann.emit('create_game', { username: 'Ann' });
+  const annJoined = await once(ann, 'joined');
+  const code = annJoined.roomCode;
+  const bob = await client('/chameleon');
+  bob.emit('join_game', { roomCode: code, username: 'Bob' });
+  const bobJoined = await once(bob, 'joined');
+
+  bob.emit('launch_game', { roomCode: code, game: '/chameleon' });
+  is('a player cannot launch a game', (await once(bob, 'error'))?.code === 'UNAUTHORIZED');
+  ann.emit('launch_game', { roomCode: code, game: '/nope' });
+  is('only games in the directory can be launched', (await once(ann, 'error'))?.code === 'UNKNOWN_GAME');
+
+  ann.emit('start_game', { roomCode: code });
+  await sleep(200);
+  ann.emit('launch_game', { roomCode: code, game: '/wyr' });
+  is('not while a game is being played', (await once(ann, 'error'))?.code === 'GAME_IN_PROGRESS');
+
+  await bump(code, ann, 1);
+  await bump(code, bob, 2);
+  const standings = once(bob, 'session_update');
+  const moved = once(bob, 'game_switched');
+  ann.emit('launch_game', { roomCode: code, game: '/wyr', settings: { target: 3 } });
+  const first = await standings;
+  is('launching the next game sends everyone the standings',
+    first?.games?.[0]?.name === 'Chameleon' && first.leaderboard[0].playerId === bobJoined.playerId && first.leaderboard[0].points === 100 && first.leaderboard[1].points === 50,
+    JSON.stringify(first));
+  is('...and sends them on to it, under the same code', (await moved)?.path === '/would-you-rather');
+  const room = await store.getGame(code);
+  is('the room is the new game\'s, with its settings and everyone\'s scores from zero',
+    room.game === '/wyr' && room.target === 3 && room.players.every((p) => p.score === 0));
+
+  const ann2 = await client('/wyr');
+  const bob2 = await client('/wyr');
+  const rejoinStandings = once(bob2, 'session_update');
+  bob2.emit('join_game', { roomCode: code, rejoinToken: bobJoined.rejoinToken });
+  is('the same identity carries over', (await once(bob2, 'joined'))?.playerId === bobJoined.playerId);
+  is('...and a rejoiner is sent the standings', (await rejoinStandings)?.games?.length === 1);
+  ann2.emit('join_game', { roomCode: code, rejoinToken: annJoined.rejoinToken });
+  await once(ann2, 'joined');
+
+  ann2.emit('start_game', { roomCode: code });
+  await sleep(200);
+  const final = once(bob2, 'session_update');
+  await bump(code, ann2, 3);
+  const end = await final;
+  is('finishing a game sends the standings with it counted',
+    end?.games?.length === 2 && end.leaderboard[0].username === 'Ann' && end.leaderboard[0].points === 150 && end.leaderboard[1].points === 100, JSON.stringify(end?.leaderboard));
+  is('...without recording it twice', (await store.getGame(code)).session.games.length === 1);
+  is('the session never reaches a client\'s game state', !JSON.stringify(await new Promise((res) => {
+    bob2.once('state_update', res);
+    bob2.emit('game_action', { roomCode: code, action: 'noop' });
+    ann2.emit('rematch', { roomCode: code });
+  })).includes('"session"'));
+  is('a plain rematch in a session records the game too', (await store.getGame(code)).session.games.length === 2);
+} catch (err) {
+  fail('the checks ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  ioServer.close(); httpServer.close();
+}
+
+console.log('');
+if (failures) { console.log(`sessions — ${failures} problem(s)`); process.exit(1); }
+console.log('sessions — one code, several games, one winner');
+process.exit(0);
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/*
+  Spectators — a screen that watches a room without being in it.
+
+    node scripts/spectator-check.js
+
+  Teams stream games to a meeting-room TV, and until now that screen had to
+  join as a player: it sat in every "has everyone answered?" check, counted
+  toward the start, and was dealt secrets nobody in the room should see. A TV
+  is read by EVERYONE, so what it shows has to be what everyone may know.
+
+  Two halves:
+    - over real sockets, that join_as_spectator attaches without a seat, keeps
+      receiving updates, and never counts toward minPlayers
+    - per game, that deriveSpectatorState carries none of the secrets we know
+      about: the Chameleon and the secret word, the Hue Match target, the Taboo
+      card, the Caveman Clues word
+
+  No database, no running backend.
+*/
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { mountGame } from '../src/engine/index.js';
+import * as store from '../src/engine/store.js';
+import { ChameleonGame } from '../src/games/chameleon/game.js';
+import { HueMatchGame } from '../src/games/huematch/game.js';
+import { TabooGame } from '../src/games/taboo/game.js';
+import { CavemanCluesGame } from '../src/games/cavemanclues/game.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+const httpServer = createServer();
+const ioServer = new Server(httpServer, { cors: { origin: '*' } });
+mountGame(ioServer, '/chameleon', ChameleonGame);
+await new Promise((r) => httpServer.listen(0, r));
+const URL = `http://127.0.0.1:${httpServer.address().port}`;
+
+const sockets = [];
+const client = () => {
+  const s = connect(`${URL}/chameleon`, { transports: ['websocket'], forceNew: true });
+  sockets.push(s);
+  return s;
+};
+const ready = (s) => new Promise((res, rej) => {
+  s.once('connect', res); s.once('connect_error', rej);
+  setTimeout(() => rej(new Error('connect timeout')), 8000);
+});
+const once = (s, ev, ms = 5000) => new Promise((res) => {
+  const t = setTimeout(() => res(null), ms);
+  s.once(ev, (d) => { clearTimeout(t); res(d); });
+});
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+console.log('\n=== the engine ===');
+try {
+  const host = client(); await ready(host);
+  host.emit('create_game', { username: 'Ann' });
+  const code = (await once(host, 'joined'))?.roomCode;
+
+  const bob = client(); await ready(bob);
+  bob.emit('join_game', { roomCode: code, username: 'Bob' });
+  await once(bob, 'joined');
+
+  const tv = client(); await ready(tv);
+  const tvBox = { state: null };
+  tv.on('state_update', (d) => { tvBox.state = d.state; });
+  tv.emit('join_as_spectator', { roomCode: code.toLowerCase() });
+  const watching = await once(tv, 'spectating');
+  is('a spectator attaches to a lobby', watching?.roomCode === code && !!watching.state);
+  is('...without taking a seat', store.getGame(code).players.length === 2);
+
+  const errs = [];
+  host.on('error', (e) => errs.push(e.code));
+  host.emit('start_game', { roomCode: code });
+  await sleep(300);
+  is('a spectator never counts toward minPlayers', errs.includes('NOT_ENOUGH_PLAYERS'), errs.join());
+
+  const cat = client(); await ready(cat);
+  cat.emit('join_game', { roomCode: code, username: 'Cat' });
+  await once(cat, 'joined');
+  host.emit('start_game', { roomCode: code });
+  await sleep(300);
+  is('the spectator is sent updates as the game moves', tvBox.state?.phase === 'clue');
+  is('...with neither the Chameleon nor the word on screen',
+    tvBox.state?.round?.chameleonId === null && tvBox.state?.round?.secretIndex === null);
+
+  const late = client(); await ready(late);
+  late.emit('join_as_spectator', { roomCode: code });
+  is('a spectator may arrive mid-game, where a player may not', !!(await once(late, 'spectating')));
+
+  /* Every player clues: the round must move without waiting for either screen. */
+  for (const [s, word] of [[host, 'one'], [bob, 'two'], [cat, 'three']]) {
+    s.emit('game_action', { roomCode: code, action: 'submit_clue', payload: { word } });
+  }
+  await sleep(300);
+  is('"everyone has answered" does not wait for spectators', store.getGame(code).phase === 'voting');
+
+  const stray = client(); await ready(stray);
+  stray.emit('join_as_spectator', { roomCode: 'QQQQ' });
+  is('an unknown code is still ROOM_NOT_FOUND', (await once(stray, 'error'))?.code === 'ROOM_NOT_FOUND');
+} catch (err) {
+  fail('the socket half ran to completion', err.message);
+} finally {
+  for (const s of sockets) { try { s.close(); } catch { /* ignore */ } }
+  ioServer.close();
+  httpServer.close();
+}
+
+console.log('\n=== what each game puts on the screen ===');
+const players = (n) => Array.from({ length: n }, (_, i) => ({
+  id: 'p' + i, username: 'P' + i, connected: true, isHost: i === 0, score: 0, joinedAt: Date.now() + i,
+}));
+const room = (def, n) => ({ roomCode: 'T', hostId: 'p0', status: 'lobby', players: players(n), ...def.createInitialState({}) });
+
+{
+  const s = ChameleonGame.onStart(room(ChameleonGame, 4));
+  const v = ChameleonGame.deriveSpectatorState(s);
+  is('Chameleon: no secret word and no Chameleon', v.round.secretIndex === null && v.round.chameleonId === null);
+}
+{
+  const s = HueMatchGame.onStart(room(HueMatchGame, 3));
+  const v = HueMatchGame.deriveSpectatorState(s);
+  is('Hue Match: no target in any form', !v.turn.target && !v.turn.targetHex && !v.turn.targetLabel && !v.isGiver);
+}
+{
+  let s = TabooGame.onStart(room(TabooGame, 4));
+  s = TabooGame.handleAction(s, 'start_turn', {}, s.players.find((p) => p.id === s.teams.A[0]));
+  const v = TabooGame.deriveSpectatorState(s);
+  is('Taboo: no card and no deck', v.card === null && v.deck === undefined);
+}
+{
+  const s = CavemanCluesGame.onStart(room(CavemanCluesGame, 3));
+  const v = CavemanCluesGame.deriveSpectatorState(s);
+  is('Caveman Clues: no word and no deck', v.word === null && v.deck === undefined);
+}
+
+console.log('');
+if (failures) { console.log(`spectators — ${failures} problem(s)`); process.exit(1); }
+console.log('spectators — watching is not playing, and the screen keeps every secret');
+process.exit(0);
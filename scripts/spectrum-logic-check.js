@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/*
+  Spectrum — the team game.
+
+    node scripts/spectrum-logic-check.js
+
+    - the teams take turns, and the givers take turns within a team
+    - one shared dial: the last position stands, and only the guessing team moves it
+    - the other team calls left or right, for a point unless the dial hit the bullseye
+    - play runs to the target score, and a tie at the line plays on
+    - a small room plays for itself, exactly as it always has
+    - a pack's spectrums are what the room plays, and a malformed one is dropped
+
+  Pure functions, no database and no server needed.
+*/
+import { SpectrumGame as G } from '../src/games/wavelength/game.js';
+import { PAIRS } from '../src/games/wavelength/spectrums.js';
+import { parsePack } from '../src/models/packParse.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+const players = (n) => Array.from({ length: n }, (_, i) => ({
+  id: `p${i}`, username: `P${i}`, connected: true, score: 0,
+}));
+const start = (n, settings = {}) => G.onStart({ hostId: 'p0', status: 'lobby', players: players(n), ...G.createInitialState(settings) });
+const find = (s, id) => s.players.find((p) => p.id === id);
+const act = (s, action, payload, id) => G.handleAction(s, action, payload, find(s, id)) || s;
+const teamOf = (s, id) => (s.teams.A.includes(id) ? 'A' : 'B');
+
+// The round's giver, a guesser beside them, and someone on the other team.
+function cast(s) {
+  const giver = s.round.clueGiverId;
+  const guesser = s.teams[s.round.team].find((id) => id !== giver);
+  const caller = s.teams[s.round.team === 'A' ? 'B' : 'A'][0];
+  return { giver, guesser, caller };
+}
+// Clue, dial to `value`, lock, and (optionally) the other team's call.
+function play(s, value, side) {
+  const { giver, guesser, caller } = cast(s);
+  s = act(s, 'submit_clue', { clue: 'warm' }, giver);
+  s = act(s, 'move_dial', { value }, guesser);
+  s = act(s, 'lock_dial', {}, guesser);
+  return side ? act(s, 'left_right', { side }, caller) : s;
+}
+const aimed = (s, target) => ({ ...s, round: { ...s.round, target } });
+const next = (s) => act(s, 'next_round', {}, 'p0');
+
+console.log('turns');
+{
+  let s = start(6, { teamPlay: true });
+  is('teams are dealt at kickoff', s.teams.A.length === 3 && s.teams.B.length === 3, JSON.stringify(s.teams));
+  is('team A goes first, with a giver of its own', s.round.team === 'A' && teamOf(s, s.round.clueGiverId) === 'A');
+  const givers = { A: [], B: [] };
+  for (let r = 0; r < 6; r += 1) {
+    is(`round ${s.round.number} is team ${r % 2 ? 'B' : 'A'}'s`, s.round.team === (r % 2 ? 'B' : 'A') && teamOf(s, s.round.clueGiverId) === s.round.team);
+    givers[s.round.team].push(s.round.clueGiverId);
+    s = next(play(aimed(s, 90), 10, 'left'));
+  }
+  is('every member of a team gives a clue before anyone gives two', new Set(givers.A).size === 3 && new Set(givers.B).size === 3,
+    JSON.stringify(givers));
+}
+
+console.log('\nthe dial');
+{
+  const s = start(6, { teamPlay: true });
+  const { giver, guesser, caller } = cast(s);
+  let r = act(s, 'submit_clue', { clue: 'warm' }, giver);
+  is('the clue opens the dial', r.phase === 'dial' && r.round.dial === 50);
+  const mate = r.teams[r.round.team].find((id) => id !== giver && id !== guesser);
+  r = act(r, 'move_dial', { value: 20 }, guesser);
+  r = act(r, 'move_dial', { value: 71.6 }, mate);
+  is('the last position stands', r.round.dial === 72 && r.round.dialBy === mate, JSON.stringify(r.round.dial));
+  is('the other team cannot touch it', act(r, 'move_dial', { value: 5 }, caller) === r);
+  is('nor can the giver', act(r, 'move_dial', { value: 5 }, giver) === r);
+  is('nor can the other team lock it', act(r, 'lock_dial', {}, caller) === r);
+  is('no call before the dial is locked', act(r, 'left_right', { side: 'left' }, caller) === r);
+  const view = G.deriveClientState(r, caller);
+  is('everyone sees the dial move, but not the target', view.round.dial === 72 && view.round.target === null);
+  r = act(r, 'lock_dial', {}, guesser);
+  is('locking it hands over to the other team', r.phase === 'counter');
+  is('a locked dial stays put', act(r, 'move_dial', { value: 5 }, guesser) === r);
+  is('the guessing team makes no call', act(r, 'left_right', { side: 'left' }, guesser) === r);
+  is('a call is left or right', act(r, 'left_right', { side: 'up' }, caller) === r);
+}
+
+console.log('\nscoring');
+{
+  const s = start(6, { teamPlay: true });
+  const t = s.round.team;
+  const o = t === 'A' ? 'B' : 'A';
+
+  const near = play(aimed(s, 60), 52, 'right');
+  is('the dial scores for its team', near.teamScores[t] === 3, JSON.stringify(near.teamScores));
+  is('a right call is a point for the other team', near.teamScores[o] === 1 && near.round.result.callRight);
+
+  const wrong = play(aimed(s, 60), 52, 'left');
+  is('a wrong call is nothing', wrong.teamScores[o] === 0 && !wrong.round.result.callRight);
+
+  const bull = play(aimed(s, 60), 58, 'right');
+  is('no point against a bullseye, right call or not', bull.teamScores[t] === 4 && bull.teamScores[o] === 0 && bull.round.result.callRight);
+
+  const dead = play(aimed(s, 60), 60, 'left');
+  is('a target on the dial is neither side', dead.round.result.side === null && !dead.round.result.callRight);
+
+  const miss = play(aimed(s, 90), 10, 'right');
+  is('a miss scores nothing but the call', miss.teamScores[t] === 0 && miss.teamScores[o] === 1);
+
+  const forced = act(play(aimed(s, 60), 52), 'force_reveal', {}, 'p0');
+  is('the host can reveal without a call', forced.phase === 'result' && forced.round.result.call === null && forced.teamScores[o] === 0);
+  is('...and the players\' own scores stay out of it', forced.players.every((p) => p.score === 0));
+}
+
+console.log('\nthe target score');
+{
+  let s = start(6, { teamPlay: true, targetScore: 5 });
+  is('the target score is a setting', s.targetScore === 5 && start(6, { teamPlay: true }).targetScore === 10);
+  s = next(play(aimed(s, 60), 58, 'left'));       // A 4
+  s = play(aimed(s, 60), 58, 'left');             // B 4
+  is('neither at the line, play goes on', s.status === 'playing' && s.phase === 'result');
+  s = next(s);
+  s = play(aimed(s, 60), 52, 'left');             // A 7
+  is('the first past the line wins', s.status === 'finished' && s.winner === 'A', JSON.stringify(s.teamScores));
+  is('and there is no round after it', next(s) === s);
+
+  let tie = start(6, { teamPlay: true, targetScore: 5 });
+  tie = next(play(aimed(tie, 60), 52, 'left'));   // A 3
+  tie = next(play(aimed(tie, 60), 58, 'left'));   // B 4
+  tie = play(aimed(tie, 60), 45, 'right');        // A 5, B 5 for the call
+  is('level past the line plays on', tie.status === 'playing' && tie.winner === null, JSON.stringify(tie.teamScores));
+}
+
+console.log('\nleaving');
+{
+  const s = start(6, { teamPlay: true });
+  const { giver, guesser } = cast(s);
+  const gone = (st, id) => ({ ...st, players: st.players.map((p) => (p.id === id ? { ...p, connected: false } : p)) });
+  let r = gone(s, giver);
+  r = G.onPlayerDisconnect(r, find(r, giver)) || r;
+  is('a giver who leaves hands the clue to a teammate', r.phase === 'clue' && r.round.team === s.round.team
+    && r.round.clueGiverId !== giver && r.currentRound === s.currentRound);
+
+  let empty = act(act(s, 'submit_clue', { clue: 'warm' }, giver), 'lock_dial', {}, guesser);
+  for (const id of empty.teams[empty.round.team === 'A' ? 'B' : 'A']) {
+    empty = gone(empty, id);
+    empty = G.onPlayerDisconnect(empty, find(empty, id)) || empty;
+  }
+  is('with nobody left to call, the dial is revealed', empty.phase === 'result' && empty.round.result.call === null);
+}
+
+console.log('\nsolo');
+{
+  const small = start(3, { teamPlay: true });
+  is('three people play for themselves', small.teamPlay === false && small.phase === 'clue' && !small.round.team);
+  const s = start(4);
+  is('a room without teams plays as it always has', s.teamPlay === false && !('teams' in s));
+  let r = act(s, 'submit_clue', { clue: 'warm' }, s.round.clueGiverId);
+  is('...straight to guessing', r.phase === 'guessing');
+  is('...with no dial', act(r, 'move_dial', { value: 10 }, r.players.find((p) => p.id !== s.round.clueGiverId).id) === r);
+  for (const p of r.players) r = act(r, 'submit_guess', { value: r.round.target }, p.id);
+  is('...and individual scores', r.phase === 'result' && r.players.every((p) => p.score === 4 || p.id === s.round.clueGiverId));
+}
+
+console.log('\ncustom spectrums');
+{
+  const pack = parsePack('spectrum', [
+    'Quick fix ↔ Full rewrite', 'Meeting ↔ Email', 'Nice to have ↔ Blocker', 'Intern task ↔ Needs the CTO',
+  ].join('\n'));
+  const customQuestions = [...pack.items, { left: 'No right end' }, 'a herd prompt, from a pack for another game'];
+  const initial = G.createInitialState({ customQuestions });
+  is('only whole pairs are kept', initial.customPairs.length === pack.items.length, JSON.stringify(initial.customPairs));
+
+  let s = start(4, { customQuestions });
+  const seen = [`${s.round.leftLabel}|${s.round.rightLabel}`];
+  for (let r = 1; r < 4; r += 1) {
+    s = next({ ...s, phase: 'result' });
+    seen.push(`${s.round.leftLabel}|${s.round.rightLabel}`);
+  }
+  const ours = new Set(pack.items.map((e) => `${e.left}|${e.right}`));
+  is('the room plays the pack and no built-in spectrums', seen.every((k) => ours.has(k)), seen.join(', '));
+  is('...each once before any repeats', new Set(seen).size === 4);
+
+  const team = start(6, { teamPlay: true, customQuestions });
+  is('teams play the pack too', ours.has(`${team.round.leftLabel}|${team.round.rightLabel}`));
+  const { leftLabel } = start(4).round;
+  is('a room without a pack plays the built-in spectrums', PAIRS.some(([l]) => l === leftLabel), leftLabel);
+}
+
+console.log('');
+if (failures) { console.log(`spectrum — ${failures} problem(s)`); process.exit(1); }
+console.log('spectrum — teams share a dial and play to the target, and packs bring their own ends');
@@ -14,10 +14,15 @@
  * guard people learn to route around, so here it is as one command.
  *
  * The server copy is the source of truth. This only ever writes the browser one.
+ *
+ * Before writing, every board a room can choose (allGrids) is drawn and
+ * checked: a preset with two squares the same colour, or a column with no
+ * label, is refused here rather than shipped to every browser.
  */
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { allGrids, allSquares, labelOf, inBounds, scoreFor } from '../src/games/huematch/grid.js';
 
 const here = path.dirname(fileURLToPath(import.meta.url));
 const SERVER = path.join(here, '..', 'src', 'games', 'huematch', 'grid.js');
@@ -53,6 +58,31 @@ const HEADER = `/*
   It refuses only when the FRONTEND is not in this checkout at all, which is a
   real backend-only deploy rather than a file waiting to be written.
 */
+/* What makes a board playable, whichever preset it is. */
+function problemsWith(grid) {
+  const name = `${grid.cols} x ${grid.rows} ${grid.space}`;
+  const squares = allSquares(grid);
+  const hexes = squares.map((s) => s.hex);
+  const labels = squares.map((s) => labelOf(s.col, s.row));
+  const problems = [];
+  if (squares.length !== grid.cols * grid.rows) problems.push(`${name}: ${squares.length} squares`);
+  if (!hexes.every((h) => /^#[0-9a-f]{6}$/.test(h))) problems.push(`${name}: a colour is not a hex`);
+  if (new Set(hexes).size !== hexes.length) problems.push(`${name}: ${hexes.length - new Set(hexes).size} square(s) share a colour`);
+  if (new Set(labels).size !== labels.length || labels.some((l) => /\?|^[IO]/.test(l))) problems.push(`${name}: labels are missing, repeated, or use I/O`);
+  if (!inBounds(grid.cols - 1, grid.rows - 1, grid) || inBounds(grid.cols, 0, grid)) problems.push(`${name}: bounds do not match the board`);
+  const centre = { col: Math.floor(grid.cols / 2), row: Math.floor(grid.rows / 2) };
+  if (squares.filter((s) => scoreFor(s, centre, grid) === 3).length !== 1) problems.push(`${name}: more than the target scores three`);
+  return problems;
+}
+
+const broken = allGrids().flatMap(problemsWith);
+if (broken.length) {
+  console.error('hue grid — not syncing, a board preset is broken:\n');
+  broken.forEach((p) => console.error(`  ${p}`));
+  process.exit(1);
+}
+console.log(`hue grid — all ${allGrids().length} board presets draw cleanly`);
+
 if (!fs.existsSync(path.dirname(BROWSER))) {
   console.error(`No frontend in this checkout (${path.dirname(BROWSER)}) — nothing to sync.`);
   process.exit(1);
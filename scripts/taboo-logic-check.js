@@ -1,6 +1,9 @@
 /*
   Taboo logic check — proves a game completes for team mode (4+) and co-op (3),
   and that scoring (got +1, skip 0, buzz -1) and the buzz permission rules work.
+  Then typed-clue mode: the server refusing or penalising a clue that says the
+  card's word or a forbidden one (by stem — "running" trips "Run"), and
+  scoring typed guesses itself.
 
   Usage: node scripts/taboo-logic-check.js [numPlayers]
 */
@@ -81,7 +84,63 @@ function run(N) {
   return state.status === 'finished' && visibilityOk;
 }
 
+// ── Typed clues ───────────────────────────────────────────────────────────────
+const MARATHON = { word: 'Marathon', forbidden: ['Run', 'Race', 'Miles', 'Finish', 'Training'] };
+const BURGER = { word: 'Burger', forbidden: ['Beef', 'Bun', 'Patty', 'Fast food', 'Chips'] };
+
+function typed(slipRule) {
+  const results = [];
+  const check = (name, cond) => { results.push(cond); console.log(`  ${cond ? 'ok  ' : 'FAIL'}  ${slipRule}: ${name}`); };
+  const base = { ...mk(4), ...TabooGame.createInitialState({ typedClues: true, slipRule }) };
+  let state = TabooGame.onStart(base);
+  state = { ...state, deck: [MARATHON, BURGER, MARATHON], deckIndex: 0 };
+  const byId = (id) => state.players.find((p) => p.id === id);
+  const giver = byId(state.teams.A[0]);
+  const mate = byId(state.teams.A[1]);
+  const opp = byId(state.teams.B[0]);
+  const act = (a, payload, p) => { const n = TabooGame.handleAction(state, a, payload, p); if (n) state = n; return !!n; };
+
+  act('start_turn', {}, giver);
+  act('clue', { text: 'a very long marathons event' }, giver);
+  check('a clue saying the card\'s word is refused and never shown',
+    state.turn.clues.length === 0 && state.turn.rejected?.reason === 'answer' && !JSON.stringify(TabooGame.deriveClientState(state, mate.id)).includes('marathons'));
+  check('...and only the giver is told it was refused',
+    TabooGame.deriveClientState(state, mate.id).turn.rejected === undefined && !!TabooGame.deriveClientState(state, giver.id).turn.rejected);
+
+  act('clue', { text: 'people running a long way' }, giver);
+  if (slipRule === 'reject') {
+    check('"running" trips "Run", and the clue is refused', state.turn.clues.length === 0 && state.turn.rejected?.words?.join() === 'Run');
+  } else {
+    check('"running" trips "Run", and costs the card', state.teamScores.A === -1 && state.turn.buzzed === 1 && state.deckIndex === 1);
+    check('...with the struck clue shown', state.turn.lastCard?.clues?.[0]?.taboo?.join() === 'Run');
+  }
+  if (slipRule === 'reject') act('skip_word', {}, giver);
+
+  act('clue', { text: 'you get these at a fast food place' }, giver);
+  check('a forbidden phrase is caught across words', slipRule === 'reject'
+    ? state.turn.rejected?.words?.join() === 'Fast food'
+    : state.teamScores.A === -2);
+
+  state = { ...state, deckIndex: 1 };
+  act('clue', { text: 'round thing in a bread roll' }, giver);
+  check('a clean clue goes through', state.turn.clues.at(-1)?.text === 'round thing in a bread roll');
+  check('the other team cannot guess', !act('guess', { text: 'burger' }, opp));
+  check('the giver cannot press got_word, nor anyone buzz',
+    TabooGame.handleAction(state, 'got_word', {}, giver) === null && TabooGame.handleAction(state, 'buzz', {}, opp) === null);
+  const before = state.teamScores.A;
+  act('guess', { text: 'sandwich' }, mate);
+  check('a wrong guess is shown and scores nothing', state.turn.guesses.at(-1)?.right === false && state.teamScores.A === before);
+  act('guess', { text: 'Burgers' }, mate);
+  check('a right guess scores the card and deals the next', state.teamScores.A === before + 1 && state.turn.got === 1 && state.turn.guesses.length === 0);
+  return results.every(Boolean);
+}
+
 const only = Number(process.argv[2]);
 const sizes = only ? [only] : [3, 4, 5, 6];
 const ok = sizes.map(run);
+console.log('');
+ok.push(typed('reject'), typed('penalty'));
+const spoken = TabooGame.onStart(mk(4));
+ok.push(TabooGame.handleAction(spoken, 'clue', { text: 'hi' }, spoken.players[0]) === null);
 console.log(ok.every(Boolean) ? '\nAll good.' : '\nFAILURES ABOVE.');
+if (!ok.every(Boolean)) process.exitCode = 1;
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/*
+  Picking teams in the lobby, for Taboo and Fishbowl.
+
+    node scripts/team-assignment-check.js
+
+  Teams used to be dealt by join order at kickoff. Now the host picks them
+  (engine/teams.js) and the games keep them level:
+    - set_team / shuffle_teams / balance_teams are the host's, and only while
+      teams are still open — the lobby, or Fishbowl's word-writing phase
+    - join_team lets a player pick their own side, while the teams are open
+    - kickoff keeps the host's picks and deals everyone else onto the smaller side
+    - balance_teams splits on tonight's session points, else running score
+    - rename_team works any time and a blank name clears it
+    - a team left two short gets a player back between turns, never mid-turn
+    - a giver who leaves mid-turn hands on to the next teammate in line, and
+      nobody is skipped or goes twice
+
+  Pure functions, no database and no server needed.
+*/
+import { TabooGame } from '../src/games/taboo/game.js';
+import { FishbowlGame } from '../src/games/fishbowl/game.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+function room(def, n, extra = {}) {
+  const players = Array.from({ length: n }, (_, i) => ({
+    id: 'p' + i, username: 'P' + i, connected: true, score: 0, joinedAt: i,
+  }));
+  return { roomCode: 'TEAM', hostId: 'p0', status: 'lobby', players, ...def.createInitialState({}), ...extra };
+}
+const host = (state) => state.players[0];
+const guest = (state) => state.players[1];
+const sorted = (ids) => [...ids].sort().join(',');
+
+console.log('Taboo — the lobby');
+{
+  let s = room(TabooGame, 6);
+  is('a guest cannot move people', TabooGame.handleAction(s, 'set_team', { playerId: 'p2', team: 'A' }, guest(s)) === null);
+  is('a team must be A, B or null', TabooGame.handleAction(s, 'set_team', { playerId: 'p2', team: 'C' }, host(s)) === null);
+  is('nobody who is not here can be placed', TabooGame.handleAction(s, 'set_team', { playerId: 'nobody', team: 'A' }, host(s)) === null);
+
+  // Keep the couple p0/p1 apart; leave the rest to the deal.
+  s = TabooGame.handleAction(s, 'set_team', { playerId: 'p0', team: 'A' }, host(s));
+  s = TabooGame.handleAction(s, 'set_team', { playerId: 'p1', team: 'B' }, host(s));
+  s = TabooGame.handleAction(s, 'set_team', { playerId: 'p2', team: 'A' }, host(s));
+  s = TabooGame.handleAction(s, 'set_team', { playerId: 'p2', team: 'B' }, host(s));
+  is('moving a player takes them off their old team', sorted(s.teams.A) === 'p0' && sorted(s.teams.B) === 'p1,p2', JSON.stringify(s.teams));
+
+  s = TabooGame.handleAction(s, 'rename_team', { team: 'A', name: '  The Cavemen  ' }, host(s));
+  is('a team name is trimmed', s.teamNames.A === 'The Cavemen', s.teamNames.A);
+  s = TabooGame.handleAction(s, 'rename_team', { team: 'B', name: 'x'.repeat(60) }, host(s));
+  is('a team name is capped', s.teamNames.B.length === 24, String(s.teamNames.B.length));
+
+  const started = TabooGame.onStart(s);
+  is('kickoff keeps the picks', started.teams.A.includes('p0') && started.teams.B.includes('p1') && started.teams.B.includes('p2'), JSON.stringify(started.teams));
+  is('and deals the rest onto the smaller side', started.teams.A.length === 3 && started.teams.B.length === 3, JSON.stringify(started.teams));
+  is('the names survive kickoff', started.teamNames.A === 'The Cavemen');
+  is('teams are closed once play begins', TabooGame.handleAction({ ...started, status: 'playing' }, 'set_team', { playerId: 'p0', team: 'B' }, host(started)) === null);
+  const renamed = TabooGame.handleAction(started, 'rename_team', { team: 'A', name: '' }, host(started));
+  is('renaming still works mid-game, and a blank name clears it', renamed?.teamNames.A === null);
+}
+{
+  let s = room(TabooGame, 5);
+  for (const p of s.players) s = TabooGame.handleAction(s, 'set_team', { playerId: p.id, team: 'A' }, host(s));
+  const started = TabooGame.onStart(s);
+  is('everyone put on one side still makes two teams', started.teams.A.length && started.teams.B.length, JSON.stringify(started.teams));
+}
+{
+  let s = room(TabooGame, 4);
+  s = TabooGame.handleAction(s, 'join_team', { team: 'B' }, guest(s));
+  is('a player can pick their own side', sorted(s.teams.B) === 'p1', JSON.stringify(s.teams));
+  s = TabooGame.handleAction(s, 'join_team', { team: null }, guest(s));
+  is('...and leave it to the deal again', !s.teams.B.length);
+  is('...but not once play begins', TabooGame.handleAction({ ...s, status: 'playing' }, 'join_team', { team: 'A' }, guest(s)) === null);
+}
+{
+  const s = TabooGame.handleAction(room(TabooGame, 7), 'shuffle_teams', {}, { id: 'p0' });
+  is('shuffling splits everyone evenly', s.teams.A.length + s.teams.B.length === 7 && Math.abs(s.teams.A.length - s.teams.B.length) === 1, JSON.stringify(s.teams));
+}
+
+console.log('\nbalance by past score');
+{
+  const s = room(TabooGame, 4);
+  s.players = s.players.map((p, i) => ({ ...p, score: [10, 9, 1, 0][i] }));
+  const b = TabooGame.handleAction(s, 'balance_teams', {}, host(s));
+  is('the two best are split up', b.teams.A.includes('p0') !== b.teams.A.includes('p1'), JSON.stringify(b.teams));
+  is('and the sides are the same size', b.teams.A.length === 2 && b.teams.B.length === 2, JSON.stringify(b.teams));
+
+  // Tonight's session outranks the running score.
+  const night = { ...s, session: { startedAt: 0, games: [{ game: '/wyr', points: { p2: 10, p3: 9, p0: 0, p1: 0 } }] } };
+  const n = TabooGame.handleAction(night, 'balance_teams', {}, host(night));
+  is('a game night balances on the night\'s points', n.teams.A.includes('p2') !== n.teams.A.includes('p3'), JSON.stringify(n.teams));
+}
+
+console.log('\nsomeone leaves');
+{
+  let s = TabooGame.onStart(room(TabooGame, 6));
+  const drop = (state, ids) => ({ ...state, players: state.players.map((p) => (ids.includes(p.id) ? { ...p, connected: false } : p)) });
+  const [b1, b2] = s.teams.B;
+
+  const one = drop(s, [b1]);
+  is('a one-player gap is left alone', TabooGame.onPlayerDisconnect(one, { id: b1 }) === null);
+
+  // Two of B leave while A is mid-turn: nobody moves until the turn ends.
+  s = TabooGame.handleAction(s, 'start_turn', {}, s.players.find((p) => p.id === s.teams.A[0]));
+  s = drop(s, [b1, b2]);
+  is('nobody moves mid-turn', TabooGame.onPlayerDisconnect(s, { id: b2 }) === null);
+  s = TabooGame.handleAction(s, 'end_turn', {}, host(s));
+  const online = (team) => s.teams[team].filter((id) => s.players.find((p) => p.id === id).connected).length;
+  is('the short team gets a player back at the end of the turn', online('A') === 2 && online('B') === 2, JSON.stringify(s.teams));
+
+  const idle = TabooGame.onStart(room(TabooGame, 6));
+  const gone = drop(idle, idle.teams.A.slice(0, 2));
+  const level = TabooGame.onPlayerDisconnect(gone, { id: idle.teams.A[1] });
+  is('between turns a leaver is made up for at once', level && level.teams.A.length === 4, JSON.stringify(level?.teams));
+}
+
+console.log('\nwhose turn to give');
+{
+  const s0 = TabooGame.onStart(room(TabooGame, 6, { totalRounds: 8 }));
+  const [a0, a1, a2] = s0.teams.A;
+  const byId = (state, id) => state.players.find((p) => p.id === id);
+  const giverOf = (state) => TabooGame.deriveClientState(state, 'p0').currentGiverId;
+  const turn = (state) => {
+    const t = TabooGame.handleAction(state, 'start_turn', {}, byId(state, giverOf(state)));
+    return TabooGame.handleAction(t, 'end_turn', {}, host(t));
+  };
+  is('A\'s first in line gives first', giverOf(s0) === a0);
+
+  let s = TabooGame.handleAction(s0, 'start_turn', {}, byId(s0, a0));
+  s = { ...s, players: s.players.map((p) => (p.id === a0 ? { ...p, connected: false } : p)) };
+  s = TabooGame.onPlayerDisconnect(s, { id: a0 });
+  is('the giver leaving mid-turn ends it', s.turn === null && s.currentTeam === 'B');
+  s = turn(s);
+  is('...and A\'s next turn is the teammate after them, not the one after that', giverOf(s) === a1, `${giverOf(s)}, not ${a1}`);
+
+  s = { ...s, players: s.players.map((p) => (p.id === a0 ? { ...p, connected: true } : p)) };
+  s = turn(turn(s));
+  is('coming back does not buy the leaver a second go', giverOf(s) === a2, `${giverOf(s)}, not ${a2}`);
+  s = turn(turn(s));
+  is('...they give when the line comes round again', giverOf(s) === a0, `${giverOf(s)}, not ${a0}`);
+}
+
+console.log('\nFishbowl');
+{
+  let s = room(FishbowlGame, 4);
+  s = FishbowlGame.onStart(s);
+  s = FishbowlGame.handleAction(s, 'set_team', { playerId: 'p0', team: 'A' }, host(s));
+  s = FishbowlGame.handleAction(s, 'set_team', { playerId: 'p1', team: 'A' }, host(s));
+  is('teams can still be picked while the bowl fills', sorted(s.teams.A) === 'p0,p1', JSON.stringify(s.teams));
+  for (const p of s.players) s = FishbowlGame.handleAction(s, 'submit_words', { words: [p.id + 'a', p.id + 'b'] }, p);
+  is('the bowl fills and play begins', s.phase === 'playing');
+  is('the picks are who plays together', sorted(s.teams.A) === 'p0,p1' && sorted(s.teams.B) === 'p2,p3', JSON.stringify(s.teams));
+  is('and are closed from then on', FishbowlGame.handleAction(s, 'shuffle_teams', {}, host(s)) === null);
+}
+{
+  const s = FishbowlGame.onStart(room(FishbowlGame, 3));
+  const t = FishbowlGame.handleAction(s, 'set_team', { playerId: 'p0', team: 'B' }, host(s));
+  let played = t;
+  for (const p of played.players) played = FishbowlGame.handleAction(played, 'submit_words', { words: [p.id] }, p);
+  is('three players still play co-op whatever was picked', played.coop && played.teams.A.length === 3, JSON.stringify(played.teams));
+}
+
+console.log('');
+if (failures) { console.log(`team assignment — ${failures} problem(s)`); process.exit(1); }
+console.log('team assignment — hosts pick the teams, and the games keep them level');
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/*
+  Team Trivia — flat and speed scoring, streaks, the answer clock, teams, and
+  question types.
+
+    node scripts/teamtrivia-logic-check.js
+
+    - flat scoring is still the default, and still a point a right answer
+    - speed scoring: the server times each answer, and sooner is worth more
+    - a run of right answers multiplies the points, capped; a miss ends the run
+    - an answer after the clock (and its grace) is refused
+    - the reveal says who was fastest and carries each answer's breakdown
+    - teams: one answer per team, by majority or by the captain, scored into
+      teamScores, with each player's own record kept alongside
+    - true/false, typed and closest-number questions from a pack play, grade,
+      and keep their answers hidden until the reveal
+
+  The clock is Date.now(), which this script sets by hand.
+
+  Pure functions, no database and no server needed.
+*/
+import { TeamTriviaGame as G, streakMultiplier, speedPoints } from '../src/games/teamtrivia/game.js';
+import { parseTrivia } from '../src/models/packParse.js';
+
+let failures = 0;
+const fail = (m, d = '') => { console.log(`  FAIL  ${m}${d ? ' — ' + d : ''}`); failures += 1; };
+const ok = (m) => console.log(`  ok    ${m}`);
+const is = (m, cond, d = '') => (cond ? ok(m) : fail(m, d));
+
+let now = 1_000_000;
+Date.now = () => now;
+
+const players = (n) => Array.from({ length: n }, (_, i) => ({
+  id: `p${i}`, username: `P${i}`, connected: true, score: 0,
+}));
+const lobby = (settings = {}, n = 3) => ({ hostId: 'p0', status: 'lobby', players: players(n), ...G.createInitialState(settings) });
+const start = (settings = {}) => G.onStart(lobby(settings));
+const find = (s, id) => s.players.find((p) => p.id === id);
+const act = (s, action, payload, id) => G.handleAction(s, action, payload, find(s, id)) || s;
+const score = (s, id) => find(s, id).score;
+const wrong = (s) => (s.round.answerIndex + 1) % 4;
+
+// Answer at `afterMs` into the question, then move on once everyone has.
+function answer(s, id, right, afterMs) {
+  now = s.round.startedAt + afterMs;
+  return act(s, 'submit_answer', { optionIndex: right ? s.round.answerIndex : wrong(s) }, id);
+}
+const next = (s) => act(s, 'next_round', {}, 'p0');
+
+console.log('flat scoring');
+{
+  const s = start();
+  is('is the default', s.scoring === 'flat' && s.timerSec === null);
+  let r = answer(s, 'p0', true, 500);
+  r = answer(r, 'p1', true, 9000);
+  r = answer(r, 'p2', false, 100);
+  is('a right answer is a point, however long it took', score(r, 'p0') === 1 && score(r, 'p1') === 1 && score(r, 'p2') === 0);
+  is('...and the reveal still says who was fastest', r.round.results.fastestCorrectId === 'p0');
+  r = answer(next(r), 'p0', true, 100);
+  r = answer(r, 'p1', true, 100);
+  r = answer(r, 'p2', true, 100);
+  is('streaks are counted for the badges', r.streaks.p0 === 2 && r.streaks.p2 === 1, JSON.stringify(r.streaks));
+  is('...but pay nothing extra', score(r, 'p0') === 2);
+  is('a bad setting falls back to flat', G.createInitialState({ scoring: 'fastest' }).scoring === 'flat');
+}
+
+console.log('\nspeed scoring');
+{
+  const s = start({ scoring: 'speed', timer: 20 });
+  is('puts a clock on the question', s.timerSec === 20 && s.round.deadline === s.round.startedAt + 20000);
+  is('speed scoring with no timer gets one anyway', start({ scoring: 'speed' }).timerSec > 0);
+  is('points fall from 1000 to 500 across the clock', speedPoints(0, 20000) === 1000 && speedPoints(10000, 20000) === 750
+    && speedPoints(20000, 20000) === 500 && speedPoints(25000, 20000) === 500);
+
+  let r = answer(s, 'p0', true, 2000);
+  r = answer(r, 'p1', true, 15000);
+  r = answer(r, 'p2', false, 1000);
+  is('the quicker right answer scores more', score(r, 'p0') === 950 && score(r, 'p1') === 625, `${score(r, 'p0')} / ${score(r, 'p1')}`);
+  is('a wrong answer scores nothing, however quick', score(r, 'p2') === 0);
+  const { breakdown, fastestCorrectId, scoring } = r.round.results;
+  const p0 = breakdown.find((b) => b.playerId === 'p0');
+  is('the breakdown carries the timing and the points', p0.ms === 2000 && p0.points === 950 && p0.correct && p0.streak === 1 && p0.multiplier === 1,
+    JSON.stringify(p0));
+  is('...and names the fastest right answer, not the fastest answer', fastestCorrectId === 'p0' && scoring === 'speed');
+
+  // Second question: p0 and p1 on a run, p2 starting one.
+  r = next(r);
+  r = answer(r, 'p0', true, 0);
+  r = answer(r, 'p1', false, 0);
+  r = answer(r, 'p2', true, 0);
+  const b = (id) => r.round.results.breakdown.find((x) => x.playerId === id);
+  is('two in a row is worth 1.1x', b('p0').multiplier === 1.1 && b('p0').points === 1100, JSON.stringify(b('p0')));
+  is('a miss ends the run', r.streaks.p1 === 0 && b('p1').points === 0);
+  is('the streak multiplier is capped', streakMultiplier(1) === 1 && streakMultiplier(6) === 1.5 && streakMultiplier(20) === 1.5);
+}
+
+console.log('\nthe clock');
+{
+  const s = start({ scoring: 'speed', timer: 10 });
+  let r = answer(s, 'p0', true, 10500);
+  is('a tap in flight at the buzzer still counts, for the least', score(r, 'p0') === 0 && r.round.answers.length === 1);
+  r = answer(r, 'p1', true, 12000);
+  is('an answer well after the clock is refused', r.round.answers.length === 1);
+  now = r.deadline;
+  r = G.onDeadline(r);
+  is('the deadline reveals', r.phase === 'reveal' && r.deadline === null && score(r, 'p0') === 500);
+  is('nobody answering ends their run', r.streaks.p1 === 0 && r.streaks.p0 === 1);
+  is('the deadline does nothing once revealed', G.onDeadline(r) === null);
+}
+
+console.log('\nteams');
+{
+  const pack = Array.from({ length: 8 }, (_, i) => ({ q: `Office question ${i}?`, options: ['Right', 'Wrong 1', 'Wrong 2', 'Wrong 3'] }));
+  let l = lobby({ teamPlay: 'majority', customQuestions: pack }, 6);
+  is('solo is still the default', G.createInitialState({}).teamPlay === null && !('teams' in G.createInitialState({})));
+  l = act(l, 'join_team', { team: 'A' }, 'p1');
+  l = act(l, 'join_team', { team: 'A' }, 'p2');
+  l = act(l, 'rename_team', { team: 'A', name: 'Accounts' }, 'p0');
+  is('players pick their own side in the lobby', l.teams.A.join() === 'p1,p2' && l.teamNames.A === 'Accounts', JSON.stringify(l.teams));
+  is('...but not anyone else\'s', G.handleAction(l, 'set_team', { playerId: 'p1', team: 'B' }, find(l, 'p3')) === null);
+
+  let s = G.onStart(l);
+  is('kickoff deals the rest', s.teams.A.length === 3 && s.teams.B.length === 3 && s.teams.A.includes('p1'), JSON.stringify(s.teams));
+  is('a pack plays in teams too', s.round.question.startsWith('Office question'));
+  is('sides are closed once play begins', G.handleAction(s, 'join_team', { team: 'B' }, find(s, 'p1')) === null);
+
+  const [a1, a2, a3] = s.teams.A;
+  const [b1, b2, b3] = s.teams.B;
+  s = answer(s, a1, true, 1000);
+  const view = G.deriveClientState(s, a2);
+  is('teammates see each other\'s taps', view.round.answers.some((x) => x.playerId === a1));
+  s = answer(s, b1, true, 1000);
+  is('...and never the other team\'s', !G.deriveClientState(s, a2).round.answers.some((x) => x.playerId === b1));
+  s = answer(s, a2, true, 3000);
+  s = answer(s, a3, false, 500);
+  s = answer(s, b2, false, 2000);
+  s = answer(s, b3, false, 2500);
+  const { teams } = s.round.results;
+  is('the majority is the team\'s answer', teams.A.correct && !teams.B.correct, JSON.stringify(teams));
+  is('a right team answer scores for the team', s.teamScores.A === 1 && s.teamScores.B === 0, JSON.stringify(s.teamScores));
+  is('the reveal gives each team\'s tally and split', teams.A.tally[s.round.answerIndex] === 2
+    && teams.A.split.agreed === 2 && teams.A.split.disagreed === 1 && teams.B.split.agreed === 2 && teams.B.split.unanswered === 0,
+    JSON.stringify(teams.A));
+  is('everyone keeps their own score and record', score(s, b1) === 1 && score(s, a3) === 0
+    && s.stats[b1].correct === 1 && s.stats[a1].fastest === 1, JSON.stringify(s.stats));
+
+  // A 1-1 tie goes to the option the team reached for first.
+  let t = G.onStart({ ...lobby({ teamPlay: 'majority' }, 4) });
+  const [ta, tb] = t.teams.A;
+  t = answer(t, ta, false, 100);
+  t = answer(t, tb, true, 200);
+  t = act(t, 'force_reveal', {}, 'p0');
+  is('a tie goes to the first option picked', t.round.results.teams.A.optionIndex === wrong(t) && t.teamScores.A === 0);
+
+  // Offline at kickoff, so dealt no side; back for the first question.
+  const away = lobby({ teamPlay: 'majority' }, 5);
+  let o = G.onStart({ ...away, players: away.players.map((p) => (p.id === 'p4' ? { ...p, connected: false } : p)) });
+  o = { ...o, players: o.players.map((p) => ({ ...p, connected: true })) };
+  is('someone offline at kickoff has no side', !o.teams.A.includes('p4') && !o.teams.B.includes('p4'));
+  for (const id of [...o.teams.A, ...o.teams.B]) o = answer(o, id, true, 100);
+  is('...and the question does not wait on them', o.phase === 'reveal');
+  o = next(o);
+  is('the next question seats them', o.teams.A.includes('p4') || o.teams.B.includes('p4'), JSON.stringify(o.teams));
+  o = answer(o, 'p4', true, 100);
+  is('...and their answer counts', o.round.answers.some((x) => x.playerId === 'p4'));
+}
+{
+  const pack = Array.from({ length: 8 }, (_, i) => ({ q: `Question ${i}?`, options: ['Right', 'No', 'Nope', 'Never'] }));
+  let s = G.onStart(lobby({ teamPlay: 'captain', scoring: 'speed', timer: 20, customQuestions: pack }, 4));
+  const [a1, a2] = s.teams.A;
+  const [b1, b2] = s.teams.B;
+  is('a captain can only be named from their own team', G.handleAction(s, 'set_captain', { team: 'A', playerId: b1 }, find(s, 'p0')) === null);
+  s = act(s, 'set_captain', { team: 'A', playerId: a2 }, 'p0');
+  is('the host names the captain', G.deriveClientState(s, a1).captains.A === a2);
+  is('...and a team without one follows its first player', G.deriveClientState(s, a1).captains.B === b1);
+  s = answer(s, a1, false, 1000);
+  s = answer(s, b2, false, 1000);
+  is('advice does not end the question', s.phase === 'answering');
+  s = answer(s, a2, true, 4000);
+  s = answer(s, b1, true, 10000);
+  const { teams } = s.round.results;
+  is('the captains\' taps are the answers, and the question ends on them', s.phase === 'reveal' && teams.A.correct && teams.B.correct);
+  is('a quicker captain scores the team more', s.teamScores.A === 900 && s.teamScores.B === 750, JSON.stringify(s.teamScores));
+
+  // The captain leaves; the next question waits on whoever stands in.
+  s = { ...next(s), players: s.players.map((p) => (p.id === a2 ? { ...p, connected: false } : p)) };
+  is('a captain who leaves is stood in for', G.deriveClientState(s, a1).captains.A === a1);
+  s = answer(s, a1, true, 1000);
+  s = answer(s, b1, true, 1000);
+  is('the stand-in\'s tap counts, and the team\'s run carries on', s.phase === 'reveal' && s.teamStreaks.A === 2
+    && s.round.results.teams.A.multiplier === 1.1, JSON.stringify(s.round.results.teams.A));
+
+  let f = s;
+  while (f.status !== 'finished') {
+    f = next(f);
+    f = answer(f, a1, true, 0);
+    f = answer(f, b1, false, 0);
+  }
+  is('the winning team is the winner', f.winner === 'A');
+}
+
+console.log('\nquestion types');
+{
+  // One question at a time: a pack of one, played by p0..p2.
+  const only = (line, settings = {}) => start({ ...settings, customQuestions: parseTrivia(line).items });
+  const send = (s, id, payload) => act(s, 'submit_answer', payload, id);
+  const hidden = (s) => {
+    const v = G.deriveClientState(s, 'p1');
+    return v.round.answerIndex === null && v.round.answer === null && v.round.accepted === null;
+  };
+
+  let tf = only('The sun is a star | True');
+  is('true/false reads True, False', tf.round.type === 'truefalse' && tf.round.options.join() === 'True,False' && tf.round.answerIndex === 0);
+  is('...and takes only those two', send(tf, 'p0', { optionIndex: 2 }) === tf);
+  tf = send(send(send(tf, 'p0', { optionIndex: 0 }), 'p1', { optionIndex: 1 }), 'p2', { optionIndex: 0 });
+  is('...and grades them', tf.round.results.correctPlayerIds.join() === 'p0,p2' && tf.round.results.tally.join() === '2,1');
+
+  const three = only('Capital of France? | Paris | London | Rome');
+  is('a three-option question deals three options', three.round.options.length === 3 && three.round.options[three.round.answerIndex] === 'Paris');
+
+  let typed = only('Type: Capital of Germany? | Berlin | Berlín');
+  is('a typed question has no options', typed.round.options === null && typed.round.type === 'typed');
+  is('...and its answer and alternates are hidden', hidden(typed) && G.deriveSpectatorState(typed).round.answer === null);
+  is('an empty answer is not an answer', send(typed, 'p0', { text: '   ' }) === typed);
+  typed = send(typed, 'p0', { text: 'berlin!' });
+  typed = send(typed, 'p1', { text: 'Berlín' });
+  is('nobody sees another\'s typing', G.deriveClientState(typed, 'p2').round.answers.length === 0);
+  typed = send(typed, 'p2', { text: 'Bonn' });
+  is('typed answers are normalised, and alternates count', typed.round.results.correctPlayerIds.join() === 'p0,p1'
+    && typed.round.results.answer === 'Berlin' && typed.round.results.tally === null, JSON.stringify(typed.round.results.correctPlayerIds));
+
+  let num = only('How tall is Everest? | 8.8k metres');
+  is('a number question keeps its unit in view and its answer hidden', num.round.unit === 'metres' && hidden(num));
+  num = send(num, 'p0', { number: 8000 });
+  num = send(num, 'p1', { number: '9,600' });
+  num = send(num, 'p2', { number: 'lots' });
+  is('something that is not a number is refused', num.phase === 'answering');
+  num = send(num, 'p2', { number: 7000 });
+  is('the closest wins, over or under', num.round.results.correctPlayerIds.join() === 'p0,p1' && num.round.results.answer === 8800,
+    JSON.stringify(num.round.results.correctPlayerIds));
+
+  // Nothing a player or spectator is sent mid-question holds an answer: not
+  // the round's, and not the pack's, which is every answer at once. (A
+  // multiple-choice answer is among its options, so Lima is not looked for.)
+  const pack = parseTrivia([
+    'Type: Capital of Germany? | Berlin | Berlín',
+    'How tall is Everest? | 8.8k metres',
+    'Capital of Peru? | Lima | Quito | Bogota',
+  ].join('\n')).items;
+  let p = start({ customQuestions: pack });
+  const leaks = [];
+  for (let r = 0; r < pack.length; r += 1) {
+    for (const view of [...['p0', 'p1', 'p2'].map((id) => G.deriveClientState(p, id)), G.deriveSpectatorState(p)]) {
+      const json = JSON.stringify(view);
+      if ('customQuestions' in view) leaks.push(`${p.round.type}: the pack`);
+      if (view.round.answerIndex !== null) leaks.push(`${p.round.type}: answerIndex`);
+      for (const text of ['Berlin', 'Berlín', '8800']) if (json.includes(text)) leaks.push(`${p.round.type}: ${text}`);
+    }
+    p = next(act(p, 'force_reveal', {}, 'p0'));
+  }
+  is('no answer of any type reaches a player or spectator before the reveal', leaks.length === 0, [...new Set(leaks)].join(', '));
+
+  // In teams, the closer team's number wins.
+  let t = G.onStart(lobby({ teamPlay: 'majority', customQuestions: parseTrivia('When did Apollo 11 land? | 1969').items }, 4));
+  const [a1, a2] = t.teams.A;
+  const [b1, b2] = t.teams.B;
+  t = send(send(t, a1, { number: 1970 }), a2, { number: 1970 });
+  t = send(send(t, b1, { number: 1960 }), b2, { number: 1969 });
+  const { teams } = t.round.results;
+  is('the closer team answer wins', teams.A.correct && !teams.B.correct && teams.A.number === 1970 && teams.B.number === 1960,
+    JSON.stringify(teams));
+}
+
+console.log('');
+if (failures) { console.log(`team trivia — ${failures} problem(s)`); process.exit(1); }
+console.log('team trivia — flat by default, faster and on a run when the host asks, in teams, and past multiple choice');
@@ -15,6 +15,7 @@
   served at /two-truths-and-a-lie.
 */
 export const GAME_DIRECTORY = {
+  '/herd': { name: 'Herd Mentality', path: '/herd-mentality' },
   '/sa': { name: 'Say Anything', path: '/say-anything' },
   '/guesstimate': { name: 'Guesstimate', path: '/guesstimate' },
   '/clover': { name: 'Clover', path: '/clover' },
@@ -2,10 +2,51 @@ import { usePack } from '../packs.js';
 import { randomUUID } from 'crypto';
 import * as store from './store.js';
 import { logEvent } from '../analytics.js';
-import { snapshotRoom, loadRoom } from './persistence.js';
-import { wrongGameMessage } from './gameDirectory.js';
+import { snapshotRoom, loadRoom, appendLog, saveToken } from './persistence.js';
+import { applyEntry, replayTail, toLogged, isLogBase } from './replay.js';
+import { newSeed, seedFrom, withRoomRandom } from './random.js';
+import { canHost } from './roles.js';
+import { openSession, recordGame, sessionView } from './session.js';
+import { describeGame, wrongGameMessage } from './gameDirectory.js';
 
 const HOST_MIGRATION_DELAY_MS = 20_000; // migrate host after 20s offline
+const ROOM_SWEEP_MS = 10 * 60 * 1000;    // look for expired rooms' timers this often
+
+// The Socket.IO room a game's watchers sit in, next to (not inside) the code
+// itself — nobody in it is a player, so nothing per-player is ever sent there.
+const spectatorRoom = (roomCode) => `${roomCode}#spectators`;
+
+// A state as the derive hooks see it: without the room's random stream, which
+// would let a client compute the next deal (random.js). Most games spread the
+// state into what they send, so stripping it here is the only safe place.
+const visible = ({ rng, roomSettings, session, ...state }) => state;
+
+// Every mounted game by namespace, so a rematch can move a room between them.
+const mountedGames = new Map();
+
+/*
+  Custom question packs are resolved HERE rather than in each game, so every
+  namespaced game gets them for free. createInitialState is synchronous, so
+  the async lookup has to happen before it is called. A bad or expired code
+  must never block the room — the game simply falls back to its built-in
+  questions.
+
+  `customQuestions` is stripped FIRST, unconditionally. It is a field the
+  server fills in, and `settings` arrives straight off the socket: left alone,
+  a client that simply omits packCode had its own array carried into
+  createInitialState untouched, past the 60-question cap, past the
+  140-character cap and past every shape check, and served to everyone in the
+  room. Resolving the pack only when packCode is present is correct; trusting
+  the resolved field to be absent otherwise was not.
+
+  `seed` goes too: create_game reads it before this, and nothing else should.
+*/
+async function resolveSettings(raw) {
+  const { customQuestions: _ignored, seed: _seed, ...settings } = raw || {};
+  if (!settings.packCode) return settings;
+  const items = await usePack(settings.packCode);
+  return { ...settings, customQuestions: items || null };
+}
 
 /**
  * Mount a game onto a Socket.IO namespace.
@@ -15,26 +56,157 @@ const HOST_MIGRATION_DELAY_MS = 20_000; // migrate host after 20s offline
  *   onStart(state)               -> newState
  *   handleAction(state, action, payload, player) -> newState | null
  *   deriveClientState(state, playerId) -> clientState  (hide secrets per player)
+ *
+ * and may implement:
+ *   onPlayerDisconnect(state, player) -> newState | null
+ *   onDeadline(state)                 -> newState | null
+ *     Called by the SERVER when `state.deadline` (epoch ms) passes. A game sets
+ *     `deadline` when a timed phase begins and clears it when the phase ends;
+ *     the engine does the scheduling.
+ *   deriveSpectatorState(state)       -> clientState
+ *     What a watcher sees. Required for a game to accept spectators.
+ *   onLateJoin(state, player)         -> newState | null
+ *     Seat someone who arrives after Start. `player` is already in
+ *     state.players; return null to turn them away. A game without it only
+ *     takes new players in the lobby.
+ *
+ * Host and co-host roles, and the socket events and player fields a client
+ * uses for them, are described in roles.js.
+ *
+ * Every hook except deriveClientState/deriveSpectatorState must be a pure
+ * function of its arguments, random() from random.js and Date.now(): the
+ * action log (replay.js) re-runs them to rebuild a room, and those two replay
+ * as the live call saw them. Anything else random — Math.random, crypto, a
+ * module-level counter — would replay differently.
  */
 export function mountGame(io, namespacePath, gameDef) {
   const nsp = io.of(namespacePath);
+  mountedGames.set(namespacePath, gameDef);
 
-  // pending host migration timers: roomCode -> timeoutHandle
+  // pending host migrations: roomCode -> { at, handle }
   const migrationTimers = new Map();
 
-  function broadcast(roomCode) {
-    const state = store.getGame(roomCode);
-    if (!state) return;
+  // the rooms each socket on THIS instance has a seat in: socketId -> Set<roomCode>
+  const socketRooms = new Map();
+
+  // armed phase deadlines: roomCode -> { at, handle }
+  const deadlineTimers = new Map();
+  // the last deadline each room has already fired: roomCode -> at
+  const firedDeadlines = new Map();
+
+  /*
+    Rooms are not removed by the engine: the store expires them (a cleanup
+    timer in memory, a TTL in Redis) and tells nobody. Without this, the maps
+    above kept an entry for every room this instance had ever timed. A room is
+    forgotten the moment the engine finds it gone, and a slow sweep finds the
+    ones nothing looks at again.
+  */
+  function forgetRoom(roomCode) {
+    clearTimeout(migrationTimers.get(roomCode)?.handle);
+    clearTimeout(deadlineTimers.get(roomCode)?.handle);
+    migrationTimers.delete(roomCode);
+    deadlineTimers.delete(roomCode);
+    firedDeadlines.delete(roomCode);
+  }
+
+  setInterval(async () => {
+    const codes = new Set([...migrationTimers.keys(), ...deadlineTimers.keys(), ...firedDeadlines.keys()]);
+    for (const code of codes) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        if (!(await store.getGame(code))) forgetRoom(code);
+      } catch (err) {
+        console.error(`[${namespacePath}] room sweep failed for ${code}:`, err);
+      }
+    }
+  }, ROOM_SWEEP_MS).unref();
+
+  async function broadcast(roomCode) {
+    const state = await store.getGame(roomCode);
+    if (!state) { forgetRoom(roomCode); return; }
     for (const player of state.players) {
       try {
-        const clientState = gameDef.deriveClientState(state, player.id);
+        const clientState = gameDef.deriveClientState(visible(state), player.id);
         if (player.socketId) nsp.to(player.socketId).emit('state_update', { state: clientState });
       } catch (err) {
         console.error(`[${namespacePath}] deriveClientState failed for ${roomCode}:`, err);
       }
     }
+    // One derivation for every watcher: a spectator has no seat, so there is
+    // nothing per-socket to hide.
+    if (gameDef.deriveSpectatorState) {
+      try {
+        nsp.to(spectatorRoom(roomCode)).emit('state_update', { state: gameDef.deriveSpectatorState(visible(state)) });
+      } catch (err) {
+        console.error(`[${namespacePath}] deriveSpectatorState failed for ${roomCode}:`, err);
+      }
+    }
     // Fire-and-forget snapshot so the room survives a server restart.
-    snapshotRoom(namespacePath, roomCode, state, store.tokensForRoom(roomCode));
+    snapshotRoom(namespacePath, roomCode, state, await store.tokensForRoom(roomCode));
+    // Every state change passes through here, so this is the one place that
+    // needs to notice a deadline or an absent host appearing, moving or going away.
+    armDeadline(roomCode, state);
+    armMigration(roomCode, state);
+  }
+
+  /*
+    Store a new state from a game and tell the room — the tail of game_action,
+    shared with the deadline timer so a phase the server ends is logged exactly
+    like one a player ends.
+  */
+  async function commitState(roomCode, before, newState) {
+    const wasFinished = before.status === 'finished';
+    const wasPhase = before.phase;
+    await store.setGame(roomCode, newState);
+    await broadcast(roomCode);
+
+    // Phase transitions — tells us WHERE players abandon a game, not just
+    // that they did. (Clover shows 0% completion; without this we cannot
+    // tell whether they quit while writing clues or while resolving.)
+    if (newState.phase && newState.phase !== wasPhase) {
+      logEvent('game_phase', {
+        game: namespacePath,
+        roomCode,
+        phase: newState.phase,
+        playerCount: newState.players?.filter((p) => p.connected).length ?? null,
+        sinceStartSec: newState.createdAt ? Math.round((Date.now() - newState.createdAt) / 1000) : null,
+      });
+    }
+
+    // Fire once, on the transition into 'finished'
+    if (newState.status === 'finished' && !wasFinished) {
+      // A game night shows the standings with this game counted at once; the
+      // session itself records it when the host launches the next game.
+      if (newState.session) {
+        const view = sessionView(recordGame(newState.session, newState), newState);
+        nsp.to(roomCode).to(spectatorRoom(roomCode)).emit('session_update', view);
+      }
+      logEvent('game_completed', {
+        game: namespacePath,
+        roomCode,
+        playerCount: newState.players?.length ?? null,
+        rounds: newState.currentRound ?? newState.round?.number ?? null,
+        durationSec: newState.createdAt ? Math.round((Date.now() - newState.createdAt) / 1000) : null,
+      });
+    }
+  }
+
+  /*
+    Every change to a room goes through here as an entry of its action log
+    (replay.js), and is recorded once the game has accepted it. Returns the
+    new state, or null if the game refused. Logging is fire-and-forget like
+    the snapshot, but NOT debounced: the log is what still holds the last
+    moves of a room that dies inside the snapshot's 2s window. Now and then
+    the new state goes with it, as the base the trimmed log follows on from.
+  */
+  function step(roomCode, state, fields, def = gameDef) {
+    const entry = { seq: (state?.logSeq ?? 0) + 1, at: Date.now(), ...fields };
+    const next = applyEntry(def, state, entry);
+    if (next) {
+      const base = isLogBase(entry.seq) ? toLogged({ state: next }).state : undefined;
+      appendLog(next.game ?? namespacePath, roomCode, toLogged(entry), base);
+    }
+    return next;
   }
 
   // Wrap a socket handler so a thrown error can never crash the process or the
@@ -66,16 +238,269 @@ export function mountGame(io, namespacePath, gameDef) {
     in?" test forever, which is the stuck-room condition again — this time with
     nobody who can even close a tab to clear it.
 
-    Returning a list costs nothing in the normal case (it has one entry) and
+    Visiting every seat costs nothing in the normal case (there is one) and
     removes the whole class.
+
+    The candidates come from socketRooms rather than a scan of every room: a
+    socket only ever lives on one instance, so this instance already knows
+    every room it sat down in, and with a shared store "every room" is every
+    room on every replica. Each room is read and handed to `fn` under that
+    room's lock, so what `fn` writes back is never stale.
   */
-  function resolvePlayersBySocket(socketId) {
-    const out = [];
-    for (const [roomCode, state] of store.allGames()) {
-      const player = state.players.find(p => p.socketId === socketId);
-      if (player) out.push({ roomCode, state, player });
+  async function withPlayersBySocket(socketId, fn) {
+    for (const roomCode of socketRooms.get(socketId) ?? []) {
+      await store.withRoomLock(roomCode, async () => {
+        const state = await store.getGame(roomCode);
+        const player = state?.players.find(p => p.socketId === socketId);
+        if (player) await fn({ roomCode, state, player });
+      });
     }
-    return out;
+  }
+
+  function seat(socket, roomCode) {
+    if (!socketRooms.has(socket.id)) socketRooms.set(socket.id, new Set());
+    socketRooms.get(socket.id).add(roomCode);
+    socket.join(roomCode);
+  }
+
+  /*
+    Look a code up for a socket that wants in — as a player or as a watcher —
+    restoring it from its snapshot if a restart has dropped it from memory.
+    Emits the error and returns null if there is no room this socket may enter.
+  */
+  async function findRoom(socket, code) {
+    let state = await store.getGame(code);
+
+    // Survive a server restart: if the room isn't in memory, try restoring it
+    // from the last snapshot before giving up (so rejoin links still work).
+    //
+    // The namespace check happens BEFORE restoring, not after. Restoring is a
+    // write: pulling another game's room into the shared store under the
+    // wrong game is worse than merely reading one, and the snapshot has
+    // always recorded which namespace it belongs to.
+    if (!state && code) {
+      const snap = await loadRoom(code);
+      if (snap && snap.namespace && snap.namespace !== namespacePath) {
+        emitError(socket, wrongGameMessage(snap.namespace), 'WRONG_GAME');
+        return null;
+      }
+      if (snap) {
+        /*
+          The snapshot is up to 2s behind; the log is not. Replay whatever
+          it recorded after the snapshot was taken — or the whole room, if
+          it died before its first snapshot. Whoever the replay saw come
+          and go, nobody is connected to a restored room until they rejoin.
+        */
+        const { state: replayed } = replayTail(gameDef, snap.state ?? snap.base ?? { logSeq: 0 }, snap.log);
+        if (replayed.players) {
+          replayed.players = replayed.players.map((p) => ({ ...p, socketId: null, connected: false }));
+          // Stamp the game on the way back in, so a room snapshotted before
+          // this field existed is protected from the next join onwards rather
+          // than staying permanently unguarded.
+          if (!replayed.game && snap.namespace) replayed.game = snap.namespace;
+          await store.restoreGame(code, replayed, snap.tokens);
+        }
+        state = await store.getGame(code);
+        // A timed phase keeps running across the restart — see armDeadline.
+        armDeadline(code, state);
+      }
+    }
+
+    if (!state) {
+      emitError(socket, 'Room not found. Check your code.', 'ROOM_NOT_FOUND');
+      return null;
+    }
+
+    /*
+      The code is valid — for a different game. Say which one rather than
+      "not found", because the player is not holding a wrong code, they are
+      standing on the wrong page, and that is a one-tap problem once told.
+
+      A room with no `game` predates this field and is left alone: during the
+      deploy that rolls this out, every room already in memory is one of
+      those, and refusing them would drop live games mid-round.
+    */
+    if (state.game && state.game !== namespacePath) {
+      emitError(socket, wrongGameMessage(state.game), 'WRONG_GAME');
+      return null;
+    }
+
+    return state;
+  }
+
+  /*
+    join_game, run under the room's lock: everything from reading the room to
+    writing the player into it must happen with no other instance in between,
+    or two people joining at once on different replicas both get a seat and
+    only one of them is in the room.
+  */
+  async function joinGame(socket, code, { username, rejoinToken }) {
+    const state = await findRoom(socket, code);
+    if (!state) return;
+
+    // ── Rejoin path ──
+    if (rejoinToken) {
+      const tokenData = await store.getToken(rejoinToken);
+      if (tokenData?.roomCode === code) {
+        const player = state.players.find(p => p.id === tokenData.playerId);
+        if (player) {
+          const rejoined = step(code, state, { kind: 'rejoin', playerId: player.id, socketId: socket.id });
+          await store.setGame(code, rejoined);
+          await store.refreshCleanup(code);
+
+          // A returning host needs nothing here: broadcast sees them connected
+          // and stands down any migration their disconnect armed.
+          seat(socket, code);
+          socket.emit('joined', {
+            playerId: player.id,
+            rejoinToken,
+            roomCode: code,
+            state: gameDef.deriveClientState(visible(rejoined), player.id),
+          });
+          if (rejoined.session) socket.emit('session_update', sessionView(rejoined.session, rejoined));
+          await broadcast(code); // notify others they're back
+          return;
+        }
+        // Token valid but player not in state — they were kicked or removed
+        return emitError(
+          socket,
+          'You were removed from this room.',
+          'PLAYER_REMOVED'
+        );
+      }
+      // token invalid (different room / expired) — fall through to fresh join
+    }
+
+    // ── Fresh join ──
+    /*
+      Mid-game arrivals are the game's call, not the engine's: where a late
+      player sits (next round, smaller team, after writing their statements)
+      is a rule of that game. Without an onLateJoin the answer stays no.
+    */
+    const late = state.status !== 'lobby';
+    if (late && (state.status !== 'playing' || !gameDef.onLateJoin)) {
+      return emitError(socket, 'Game is already in progress. Ask the host for a rejoin link.', 'GAME_IN_PROGRESS');
+    }
+
+    if (!username?.trim()) {
+      return emitError(socket, 'Username is required', 'MISSING_USERNAME');
+    }
+
+    const taken = state.players.some(
+      p => p.username.toLowerCase() === username.trim().toLowerCase()
+    );
+    if (taken) {
+      return emitError(socket, 'That name is already taken in this room.', 'USERNAME_TAKEN');
+    }
+
+    const playerId = randomUUID();
+    const newToken = store.generateToken();
+
+    const player = {
+      id: playerId,
+      username: username.trim(),
+      socketId: socket.id,
+      connected: true,
+      isHost: false,
+      score: 0,
+      joinedAt: Date.now(),
+    };
+
+    const joinedState = step(code, state, { kind: 'join', player, late });
+    if (!joinedState) {
+      return emitError(socket, 'This game cannot take new players right now. Try again next round.', 'GAME_IN_PROGRESS');
+    }
+
+    await store.setGame(code, joinedState);
+    await store.setToken(newToken, { roomCode: code, playerId });
+    saveToken(namespacePath, code, { token: newToken, playerId });
+    await store.refreshCleanup(code);
+
+    seat(socket, code);
+    socket.emit('joined', {
+      playerId,
+      rejoinToken: newToken,
+      roomCode: code,
+      state: gameDef.deriveClientState(visible(joinedState), playerId),
+    });
+    if (joinedState.session) socket.emit('session_update', sessionView(joinedState.session, joinedState));
+    await broadcast(code);
+
+    logEvent('player_joined', { game: namespacePath, roomCode: code, playerCount: joinedState.players.length, late });
+  }
+
+  /*
+    Reset a room for its next game, in place or in another mounted game.
+
+    Scores restart at zero unless `carryScores`, which keeps each player's
+    running total (games that tally in `state.scores` rather than on the
+    player start that tally afresh in onStart either way). A room in a session
+    — or joining one, with `session` — records the game it just finished.
+
+    Moving games: the room store is shared and a token is only { roomCode,
+    playerId }, so everyone just rejoins on the new namespace with the token
+    they already hold. Players here are told where to go with `game_switched`;
+    the new game starts in its lobby, since until they arrive nobody there is
+    connected to start it. Settings are kept for the same game, and taken
+    from `settings` for a new one.
+
+    The fresh room is logged as a 'create' entry — a replay starts over from
+    it, in whichever game it belongs to. Runs under the room's lock.
+  */
+  async function relaunch(socket, state, { target, start = false, carryScores = false, settings, session = false }) {
+    const code = state.roomCode;
+    const targetDef = mountedGames.get(target);
+    if (!targetDef) return emitError(socket, 'That game is not available.', 'UNKNOWN_GAME');
+    const moving = target !== namespacePath;
+    const roomSettings = !moving && !settings ? (state.roomSettings ?? {}) : await resolveSettings(settings);
+    const night = state.session || session ? recordGame(openSession(state), state) : undefined;
+
+    const now = Date.now();
+    const players = state.players.map((p) => ({
+      id: p.id,
+      username: p.username,
+      socketId: moving ? null : p.socketId,
+      connected: moving ? false : p.connected,
+      isHost: p.id === state.hostId,
+      ...(p.isCoHost && { isCoHost: true }),
+      score: carryScores ? (p.score ?? 0) : 0,
+      joinedAt: p.joinedAt,
+      ...(moving ? { disconnectedAt: now } : p.disconnectedAt !== undefined && { disconnectedAt: p.disconnectedAt }),
+    }));
+    const fresh = {
+      roomCode: code,
+      hostId: state.hostId,
+      status: 'lobby',
+      players,
+      // The room's stream carries on; a rematch is not a replayed deal.
+      ...withRoomRandom(state, () => targetDef.createInitialState(roomSettings)),
+      game: target,
+      createdAt: now,
+      roomSettings,
+      gamesPlayed: (state.gamesPlayed ?? 1) + 1,
+      ...(night && { session: night }),
+    };
+    let next = step(code, state, { kind: 'create', state: fresh }, targetDef);
+
+    const minPlayers = targetDef.minPlayers ?? 3;
+    const started = start && !moving && players.filter(p => p.connected).length >= minPlayers;
+    if (started) next = step(code, next, { kind: 'start' }, targetDef);
+
+    await store.setGame(code, next);
+    await store.refreshCleanup(code);
+    logEvent('rematch', { game: target, from: namespacePath, roomCode: code, carryScores: !!carryScores, started, session: !!night });
+    if (started) logEvent('game_started', { game: target, roomCode: code, playerCount: players.filter(p => p.connected).length });
+
+    if (night) nsp.to(code).to(spectatorRoom(code)).emit('session_update', sessionView(night, next));
+    if (!moving) return broadcast(code);
+
+    // Disarm this namespace's timers for the room, then send everyone on.
+    armDeadline(code, next);
+    armMigration(code, next);
+    const where = { roomCode: code, game: target, path: describeGame(target)?.path ?? null };
+    nsp.to(code).to(spectatorRoom(code)).emit('game_switched', where);
+    nsp.in(code).socketsLeave(code);
+    nsp.in(spectatorRoom(code)).socketsLeave(spectatorRoom(code));
   }
 
   nsp.on('connection', (socket) => {
@@ -87,28 +512,18 @@ export function mountGame(io, namespacePath, gameDef) {
       }
 
       /*
-        Custom question packs are resolved HERE rather than in each game, so
-        every namespaced game gets them for free. createInitialState is
-        synchronous, so the async lookup has to happen before it is called.
-        A bad or expired code must never block the room — the game simply
-        falls back to its built-in questions.
-
-        `customQuestions` is stripped FIRST, unconditionally. It is a field the
-        server fills in, and `settings` arrives straight off the socket: left
-        alone, a client that simply omits packCode had its own array carried
-        into createInitialState untouched, past the 60-question cap, past the
-        140-character cap and past every shape check, and served to everyone in
-        the room. Resolving the pack only when packCode is present is correct;
-        trusting the resolved field to be absent otherwise was not.
+        The room's random stream (random.js). `seed` replays a reported room —
+        take the seed from its log (scripts/rebuild-room.js prints it) and the
+        deals come out the same. Never in production: a host who knows the
+        seed knows who the chameleon is.
       */
-      const { customQuestions: _ignored, ...clientSettings } = settings || {};
-      settings = clientSettings;
-      if (settings.packCode) {
-        const items = await usePack(settings.packCode);
-        settings = { ...settings, customQuestions: items || null };
-      }
+      const debugSeed = settings?.seed;
+      const seed = debugSeed !== undefined && debugSeed !== null && debugSeed !== '' && process.env.NODE_ENV !== 'production'
+        ? seedFrom(debugSeed)
+        : newSeed();
+      settings = await resolveSettings(settings);
 
-      const roomCode = store.generateRoomCode();
+      const roomCode = await store.generateRoomCode();
       const playerId = randomUUID();
       const rejoinToken = store.generateToken();
 
@@ -122,12 +537,12 @@ export function mountGame(io, namespacePath, gameDef) {
         joinedAt: Date.now(),
       };
 
-      const gameState = {
+      const created = {
         roomCode,
         hostId: playerId,
         status: 'lobby',
         players: [player],
-        ...gameDef.createInitialState(settings),
+        ...withRoomRandom({ rng: seed }, () => gameDef.createInitialState(settings)),
         /*
           Which game this room IS, set AFTER the spread so a game can never
           overwrite it — this is an engine invariant, not a game's own field.
@@ -140,18 +555,23 @@ export function mountGame(io, namespacePath, gameDef) {
         */
         game: namespacePath,
         createdAt: Date.now(),
+        // What the room was made with, pack included, for a rematch. Never
+        // sent to a client (see `visible`): a pack can carry the answers.
+        roomSettings: settings,
       };
+      const gameState = step(roomCode, null, { kind: 'create', seed, state: created });
 
-      store.setGame(roomCode, gameState);
-      store.setToken(rejoinToken, { roomCode, playerId });
-      store.scheduleCleanup(roomCode);
+      await store.setGame(roomCode, gameState);
+      await store.setToken(rejoinToken, { roomCode, playerId });
+      saveToken(namespacePath, roomCode, { token: rejoinToken, playerId });
+      await store.scheduleCleanup(roomCode);
 
-      socket.join(roomCode);
+      seat(socket, roomCode);
       socket.emit('joined', {
         playerId,
         rejoinToken,
         roomCode,
-        state: gameDef.deriveClientState(gameState, playerId),
+        state: gameDef.deriveClientState(visible(gameState), playerId),
       });
 
       logEvent('game_created', { game: namespacePath, roomCode });
@@ -160,300 +580,334 @@ export function mountGame(io, namespacePath, gameDef) {
     // ── Join game ────────────────────────────────────────────────────────────
     socket.on('join_game', safe(async ({ roomCode, username, rejoinToken } = {}) => {
       const code = roomCode?.toUpperCase().trim();
-      let state = store.getGame(code);
-
-      // Survive a server restart: if the room isn't in memory, try restoring it
-      // from the last snapshot before giving up (so rejoin links still work).
-      //
-      // The namespace check happens BEFORE restoring, not after. Restoring is a
-      // write: pulling another game's room into the shared store under the
-      // wrong game is worse than merely reading one, and the snapshot has
-      // always recorded which namespace it belongs to.
-      if (!state && code) {
-        const snap = await loadRoom(code);
-        if (snap && snap.namespace && snap.namespace !== namespacePath) {
-          return emitError(socket, wrongGameMessage(snap.namespace), 'WRONG_GAME');
-        }
-        if (snap) {
-          // Stamp the game on the way back in, so a room snapshotted before
-          // this field existed is protected from the next join onwards rather
-          // than staying permanently unguarded.
-          if (snap.state && !snap.state.game && snap.namespace) snap.state.game = snap.namespace;
-          store.restoreGame(code, snap.state, snap.tokens);
-          state = store.getGame(code);
-        }
-      }
+      if (!code) return emitError(socket, 'Room not found. Check your code.', 'ROOM_NOT_FOUND');
+      await store.withRoomLock(code, () => joinGame(socket, code, { username, rejoinToken }));
+    }));
 
-      if (!state) {
-        return emitError(socket, 'Room not found. Check your code.', 'ROOM_NOT_FOUND');
+    // ── Watch a game ─────────────────────────────────────────────────────────
+    /*
+      A spectator is a socket in the room, never a player in the state. That is
+      the whole design: every "has everyone answered?" check, minPlayers and
+      the host migration all read state.players, so a meeting-room TV that is
+      not in it can never hold a round open or count toward a start.
+
+      Allowed at any point in the game — watching is not joining, and the
+      lobby-only rule on join_game is about seating, not about looking.
+    */
+    socket.on('join_as_spectator', safe(async ({ roomCode } = {}) => {
+      const code = roomCode?.toUpperCase().trim();
+      if (!gameDef.deriveSpectatorState) {
+        return emitError(socket, 'This game cannot be watched yet.', 'SPECTATE_UNSUPPORTED');
       }
+      const state = await findRoom(socket, code);
+      if (!state) return;
 
-      /*
-        The code is valid — for a different game. Say which one rather than
-        "not found", because the player is not holding a wrong code, they are
-        standing on the wrong page, and that is a one-tap problem once told.
+      socket.join(spectatorRoom(code));
+      await store.refreshCleanup(code);
+      socket.emit('spectating', { roomCode: code, state: gameDef.deriveSpectatorState(visible(state)) });
 
-        A room with no `game` predates this field and is left alone: during the
-        deploy that rolls this out, every room already in memory is one of
-        those, and refusing them would drop live games mid-round.
-      */
-      if (state.game && state.game !== namespacePath) {
-        return emitError(socket, wrongGameMessage(state.game), 'WRONG_GAME');
-      }
+      logEvent('spectator_joined', { game: namespacePath, roomCode: code, status: state.status });
+    }));
 
-      // ── Rejoin path ──
-      if (rejoinToken) {
-        const tokenData = store.getToken(rejoinToken);
-        if (tokenData?.roomCode === code) {
-          const player = state.players.find(p => p.id === tokenData.playerId);
-          if (player) {
-            player.socketId = socket.id;
-            player.connected = true;
-            store.setGame(code, state);
-            store.refreshCleanup(code);
-
-            // cancel any pending migration triggered by this player's disconnect
-            if (player.isHost) cancelMigration(code);
-
-            socket.join(code);
-            socket.emit('joined', {
-              playerId: player.id,
-              rejoinToken,
-              roomCode: code,
-              state: gameDef.deriveClientState(state, player.id),
-            });
-            broadcast(code); // notify others they're back
-            return;
-          }
-          // Token valid but player not in state — they were kicked or removed
-          return emitError(
-            socket,
-            'You were removed from this room.',
-            'PLAYER_REMOVED'
-          );
+    // ── Start game ───────────────────────────────────────────────────────────
+    socket.on('start_game', safe(async ({ roomCode } = {}) => {
+      const code = roomCode?.toUpperCase().trim();
+      await store.withRoomLock(code, async () => {
+        const state = await store.getGame(code);
+        if (!state) return emitError(socket, 'Room not found', 'ROOM_NOT_FOUND');
+
+        const player = state.players.find(p => p.socketId === socket.id);
+        if (!canHost(state, player)) {
+          return emitError(socket, 'Only the host or a co-host can start the game', 'UNAUTHORIZED');
         }
-        // token invalid (different room / expired) — fall through to fresh join
-      }
 
-      // ── Fresh join ──
-      if (state.status !== 'lobby') {
-        return emitError(socket, 'Game is already in progress. Ask the host for a rejoin link.', 'GAME_IN_PROGRESS');
-      }
+        const minPlayers = gameDef.minPlayers ?? 3;
+        const connected = state.players.filter(p => p.connected);
+        if (connected.length < minPlayers) {
+          return emitError(socket, `Need at least ${minPlayers} players to start`, 'NOT_ENOUGH_PLAYERS');
+        }
 
-      if (!username?.trim()) {
-        return emitError(socket, 'Username is required', 'MISSING_USERNAME');
-      }
+        const newState = step(code, state, { kind: 'start' });
+        await store.setGame(code, newState);
+        await broadcast(code);
 
-      const taken = state.players.some(
-        p => p.username.toLowerCase() === username.trim().toLowerCase()
-      );
-      if (taken) {
-        return emitError(socket, 'That name is already taken in this room.', 'USERNAME_TAKEN');
-      }
+        logEvent('game_started', { game: namespacePath, roomCode: code, playerCount: connected.length });
+      });
+    }));
 
-      const playerId = randomUUID();
-      const newToken = store.generateToken();
+    // ── Game action (all game-specific events go through here) ───────────────
+    socket.on('game_action', safe(async ({ roomCode, action, payload = {} } = {}) => {
+      const code = roomCode?.toUpperCase().trim();
+      await store.withRoomLock(code, async () => {
+        const state = await store.getGame(code);
+        if (!state) return;
 
-      const player = {
-        id: playerId,
-        username: username.trim(),
-        socketId: socket.id,
-        connected: true,
-        isHost: false,
-        score: 0,
-        joinedAt: Date.now(),
-      };
+        const player = state.players.find(p => p.socketId === socket.id);
+        if (!player || !player.connected) return;
 
-      state.players.push(player);
-      store.setGame(code, state);
-      store.setToken(newToken, { roomCode: code, playerId });
-      store.refreshCleanup(code);
+        await store.refreshCleanup(code);
 
-      socket.join(code);
-      socket.emit('joined', {
-        playerId,
-        rejoinToken: newToken,
-        roomCode: code,
-        state: gameDef.deriveClientState(state, playerId),
+        const newState = step(code, state, { kind: 'action', playerId: player.id, action, payload });
+        if (newState) await commitState(code, state, newState);
       });
-      broadcast(code);
-
-      logEvent('player_joined', { game: namespacePath, roomCode: code, playerCount: state.players.length });
     }));
 
-    // ── Start game ───────────────────────────────────────────────────────────
-    socket.on('start_game', safe(async ({ roomCode } = {}) => {
+    // ── Hand the room over (host only) ───────────────────────────────────────
+    socket.on('transfer_host', safe(async ({ roomCode, playerId } = {}) => {
       const code = roomCode?.toUpperCase().trim();
-      const state = store.getGame(code);
-      if (!state) return emitError(socket, 'Room not found', 'ROOM_NOT_FOUND');
-
-      const player = state.players.find(p => p.socketId === socket.id);
-      if (!player || player.id !== state.hostId) {
-        return emitError(socket, 'Only the host can start the game', 'UNAUTHORIZED');
-      }
-
-      const minPlayers = gameDef.minPlayers ?? 3;
-      const connected = state.players.filter(p => p.connected);
-      if (connected.length < minPlayers) {
-        return emitError(socket, `Need at least ${minPlayers} players to start`, 'NOT_ENOUGH_PLAYERS');
-      }
+      await store.withRoomLock(code, async () => {
+        const state = await store.getGame(code);
+        if (!state) return;
 
-      const newState = gameDef.onStart(state);
-      store.setGame(code, newState);
-      broadcast(code);
+        const host = state.players.find(p => p.socketId === socket.id);
+        if (!host || host.id !== state.hostId) {
+          return emitError(socket, 'Only the host can hand over the room', 'UNAUTHORIZED');
+        }
+        // To someone who is here to take it: an offline host would only be
+        // migrated straight back out again 20s later.
+        const target = state.players.find(p => p.id === playerId);
+        if (!target || target.id === host.id || !target.connected) {
+          return emitError(socket, 'That player cannot take over right now.', 'INVALID_TARGET');
+        }
 
-      logEvent('game_started', { game: namespacePath, roomCode: code, playerCount: connected.length });
+        await store.setGame(code, step(code, state, { kind: 'migrate', playerId: target.id }));
+        logEvent('host_changed', { game: namespacePath, roomCode: code, reason: 'transfer', toCoHost: !!target.isCoHost });
+        await broadcast(code);
+      });
     }));
 
-    // ── Game action (all game-specific events go through here) ───────────────
-    socket.on('game_action', safe(async ({ roomCode, action, payload = {} } = {}) => {
+    // ── Name or drop a co-host (host only) — see roles.js ────────────────────
+    socket.on('set_co_host', safe(async ({ roomCode, playerId, coHost = true } = {}) => {
       const code = roomCode?.toUpperCase().trim();
-      const state = store.getGame(code);
-      if (!state) return;
+      await store.withRoomLock(code, async () => {
+        const state = await store.getGame(code);
+        if (!state) return;
 
-      const player = state.players.find(p => p.socketId === socket.id);
-      if (!player || !player.connected) return;
+        const host = state.players.find(p => p.socketId === socket.id);
+        if (!host || host.id !== state.hostId) {
+          return emitError(socket, 'Only the host can choose co-hosts', 'UNAUTHORIZED');
+        }
+        if (playerId === host.id) return;
 
-      store.refreshCleanup(code);
+        const newState = step(code, state, { kind: 'co_host', playerId, on: !!coHost });
+        if (!newState) return;
+        await store.setGame(code, newState);
+        await broadcast(code);
+      });
+    }));
 
-      const wasFinished = state.status === 'finished';
-      const wasPhase = state.phase;
-      const newState = gameDef.handleAction(state, action, payload, player);
-      if (newState) {
-        store.setGame(code, newState);
-        broadcast(code);
+    /*
+      ── Play again (host or co-host) ─────────────────────────────────────────
 
-        // Phase transitions — tells us WHERE players abandon a game, not just
-        // that they did. (Clover shows 0% completion; without this we cannot
-        // tell whether they quit while writing clues or while resolving.)
-        if (newState.phase && newState.phase !== wasPhase) {
-          logEvent('game_phase', {
-            game: namespacePath,
-            roomCode: code,
-            phase: newState.phase,
-            playerCount: newState.players?.filter((p) => p.connected).length ?? null,
-            sinceStartSec: newState.createdAt ? Math.round((Date.now() - newState.createdAt) / 1000) : null,
-          });
+      A finished room goes back to the lobby — or straight into onStart with
+      `start` — keeping its code, its players and their rejoin tokens, so
+      nobody has to pass a new code round the table. `game` moves it to
+      another game; see relaunch below.
+    */
+    socket.on('rematch', safe(async ({ roomCode, start = false, carryScores = false, game, settings } = {}) => {
+      const code = roomCode?.toUpperCase().trim();
+      await store.withRoomLock(code, async () => {
+        const state = await store.getGame(code);
+        if (!state) return emitError(socket, 'Room not found', 'ROOM_NOT_FOUND');
+        if (!canHost(state, state.players.find(p => p.socketId === socket.id))) {
+          return emitError(socket, 'Only the host or a co-host can start a rematch', 'UNAUTHORIZED');
         }
+        if (state.status !== 'finished') {
+          return emitError(socket, 'Finish this game before starting another.', 'GAME_IN_PROGRESS');
+        }
+        await relaunch(socket, state, { target: game ?? namespacePath, start, carryScores, settings });
+      });
+    }));
 
-        // Fire once, on the transition into 'finished'
-        if (newState.status === 'finished' && !wasFinished) {
-          logEvent('game_completed', {
-            game: namespacePath,
-            roomCode: code,
-            playerCount: newState.players?.length ?? null,
-            rounds: newState.currentRound ?? newState.round?.number ?? null,
-            durationSec: newState.createdAt ? Math.round((Date.now() - newState.createdAt) / 1000) : null,
-          });
+    /*
+      ── Game night (host or co-host) ─────────────────────────────────────────
+
+      Launch any game into this room as part of a session (session.js): the
+      finished game's scores go onto the session leaderboard, everyone is
+      sent the standings, and the room moves on to `game` — which may be the
+      one it is already. From the lobby too, to pick the night's first game.
+    */
+    socket.on('launch_game', safe(async ({ roomCode, game, settings, start = false } = {}) => {
+      const code = roomCode?.toUpperCase().trim();
+      await store.withRoomLock(code, async () => {
+        const state = await store.getGame(code);
+        if (!state) return emitError(socket, 'Room not found', 'ROOM_NOT_FOUND');
+        if (!canHost(state, state.players.find(p => p.socketId === socket.id))) {
+          return emitError(socket, 'Only the host or a co-host can choose the next game', 'UNAUTHORIZED');
         }
-      }
+        if (state.status === 'playing') {
+          return emitError(socket, 'Finish this game before starting another.', 'GAME_IN_PROGRESS');
+        }
+        if (!describeGame(game)) return emitError(socket, 'That game is not available.', 'UNKNOWN_GAME');
+        await relaunch(socket, state, { target: game, start, settings, session: true });
+      });
     }));
 
-    // ── Kick player (host only) ──────────────────────────────────────────────
+    // ── Kick player (host or co-host) ────────────────────────────────────────
     socket.on('kick_player', safe(async ({ roomCode, playerId } = {}) => {
       const code = roomCode?.toUpperCase().trim();
-      const state = store.getGame(code);
-      if (!state) return;
+      await store.withRoomLock(code, async () => {
+        const state = await store.getGame(code);
+        if (!state) return;
+
+        const host = state.players.find(p => p.socketId === socket.id);
+        if (!canHost(state, host)) return;
+        if (playerId === host.id) return; // host cannot kick themselves
+        // Nobody removes the host, and only the host removes a co-host.
+        const target = state.players.find(p => p.id === playerId);
+        if (!target || target.id === state.hostId) return;
+        if (target.isCoHost && host.id !== state.hostId) return;
+
+        // Block kicking the current judge during an active round
+        const activePhases = ['picking', 'answering', 'judging', 'betting'];
+        const currentJudge = state.players[state.judgeIndex];
+        if (
+          state.status === 'playing' &&
+          activePhases.includes(state.phase) &&
+          currentJudge?.id === playerId
+        ) {
+          return emitError(
+            socket,
+            'Cannot remove the current judge mid-round. Use "Skip round" first.',
+            'CANNOT_KICK_JUDGE'
+          );
+        }
 
-      const host = state.players.find(p => p.socketId === socket.id);
-      if (!host || host.id !== state.hostId) return;
-      if (playerId === host.id) return; // host cannot kick themselves
-
-      // Block kicking the current judge during an active round
-      const activePhases = ['picking', 'answering', 'judging', 'betting'];
-      const currentJudge = state.players[state.judgeIndex];
-      if (
-        state.status === 'playing' &&
-        activePhases.includes(state.phase) &&
-        currentJudge?.id === playerId
-      ) {
-        return emitError(
-          socket,
-          'Cannot remove the current judge mid-round. Use "Skip round" first.',
-          'CANNOT_KICK_JUDGE'
-        );
-      }
+        const kickedSocketId = state.players.find(p => p.id === playerId)?.socketId;
+        const newState = step(code, state, { kind: 'kick', playerId });
+        if (!newState) return;
+        await store.setGame(code, newState);
 
-      // Re-anchor judgeIndex by remembering the judge's playerId, then re-finding after removal
-      const judgePlayerId = currentJudge?.id;
-      state.players = state.players.filter(p => p.id !== playerId);
-      if (judgePlayerId) {
-        const newIdx = state.players.findIndex(p => p.id === judgePlayerId);
-        if (newIdx >= 0) state.judgeIndex = newIdx;
-        else state.judgeIndex = state.judgeIndex % Math.max(state.players.length, 1);
-      }
-      store.setGame(code, state);
+        // Tell the kicked socket — by its id through the adapter, so it hears
+        // it whichever instance it is connected to. (This used to look the
+        // socket up among this instance's sockets, in the state the player had
+        // just been removed from, so it never found anyone.)
+        if (kickedSocketId) nsp.to(kickedSocketId).emit('kicked', { message: 'You were removed by the host.' });
 
-      // tell the kicked socket
-      const kicked = [...nsp.sockets.values()].find(s => {
-        const p = state.players.find(pl => pl.socketId === s.id && pl.id === playerId);
-        return !!p;
+        await broadcast(code);
       });
-      if (kicked) kicked.emit('kicked', { message: 'You were removed by the host.' });
-
-      broadcast(code);
     }));
 
     // ── Disconnect ───────────────────────────────────────────────────────────
     socket.on('disconnect', safe(async () => {
-      for (const { roomCode, state, player } of resolvePlayersBySocket(socket.id)) {
-        player.connected = false;
-        player.disconnectedAt = Date.now();
-        store.setGame(roomCode, state);
-
-        const stillConnected = state.players.filter(p => p.connected);
+      await withPlayersBySocket(socket.id, async ({ roomCode, state, player }) => {
+        // Marks them offline, then lets the game react (e.g., skip a judge
+        // who left) — see the 'disconnect' entry in replay.js.
+        const newState = step(roomCode, state, { kind: 'disconnect', playerId: player.id });
+        await store.setGame(roomCode, newState);
 
         // If no one is left, let the cleanup timer handle deletion
-        if (stillConnected.length === 0) continue;
-
-        broadcast(roomCode);
-
-        // Host migration: if host disconnected, migrate after delay
-        if (player.id === state.hostId) {
-          scheduleMigration(roomCode, stillConnected);
-        }
+        if (!newState.players.some(p => p.connected)) return;
 
-        // Let game definition react to disconnect (e.g., skip a judge who left)
-        if (gameDef.onPlayerDisconnect) {
-          const newState = gameDef.onPlayerDisconnect(store.getGame(roomCode), player);
-          if (newState) {
-            store.setGame(roomCode, newState);
-            broadcast(roomCode);
-          }
-        }
-      }
+        // Host migration needs nothing here: broadcast sees the host offline
+        // and arms it (armMigration).
+        await broadcast(roomCode);
+      });
+      socketRooms.delete(socket.id);
     }));
   });
 
   // ─────────────────────────────────────────────────────────────────────────
-  function scheduleMigration(roomCode, connectedPlayers) {
-    cancelMigration(roomCode);
+  /*
+    Host migration, armed from the state rather than from the disconnect event.
+
+    It used to be a timer started by the host's own disconnect and cancelled by
+    their own rejoin — both on the instance that saw them. With more than one
+    instance, the rejoin can land on a different replica from the disconnect,
+    which then never hears of it; so the room itself carries the facts (host
+    offline, since `disconnectedAt`) and whichever instance broadcasts it arms
+    the timer, exactly like armDeadline. The timer re-reads the room under its
+    lock before acting, so a host who came back anywhere in the meantime keeps
+    the room, and two instances racing to migrate do it once.
+  */
+  // False once a rematch has moved the room to another game: its timers are
+  // that namespace's business now.
+  const ours = (state) => !state?.game || state.game === namespacePath;
+
+  function armMigration(roomCode, state) {
+    const host = state.players.find(p => p.id === state.hostId);
+    const due = ours(state) && host && !host.connected && state.players.some(p => p.connected)
+      ? (host.disconnectedAt ?? Date.now()) + HOST_MIGRATION_DELAY_MS
+      : null;
+    const armed = migrationTimers.get(roomCode);
+    if (armed && armed.at === due) return;
+    if (armed) clearTimeout(armed.handle);
+    migrationTimers.delete(roomCode);
+    if (due === null) return;
+
     const handle = setTimeout(() => {
       migrationTimers.delete(roomCode);
-      const state = store.getGame(roomCode);
-      if (!state) return;
+      migrateHost(roomCode).catch((err) => {
+        console.error(`[${namespacePath}] host migration failed for ${roomCode}:`, err);
+      });
+    }, Math.max(0, due - Date.now()));
+    migrationTimers.set(roomCode, { at: due, handle });
+  }
+
+  async function migrateHost(roomCode) {
+    await store.withRoomLock(roomCode, async () => {
+      const state = await store.getGame(roomCode);
+      if (!state) { forgetRoom(roomCode); return; }
       // Only migrate if host is still offline
       const host = state.players.find(p => p.id === state.hostId);
       if (host?.connected) return;
-      // Pick the connected player who joined earliest
-      // Re-read from current state (connectedPlayers may be stale)
+      // A connected co-host first — the host already trusted them with the
+      // room — then whoever joined earliest.
       const next = state.players
         .filter(p => p.connected)
-        .sort((a, b) => a.joinedAt - b.joinedAt)[0];
+        .sort((a, b) => (b.isCoHost === true) - (a.isCoHost === true) || a.joinedAt - b.joinedAt)[0];
       if (!next) return;
-      // clear isHost on all, set on new host
-      state.players.forEach(p => { p.isHost = (p.id === next.id); });
-      state.hostId = next.id;
-      store.setGame(roomCode, state);
-      broadcast(roomCode);
-    }, HOST_MIGRATION_DELAY_MS);
-    migrationTimers.set(roomCode, handle);
+      await store.setGame(roomCode, step(roomCode, state, { kind: 'migrate', playerId: next.id }));
+      logEvent('host_changed', { game: namespacePath, roomCode, reason: 'offline', toCoHost: !!next.isCoHost });
+      await broadcast(roomCode);
+    });
   }
 
-  function cancelMigration(roomCode) {
-    const h = migrationTimers.get(roomCode);
-    if (h) clearTimeout(h);
-    migrationTimers.delete(roomCode);
+  /*
+    Server-authoritative phase timers.
+
+    Every timed phase used to end only when a CLIENT noticed the clock had run
+    out and sent end_turn / force_reveal / move_on. A giver whose phone slept
+    took that client with them, and the room sat on a 0s clock until the host
+    stepped in — or, if the host was the one asleep, forever.
+
+    The deadline is an absolute time on the state, not a duration, so a room
+    restored from a snapshot after a restart re-arms for whatever is left of
+    it (or fires at once if it ran out while we were down).
+
+    Fires ONCE per deadline. The timer re-reads the room and only acts if the
+    deadline it was armed for is still the room's deadline, so a client that
+    ended the phase a moment earlier wins cleanly; and a deadline that has
+    fired is remembered, so a hook that declines to change anything is not
+    re-armed and called again on the next broadcast.
+  */
+  function armDeadline(roomCode, state) {
+    if (!gameDef.onDeadline) return;
+    const at = ours(state) && Number.isFinite(state?.deadline) ? state.deadline : null;
+    const armed = deadlineTimers.get(roomCode);
+    if (armed && armed.at === at) return;
+    if (armed) clearTimeout(armed.handle);
+    deadlineTimers.delete(roomCode);
+    if (firedDeadlines.get(roomCode) === at) return;
+    firedDeadlines.delete(roomCode);
+    if (at === null) return;
+
+    const handle = setTimeout(() => {
+      deadlineTimers.delete(roomCode);
+      store.withRoomLock(roomCode, async () => {
+        const current = await store.getGame(roomCode);
+        if (!current) { forgetRoom(roomCode); return; }
+        if (current.deadline !== at) return;
+        firedDeadlines.set(roomCode, at);
+        const newState = step(roomCode, current, { kind: 'deadline' });
+        if (newState) await commitState(roomCode, current, newState);
+      }).catch((err) => {
+        console.error(`[${namespacePath}] onDeadline failed for ${roomCode}:`, err);
+      });
+    }, Math.max(0, at - Date.now()));
+    // A pending deadline must not keep a script (or a shutting-down server) alive.
+    handle.unref?.();
+    deadlineTimers.set(roomCode, { at, handle });
   }
 }
 
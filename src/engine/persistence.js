@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ACTION_LOG_CAP } from './replay.js';
 
 /*
   Room snapshot persistence — lets live multiplayer rooms SURVIVE a server
@@ -13,6 +14,22 @@ import mongoose from 'mongoose';
    - All wrapped in try/catch; if Mongo is down, rooms simply aren't persisted —
      gameplay is unaffected.
    - Snapshots auto-expire via a TTL index, so the collection stays tiny.
+   - A phase timer is stored as `state.deadline`, an ABSOLUTE time, and survives
+     the round trip untouched. The engine re-arms it from that on restore, so a
+     turn that was 20s from ending before a redeploy ends 20s later, not a full
+     turn later — or at once, if it ran out while the server was down.
+   - Next to the snapshot, the same document keeps the room's ACTION LOG: the
+     last ACTION_LOG_CAP entries (replay.js), each pushed as it happens rather
+     than debounced. A crash inside the 2s window used to lose the last moves
+     of every busy room — the restore now replays whatever the log has past
+     the snapshot. It is also what scripts/rebuild-room.js reads to settle a
+     "that's not what I answered" after the fact.
+   - The cap drops the oldest entries, the room's 'create' among them, so the
+     log also carries a BASE: the state every LOG_BASE_EVERY entries, which
+     the oldest entries kept always follow on from.
+   - A rejoin token is written the moment it is handed out, not with the next
+     snapshot: a player who joined inside the 2s window could otherwise never
+     rejoin a restored room, whatever the log replayed.
 */
 const COLLECTION = 'game_rooms';
 const TTL_SECONDS = 3 * 60 * 60; // 3 hours
@@ -58,19 +75,58 @@ export function snapshotRoom(namespace, roomCode, state, tokenEntries) {
   } catch { /* never affect the caller */ }
 }
 
+/*
+  Fire-and-forget, NOT debounced — see the header. $sort keeps the log in seq
+  order even if two pushes land out of order; $slice drops the oldest once it
+  is over the cap. The upsert means a room that dies before its first snapshot
+  still leaves a log behind. `base`, when given, is the state after `entry`
+  and replaces the stored one.
+*/
+export function appendLog(namespace, roomCode, entry, base) {
+  try {
+    const conn = db();
+    if (!conn) return;
+    conn.collection(COLLECTION).updateOne(
+      { roomCode },
+      {
+        $set: { roomCode, namespace, updatedAt: new Date(), ...(base ? { base } : {}) },
+        $push: { log: { $each: [entry], $sort: { seq: 1 }, $slice: -ACTION_LOG_CAP } },
+      },
+      { upsert: true }
+    ).catch(() => {});
+  } catch { /* never affect the caller */ }
+}
+
+// Fire-and-forget, NOT debounced, like the log. The next snapshot writes the
+// room's whole token list again, this one included.
+export function saveToken(namespace, roomCode, tokenEntry) {
+  try {
+    const conn = db();
+    if (!conn) return;
+    conn.collection(COLLECTION).updateOne(
+      { roomCode },
+      { $set: { roomCode, namespace, updatedAt: new Date() }, $addToSet: { tokens: tokenEntry } },
+      { upsert: true }
+    ).catch(() => {});
+  } catch { /* never affect the caller */ }
+}
+
 export async function loadRoom(roomCode) {
   try {
     const conn = db();
     if (!conn) return null;
     const doc = await conn.collection(COLLECTION).findOne({ roomCode });
-    if (!doc || !doc.state) return null;
+    if (!doc || (!doc.state && !doc.base && !doc.log?.length)) return null;
     /*
       `namespace` is returned, not just stored. Every engine game shares one
       room store, so a caller that restores a snapshot without checking which
       game it belongs to writes another game's room into memory under the wrong
       game — the restart-path twin of the cross-game join bug.
     */
-    return { state: doc.state, tokens: doc.tokens || [], namespace: doc.namespace || null };
+    return {
+      state: doc.state || null, tokens: doc.tokens || [], namespace: doc.namespace || null,
+      log: doc.log || [], base: doc.base || null,
+    };
   } catch {
     return null;
   }
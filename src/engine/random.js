@@ -0,0 +1,75 @@
+import { randomBytes } from 'crypto';
+
+/*
+  Every random draw an engine game makes: which card, which letter, who is
+  the chameleon. All of them go through random() below.
+
+  Each room carries its own seeded stream on its state, `state.rng` — the
+  mulberry32 counter, one uint32 — and the engine runs every hook inside
+  withRoomRandom(state, ...), which points random() at that room's stream and
+  writes the advanced counter back onto the state the hook returns. So a deal
+  is a function of the room's seed and what happened before it, nothing else:
+  the action log (replay.js) rebuilds it exactly, and a room created with a
+  debug `seed` setting deals the same way every time.
+
+  Outside a room hook — a room code being drawn, a logic-check script calling
+  a game directly — random() draws from a process-wide stream seeded from
+  crypto, which is as random as Math.random and as unrepeatable. A check that
+  wants a repeatable deal wraps its calls in withRoomRandom({ rng: seed }, ...).
+
+  `rng` never reaches a client: with it, anyone could compute the next deal.
+  The engine strips it before deriveClientState (see `visible` there).
+*/
+
+// A fresh seed: unpredictable, so nobody can precompute a room's deals.
+export function newSeed() {
+  return randomBytes(4).readUInt32BE(0);
+}
+
+/*
+  A `seed` setting as typed by whoever is reproducing a room: the number from
+  the log, or any string (hashed, FNV-1a), so "chameleon-bug-3" works too.
+*/
+export function seedFrom(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of text) h = Math.imul(h ^ ch.codePointAt(0), 0x01000193) >>> 0;
+  return h;
+}
+
+// mulberry32, as in dailyQuestions.js, with its counter kept outside the
+// closure so it can live on a room's state between hooks.
+function draw(stream) {
+  stream.s = (stream.s + 0x6d2b79f5) >>> 0;
+  let t = stream.s;
+  t = Math.imul(t ^ (t >>> 15), 1 | t);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+const processStream = { s: newSeed() };
+let roomStream = null;
+
+// A float in [0, 1) — the drop-in for Math.random() in game code.
+export function random() {
+  return draw(roomStream ?? processStream);
+}
+
+/*
+  Run `fn` drawing from `state`'s stream. If it returns a state, that state
+  carries the stream's new position. A room from before `rng` existed gets a
+  fresh seed here, on its first hook.
+*/
+export function withRoomRandom(state, fn) {
+  const stream = { s: state?.rng ?? newSeed() };
+  const outer = roomStream;
+  roomStream = stream;
+  try {
+    const out = fn();
+    return out && typeof out === 'object' ? { ...out, rng: stream.s } : out;
+  } finally {
+    roomStream = outer;
+  }
+}
@@ -0,0 +1,146 @@
+import { randomBytes } from 'crypto';
+import { randomRoomCode } from './store.js';
+
+/*
+  The room store in Redis, so more than one backend instance can serve the
+  same rooms. Same contract as the memory store in store.js; every call here
+  returns a promise.
+
+  Why it exists: with rooms in a process-local Map the backend could only ever
+  run as ONE Railway replica — a second one would hand out codes the first had
+  never heard of, and a player whose reconnect landed on the other replica got
+  "room not found" in the middle of a game.
+
+  Keys (all under `prefix`):
+    room:<CODE>      the room state as JSON; an empty string while the code is
+                     reserved but the room not yet written
+    tokens:<CODE>    hash of rejoinToken -> playerId, so a room's tokens can be
+                     listed (snapshots) and revoked (deleteGame) together
+    token:<TOKEN>    { roomCode, playerId } as JSON, for the rejoin lookup
+    lock:<CODE>      who is writing the room right now (withRoomLock)
+
+  TTL is Redis's own key expiry, not a timer: an instance that dies cannot
+  leave a room behind, and any instance that touches a room extends it.
+
+  `client` is a connected node-redis v4 client, or the in-process fake from
+  scripts/fakeRedis.js. `ttlMs` is there for the check script, which cannot wait two
+  hours to see a room expire.
+*/
+const GAME_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours, as in the memory store
+const CODE_ATTEMPTS = 50;
+
+// A lock outlives any sane handler by a wide margin, and expires by itself if
+// its instance dies holding it.
+const LOCK_TTL_MS = 5000;
+const LOCK_WAIT_MS = 3000;
+const LOCK_RETRY_MS = 15;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createRedisStore(client, { prefix = 'herd:', ttlMs = GAME_TTL_MS } = {}) {
+  const roomKey = (code) => `${prefix}room:${code}`;
+  const tokensKey = (code) => `${prefix}tokens:${code}`;
+  const tokenKey = (token) => `${prefix}token:${token}`;
+  const lockKey = (code) => `${prefix}lock:${code}`;
+
+  async function refreshCleanup(roomCode) {
+    const tokens = await client.hKeys(tokensKey(roomCode));
+    const tx = client.multi()
+      .pExpire(roomKey(roomCode), ttlMs)
+      .pExpire(tokensKey(roomCode), ttlMs);
+    for (const token of tokens) tx.pExpire(tokenKey(token), ttlMs);
+    await tx.exec();
+  }
+
+  async function writeTokens(roomCode, entries) {
+    if (!entries.length) return;
+    const tx = client.multi();
+    for (const { token, playerId } of entries) {
+      tx.set(tokenKey(token), JSON.stringify({ roomCode, playerId }), { PX: ttlMs });
+      tx.hSet(tokensKey(roomCode), token, playerId);
+    }
+    tx.pExpire(tokensKey(roomCode), ttlMs);
+    await tx.exec();
+  }
+
+  return {
+    /*
+      The code is claimed with SET NX, so two instances drawing the same four
+      letters at the same moment cannot both get it — the check-then-use loop
+      of the memory store is only safe inside one process.
+    */
+    async generateRoomCode() {
+      for (let i = 0; i < CODE_ATTEMPTS; i++) {
+        const code = randomRoomCode();
+        if (await client.set(roomKey(code), '', { NX: true, PX: ttlMs }) === 'OK') return code;
+      }
+      throw new Error('no free room code');
+    },
+
+    // KEEPTTL: a write is not a refresh — refreshCleanup decides how long a room lives.
+    async setGame(roomCode, state) {
+      await client.set(roomKey(roomCode), JSON.stringify(state), { KEEPTTL: true });
+    },
+
+    async getGame(roomCode) {
+      if (!roomCode) return null;
+      const raw = await client.get(roomKey(roomCode));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async deleteGame(roomCode) {
+      const tokens = await client.hKeys(tokensKey(roomCode));
+      await client.del([roomKey(roomCode), tokensKey(roomCode), ...tokens.map(tokenKey)]);
+    },
+
+    async setToken(token, data) {
+      await writeTokens(data.roomCode, [{ token, playerId: data.playerId }]);
+    },
+
+    async getToken(token) {
+      if (!token) return null;
+      const raw = await client.get(tokenKey(token));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async tokensForRoom(roomCode) {
+      const hash = await client.hGetAll(tokensKey(roomCode));
+      return Object.entries(hash).map(([token, playerId]) => ({ token, playerId }));
+    },
+
+    scheduleCleanup: refreshCleanup,
+    refreshCleanup,
+
+    async restoreGame(roomCode, state, tokenEntries = []) {
+      const set = await client.set(roomKey(roomCode), JSON.stringify(state), { NX: true, PX: ttlMs });
+      if (set !== 'OK') return false;
+      await writeTokens(roomCode, tokenEntries.filter((t) => t.token && t.playerId));
+      return true;
+    },
+
+    /*
+      Every engine write is read-modify-write on the whole room. Across
+      instances two of those can interleave — two players answering at once
+      on different replicas — and the second write silently drops the first
+      answer. The lock serialises them per room; rooms never wait on each other.
+
+      Released only by its owner. The get-then-del is not atomic, but the only
+      way it can go wrong is a handler outliving LOCK_TTL_MS, which is already
+      a bug of its own.
+    */
+    async withRoomLock(roomCode, fn) {
+      const key = lockKey(roomCode);
+      const owner = randomBytes(8).toString('hex');
+      const giveUpAt = Date.now() + LOCK_WAIT_MS;
+      while (await client.set(key, owner, { NX: true, PX: LOCK_TTL_MS }) !== 'OK') {
+        if (Date.now() > giveUpAt) throw new Error(`room ${roomCode} stayed locked`);
+        await sleep(LOCK_RETRY_MS);
+      }
+      try {
+        return await fn();
+      } finally {
+        if (await client.get(key) === owner) await client.del(key);
+      }
+    },
+  };
+}
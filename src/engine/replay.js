@@ -0,0 +1,184 @@
+import { withRoomRandom } from './random.js';
+
+/*
+  The room's action log, and the one function that applies an entry of it.
+
+  Every change the engine makes to a room is an ENTRY — { seq, kind, at, ... } — and applyEntry() is the only place an entry becomes a new state. The
+  live engine calls it, restore calls it on the tail the last snapshot missed,
+  and scripts/rebuild-room.js calls it from the very first entry to show what
+  happened in a disputed round. One function, so the three cannot disagree.
+
+  Kinds:
+    create      { state, seed }            the lobby as it was created, and
+                                           the seed its stream started from
+    join        { player, late }           a fresh player (onLateJoin if late)
+    rejoin      { playerId, socketId }
+    disconnect  { playerId }               then onPlayerDisconnect
+    kick        { playerId }
+    migrate     { playerId }               the new host (migrated or handed over)
+    co_host     { playerId, on }           named or dropped as co-host
+    start       {}                          onStart
+    action      { playerId, action, payload }   handleAction
+    deadline    {}                          onDeadline
+
+  Deterministic. A game hook draws from the room's own stream (random.js),
+  which lives on the state and so replays by itself, and may call Date.now(),
+  which does not — so each entry carries the time it was applied, and the hook
+  runs with Date.now pinned to it. Restored before applyEntry returns; hooks
+  are synchronous, so nothing else can observe it.
+
+  Socket ids ride on the live entry (a join's player, a rejoin's socketId) and
+  are stripped from the logged copy: they mean nothing after the fact.
+*/
+
+// Entries kept per room; older ones fall off the front. A long game of the
+// busiest engine game is a few hundred.
+export const ACTION_LOG_CAP = 1000;
+
+/*
+  The cap trims from the front, and sooner or later that takes the room's
+  'create' with it — after which the log alone rebuilds nothing. So every
+  LOG_BASE_EVERY entries the state after the entry is stored beside the log as
+  its base (persistence.js). With a base twice per cap, the latest one is never
+  older than the oldest entry kept: base plus log always rebuild the room.
+*/
+export const LOG_BASE_EVERY = ACTION_LOG_CAP / 2;
+export const isLogBase = (seq) => seq % LOG_BASE_EVERY === 0;
+
+// Run `fn` at the time `entry` was first applied.
+function asAt(entry, fn) {
+  const realNow = Date.now;
+  Date.now = () => entry.at;
+  try {
+    return fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+const withoutSocket = (p) => ({ ...p, socketId: null });
+
+/*
+  The state after `entry`, or null if the game refused it (a refused action
+  is not logged, so a replay never meets one — null there means the log and
+  the snapshot disagree). Never mutates `state`.
+*/
+export function applyEntry(gameDef, state, entry) {
+  // A created room arrives with its stream already set up; nothing to draw.
+  const next = entry.kind === 'create'
+    ? reduce(gameDef, state, entry)
+    : asAt(entry, () => withRoomRandom(state, () => reduce(gameDef, state, entry)));
+  return next ? { ...next, logSeq: entry.seq } : null;
+}
+
+function reduce(gameDef, state, entry) {
+  const players = state?.players ?? [];
+  const player = players.find((p) => p.id === entry.playerId);
+
+  switch (entry.kind) {
+    case 'create':
+      return JSON.parse(JSON.stringify(entry.state));
+
+    case 'join': {
+      const joined = { ...state, players: [...players, { ...entry.player }] };
+      return entry.late ? gameDef.onLateJoin(joined, joined.players.at(-1)) : joined;
+    }
+
+    case 'rejoin':
+      if (!player) return null;
+      return {
+        ...state,
+        players: players.map((p) => (p.id === player.id ? { ...p, connected: true, socketId: entry.socketId ?? null } : p)),
+      };
+
+    case 'disconnect': {
+      if (!player) return null;
+      const gone = { ...player, connected: false, disconnectedAt: entry.at };
+      const left = { ...state, players: players.map((p) => (p.id === player.id ? gone : p)) };
+      // Nobody left to play on: the room just waits for its cleanup.
+      if (!left.players.some((p) => p.connected) || !gameDef.onPlayerDisconnect) return left;
+      return gameDef.onPlayerDisconnect(left, gone) ?? left;
+    }
+
+    case 'kick': {
+      if (!player) return null;
+      // Re-anchor judgeIndex by remembering the judge's playerId, then re-finding after removal
+      const judgeId = players[state.judgeIndex]?.id;
+      const rest = players.filter((p) => p.id !== player.id);
+      const kicked = { ...state, players: rest };
+      if (judgeId) {
+        const idx = rest.findIndex((p) => p.id === judgeId);
+        kicked.judgeIndex = idx >= 0 ? idx : state.judgeIndex % Math.max(rest.length, 1);
+      }
+      return kicked;
+    }
+
+    case 'migrate':
+      if (!player) return null;
+      // The new host stops being a co-host; they now hold the room outright.
+      return {
+        ...state,
+        hostId: player.id,
+        players: players.map((p) => ({ ...p, isHost: p.id === player.id, ...(p.id === player.id && { isCoHost: false }) })),
+      };
+
+    case 'co_host':
+      if (!player || player.id === state.hostId || !!player.isCoHost === entry.on) return null;
+      return { ...state, players: players.map((p) => (p.id === player.id ? { ...p, isCoHost: entry.on } : p)) };
+
+    case 'start':
+      return gameDef.onStart(state);
+
+    case 'action':
+      if (!player) return null;
+      return gameDef.handleAction(state, entry.action, entry.payload ?? {}, player);
+
+    case 'deadline':
+      return gameDef.onDeadline ? gameDef.onDeadline(state) : null;
+
+    default:
+      return null;
+  }
+}
+
+/*
+  An entry as it is stored: no socket ids, and a copy, so a later in-place
+  change to a live player object can never rewrite history.
+*/
+export function toLogged(entry) {
+  const out = JSON.parse(JSON.stringify(entry));
+  delete out.socketId;
+  if (out.player) out.player = withoutSocket(out.player);
+  if (out.state?.players) out.state.players = out.state.players.map(withoutSocket);
+  return out;
+}
+
+/*
+  Apply every entry of `log` the state has not seen yet, in order. Stops at
+  the first gap or refusal rather than guessing past it, and says how far it
+  got. `state.logSeq` is the last entry the state already contains.
+
+  A 'create' in the tail (a rematch) replaces everything before it, so the
+  replay starts there — which also means entries from a game the room has
+  since left are never fed to this one's gameDef.
+*/
+export function replayTail(gameDef, state, log = []) {
+  let current = state;
+  let applied = 0;
+  let tail = [...log].sort((a, b) => a.seq - b.seq).filter((e) => e.seq > (state.logSeq ?? 0));
+  const restart = tail.findLastIndex((e) => e.kind === 'create');
+  if (restart >= 0) {
+    tail = tail.slice(restart);
+    current = { logSeq: tail[0].seq - 1 };
+  }
+  for (const entry of tail) {
+    const seen = current.logSeq ?? 0;
+    if (entry.seq <= seen) continue;
+    if (entry.seq !== seen + 1) break;
+    const next = applyEntry(gameDef, current, entry);
+    if (!next) break;
+    current = next;
+    applied += 1;
+  }
+  return { state: current, applied };
+}
@@ -0,0 +1,34 @@
+/*
+  Who may run a room.
+
+  The host (`state.hostId`) and any co-host (`player.isCoHost`) can use every
+  host-only control: start the game, remove a player, and the games' own
+  force_* / next_round / cancel_round / skip actions. Only the host can hand
+  the room over (transfer_host) or name co-hosts (set_co_host), and nobody can
+  remove the host.
+
+  Co-hosts exist because a party's host is often the one whose phone dies, or
+  who is busy refilling drinks: the room used to sit waiting for them for 20s
+  of host migration, or for the one person allowed to press "Next round".
+
+  Games check permission through canHost() rather than comparing hostId, so
+  a co-host is a co-host everywhere at once.
+
+  The names a client matches on, the same in every engine game. The co-host
+  flag is `isCoHost`, next to the `isHost` players have always carried:
+
+    player.isHost      the host
+    player.isCoHost    a co-host (absent on everyone else)
+
+    transfer_host  { roomCode, playerId }            the host hands the room over
+    set_co_host    { roomCode, playerId, coHost }    the host names a co-host, or
+                                                     drops one with coHost: false
+
+  Either is answered with the room's next 'state_update', or an 'error' whose
+  code is UNAUTHORIZED (not the host) or INVALID_TARGET (nobody here to take
+  the room). The action log records them as 'migrate' and 'co_host' entries
+  (replay.js).
+*/
+export function canHost(state, player) {
+  return !!player && (player.id === state.hostId || player.isCoHost === true);
+}
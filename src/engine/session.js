@@ -0,0 +1,108 @@
+import { describeGame } from './gameDirectory.js';
+
+/*
+  Game nights: one room code for a whole evening of games, with a running
+  leaderboard across them.
+
+  Teams play three or four games back to back — Team Trivia, then Chameleon,
+  then Would You Rather — and used to re-enter a code and a name for each, with
+  no overall winner at the end. A session is the room itself carried from game
+  to game: the code, the players and their rejoin tokens are the room's
+  already, and a rematch (engine) already moves a room between namespaces.
+  What the session adds is memory — `state.session`, on the room, so it lives
+  in whichever store the room does and travels with it:
+
+    { startedAt, games: [{ game, name, finishedAt, scores, points }] }
+
+  `scores` are the game's own final numbers; `points` the same, normalised, so
+  a 40-point Guesstimate and a 7-point Say Anything count the same: the best
+  score in a game is worth 100 and everyone else the share of it they reached
+  (nobody below 0). Co-op games give the whole table the same points.
+
+  Everything here is a pure function of a room state; the engine decides when
+  a game is recorded and who is sent the standings.
+*/
+
+export const POINTS_PER_GAME = 100;
+
+/*
+  A finished game's score per player, wherever the game keeps it:
+    - team games (Taboo, Fishbowl): the player's team's score
+    - a `scores` map (Caveman Clues, Hue Match)
+    - Clover's co-op `totalScore`, shared by everyone
+    - otherwise each player's own `score`
+*/
+export function finalScores(state) {
+  const out = {};
+  const teamOf = {};
+  for (const [team, ids] of Object.entries(state.teams ?? {})) {
+    if (Array.isArray(ids)) ids.forEach((id) => { teamOf[id] = team; });
+  }
+  for (const p of state.players) {
+    if (state.teamScores && teamOf[p.id]) out[p.id] = state.teamScores[teamOf[p.id]] ?? 0;
+    else if (state.scores && typeof state.scores === 'object' && !Array.isArray(state.scores)) out[p.id] = state.scores[p.id] ?? 0;
+    else if (Number.isFinite(state.totalScore)) out[p.id] = state.totalScore;
+    else out[p.id] = p.score ?? 0;
+  }
+  return out;
+}
+
+export function normalise(scores) {
+  const best = Math.max(0, ...Object.values(scores));
+  const out = {};
+  for (const [id, score] of Object.entries(scores)) {
+    out[id] = best > 0 ? Math.round((POINTS_PER_GAME * Math.max(0, score)) / best) : 0;
+  }
+  return out;
+}
+
+// The session a room is in, or a new one starting now.
+export function openSession(state) {
+  return state.session ?? { startedAt: Date.now(), games: [] };
+}
+
+/*
+  The session with `state`'s game added. A room that is not finished adds
+  nothing — a game abandoned halfway has no result to count.
+*/
+export function recordGame(session, state) {
+  if (state.status !== 'finished') return session;
+  const scores = finalScores(state);
+  return {
+    ...session,
+    games: [...session.games, {
+      game: state.game,
+      name: describeGame(state.game)?.name ?? state.game,
+      finishedAt: Date.now(),
+      scores,
+      points: normalise(scores),
+    }],
+  };
+}
+
+/*
+  Standings, best first, over everyone in the room now: someone who joined
+  for the last game is on the board with what they earned there.
+*/
+export function leaderboard(session, players) {
+  return players
+    .map((p) => {
+      const played = session.games.filter((g) => g.points[p.id] !== undefined);
+      return {
+        playerId: p.id,
+        username: p.username,
+        points: played.reduce((sum, g) => sum + g.points[p.id], 0),
+        games: played.length,
+      };
+    })
+    .sort((a, b) => b.points - a.points || a.username.localeCompare(b.username));
+}
+
+// What players are sent between games (`session_update`).
+export function sessionView(session, state) {
+  return {
+    roomCode: state.roomCode,
+    games: session.games.map(({ game, name, finishedAt, points }) => ({ game, name, finishedAt, points })),
+    leaderboard: leaderboard(session, state.players),
+  };
+}
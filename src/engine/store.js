@@ -1,89 +1,154 @@
 import { randomBytes } from 'crypto';
+import { random } from './random.js';
+
+/*
+  The room store every engine game shares: rooms, rejoin tokens and their TTL.
+
+  Pluggable. The in-memory store below is the default and is what a single
+  process (and every check script) runs on; src/engine/redisStore.js keeps the
+  same data in Redis so several backend instances can serve the same rooms.
+  The engine picks one at boot with useStore() and only ever talks to the
+  functions exported here.
+
+  Every function may return a value OR a promise of one — the memory store
+  answers synchronously, Redis cannot — so callers in the engine always await.
+  A store implements:
+
+    generateRoomCode()                   -> code, already reserved
+    getGame(code) / setGame(code, state) / deleteGame(code)
+    getToken(token) / setToken(token, { roomCode, playerId })
+    tokensForRoom(code)                  -> [{ token, playerId }]
+    scheduleCleanup(code) / refreshCleanup(code)
+    restoreGame(code, state, tokens)     -> false if the room is already live
+    withRoomLock(code, fn)               -> fn's result, run with nothing else
+                                            (here or on another instance)
+                                            writing the same room
+*/
 
-// games: roomCode -> gameState
-const games = new Map();
+const GAME_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours
 
-// tokens: rejoinToken -> { roomCode, playerId }
-const tokens = new Map();
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I or O (look like 1/0)
 
-// cleanup handles: roomCode -> TimeoutHandle
-const cleanupHandles = new Map();
+export function randomRoomCode() {
+  return Array.from({ length: 4 }, () => CODE_CHARS[Math.floor(random() * CODE_CHARS.length)]).join('');
+}
 
-const GAME_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours
+export function createMemoryStore() {
+  // games: roomCode -> gameState
+  const games = new Map();
 
-export function generateRoomCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I or O (look like 1/0)
-  let code;
-  do {
-    code = Array.from({ length: 4 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
-  } while (games.has(code));
-  return code;
-}
+  // tokens: rejoinToken -> { roomCode, playerId }
+  const tokens = new Map();
 
-export function generateToken() {
-  return randomBytes(20).toString('hex');
-}
+  // cleanup handles: roomCode -> TimeoutHandle
+  const cleanupHandles = new Map();
 
-export function setGame(roomCode, state) {
-  games.set(roomCode, state);
-}
+  // room locks: roomCode -> the promise the next writer waits on
+  const locks = new Map();
 
-export function getGame(roomCode) {
-  return games.get(roomCode) ?? null;
-}
+  function deleteGame(roomCode) {
+    games.delete(roomCode);
+    // revoke all tokens for this room
+    for (const [token, data] of tokens.entries()) {
+      if (data.roomCode === roomCode) tokens.delete(token);
+    }
+    const handle = cleanupHandles.get(roomCode);
+    if (handle) { clearTimeout(handle); cleanupHandles.delete(roomCode); }
+  }
 
-export function deleteGame(roomCode) {
-  games.delete(roomCode);
-  // revoke all tokens for this room
-  for (const [token, data] of tokens.entries()) {
-    if (data.roomCode === roomCode) tokens.delete(token);
+  function scheduleCleanup(roomCode) {
+    const existing = cleanupHandles.get(roomCode);
+    if (existing) clearTimeout(existing);
+    const handle = setTimeout(() => deleteGame(roomCode), GAME_TTL_MS);
+    cleanupHandles.set(roomCode, handle);
   }
-  const handle = cleanupHandles.get(roomCode);
-  if (handle) { clearTimeout(handle); cleanupHandles.delete(roomCode); }
-}
 
-export function setToken(token, data) {
-  tokens.set(token, data);
+  return {
+    /*
+      Reserved, as the Redis store's SET NX reserves it: the engine awaits
+      between drawing a code and writing the room, so two creates in the same
+      tick could otherwise both draw a free code and both be handed it. The
+      placeholder reads as no room, and expires like one if it is never used.
+    */
+    generateRoomCode() {
+      let code;
+      do { code = randomRoomCode(); } while (games.has(code));
+      games.set(code, null);
+      scheduleCleanup(code);
+      return code;
+    },
+
+    setGame(roomCode, state) { games.set(roomCode, state); },
+    getGame(roomCode) { return games.get(roomCode) ?? null; },
+    deleteGame,
+
+    setToken(token, data) { tokens.set(token, data); },
+    getToken(token) { return tokens.get(token) ?? null; },
+
+    scheduleCleanup,
+    refreshCleanup: scheduleCleanup,
+
+    tokensForRoom(roomCode) {
+      const out = [];
+      for (const [token, data] of tokens.entries()) {
+        if (data.roomCode === roomCode) out.push({ token, playerId: data.playerId });
+      }
+      return out;
+    },
+
+    restoreGame(roomCode, state, tokenEntries = []) {
+      if (games.has(roomCode)) return false;
+      games.set(roomCode, state);
+      for (const { token, playerId } of tokenEntries) {
+        if (token && playerId) tokens.set(token, { roomCode, playerId });
+      }
+      scheduleCleanup(roomCode);
+      return true;
+    },
+
+    /*
+      One process, but the engine awaits between a read and its write, and
+      Socket.IO can hand over several packets in the same tick — two actions
+      sent back to back would both read the room before either wrote it. So
+      writes to a room queue behind each other here too; the queue is dropped
+      once it drains.
+    */
+    withRoomLock(roomCode, fn) {
+      const run = (locks.get(roomCode) ?? Promise.resolve()).then(fn);
+      const tail = run.catch(() => {});
+      locks.set(roomCode, tail);
+      tail.then(() => { if (locks.get(roomCode) === tail) locks.delete(roomCode); });
+      return run;
+    },
+  };
 }
 
-export function getToken(token) {
-  return tokens.get(token) ?? null;
-}
+let backend = createMemoryStore();
 
-export function scheduleCleanup(roomCode) {
-  const existing = cleanupHandles.get(roomCode);
-  if (existing) clearTimeout(existing);
-  const handle = setTimeout(() => deleteGame(roomCode), GAME_TTL_MS);
-  cleanupHandles.set(roomCode, handle);
+// Swap the backing store. Called once at boot, before any room exists.
+export function useStore(store) {
+  backend = store;
 }
 
-export function refreshCleanup(roomCode) {
-  scheduleCleanup(roomCode);
+export function generateToken() {
+  return randomBytes(20).toString('hex');
 }
 
-export function allGames() {
-  return games.entries();
-}
+export const generateRoomCode = () => backend.generateRoomCode();
+export const setGame = (roomCode, state) => backend.setGame(roomCode, state);
+export const getGame = (roomCode) => backend.getGame(roomCode);
+export const deleteGame = (roomCode) => backend.deleteGame(roomCode);
+export const setToken = (token, data) => backend.setToken(token, data);
+export const getToken = (token) => backend.getToken(token);
+export const scheduleCleanup = (roomCode) => backend.scheduleCleanup(roomCode);
+export const refreshCleanup = (roomCode) => backend.refreshCleanup(roomCode);
+export const withRoomLock = (roomCode, fn) => backend.withRoomLock(roomCode, fn);
 
 // ── Snapshot/restore helpers (for surviving server restarts) ────────────────
 // All rejoin tokens that belong to a room (so a restored room can still be
 // rejoined after a restart).
-export function tokensForRoom(roomCode) {
-  const out = [];
-  for (const [token, data] of tokens.entries()) {
-    if (data.roomCode === roomCode) out.push({ token, playerId: data.playerId });
-  }
-  return out;
-}
+export const tokensForRoom = (roomCode) => backend.tokensForRoom(roomCode);
 
-// Restore a room + its tokens into memory (used when loading a snapshot after a
-// restart). Does not overwrite a room that's already live in memory.
-export function restoreGame(roomCode, state, tokenEntries = []) {
-  if (games.has(roomCode)) return false;
-  games.set(roomCode, state);
-  for (const { token, playerId } of tokenEntries) {
-    if (token && playerId) tokens.set(token, { roomCode, playerId });
-  }
-  scheduleCleanup(roomCode);
-  return true;
-}
+// Restore a room + its tokens into the store (used when loading a snapshot
+// after a restart). Does not overwrite a room that's already live.
+export const restoreGame = (roomCode, state, tokenEntries = []) => backend.restoreGame(roomCode, state, tokenEntries);
@@ -0,0 +1,194 @@
+import { random } from './random.js';
+import { canHost } from './roles.js';
+
+/*
+  Two-team games' teams: chosen in the lobby, kept level during play.
+
+  Taboo and Fishbowl used to deal teams at kickoff by join order — A, B, A,
+  B — so a host could not split up a couple, put the two people who have
+  played before on different sides, or call the teams anything. Now, until
+  the teams are in play, the host (or a co-host) can:
+
+    set_team      { playerId, team }  'A', 'B', or null to leave it to the deal
+    shuffle_teams                     a random even split of everyone here
+    balance_teams                     an even split by past score (below)
+    rename_team   { team, name }      any time; a blank name clears it
+
+  and any player can pick a side for themselves with join_team { team } —
+  'A', 'B', or null to leave it to the deal — which the host can still
+  overrule.
+
+  The choice lives in `state.teams` like the dealt teams always have, and
+  dealTeams() turns it into the teams that play: choices kept, anyone still
+  unplaced onto the smaller side.
+
+  Past score is what a game night knows (session.js) — the points a player has
+  earned tonight — or else their running `score`, which a rematch can carry.
+  With no history at all, balancing is just an even split.
+
+  Leaving: when a team ends up two or more players short of the other,
+  rebalance() sends one across at the next break in play — never mid-turn,
+  and not for a one-player gap, which is a phone sleeping as often as it is
+  someone gone.
+
+  Givers: each team's clue-givers take turns by place in the team's list —
+  see nextGiver().
+*/
+
+export const TEAM_ACTIONS = new Set(['set_team', 'shuffle_teams', 'balance_teams', 'rename_team', 'join_team']);
+const MAX_TEAM_NAME = 24;
+
+export function emptyTeams() {
+  return { teams: { A: [], B: [] }, teamNames: { A: null, B: null } };
+}
+
+/**
+ * Apply a team action, or null if it is not allowed. `choosing` is whether the
+ * game's teams are still open — the lobby, or Fishbowl's word-writing phase.
+ */
+export function handleTeamAction(state, action, payload, player, choosing) {
+  if (action === 'join_team') return choosing ? place(state, player.id, payload.team ?? null) : null;
+  if (!canHost(state, player)) return null;
+  if (action === 'rename_team') {
+    if (!['A', 'B'].includes(payload.team)) return null;
+    const name = String(payload.name ?? '').trim().slice(0, MAX_TEAM_NAME) || null;
+    return { ...state, teamNames: { ...(state.teamNames ?? { A: null, B: null }), [payload.team]: name } };
+  }
+  if (!choosing) return null;
+
+  switch (action) {
+    case 'set_team':
+      return place(state, payload.playerId, payload.team);
+    case 'shuffle_teams': {
+      const ids = shuffle(here(state).map((p) => p.id));
+      return { ...state, teams: { A: ids.filter((_, i) => i % 2 === 0), B: ids.filter((_, i) => i % 2 === 1) } };
+    }
+    case 'balance_teams':
+      return { ...state, teams: balanced(state) };
+    default:
+      return null;
+  }
+}
+
+/*
+  The teams that play, from whatever was chosen: the connected players the
+  host placed stay placed, everyone else fills the smaller team in join order.
+  A choice that would leave a side empty (everyone put on A) is not a game of
+  two teams, so then the deal falls back to alternating.
+*/
+export function dealTeams(state) {
+  const connected = here(state).map((p) => p.id);
+  const chosen = state.teams ?? { A: [], B: [] };
+  const teams = {
+    A: chosen.A.filter((id) => connected.includes(id)),
+    B: chosen.B.filter((id) => connected.includes(id)),
+  };
+  for (const id of connected) {
+    if (teams.A.includes(id) || teams.B.includes(id)) continue;
+    teams[teams.A.length <= teams.B.length ? 'A' : 'B'].push(id);
+  }
+  if (connected.length >= 2 && (!teams.A.length || !teams.B.length)) {
+    return { A: connected.filter((_, i) => i % 2 === 0), B: connected.filter((_, i) => i % 2 === 1) };
+  }
+  return teams;
+}
+
+/*
+  Level the teams after someone leaves: while one side has two or more
+  connected players fewer than the other, move the last-listed connected
+  player across from the bigger side. Only ever called with no turn running,
+  so nobody is pulled out from under a clue. Co-op games have one team and
+  nothing to level.
+*/
+export function rebalance(state) {
+  if (state.coop) return state;
+  const online = (team) => state.teams[team].filter((id) => state.players.some((p) => p.id === id && p.connected));
+  let teams = state.teams;
+  for (;;) {
+    const a = online('A').length;
+    const b = online('B').length;
+    if (Math.abs(a - b) < 2) break;
+    const [from, to] = a > b ? ['A', 'B'] : ['B', 'A'];
+    const mover = online(from).at(-1);
+    // Whoever was up next on the smaller list still is.
+    const place = teams[from].indexOf(mover);
+    const giverIndex = state.giverIndex && place < state.giverIndex[from]
+      ? { ...state.giverIndex, [from]: state.giverIndex[from] - 1 }
+      : state.giverIndex;
+    teams = { ...teams, [from]: teams[from].filter((id) => id !== mover), [to]: [...teams[to], mover] };
+    state = { ...state, teams, ...(giverIndex && { giverIndex }) };
+  }
+  return state;
+}
+
+/*
+  Whose turn it is to give for `team`. `giverIndex[team]` is a place in
+  `state.teams[team]`, and the first connected player from there on (round
+  the end and back) gives. It is a place in the whole list, not a count of
+  who is online: someone who leaves keeps their place, so the player after
+  them is not skipped, and one who comes back is not given a second go.
+*/
+export function nextGiver(state, team) {
+  const list = state.teams[team];
+  const from = state.giverIndex?.[team] ?? 0;
+  for (let i = 0; i < list.length; i += 1) {
+    const id = list[(from + i) % list.length];
+    if (state.players.some((p) => p.id === id && p.connected)) return id;
+  }
+  return null;
+}
+
+// `giverIndex` once `giverId` has given: the place after theirs, wherever
+// the turn started looking. A giver since moved off the team has already
+// had rebalance() step the place back for them.
+export function passGiver(state, team, giverId) {
+  const place = state.teams[team].indexOf(giverId);
+  if (place < 0) return state.giverIndex;
+  return { ...state.giverIndex, [team]: (place + 1) % state.teams[team].length };
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+function place(state, playerId, team) {
+  if (!state.players.some((p) => p.id === playerId)) return null;
+  if (team !== null && !['A', 'B'].includes(team)) return null;
+  const teams = {
+    A: state.teams.A.filter((id) => id !== playerId),
+    B: state.teams.B.filter((id) => id !== playerId),
+  };
+  if (team) teams[team] = [...teams[team], playerId];
+  return { ...state, teams };
+}
+
+function here(state) {
+  return state.players.filter((p) => p.connected);
+}
+
+function shuffle(list) {
+  const a = [...list];
+  for (let i = a.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function pastScore(state, player) {
+  const games = state.session?.games ?? [];
+  if (games.length) return games.reduce((sum, g) => sum + (g.points[player.id] ?? 0), 0);
+  return player.score ?? 0;
+}
+
+// Best first, each onto the side with the lower total that still has room; sizes stay within one.
+function balanced(state) {
+  const players = [...here(state)].sort((x, y) => pastScore(state, y) - pastScore(state, x));
+  const cap = Math.ceil(players.length / 2);
+  const teams = { A: [], B: [] };
+  const total = { A: 0, B: 0 };
+  for (const p of players) {
+    const lower = total.A <= total.B ? 'A' : 'B';
+    const team = teams[lower].length < cap ? lower : (lower === 'A' ? 'B' : 'A');
+    teams[team].push(p.id);
+    total[team] += pastScore(state, p);
+  }
+  return teams;
+}
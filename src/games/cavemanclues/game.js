@@ -1,6 +1,5 @@
-import { shuffledDeck } from './words.js';
-import { illegalWords } from './syllables.js';
-import { normalizeAnswer } from '../../utils/answerNormalizer.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, languageFor } from './languages.js';
+import { random } from '../../engine/random.js';
 
 /*
   Caveman Clues on the engine.
@@ -26,8 +25,13 @@ import { normalizeAnswer } from '../../utils/answerNormalizer.js';
     same thing at all: a slip is comedy, giving the answer away ends the round
     for everyone.
 
-  No server timers, like every other game here — the client drives the deadline
-  and the server only validates. See ROBUSTNESS.md.
+  The client shows the countdown; the server owns the end of it. When the turn's
+  `deadline` passes the engine calls onDeadline and the turn is revealed
+  unsolved, so a giver whose phone sleeps cannot hold the room.
+
+  A room plays in one language (`language`, languages.js): it picks the deck,
+  the syllable referee, and how a guess is compared. A host's own pack is
+  dealt as it is whatever the language — it is refereed in the room's.
 */
 const DEFAULT_TURN_SEC = 90;
 const DEFAULT_ROUNDS = 3;
@@ -59,6 +63,7 @@ export const CavemanCluesGame = {
       phase: null,                 // 'clue' | 'reveal' | 'finished'
       turnSec: Number.isInteger(t) && t >= 45 && t <= 180 ? t : DEFAULT_TURN_SEC,
       totalRounds: Number.isInteger(r) && r >= 3 && r <= 8 ? r : DEFAULT_ROUNDS,
+      language: Object.hasOwn(LANGUAGES, settings.language) ? settings.language : DEFAULT_LANGUAGE,
       customWords: Array.isArray(settings.customQuestions) && settings.customQuestions.length
         ? settings.customQuestions.slice(0, 200).map(String)
         : null,
@@ -78,7 +83,8 @@ export const CavemanCluesGame = {
       round: 0,
       totalTurns: 0,               // fixed at kickoff; see onStart
       lastGiverId: null,           // the rotation anchors on WHO, not on an index
-      turn: null,                  // { giverId, clues, guesses, slips, solvedBy, deadline }
+      turn: null,                  // { giverId, clues, guesses, slips, solvedBy, startedAt }
+      deadline: null,              // the engine's timer: startedAt + turnSec
       lastTurn: null,              // { word, giverId, solvedBy, giverGain, guesserGain }
       scores: {},                  // playerId -> number
       winner: null,
@@ -97,7 +103,7 @@ export const CavemanCluesGame = {
       the same reason onPlayerDisconnect below is deliberately a no-op.
     */
     const everyone = state.players;
-    const deck = state.customWords ? shuffleOf(state.customWords) : shuffledDeck(state.exclude);
+    const deck = state.customWords ? shuffleOf(state.customWords) : languageFor(state.language).shuffledDeck(state.exclude);
     const scores = {};
     everyone.forEach((p) => { scores[p.id] = 0; });
 
@@ -200,6 +206,11 @@ export const CavemanCluesGame = {
     return base;
   },
 
+  // A watcher holds no seat, so the word reaches them only at the reveal.
+  deriveSpectatorState(state) {
+    return CavemanCluesGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, player) {
     /*
       Deliberately does NOT end the round.
@@ -217,6 +228,10 @@ export const CavemanCluesGame = {
     void player;
     return null;
   },
+
+  onDeadline(state) {
+    return state.phase === 'clue' && state.turn ? revealTurn(state, null) : null;
+  },
 };
 
 /* ── helpers ─────────────────────────────────────────────────────────────── */
@@ -224,7 +239,7 @@ export const CavemanCluesGame = {
 function shuffleOf(list) {
   const deck = [...new Set(list.map((w) => String(w).trim()).filter(Boolean))];
   for (let i = deck.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [deck[i], deck[j]] = [deck[j], deck[i]];
   }
   return deck;
@@ -262,11 +277,13 @@ function beginTurn(state) {
   const giverId = nextGiverId(state);
   if (!giverId || state.round >= state.totalTurns) return finish(state);
 
+  const startedAt = Date.now();
   return {
     ...state,
     phase: 'clue',
     lastGiverId: giverId,
-    turn: { giverId, clues: [], guesses: [], slips: 0, solvedBy: null, startedAt: Date.now() },
+    deadline: startedAt + state.turnSec * 1000,
+    turn: { giverId, clues: [], guesses: [], slips: 0, solvedBy: null, startedAt },
   };
 }
 
@@ -284,11 +301,10 @@ function giveClue(state, payload, player) {
     guessing uses, so the two can never disagree about what counts as the word.
   */
   const word = currentWord(state);
-  const target = normalizeAnswer(word || '');
-  const saidTheWord = text
-    .split(/[^A-Za-z']+/)
-    .filter(Boolean)
-    .some((w) => normalizeAnswer(w) === target);
+  const language = languageFor(state.language);
+  const saidTheWord = language.tokenizeClue(text)
+    .filter((t) => t.isWord)
+    .some((t) => sameWord(language, t.text, word));
   if (saidTheWord) {
     /*
       The text is NOT stored.
@@ -306,7 +322,7 @@ function giveClue(state, payload, player) {
     return { ...state, turn: { ...state.turn, rejected: { reason: 'answer' }, rejectedAt: Date.now() } };
   }
 
-  const bad = illegalWords(text);
+  const bad = language.illegalWords(text);
   const clue = { text, by: player.id, bad, at: Date.now() };
   return {
     ...state,
@@ -319,6 +335,15 @@ function giveClue(state, payload, player) {
   };
 }
 
+/*
+  One comparison for guesses and for "the clue said the answer", so the two
+  can never disagree: the language's match key (languages.js) folds what the
+  keyboard could not type and decides what else is forgiven.
+*/
+function sameWord(language, text, word) {
+  return !!word && language.matchKey(text) === language.matchKey(word);
+}
+
 function makeGuess(state, payload, player) {
   if (state.phase !== 'clue' || !state.turn) return null;
   if (player.id === state.turn.giverId) return null;      // the giver knows it
@@ -329,7 +354,7 @@ function makeGuess(state, payload, player) {
   if (!text) return null;
 
   const word = currentWord(state);
-  const right = !!word && normalizeAnswer(text) === normalizeAnswer(word);
+  const right = !!word && sameWord(languageFor(state.language), text, word);
   const guess = { text, by: player.id, right, at: Date.now() };
   const turn = { ...state.turn, guesses: [...state.turn.guesses, guess] };
 
@@ -384,6 +409,7 @@ function revealTurn(state, solverId) {
   return {
     ...state,
     phase: 'reveal',
+    deadline: null,
     scores,
     turn: { ...state.turn, solvedBy: solverId },
     lastTurn: { word, giverId, solvedBy: solverId, giverGain, guesserGain, slips, clues: state.turn.clues },
@@ -425,6 +451,7 @@ function finish(state) {
     status: 'finished',
     phase: 'finished',
     turn: null,
+    deadline: null,
     winner: tied.length > 1 ? null : top.id,
     tiedWinners: tied.length > 1 ? tied : null,
   };
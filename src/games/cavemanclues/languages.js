@@ -0,0 +1,78 @@
+import { normalizeAnswer } from '../../utils/answerNormalizer.js';
+import * as english from './syllables.js';
+import * as spanish from './syllables-es.js';
+import * as german from './syllables-de.js';
+import { shuffledDeck as englishDeck } from './words.js';
+import { shuffledDeck as spanishDeck } from './words-es.js';
+import { shuffledDeck as germanDeck } from './words-de.js';
+
+/*
+  The languages a Caveman Clues room can be played in.
+
+  A language is everything the game needs to referee and deal in it:
+
+    illegalWords(clue)  the words in a clue that break the one-syllable rule
+    tokenizeClue(clue)  how a clue splits into words, for "said the answer"
+    shuffledDeck(ex)    a deck of cards, seen ones last (words.js)
+    fold(text)          the spelling a guess is compared in
+    matchKey(text)      what a guess and the card must share to be the word
+
+  Adding one is a syllables-xx.js with the same exports as syllables.js, a
+  words-xx.js deck, an entry here, and a caveman-syllable-check-xx.js held to
+  the same standard as the English check: no real one-syllable word refused.
+
+  `fold` exists because the normaliser compares letters exactly, and half the
+  players in a Spanish or German room are on a keyboard without ñ or ü. The
+  card stays spelled properly; the comparison forgives the keyboard. English
+  has nothing to fold.
+
+  `matchKey` is the fold plus whatever the language does about word endings.
+  English and Spanish go through the shared normaliser, which strips articles
+  and plurals with an English stemmer. German does not: the stemmer would cut
+  German words at English endings, so a German key is the folded letters and
+  nothing else.
+*/
+const stripAccents = (text) => String(text || '').normalize('NFD').replace(/\p{M}/gu, '');
+
+/*
+  A German guess may spell ü as "ü", "ue" or just "u" — "Tür", "Tuer", "Tur"
+  — so all three fold to the plain vowel, on the card and the guess alike.
+  That also folds a real "ue" (Feuer → Feur), which is harmless: both sides
+  fold the same way, and the deck has no two cards that differ only there.
+*/
+const germanFold = (text) => stripAccents(String(text || '')
+  .replace(/([aou])e/gi, '$1')
+  .replace(/ß/g, 'ss'));
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    illegalWords: english.illegalWords,
+    tokenizeClue: english.tokenizeClue,
+    shuffledDeck: englishDeck,
+    fold: (text) => String(text || ''),
+    matchKey: normalizeAnswer,
+  },
+  es: {
+    name: 'Español',
+    illegalWords: spanish.illegalWords,
+    tokenizeClue: spanish.tokenizeClue,
+    shuffledDeck: spanishDeck,
+    fold: stripAccents,
+    matchKey: (text) => normalizeAnswer(stripAccents(text)),
+  },
+  de: {
+    name: 'Deutsch',
+    illegalWords: german.illegalWords,
+    tokenizeClue: german.tokenizeClue,
+    shuffledDeck: germanDeck,
+    fold: germanFold,
+    matchKey: (text) => germanFold(text).toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''),
+  },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export function languageFor(code) {
+  return LANGUAGES[code] ?? LANGUAGES[DEFAULT_LANGUAGE];
+}
@@ -0,0 +1,84 @@
+import { tokenizeClue } from './syllables-es.js';
+
+/*
+  Is this German word one syllable?
+
+  The referee's rule is the English one — when unsure, the word is legal —
+  and German spelling makes the count nearly mechanical. Every syllable has
+  one vowel nucleus, and a nucleus is either a single vowel or one of a fixed
+  set of pairs:
+
+    ai au äu ei eu ey ay   diphthongs          "Haus", "Leute", "Mai"
+    ie aa ee oo            long vowels         "Bier", "Haar", "See", "Boot"
+    ae oe ue               umlauts typed on a keyboard without them:
+                           "Tuer" is "Tür", one syllable, and a Clue Giver on
+                           a borrowed laptop must not be charged for it
+    ui oi                  "pfui", "ahoi" — permissive; "Ruine" is Ru-i-ne,
+                           but a missed slip costs nothing
+
+  A run of vowels is read left to right, pairs first: "Bauer" is au + e, two
+  syllables; "Eier" is ei + e, two; "Theater" is e + a + e, three. There is no
+  silent "e" to allow for — "Hase" is two syllables, as written.
+
+  What the rule gets wrong, it gets wrong for loanwords ("Team", "Steak",
+  "live") and for a handful of plurals where a doubled vowel is really two
+  ("Seen" is See-en). Those are the lists.
+*/
+
+const ONE_SYLLABLE = new Set(`
+team steak jeans live bike game fake date cake skate smile
+`.trim().split(/\s+/));
+
+/*
+  Read as one syllable by the pair rule, really two. Kept to words a Clue
+  Giver could plausibly type.
+*/
+const MULTI = new Set(`
+seen feen knien ruin
+`.trim().split(/\s+/));
+
+export const WORD_LISTS = { ONE_SYLLABLE, MULTI };
+
+const VOWELS = 'aeiouyäöü';
+const PAIRS = new Set(['ai', 'au', 'äu', 'ei', 'eu', 'ey', 'ay', 'ie', 'aa', 'ee', 'oo', 'ae', 'oe', 'ue', 'ui', 'oi']);
+
+/** Letters only, lowercased — the form both lists are stored in. */
+export function lookupForm(raw) {
+  return String(raw || '').toLowerCase().replace(/[^\p{L}]/gu, '');
+}
+
+/** Syllables by the nucleus rule above. Errs low on anything unusual. */
+export function countSyllables(raw) {
+  const w = lookupForm(raw);
+  if (!w) return 0;
+
+  let count = 0;
+  let i = 0;
+  while (i < w.length) {
+    if (!VOWELS.includes(w[i])) { i += 1; continue; }
+    count += 1;
+    i += PAIRS.has(w.slice(i, i + 2)) ? 2 : 1;
+  }
+  return Math.max(1, count);
+}
+
+/** True when the word may legally appear in a clue. */
+export function isOneSyllable(word) {
+  const w = lookupForm(word);
+  if (!w) return true;                    // punctuation alone is not a slip
+  if (ONE_SYLLABLE.has(w)) return true;   // definitive
+  if (MULTI.has(w)) return false;         // definitive
+  return countSyllables(w) <= 1;
+}
+
+// "Straße" and "Käse" need the letter-in-any-script split Spanish uses.
+export { tokenizeClue };
+
+/**
+ * The words in a clue that break the rule. Empty means the clue is legal.
+ */
+export function illegalWords(clue) {
+  return tokenizeClue(clue)
+    .filter((t) => t.isWord && !isOneSyllable(t.text))
+    .map((t) => t.text);
+}
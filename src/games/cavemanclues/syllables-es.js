@@ -0,0 +1,98 @@
+/*
+  Is this Spanish word one syllable?
+
+  Same job as syllables.js, same rule of the referee — when unsure, the word is
+  legal — but a much easier language to referee. Spanish spelling says where
+  its syllables are: every syllable has one vowel nucleus, and whether two
+  vowels side by side share one is written into the word.
+
+    a e o          strong vowels
+    i u ü          weak vowels
+    á é ó í ú      accented: always strong, so "día" is dí-a, "río" is rí-o
+
+  Two strong vowels are two syllables (hiatus: "le-er", "ca-er", "po-e-ta").
+  Any pair with a weak vowel is one (diphthong: "bien", "hoy", "fui", "guau").
+  The "u" of que/qui/gue/gui is silent and already inside the nucleus by that
+  rule, so "queso" and "guerra" come out right without a case of their own.
+  "y" is a vowel only at the end of a word after a vowel ("hoy", "muy", "rey")
+  or alone; anywhere else ("yo", "ayer") it is a consonant. An "h" between
+  vowels is silent but still splits them the way the orthography does
+  ("ahí" is a-hí), which is what the spelling rule intends.
+
+  The one known softness is the 2010 academy ruling that "guion", "truhan" and
+  "fie" are one syllable for spelling purposes; many speakers say two. This
+  rule reads them as one — the permissive side, as it should be.
+
+  So ONE_SYLLABLE here only has to cover loanwords whose spelling is not
+  Spanish ("cool", "team", "like"), and MULTI is empty unless a word turns
+  up that the rule under-counts. Both exist so the check script can hold this
+  file to the same audit as the English one.
+*/
+
+const ONE_SYLLABLE = new Set(`
+cool look zoom boom team jeans mouse game date skate bike like site smile
+`.trim().split(/\s+/));
+
+const MULTI = new Set();
+
+export const WORD_LISTS = { ONE_SYLLABLE, MULTI };
+
+const STRONG = 'aeoáéóíú';
+const WEAK = 'iuü';
+const isVowel = (ch) => STRONG.includes(ch) || WEAK.includes(ch);
+
+/** Letters only, lowercased — the form both lists are stored in. */
+export function lookupForm(raw) {
+  return String(raw || '').toLowerCase().replace(/[^\p{L}]/gu, '');
+}
+
+/** Syllables by the spelling rules above. Exact for native words. */
+export function countSyllables(raw) {
+  const w = lookupForm(raw);
+  if (!w) return 0;
+  if (w === 'y') return 1;
+
+  let count = 0;
+  let prev = '';
+  for (let i = 0; i < w.length; i += 1) {
+    let ch = w[i];
+    // Final "y" after a vowel closes a diphthong, like a weak "i".
+    if (ch === 'y' && i === w.length - 1 && isVowel(prev)) ch = 'i';
+    if (!isVowel(ch)) { prev = ch; continue; }
+    const hiatus = isVowel(prev) && STRONG.includes(prev) && STRONG.includes(ch);
+    if (!isVowel(prev) || hiatus) count += 1;
+    prev = ch;
+  }
+  return Math.max(1, count);
+}
+
+/** True when the word may legally appear in a clue. */
+export function isOneSyllable(word) {
+  const w = lookupForm(word);
+  if (!w) return true;                    // punctuation alone is not a slip
+  if (ONE_SYLLABLE.has(w)) return true;   // definitive
+  if (MULTI.has(w)) return false;         // definitive
+  return countSyllables(w) <= 1;
+}
+
+/*
+  The English tokenizer splits on anything outside A-Z, which would cut
+  "niño" into "ni" and "o" and let any accented word through in pieces. This
+  one splits on anything that is not a letter in any script. Separators are
+  kept, as in English, so a clue can be re-rendered word by word.
+*/
+export function tokenizeClue(clue) {
+  return String(clue || '')
+    .split(/([^\p{L}']+)/u)
+    .filter((t) => t !== '')
+    .map((t) => ({ text: t, isWord: /\p{L}/u.test(t) }));
+}
+
+/**
+ * The words in a clue that break the rule. Empty means the clue is legal.
+ */
+export function illegalWords(clue) {
+  return tokenizeClue(clue)
+    .filter((t) => t.isWord && !isOneSyllable(t.text))
+    .map((t) => t.text);
+}
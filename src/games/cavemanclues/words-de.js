@@ -0,0 +1,63 @@
+import { deckFrom } from './words.js';
+
+/*
+  The German word bank for Caveman Clues.
+
+  The rules for words.js hold here, adjusted for players in Germany, Austria
+  and Switzerland:
+    - no "ß". Switzerland writes "ss" and the answer normaliser does not merge
+      the two, so a card reading "Fußball" would refuse a Swiss player's
+      "Fussball" — the game visibly refusing a correct answer. Umlauts are
+      fine: guessing folds them (see languages.js), so "Kuehlschrank" finds
+      Kühlschrank for someone on an English keyboard.
+    - no words the countries name differently (Tomate/Paradeiser, Sahne/
+      Obers, Brötchen/Semmel/Weggli): the same exact-match problem, by region.
+    - ONE word, concrete, and not a word with two common meanings ("Schloss"
+      is a castle and a lock; "Decke" a blanket and a ceiling).
+*/
+
+const WORDS = [
+  // Tiere
+  'Elefant', 'Giraffe', 'Pinguin', 'Krake', 'Delfin', 'Känguru', 'Eichhörnchen',
+  'Schmetterling', 'Nashorn', 'Nilpferd', 'Krokodil', 'Flamingo', 'Gorilla',
+  'Kamel', 'Esel', 'Hummer', 'Qualle', 'Spinne', 'Kaninchen', 'Schildkröte',
+  'Papagei', 'Biber', 'Igel', 'Walross', 'Geier', 'Skorpion', 'Huhn', 'Affe',
+  'Tiger', 'Löwe', 'Zebra', 'Koala', 'Faultier', 'Otter', 'Hai', 'Schnecke',
+  'Fledermaus', 'Eule', 'Ziege', 'Pferd',
+
+  // Gegenstände
+  'Regenschirm', 'Schere', 'Hammer', 'Leiter', 'Fahrrad', 'Hubschrauber',
+  'Flugzeug', 'Traktor', 'Krankenwagen', 'Toaster', 'Mikrowelle', 'Kühlschrank',
+  'Staubsauger', 'Spiegel', 'Kissen', 'Vorhang', 'Teppich', 'Koffer',
+  'Rucksack', 'Zahnbürste', 'Telefon', 'Fernseher', 'Lampe', 'Kerze',
+  'Schlüssel', 'Gitarre', 'Klavier', 'Trommel', 'Trompete', 'Geige',
+  'Taschenrechner', 'Pfanne', 'Löffel', 'Gabel', 'Flasche', 'Handschuh',
+  'Socke', 'Schlafanzug', 'Krawatte', 'Brille', 'Kompass', 'Fallschirm', 'Ampel',
+
+  // Orte und Natur
+  'Vulkan', 'Wüste', 'Insel', 'Strand', 'Wasserfall', 'Regenbogen', 'Gewitter',
+  'Erdbeben', 'Gletscher', 'Höhle', 'Dschungel', 'Brücke', 'Burg', 'Pyramide',
+  'Krankenhaus', 'Bibliothek', 'Flughafen', 'Stadion', 'Museum', 'Kirche',
+  'Leuchtturm', 'Bauernhof', 'Zirkus', 'Friedhof',
+
+  // Essen
+  'Apfel', 'Banane', 'Wassermelone', 'Ananas', 'Erdbeere', 'Karotte', 'Zwiebel',
+  'Schokolade', 'Kuchen', 'Keks', 'Popcorn', 'Käse', 'Pizza', 'Hamburger',
+  'Spaghetti', 'Suppe', 'Salat', 'Honig', 'Zitrone', 'Brezel',
+
+  // Menschen, Wesen und Ereignisse
+  'Feuerwehrmann', 'Polizist', 'Pirat', 'Vampir', 'Gespenst', 'Hexe', 'Roboter',
+  'Astronaut', 'Clown', 'Zauberer', 'König', 'Prinzessin', 'Drache',
+  'Meerjungfrau', 'Dinosaurier', 'Rakete', 'Planet', 'Luftballon', 'Schatz',
+  'Krone', 'Schwert', 'Anker', 'Schiff', 'Schach', 'Geschenk', 'Geburtstag',
+  'Hochzeit', 'Weihnachten', 'Skelett', 'Schneemann',
+];
+
+const UNIQUE = [...new Set(WORDS)];
+
+export const CAVEMAN_WORDS_DE = UNIQUE;
+export const CAVEMAN_WORDS_DE_RAW = WORDS;
+
+export function shuffledDeck(exclude = []) {
+  return deckFrom(UNIQUE, exclude);
+}
@@ -0,0 +1,63 @@
+import { deckFrom } from './words.js';
+
+/*
+  The Spanish word bank for Caveman Clues.
+
+  The rules for words.js hold here, adjusted for an audience spread across
+  Spain and Latin America rather than the US and UK:
+    - known everywhere Spanish is spoken. Where the countries disagree on the
+      everyday word — plátano/banana, ordenador/computadora, gafas/lentes,
+      fresa/frutilla, coche/carro — the card is left out rather than chosen,
+      because guessing is exact-match and half the room would be refused.
+    - ONE word, concrete, and hard to say in one-syllable Spanish. Spanish
+      has far fewer one-syllable words than English, so the constraint bites
+      harder and nearly any noun of three syllables makes a good card.
+    - written with its accents. Guessing folds them away (see languages.js), so
+      "arana" still finds Araña for someone without the keyboard for it.
+*/
+
+const WORDS = [
+  // Animales
+  'Elefante', 'Jirafa', 'Pingüino', 'Pulpo', 'Delfín', 'Canguro', 'Ardilla',
+  'Mariposa', 'Rinoceronte', 'Hipopótamo', 'Cocodrilo', 'Flamenco', 'Gorila',
+  'Camello', 'Burro', 'Langosta', 'Medusa', 'Araña', 'Conejo', 'Tortuga',
+  'Loro', 'Castor', 'Erizo', 'Morsa', 'Avestruz', 'Buitre', 'Escorpión',
+  'Gallina', 'Mono', 'Tigre', 'León', 'Cebra', 'Koala', 'Perezoso', 'Nutria',
+  'Ballena', 'Tiburón', 'Caracol', 'Murciélago', 'Búho',
+
+  // Objetos
+  'Paraguas', 'Tijeras', 'Martillo', 'Escalera', 'Bicicleta', 'Helicóptero',
+  'Avión', 'Tractor', 'Ambulancia', 'Tostadora', 'Licuadora', 'Microondas',
+  'Aspiradora', 'Espejo', 'Almohada', 'Cortina', 'Alfombra', 'Cartera',
+  'Maleta', 'Mochila', 'Teléfono', 'Televisión', 'Lámpara', 'Vela', 'Guitarra',
+  'Piano', 'Tambor', 'Trompeta', 'Violín', 'Calculadora', 'Sartén', 'Cuchara',
+  'Tenedor', 'Botella', 'Sombrero', 'Bufanda', 'Guante', 'Zapato', 'Calcetín',
+  'Pijama', 'Corbata', 'Anillo', 'Collar', 'Brújula', 'Paracaídas', 'Semáforo',
+
+  // Lugares y naturaleza
+  'Volcán', 'Montaña', 'Desierto', 'Isla', 'Playa', 'Cascada', 'Arcoíris',
+  'Tormenta', 'Huracán', 'Terremoto', 'Glaciar', 'Cueva', 'Bosque', 'Selva',
+  'Puente', 'Castillo', 'Pirámide', 'Hospital', 'Biblioteca', 'Aeropuerto',
+  'Estadio', 'Museo', 'Iglesia', 'Faro', 'Granja', 'Circo',
+
+  // Comida
+  'Manzana', 'Naranja', 'Sandía', 'Tomate', 'Zanahoria', 'Cebolla', 'Chocolate',
+  'Helado', 'Galleta', 'Queso', 'Huevo', 'Pizza', 'Hamburguesa', 'Espagueti',
+  'Sopa', 'Ensalada', 'Arroz', 'Miel', 'Limón', 'Aguacate',
+
+  // Personas, criaturas y cosas que pasan
+  'Bombero', 'Policía', 'Médico', 'Pirata', 'Vampiro', 'Fantasma', 'Bruja',
+  'Robot', 'Astronauta', 'Payaso', 'Mago', 'Princesa', 'Dragón', 'Sirena',
+  'Dinosaurio', 'Cohete', 'Planeta', 'Estrella', 'Globo', 'Tesoro', 'Corona',
+  'Espada', 'Escudo', 'Ancla', 'Barco', 'Submarino', 'Pelota', 'Ajedrez',
+  'Regalo', 'Cumpleaños', 'Boda', 'Navidad', 'Esqueleto', 'Muñeco',
+];
+
+const UNIQUE = [...new Set(WORDS)];
+
+export const CAVEMAN_WORDS_ES = UNIQUE;
+export const CAVEMAN_WORDS_ES_RAW = WORDS;
+
+export function shuffledDeck(exclude = []) {
+  return deckFrom(UNIQUE, exclude);
+}
@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   The word bank for Caveman Clues.
 
@@ -240,7 +242,7 @@ export const INTENTIONAL_DUPES = ['Compass', 'Whistle', 'Referee'];
 /** Fisher-Yates. Mutates and returns the array it is given. */
 function shuffle(list) {
   for (let i = list.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [list[i], list[j]] = [list[j], list[i]];
   }
   return list;
@@ -267,10 +269,15 @@ const key = (w) => String(w || '').trim().toLowerCase();
  * the old behaviour.
  */
 export function shuffledDeck(exclude = []) {
+  return deckFrom(UNIQUE, exclude);
+}
+
+/** shuffledDeck over any bank — the other languages' decks deal the same way. */
+export function deckFrom(bank, exclude = []) {
   const seen = new Set((Array.isArray(exclude) ? exclude : []).map(key));
-  if (!seen.size) return shuffle([...UNIQUE]);
+  if (!seen.size) return shuffle([...bank]);
   const fresh = [];
   const stale = [];
-  for (const w of UNIQUE) (seen.has(key(w)) ? stale : fresh).push(w);
+  for (const w of bank) (seen.has(key(w)) ? stale : fresh).push(w);
   return [...shuffle(fresh), ...shuffle(stale)];
 }
@@ -1,4 +1,6 @@
 import { getGrid } from './words.js';
+import { random } from '../../engine/random.js';
+import { canHost } from '../../engine/roles.js';
 
 /*
   The Chameleon — social deduction. Everyone sees a 16-word grid and a category.
@@ -17,8 +19,23 @@ import { getGrid } from './words.js';
     - Chameleon caught but guesses word→ Chameleon +1
     - Chameleon caught and guesses wrong → every other player +1
   Highest score after N rounds wins.
+
+  TWO CHAMELEONS (`twoChameleons`, from TWO_CHAMELEONS_FROM players). In a big
+  room one bluffer among ten clues is found by elimination, so the room can
+  deal two — who are not told about each other, and may well vote for each
+  other. The vote catches as many players as there are Chameleons: the two
+  with the most votes. Each Chameleon is scored on its own by the rules above,
+  each caught one guesses separately (and cannot see the other's guess), and
+  the other players score 1 for every Chameleon caught who guessed wrong.
+  `chameleonId` stays as the first of `chameleonIds` for clients that only
+  know about one.
+
+  Custom packs bring their own grids (`customQuestions`, parsed by parseGrids
+  in packParse.js).
 */
 const DEFAULT_ROUNDS = 5;
+const TWO_CHAMELEONS_FROM = 7;
+const GRID_SIZE = 16;
 
 export const ChameleonGame = {
   minPlayers: 3,
@@ -31,6 +48,10 @@ export const ChameleonGame = {
       totalRounds: Number.isInteger(r) && r >= 3 && r <= 12 ? r : DEFAULT_ROUNDS,
       round: null,
       usedCategories: [],
+      twoChameleons: settings.twoChameleons === true,
+      customGrids: Array.isArray(settings.customQuestions)
+        ? settings.customQuestions.filter(isGrid).slice(0, 60)
+        : null,
     };
   },
 
@@ -53,7 +74,7 @@ export const ChameleonGame = {
       }
 
       case 'force_voting': {
-        if (state.phase !== 'clue' || player.id !== state.hostId) return null;
+        if (state.phase !== 'clue' || !canHost(state, player)) return null;
         if (state.round.clues.length === 0) return null;
         return { ...state, phase: 'voting', round: { ...state.round, phase: 'voting' } };
       }
@@ -71,20 +92,21 @@ export const ChameleonGame = {
       }
 
       case 'force_votes': {
-        if (state.phase !== 'voting' || player.id !== state.hostId) return null;
+        if (state.phase !== 'voting' || !canHost(state, player)) return null;
         return resolveVotes(state);
       }
 
       case 'chameleon_guess': {
         if (state.phase !== 'guessing') return null;
-        if (player.id !== state.round.chameleonId) return null;
+        if (!guessersOf(state.round).includes(player.id)) return null;
+        if (state.round.guesses[player.id] !== undefined) return null;
         const { wordIndex } = payload;
-        if (!Number.isInteger(wordIndex) || wordIndex < 0 || wordIndex > 15) return null;
-        return resolveGuess(state, wordIndex);
+        if (!Number.isInteger(wordIndex) || wordIndex < 0 || wordIndex >= GRID_SIZE) return null;
+        return recordGuess(state, player.id, wordIndex);
       }
 
       case 'next_round': {
-        if (state.phase !== 'result' || player.id !== state.hostId) return null;
+        if (state.phase !== 'result' || !canHost(state, player)) return null;
         if (state.currentRound >= state.totalRounds) return null;
         return startRound(state);
       }
@@ -97,14 +119,22 @@ export const ChameleonGame = {
   deriveClientState(state, playerId) {
     let round = state.round;
     if (round) {
-      const amChameleon = playerId === round.chameleonId;
+      const amChameleon = round.chameleonIds.includes(playerId);
       const hideChameleon = state.phase === 'clue' || state.phase === 'voting';
       const out = { ...round };
 
       // The Chameleon never sees the secret word until the result.
       if (amChameleon && state.phase !== 'result') out.secretIndex = null;
       // Hide who the Chameleon is until they're revealed (caught or result).
-      if (hideChameleon) out.chameleonId = null;
+      if (hideChameleon) { out.chameleonId = null; out.chameleonIds = null; }
+      // While guessing, only the caught Chameleons are out: a second one who
+      // escaped stays hidden, and nobody sees a guess until they all are in.
+      if (state.phase === 'guessing') {
+        out.chameleonIds = guessersOf(round);
+        out.chameleonId = out.chameleonIds[0];
+        out.guessCount = Object.keys(round.guesses).length;
+        out.guesses = round.guesses[playerId] === undefined ? {} : { [playerId]: round.guesses[playerId] };
+      }
       // Tell each player privately whether THEY are the Chameleon.
       out.youAreChameleon = amChameleon;
       // Hide other players' clues while everyone is still writing them (show count).
@@ -117,11 +147,24 @@ export const ChameleonGame = {
     return { ...state, round, players: state.players.map(({ socketId, ...rest }) => rest) };
   },
 
+  /*
+    Not simply "a player who isn't the Chameleon". That player is allowed the
+    secret word; a TV on the wall is read by the whole room, Chameleon
+    included, so it must show the word to nobody until the result. The
+    Chameleon's identity is already hidden from everyone until then.
+  */
+  deriveSpectatorState(state) {
+    const view = ChameleonGame.deriveClientState(state, null);
+    if (view.round && state.phase !== 'result') view.round = { ...view.round, secretIndex: null };
+    return view;
+  },
+
   onPlayerDisconnect(state, player) {
     // If the Chameleon bails mid-guess, resolve it (players win) so the round
     // can't hang waiting on someone who left.
-    if (state.phase === 'guessing' && player?.id === state.round.chameleonId) {
-      return resolveGuess(state, -1); // -1 ≠ secretIndex → wrong guess, players win
+    if (state.phase === 'guessing' && guessersOf(state.round).includes(player?.id)
+      && state.round.guesses[player.id] === undefined) {
+      return recordGuess(state, player.id, -1); // -1 ≠ secretIndex → wrong guess, players win
     }
     if (state.phase === 'clue') {
       const eligible = state.players.filter((p) => p.connected);
@@ -138,12 +181,27 @@ export const ChameleonGame = {
 };
 
 // ── helpers ──────────────────────────────────────────────────────────────────
+function isGrid(g) {
+  return !!g && typeof g.category === 'string' && Array.isArray(g.words)
+    && g.words.length === GRID_SIZE && g.words.every((w) => typeof w === 'string' && w);
+}
+
+// The Chameleons the vote caught, who each get a guess.
+function guessersOf(round) {
+  return round.caughtIds.filter((id) => round.chameleonIds.includes(id));
+}
+
 function startRound(state) {
   const nextRound = state.currentRound + 1;
-  const grid = getGrid(state.usedCategories);
-  const secretIndex = Math.floor(Math.random() * grid.words.length);
+  const grid = getGrid(state.usedCategories, state.customGrids);
+  const secretIndex = Math.floor(random() * grid.words.length);
   const connected = state.players.filter((p) => p.connected);
-  const chameleon = connected[Math.floor(Math.random() * connected.length)] || state.players[0];
+  const chameleon = connected[Math.floor(random() * connected.length)] || state.players[0];
+  const chameleonIds = [chameleon.id];
+  if (state.twoChameleons && connected.length >= TWO_CHAMELEONS_FROM) {
+    const rest = connected.filter((p) => p.id !== chameleon.id);
+    chameleonIds.push(rest[Math.floor(random() * rest.length)].id);
+  }
 
   return {
     ...state,
@@ -156,50 +214,76 @@ function startRound(state) {
       phase: 'clue',
       category: grid.category,
       words: grid.words,
-      secretIndex,                 // hidden from the Chameleon by deriveClientState
+      secretIndex,                 // hidden from the Chameleons by deriveClientState
       chameleonId: chameleon.id,   // hidden from everyone until reveal
+      chameleonIds,
       clues: [],
       votes: [],
       caughtId: null,
+      caughtIds: [],
+      guesses: {},                 // chameleonId -> wordIndex, -1 for one who left
       result: null,
     },
   };
 }
 
 function resolveVotes(state) {
-  const { votes, chameleonId } = state.round;
+  const { votes, chameleonIds } = state.round;
   const counts = {};
   for (const v of votes) counts[v.suspectId] = (counts[v.suspectId] || 0) + 1;
-  let caughtId = null, max = -1;
-  for (const [id, n] of Object.entries(counts)) { if (n > max) { max = n; caughtId = id; } }
+  // Most votes first; a stable sort leaves ties in the order they were first voted for.
+  const caughtIds = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, chameleonIds.length)
+    .map(([id]) => id);
+  const round = { ...state.round, caughtId: caughtIds[0] ?? null, caughtIds };
 
-  if (caughtId === chameleonId) {
-    // Caught — the Chameleon gets one guess at the secret word.
-    return { ...state, phase: 'guessing', round: { ...state.round, phase: 'guessing', caughtId } };
+  if (guessersOf(round).length === 0) return finishRound({ ...state, round });
+  // Caught — each caught Chameleon gets one guess at the secret word. One who
+  // already left has guessed wrong.
+  const guesses = {};
+  for (const id of guessersOf(round)) {
+    if (!state.players.find((p) => p.id === id && p.connected)) guesses[id] = -1;
   }
-  // Escaped — the Chameleon wins this round.
-  return finishRound(state, { caughtId, chameleonWon: true, reason: 'escaped', guessIndex: null });
+  const guessing = { ...state, phase: 'guessing', round: { ...round, phase: 'guessing', guesses } };
+  return Object.keys(guesses).length === guessersOf(round).length ? finishRound(guessing) : guessing;
 }
 
-function resolveGuess(state, wordIndex) {
-  const correct = wordIndex === state.round.secretIndex;
-  return finishRound(state, {
-    caughtId: state.round.caughtId,
-    chameleonWon: correct,
-    reason: correct ? 'caught-but-guessed' : 'caught',
-    guessIndex: wordIndex,
-  });
+function recordGuess(state, chameleonId, wordIndex) {
+  const guesses = { ...state.round.guesses, [chameleonId]: wordIndex };
+  const next = { ...state, round: { ...state.round, guesses } };
+  return Object.keys(guesses).length === guessersOf(next.round).length ? finishRound(next) : next;
 }
 
-function finishRound(state, result) {
-  const chameleonId = state.round.chameleonId;
+/*
+  How each Chameleon did: 'escaped', 'caught-but-guessed' or 'caught'. The
+  result keeps the one-Chameleon fields (chameleonWon, reason, guessIndex),
+  summarising both when there are two.
+*/
+function finishRound(state) {
+  const { chameleonIds, caughtIds, guesses, secretIndex } = state.round;
+  const outcomes = {};
+  for (const id of chameleonIds) {
+    if (!caughtIds.includes(id)) outcomes[id] = 'escaped';
+    else outcomes[id] = guesses[id] === secretIndex ? 'caught-but-guessed' : 'caught';
+  }
+  const kinds = [...new Set(Object.values(outcomes))];
+  const caughtOut = Object.values(outcomes).filter((o) => o === 'caught').length;
+  const result = {
+    caughtId: state.round.caughtId,
+    caughtIds,
+    outcomes,
+    chameleonWon: caughtOut === 0,
+    reason: kinds.length === 1 ? kinds[0] : 'split',
+    guessIndex: chameleonIds.length === 1 ? guesses[chameleonIds[0]] ?? null : null,
+    guesses,
+  };
+
   const players = state.players.map((p) => {
     let add = 0;
-    if (result.chameleonWon) {
-      if (p.id === chameleonId) add = result.reason === 'escaped' ? 2 : 1;
-    } else if (p.id !== chameleonId) {
-      add = 1; // players win — everyone but the Chameleon scores
-    }
+    if (outcomes[p.id] === 'escaped') add = 2;
+    else if (outcomes[p.id] === 'caught-but-guessed') add = 1;
+    else if (!chameleonIds.includes(p.id)) add = caughtOut; // players win — once per Chameleon caught out
     return { ...p, score: (p.score ?? 0) + add };
   });
 
@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   The Chameleon — word grids. Each category is a 4x4 grid of 16 words. One word
   is secretly the answer; everyone but the Chameleon knows which. Players give a
@@ -27,18 +29,20 @@ export const GRIDS = [
 function shuffle(arr) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
 }
 
 // Pick an unused grid (by category) and shuffle its words so the secret position
-// varies. Returns { category, words(shuffled) }.
-export function getGrid(usedCategories = []) {
+// varies. Returns { category, words(shuffled) }. A room playing a custom pack
+// draws from the pack's grids instead (parseGrids in packParse.js).
+export function getGrid(usedCategories = [], customGrids = null) {
+  const bank = customGrids?.length ? customGrids : GRIDS;
   const used = new Set(usedCategories);
-  let pool = GRIDS.filter((g) => !used.has(g.category));
-  if (pool.length === 0) pool = [...GRIDS];
-  const grid = pool[Math.floor(Math.random() * pool.length)];
+  let pool = bank.filter((g) => !used.has(g.category));
+  if (pool.length === 0) pool = [...bank];
+  const grid = pool[Math.floor(random() * pool.length)];
   return { category: grid.category, words: shuffle(grid.words) };
 }
@@ -1,4 +1,6 @@
 import { drawKeywords } from './keywords.js';
+import { random } from '../../engine/random.js';
+import { canHost } from '../../engine/roles.js';
 
 /*
   Clover Clues — cooperative word-clue party game (So Clover-inspired, original).
@@ -14,7 +16,7 @@ import { drawKeywords } from './keywords.js';
 function shuffle(arr) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
@@ -106,7 +108,7 @@ export const CloverGame = {
         // Host advances from writing even if some haven't submitted (only
         // submitted clovers get resolved).
         if (state.phase !== 'writing') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         return enterResolving(state);
       }
 
@@ -204,4 +206,9 @@ export const CloverGame = {
     // finished — reveal everything
     return base;
   },
+
+  // Never the author, so a clover's solution shows only once it is revealed.
+  deriveSpectatorState(state) {
+    return CloverGame.deriveClientState(state, null);
+  },
 };
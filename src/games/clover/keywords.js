@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   Original keyword bank for Clover Clues (our So Clover-style co-op word game).
   Concrete, picturable single-word nouns that link well with one-word clues.
@@ -32,7 +34,7 @@ export function drawKeywords(n, exclude = new Set()) {
   const pool = CLEAN.filter((k) => !exclude.has(k));
   // Fisher–Yates partial shuffle.
   for (let i = pool.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [pool[i], pool[j]] = [pool[j], pool[i]];
   }
   return pool.slice(0, n);
@@ -1,3 +1,7 @@
+import { random } from '../../engine/random.js';
+import { canHost } from '../../engine/roles.js';
+import { TEAM_ACTIONS, handleTeamAction, dealTeams, rebalance, nextGiver, passGiver } from '../../engine/teams.js';
+
 /*
   Fishbowl (aka Salad Bowl) on the engine.
 
@@ -12,8 +16,16 @@
   round advances and the bowl refills with all the words. Higher team score after
   round 3 wins.
 
-  Turn timer is client-driven (the giver's client counts down to `deadline` and
-  calls end_turn) — no server timer, matching the rest of the suite.
+  Teams are dealt when the bowl is full, so the host can still pick them
+  (engine/teams.js) while everyone is writing words, not only in the lobby.
+
+  Late joiners (onLateJoin): while the bowl is filling they simply add their
+  words like everyone else; once play has begun they join the smaller team.
+  Leavers: the teams are levelled at the next break between turns.
+
+  Turn timer: the giver's client counts down to `deadline` and calls end_turn,
+  and the server ends the turn itself when the deadline passes (onDeadline), so
+  a giver whose phone sleeps cannot hold the bowl.
 */
 // 2 words per player, not 3: the bowl is played through THREE times, so every
 // extra word costs three rounds of play. Prod showed only 22% of started games
@@ -25,7 +37,7 @@ const ROUND_NAMES = { 1: 'Describe it (no saying the word)', 2: 'Act it out (no
 
 function shuffle(arr) {
   const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) { const j = Math.floor(Math.random() * (i + 1)); [a[i], a[j]] = [a[j], a[i]]; }
+  for (let i = a.length - 1; i > 0; i--) { const j = Math.floor(random() * (i + 1)); [a[i], a[j]] = [a[j], a[i]]; }
   return a;
 }
 
@@ -44,6 +56,7 @@ export const FishbowlGame = {
       turnSec: DEFAULT_TURN_SEC,
       submissions: {}, // playerId -> [words]
       teams: { A: [], B: [] },
+      teamNames: { A: null, B: null },
       teamScores: { A: 0, B: 0 },
       roundType: 1,
       allWords: [],
@@ -51,6 +64,7 @@ export const FishbowlGame = {
       currentTeam: 'A',
       giverIndex: { A: 0, B: 0 },
       turn: null, // { giverId, deadline, gotCount }
+      deadline: null, // the engine's timer; mirrors turn.deadline
       lastTurn: null, // { team, giverId, got }
       winner: null,
     };
@@ -61,6 +75,10 @@ export const FishbowlGame = {
   },
 
   handleAction(state, action, payload, player) {
+    if (TEAM_ACTIONS.has(action)) {
+      const choosing = state.status === 'lobby' || state.phase === 'submitting';
+      return handleTeamAction(state, action, payload, player, choosing);
+    }
     switch (action) {
       case 'submit_words': {
         if (state.phase !== 'submitting') return null;
@@ -79,14 +97,15 @@ export const FishbowlGame = {
       }
 
       case 'force_begin': {
-        if (state.phase !== 'submitting' || player.id !== state.hostId) return null;
+        if (state.phase !== 'submitting' || !canHost(state, player)) return null;
         return beginRounds(state);
       }
 
       case 'start_turn': {
         if (state.phase !== 'playing' || state.turn) return null;
         if (player.id !== currentGiverId(state)) return null;
-        return { ...state, turn: { giverId: player.id, deadline: Date.now() + state.turnSec * 1000, gotCount: 0 } };
+        const deadline = Date.now() + state.turnSec * 1000;
+        return { ...state, deadline, turn: { giverId: player.id, deadline, gotCount: 0 } };
       }
 
       case 'got_word': {
@@ -113,7 +132,7 @@ export const FishbowlGame = {
 
       case 'end_turn': {
         if (state.phase !== 'playing' || !state.turn) return null;
-        if (player.id !== state.turn.giverId && player.id !== state.hostId) return null;
+        if (player.id !== state.turn.giverId && !canHost(state, player)) return null;
         return endTurn(state);
       }
 
@@ -146,12 +165,31 @@ export const FishbowlGame = {
     return base;
   },
 
+  // A watcher is never the giver, so the word on the slip stays in the bowl.
+  deriveSpectatorState(state) {
+    return FishbowlGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, player) {
     if (state.phase === 'playing' && state.turn && player?.id === state.turn.giverId) {
       return endTurn(state);
     }
+    if (state.phase === 'playing' && !state.turn) {
+      const level = rebalance(state);
+      return level === state ? null : level;
+    }
     return null;
   },
+
+  onDeadline(state) {
+    return state.phase === 'playing' && state.turn ? endTurn(state) : null;
+  },
+
+  onLateJoin(state, player) {
+    if (state.phase !== 'playing') return state;
+    const team = state.coop || teamMembers(state, 'A').length <= teamMembers(state, 'B').length ? 'A' : 'B';
+    return { ...state, teams: { ...state.teams, [team]: [...state.teams[team], player.id] } };
+  },
 };
 
 // ── helpers ──────────────────────────────────────────────────────────────────
@@ -161,9 +199,7 @@ function teamMembers(state, team) {
 }
 
 function currentGiverId(state) {
-  const members = teamMembers(state, state.currentTeam);
-  if (members.length === 0) return null;
-  return members[state.giverIndex[state.currentTeam] % members.length];
+  return nextGiver(state, state.currentTeam);
 }
 
 function beginRounds(state) {
@@ -171,9 +207,7 @@ function beginRounds(state) {
   // Fewer than 4 can't make two teams — play co-op: everyone on one team,
   // giver rotates, shared score.
   const coop = connected.length < 4;
-  const teams = { A: [], B: [] };
-  if (coop) connected.forEach((p) => teams.A.push(p.id));
-  else connected.forEach((p, i) => teams[i % 2 === 0 ? 'A' : 'B'].push(p.id));
+  const teams = coop ? { A: connected.map((p) => p.id), B: [] } : dealTeams(state);
   const allWords = shuffle(Object.values(state.submissions).flat());
   if (allWords.length === 0) return state; // nothing submitted — can't begin
   return {
@@ -193,14 +227,15 @@ function beginRounds(state) {
   };
 }
 
-function endTurn(state) {
+function endTurn(previous) {
+  const state = rebalance(previous); // between turns is when a short team gets a player back
   const team = state.currentTeam;
   const lastTurn = state.turn ? { team, giverId: state.turn.giverId, got: state.turn.gotCount } : state.lastTurn;
-  const giverIndex = { ...state.giverIndex, [team]: state.giverIndex[team] + 1 };
+  const giverIndex = state.turn ? passGiver(state, team, state.turn.giverId) : state.giverIndex;
   // In co-op there is no other team to pass to — the giver just rotates.
   const other = team === 'A' ? 'B' : 'A';
   const nextTeam = teamMembers(state, other).length > 0 ? other : team;
-  return { ...state, turn: null, lastTurn, giverIndex, currentTeam: nextTeam };
+  return { ...state, turn: null, deadline: null, lastTurn, giverIndex, currentTeam: nextTeam };
 }
 
 function advanceRound(state) {
@@ -1,5 +1,6 @@
-import { randomUUID } from 'crypto';
 import { questions, getRandomQuestions } from './questions.js';
+import { random } from '../../engine/random.js';
+import { canHost } from '../../engine/roles.js';
 
 /*
   Guesstimate — a trivia-betting party game (Wits & Wagers-inspired, distinct branding).
@@ -24,6 +25,12 @@ import { questions, getRandomQuestions } from './questions.js';
       Mapping: 1st (lowest) = 5x, 2nd = 4x, 3rd = 3x, 4th = 2x, rest = 1x
 
   Game ends after 7 rounds. Highest score wins.
+
+  Custom packs bring their own questions (`customQuestions`, parsed by
+  parseNumeric in packParse.js): { q, a, unit }. The built-in bank writes the
+  unit into the question; a pack keeps it apart, and the round carries it so
+  the answer board can say "330 metres". The pack is every answer in the game,
+  so it never leaves the server — deriveClientState drops it.
 */
 
 const TOTAL_ROUNDS = 7;
@@ -38,13 +45,17 @@ export const GuesstimateGame = {
 
   minPlayers: 2,
 
-  createInitialState() {
+  createInitialState(settings = {}) {
     return {
       phase: null,
       currentRound: 0,
       totalRounds: TOTAL_ROUNDS,
       round: null,
       usedQuestions: [],
+      // A host's own questions, resolved by the engine from settings.packCode.
+      customQuestions: Array.isArray(settings.customQuestions)
+        ? settings.customQuestions.filter(isNumericQuestion).slice(0, 60)
+        : [],
     };
   },
 
@@ -66,7 +77,8 @@ export const GuesstimateGame = {
         if (state.round.answers.find(a => a.playerId === player.id)) return null;
 
         const newAnswer = {
-          id: randomUUID(),
+          // From the room's stream, so a replay hands out the same ids.
+          id: random().toString(36).slice(2, 12),
           playerId: player.id,
           username: player.username,
           number: num,
@@ -87,7 +99,7 @@ export const GuesstimateGame = {
       case 'force_betting': {
         // Host can force-advance if some players are slow
         if (state.phase !== 'answering') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         if (state.round.answers.length === 0) return null;
         return enterBettingPhase(state);
       }
@@ -118,13 +130,13 @@ export const GuesstimateGame = {
 
       case 'force_reveal': {
         if (state.phase !== 'betting') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         return resolveRound(state);
       }
 
       case 'next_round': {
         if (state.phase !== 'reveal') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         if (state.currentRound >= state.totalRounds) return null;
         return startRound(state);
       }
@@ -132,7 +144,7 @@ export const GuesstimateGame = {
       case 'cancel_round': {
         // Host can cancel the current round (no scoring), start a fresh one
         if (!['answering', 'betting'].includes(state.phase)) return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         return startRound({ ...state, currentRound: state.currentRound - 1 });
       }
 
@@ -142,7 +154,7 @@ export const GuesstimateGame = {
   },
 
   // Hide secrets per player
-  deriveClientState(state, playerId) {
+  deriveClientState({ customQuestions: _answers, ...state }, playerId) {
     let round = state.round;
     if (round) {
       // Hide other players' answers during answering phase
@@ -174,6 +186,11 @@ export const GuesstimateGame = {
     };
   },
 
+  // Nobody's numbers or bets until the reveal — the view of a player with none.
+  deriveSpectatorState(state) {
+    return GuesstimateGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, _disconnectedPlayer) {
     // Re-check auto-advance conditions in case the disconnected player was holding things up
     if (state.phase === 'answering') {
@@ -200,9 +217,13 @@ export const GuesstimateGame = {
 
 // ── Private helpers ──────────────────────────────────────────────────────────
 
+function isNumericQuestion(item) {
+  return !!item && typeof item.q === 'string' && item.q && Number.isFinite(item.a);
+}
+
 function startRound(state) {
   const nextRound = state.currentRound + 1;
-  const [picked] = getRandomQuestions(1, state.usedQuestions);
+  const [picked] = getRandomQuestions(1, state.usedQuestions, state.customQuestions);
   if (!picked) {
     // Ran out of questions — recycle (shouldn't really happen with 100+ Qs and 7-round games)
     return startRound({ ...state, usedQuestions: [] });
@@ -217,6 +238,7 @@ function startRound(state) {
     round: {
       number: nextRound,
       question: picked.q,
+      unit: picked.unit || null,
       actualAnswer: picked.a, // hidden by deriveClientState until reveal
       answers: [],
       board: [],          // populated when betting phase begins
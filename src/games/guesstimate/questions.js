@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   Guesstimate question bank — every question has a numerical answer.
   Mix of difficulty levels: some everyone roughly knows, some require wild guesses.
@@ -171,10 +173,12 @@ export const questions = [
   { q: "How many letters in the English alphabet?", a: 26 },
 ];
 
-// Pick N questions, avoiding any already used in this game
-export function getRandomQuestions(count = 7, exclude = []) {
+// Pick N questions, avoiding any already used in this game. A custom pack's
+// questions ({ q, a, unit }) replace the bank rather than joining it.
+export function getRandomQuestions(count = 7, exclude = [], custom = null) {
+  const bank = Array.isArray(custom) && custom.length ? custom : questions;
   const excludedTexts = new Set(exclude.map(e => (typeof e === 'string' ? e : e.q)));
-  const pool = questions.filter(q => !excludedTexts.has(q.q));
-  const shuffled = [...pool].sort(() => Math.random() - 0.5);
+  const pool = bank.filter(q => !excludedTexts.has(q.q));
+  const shuffled = [...pool].sort(() => random() - 0.5);
   return shuffled.slice(0, count);
 }
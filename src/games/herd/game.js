@@ -0,0 +1,188 @@
+import { getRandomQuestion, scoreRoundAnswers, determinePinkCowHolder, findWinner } from '../../utils/gameLogic.js';
+import { normalizeAnswer } from '../../utils/answerNormalizer.js';
+import { canHost } from '../../engine/roles.js';
+
+/*
+  Herd Mentality on the engine — the flagship game, moved off the legacy
+  default-namespace handlers in index.js.
+
+  Those handlers kept the room in Mongo (Game/Player/Round/Answer) and keyed the
+  host on a socket id, which is how a host's first reconnect used to make the
+  room unfinishable (see isHostSocket). Every engine game has had rejoin tokens,
+  host migration, snapshots and the wrong-game guard for months; the biggest
+  game was the one without them.
+
+  Round phases:
+    answering : everyone types an answer to the same question (answers hidden)
+    results   : the herd is revealed, points paid, the pink cow moves
+
+  Scoring is the legacy rule, through the SAME functions, so the two versions
+  cannot drift while both are live:
+    - every player in a top group of 2+ scores 1     (scoreRoundAnswers)
+    - exactly one lone answer takes the pink cow      (determinePinkCowHolder)
+    - 8 points and not holding the cow wins           (findWinner)
+
+  The host keeps the table's hands: adjust a score by one, or move the cow.
+  Both re-run the win check, because moving the cow off someone on 8 IS the
+  winning move.
+*/
+
+export const HerdGame = {
+  minPlayers: 2,
+
+  createInitialState(settings = {}) {
+    return {
+      phase: null,
+      currentRound: 0,
+      currentQuestion: null,
+      usedQuestions: [],
+      pinkCowHolder: null,
+      round: null,
+      winner: null,
+      // A host's own questions, resolved by the engine from settings.packCode.
+      customQuestions: Array.isArray(settings.customQuestions) && settings.customQuestions.length
+        ? settings.customQuestions
+        : null,
+    };
+  },
+
+  onStart(state) {
+    return startRound({ ...state, currentRound: 0, usedQuestions: [], pinkCowHolder: null, winner: null });
+  },
+
+  handleAction(state, action, payload, player) {
+    switch (action) {
+      case 'submit_answer': {
+        if (state.phase !== 'answering') return null;
+        const text = String(payload.answer ?? '').trim().slice(0, 100);
+        if (!text) return null;
+        if (state.round.answers.find((a) => a.playerId === player.id)) return null;
+
+        const answers = [...state.round.answers, {
+          playerId: player.id,
+          username: player.username,
+          originalAnswer: text,
+          normalizedAnswer: normalizeAnswer(text),
+        }];
+        const next = { ...state, round: { ...state.round, answers } };
+        return allAnswered(next) ? resolveRound(next) : next;
+      }
+
+      // Not in the legacy game, which waited for every connected player
+      // forever. One quiet phone should not hold a whole room.
+      case 'force_reveal': {
+        if (state.phase !== 'answering' || !canHost(state, player)) return null;
+        if (state.round.answers.length === 0) return null;
+        return resolveRound(state);
+      }
+
+      case 'next_round': {
+        if (state.phase !== 'results' || !canHost(state, player)) return null;
+        if (state.status === 'finished') return null;
+        return startRound(state);
+      }
+
+      case 'adjust_score': {
+        if (state.status !== 'playing' || !canHost(state, player)) return null;
+        const { playerId, delta } = payload;
+        if (delta !== 1 && delta !== -1) return null;
+        if (!state.players.find((p) => p.id === playerId)) return null;
+        const players = state.players.map((p) => (
+          p.id === playerId ? { ...p, score: Math.max(0, (p.score ?? 0) + delta) } : p
+        ));
+        return checkWin({ ...state, players });
+      }
+
+      // An empty playerId takes the cow off the table — a legitimate choice
+      // when the group decides nobody deserves it this round.
+      case 'move_pink_cow': {
+        if (state.status !== 'playing' || !canHost(state, player)) return null;
+        const { playerId } = payload;
+        if (playerId && !state.players.find((p) => p.id === playerId)) return null;
+        return checkWin({ ...state, pinkCowHolder: playerId || null });
+      }
+
+      default:
+        return null;
+    }
+  },
+
+  deriveClientState(state, playerId) {
+    let round = state.round;
+    if (round && state.phase === 'answering') {
+      // Answers stay hidden until results — show only your own, plus who is in.
+      round = {
+        ...round,
+        answers: round.answers.filter((a) => a.playerId === playerId),
+        answeredIds: round.answers.map((a) => a.playerId),
+        answeredCount: round.answers.length,
+      };
+    }
+    return { ...state, round, players: state.players.map(({ socketId, ...rest }) => rest) };
+  },
+
+  // Answers stay hidden until results, exactly as for a player who has not answered.
+  deriveSpectatorState(state) {
+    return HerdGame.deriveClientState(state, null);
+  },
+
+  onPlayerDisconnect(state) {
+    if (state.phase !== 'answering') return null;
+    if (state.round.answers.length > 0 && allAnswered(state)) return resolveRound(state);
+    return null;
+  },
+
+  // The legacy game let anyone in at any point and so does this one: a late
+  // answer to the open question is as good as any other, and nobody can be
+  // behind on a score that is first to 8.
+  onLateJoin(state) {
+    return state;
+  },
+};
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+function allAnswered(state) {
+  const connected = state.players.filter((p) => p.connected);
+  return connected.length > 0 && connected.every((p) => state.round.answers.find((a) => a.playerId === p.id));
+}
+
+function startRound(state) {
+  const nextRound = state.currentRound + 1;
+  const question = getRandomQuestion(state.usedQuestions, state.customQuestions);
+  return {
+    ...state,
+    status: 'playing',
+    phase: 'answering',
+    currentRound: nextRound,
+    currentQuestion: question,
+    usedQuestions: [...state.usedQuestions, question],
+    round: {
+      number: nextRound,
+      question,
+      answers: [],
+      results: null,
+    },
+  };
+}
+
+function resolveRound(state) {
+  const results = scoreRoundAnswers(state.round.answers);
+  const scoring = new Set((results?.scoringPlayers || []).map(String));
+  const players = state.players.map((p) => ({ ...p, score: (p.score ?? 0) + (scoring.has(p.id) ? 1 : 0) }));
+  const pinkCowHolder = determinePinkCowHolder(state.pinkCowHolder, results?.uniqueAnswerPlayer ?? null);
+
+  return checkWin({
+    ...state,
+    phase: 'results',
+    players,
+    pinkCowHolder,
+    round: { ...state.round, results },
+  });
+}
+
+// Same rule as the end of a round, and literally the same function.
+function checkWin(state) {
+  const winner = findWinner(state.players, state.pinkCowHolder);
+  if (!winner) return state;
+  return { ...state, status: 'finished', winner };
+}
@@ -1,5 +1,6 @@
-import { COLS, ROWS, colourAt, labelOf, inBounds, scoreFor, ringDistance } from './grid.js';
+import { gridFor, colourAt, labelOf, nameOf, inBounds, scoreFor, ringDistance } from './grid.js';
 import { rejectCue } from './hueWords.js';
+import { random } from '../../engine/random.js';
 
 /*
   Hue Match on the engine.
@@ -18,8 +19,15 @@ import { rejectCue } from './hueWords.js';
   is exactly one word then exactly two, and it may not name a colour or a
   position on the board.
 
-  No server timers, like every other game here — the client drives the deadline
-  and the server only validates. See ROBUSTNESS.md.
+  The client shows the countdown; the server owns the end of it. Every phase
+  carries a `deadline` (the clock plus GRACE_SEC) and when it passes the engine
+  calls onDeadline, which does what move_on would have done — so a room whose
+  giver's phone sleeps moves on by itself rather than waiting to be pushed.
+
+  The board is the room's choice (`board`, `colourSpace`, or the colour-blind
+  safe board with `colourSafe`; see grid.js) and fixed when the room is made.
+  Every client is sent it as `grid` and paints the same squares from the same
+  function.
 */
 const DEFAULT_ROUNDS = 1;      // turns each
 /*
@@ -49,7 +57,7 @@ const GIVER_CAP = 6;
 /*
   How long past the deadline before anyone may push the room forward.
 
-  The clock is the client's, not the server's (see ROBUSTNESS.md), so phones
+  The countdown is drawn by each client (see ROBUSTNESS.md), so phones
   disagree about when it ran out by a second or two. The grace period means a
   fast phone cannot cut off a slow one that is still mid-tap.
 */
@@ -61,10 +69,12 @@ export const HueMatchGame = {
   createInitialState(settings = {}) {
     const r = Number(settings.rounds);
     const t = Number(settings.guessSec);
+    const grid = gridFor(settings);
     return {
       phase: null,               // 'clue1' | 'guess1' | 'clue2' | 'guess2' | 'reveal' | 'finished'
-      cols: COLS,
-      rows: ROWS,
+      grid,                      // { cols, rows, space }
+      cols: grid.cols,
+      rows: grid.rows,
       guessSec: Number.isInteger(t) && t >= 30 && t <= 180 ? t : DEFAULT_GUESS_SEC,
       totalRounds: Number.isInteger(r) && r >= 1 && r <= 4 ? r : DEFAULT_ROUNDS,
       totalTurns: 0,             // fixed at kickoff
@@ -72,6 +82,7 @@ export const HueMatchGame = {
       lastGiverId: null,
       round: 0,
       turn: null,                // { giverId, target, cue1, cue2, markers, startedAt }
+      deadline: null,            // the engine's timer: startedAt + guessSec + grace
       lastTurn: null,
       scores: {},
       winner: null,
@@ -126,11 +137,12 @@ export const HueMatchGame = {
       /*
         SECRET ONE — the target, to the Cue Giver alone until the reveal.
 
-        ALL THREE fields, not just the coordinates. The first version deleted
+        EVERY field, not just the coordinates. The first version deleted
         `target` and left `targetHex` behind, which is the answer in a more
         useful form: a guesser could read the hex and find the matching square
         instantly, without even needing the cue. `targetLabel` is worse — it is
-        literally "G4" in plain text.
+        literally "G4" in plain text. `targetName`, on the colour-blind safe
+        board, is the colour said in words.
 
         Listed explicitly rather than filtered by name, so a field added later
         has to be considered rather than quietly inheriting a leak.
@@ -139,6 +151,7 @@ export const HueMatchGame = {
         delete turn.target;
         delete turn.targetHex;
         delete turn.targetLabel;
+        delete turn.targetName;
       }
 
       /*
@@ -193,6 +206,11 @@ export const HueMatchGame = {
     return base;
   },
 
+  // Never the Cue Giver: no target, and no markers until the reveal.
+  deriveSpectatorState(state) {
+    return HueMatchGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, player) {
     /*
       Deliberately does NOT end the turn. Mobile browsers background tabs
@@ -210,6 +228,10 @@ export const HueMatchGame = {
     void player;
     return advanceIfEveryoneLocked(state);
   },
+
+  onDeadline(state) {
+    return timeUp(state);
+  },
 };
 
 /* ── helpers ─────────────────────────────────────────────────────────────── */
@@ -229,23 +251,30 @@ function beginTurn(state) {
   const giverId = nextGiverId(state);
   if (!giverId || state.round >= state.totalTurns) return finish(state);
 
-  const target = { col: Math.floor(Math.random() * COLS), row: Math.floor(Math.random() * ROWS) };
-  return {
+  const target = { col: Math.floor(random() * state.cols), row: Math.floor(random() * state.rows) };
+  return timed({
     ...state,
     phase: 'clue1',
     lastGiverId: giverId,
     turn: {
       giverId,
       target,
-      targetHex: colourAt(target.col, target.row),
+      targetHex: colourAt(target.col, target.row, state.grid),
       targetLabel: labelOf(target.col, target.row),
+      targetName: nameOf(target.col, target.row, state.grid),
       cue1: null,
       cue2: null,
       rejected: null,
       markers: {},          // playerId -> { a?: {col,row}, b?: {col,row}, locked: bool }
       startedAt: Date.now(),
     },
-  };
+  });
+}
+
+/* A phase's clock starts at turn.startedAt; the server's deadline is that plus
+   the same grace move_on allows. Call after every change to startedAt. */
+function timed(state) {
+  return { ...state, deadline: state.turn.startedAt + (state.guessSec + GRACE_SEC) * 1000 };
 }
 
 function giveCue(state, data, player) {
@@ -263,7 +292,7 @@ function giveCue(state, data, player) {
     return { ...state, turn: { ...state.turn, rejected: { reason: bad.reason, message: bad.message } } };
   }
 
-  return {
+  return timed({
     ...state,
     phase: wantOne ? 'guess1' : 'guess2',
     turn: {
@@ -275,7 +304,7 @@ function giveCue(state, data, player) {
         Object.entries(state.turn.markers).map(([id, m]) => [id, { ...m, locked: false }]),
       ),
     },
-  };
+  });
 }
 
 function placeMarker(state, data, player) {
@@ -296,7 +325,7 @@ function placeMarker(state, data, player) {
   };
   const col = num(data.col);
   const row = num(data.row);
-  if (!inBounds(col, row)) return null;
+  if (!inBounds(col, row, state.grid)) return null;
 
   const mine = state.turn.markers[player.id] || {};
   if (mine.locked) return null;                              // already committed
@@ -334,7 +363,7 @@ function advanceIfEveryoneLocked(state) {
   if (!anyGuesser) return null;
 
   return state.phase === 'guess1'
-    ? { ...state, phase: 'clue2', turn: { ...state.turn, startedAt: Date.now() } }
+    ? timed({ ...state, phase: 'clue2', turn: { ...state.turn, startedAt: Date.now() } })
     : reveal(state);
 }
 
@@ -367,16 +396,27 @@ function moveOn(state, player) {
   if (cueing) {
     const isGiver = player.id === state.turn.giverId;
     if (!isGiver && !spent && !giverGone) return null;
-    /* Straight to the reveal, scoring whatever was placed. Ending on the reveal
-       rather than skipping to the next round means the colour is still shown —
-       an abandoned round should not also be a round nobody learns anything from. */
-    return reveal(state);
+    return timeUp(state);
   }
 
   if (!spent) return null;
-  return state.phase === 'guess1'
-    ? { ...state, phase: 'clue2', turn: { ...state.turn, startedAt: Date.now() } }
-    : reveal(state);
+  return timeUp(state);
+}
+
+/*
+  What the end of a phase's clock does — shared by move_on and the server's own
+  deadline, so a phase ended by a player and one ended by the timer end alike.
+
+  A cue phase goes straight to the reveal, scoring whatever was placed. Ending
+  on the reveal rather than skipping to the next round means the colour is
+  still shown — an abandoned round should not also be a round nobody learns
+  anything from.
+*/
+function timeUp(state) {
+  if (!state.turn) return null;
+  if (state.phase === 'clue1' || state.phase === 'clue2' || state.phase === 'guess2') return reveal(state);
+  if (state.phase === 'guess1') return timed({ ...state, phase: 'clue2', turn: { ...state.turn, startedAt: Date.now() } });
+  return null;
 }
 
 function lockIn(state, player) {
@@ -403,12 +443,12 @@ function reveal(state) {
 
   for (const [id, m] of Object.entries(markers)) {
     if (id === giverId) continue;
-    const a = m.a ? scoreFor(m.a, target) : 0;
-    const b = m.b ? scoreFor(m.b, target) : 0;
+    const a = m.a ? scoreFor(m.a, target, state.grid) : 0;
+    const b = m.b ? scoreFor(m.b, target, state.grid) : 0;
     scores[id] = (scores[id] || 0) + a + b;
     breakdown[id] = {
-      a: m.a ? { ...m.a, points: a, distance: ringDistance(m.a, target) } : null,
-      b: m.b ? { ...m.b, points: b, distance: ringDistance(m.b, target) } : null,
+      a: m.a ? { ...m.a, points: a, distance: ringDistance(m.a, target, state.grid) } : null,
+      b: m.b ? { ...m.b, points: b, distance: ringDistance(m.b, target, state.grid) } : null,
       total: a + b,
     };
     /* The giver earns for every marker that landed close, capped so a big room
@@ -422,12 +462,14 @@ function reveal(state) {
   return {
     ...state,
     phase: 'reveal',
+    deadline: null,
     scores,
     lastTurn: {
       giverId,
       target,
       targetHex: state.turn.targetHex,
       targetLabel: state.turn.targetLabel,
+      targetName: state.turn.targetName,
       cue1: state.turn.cue1,
       cue2: state.turn.cue2,
       breakdown,
@@ -454,6 +496,7 @@ function finish(state) {
     status: 'finished',
     phase: 'finished',
     turn: null,
+    deadline: null,
     winner: tied.length > 1 ? null : top.id,
     tiedWinners: tied.length > 1 ? tied : null,
   };
@@ -4,22 +4,70 @@
   GENERATED, NOT STORED. A bank of 126 hex strings is data that drifts from the
   code that reads it — one edit and the server's idea of square G4 stops
   matching the browser's, which is unfindable from a bug report saying "the
-  colours are wrong". A pure function of (col, row) cannot drift.
+  colours are wrong". A pure function of (col, row, grid) cannot drift.
 
-  14 x 9 = 126 squares. Not the boxed game's 30 x 16, and the reason is touch,
-  not taste: 30 columns on a 390px phone is a 12px cell, and in a game where
-  landing one square off costs a point, an unhittable target is the game
-  cheating you. 14 columns gives ~25px, and the client lets a marker be moved
-  before it is locked in, so a slip costs nothing.
+  A room picks its board — `grid` is { cols, rows, space } — from two short
+  lists of presets, and everything below takes it as its last argument,
+  defaulting to the phone board. The room sends it to every client, which
+  paints the identical board from this same file.
 
-  Columns run through hue, rows run light to dark. Both ends of the row range
-  stop short of pure white and pure black, because a row of near-identical
-  almost-white squares is not a guess, it is a coin flip.
+  BOARD SIZES. The default is 14 x 9 = 126 squares. Not the boxed game's
+  30 x 16, and the reason is touch, not taste: 30 columns on a 390px phone is
+  a 12px cell, and in a game where landing one square off costs a point, an
+  unhittable target is the game cheating you. 14 columns gives ~25px, and the
+  client lets a marker be moved before it is locked in, so a slip costs
+  nothing. The 30 x 16 'boxed' board is for a room playing off a big screen,
+  where nobody is aiming with a thumb.
+
+  COLOUR SPACES. Columns run through hue, rows run light to dark, either way.
+  'hsl' is the original sweep. It is cheap and familiar, but its steps are
+  not even to the eye: the greens go on for columns while yellow is gone in
+  one. 'oklch' sweeps the same way through OKLCH, a space built so that equal
+  steps look equal, which spreads the board's difficulty evenly across it.
+
+  COLOUR-BLIND SAFE (`colourSafe`). A hue sweep is unplayable with red/green
+  colour blindness: under deuteranopia or protanopia whole columns of the
+  wheel collapse into the same muddy yellow, and no cue can tell them apart.
+  What survives both is lightness and the blue-yellow axis, so the 'safe'
+  board is built from exactly those — columns run from blue through grey to
+  amber, rows light to dark — on a smaller 12 x 8 board, because one axis of
+  hue only has room for so many steps that stay far enough apart. The room
+  gets that board whatever size or colour space was asked for, and
+  huematch-logic-check.js holds every pair of neighbouring squares to a
+  minimum colour difference under both simulations.
+
+  Both ends of the row range stop short of pure white and pure black, because
+  a row of near-identical almost-white squares is not a guess, it is a coin
+  flip.
 */
 
 export const COLS = 14;
 export const ROWS = 9;
 
+export const BOARD_SIZES = {
+  phone: { cols: COLS, rows: ROWS },
+  boxed: { cols: 30, rows: 16 },
+};
+export const COLOUR_SPACES = ['hsl', 'oklch'];
+export const DEFAULT_GRID = { cols: COLS, rows: ROWS, space: 'hsl' };
+export const SAFE_GRID = { cols: 12, rows: 8, space: 'safe' };
+
+/** The board a room's settings ask for; anything unknown is the default. */
+export function gridFor(settings = {}) {
+  if (settings.colourSafe === true) return { ...SAFE_GRID };
+  const size = BOARD_SIZES[settings.board] ?? BOARD_SIZES.phone;
+  const space = COLOUR_SPACES.includes(settings.colourSpace) ? settings.colourSpace : DEFAULT_GRID.space;
+  return { cols: size.cols, rows: size.rows, space };
+}
+
+/** Every board a room can choose, for the checks and the browser-copy sync. */
+export function allGrids() {
+  return [
+    ...Object.values(BOARD_SIZES).flatMap((size) => COLOUR_SPACES.map((space) => ({ ...size, space }))),
+    { ...SAFE_GRID },
+  ];
+}
+
 /* Column 0 starts at red and wraps once around the wheel. */
 const HUE_START = 0;
 const HUE_SPAN = 360;
@@ -31,32 +79,128 @@ const LIGHT_MIN = 26;
 const SAT_TOP = 62;
 const SAT_BOTTOM = 74;
 
+/* The same board in OKLCH terms. Red sits at about 29° there rather than 0°,
+   so column 0 is still red; chroma is what sRGB can show, up to OK_CHROMA. */
+const OK_HUE_START = 29;
+const OK_LIGHT_MAX = 0.86;
+const OK_LIGHT_MIN = 0.4;
+const OK_CHROMA = 0.14;
+
+/* The safe board: OKLCH hue angles of its two ends, its lightness range, and
+   a slight tilt — the blue end a little darker, the amber end a little
+   lighter — which gives neighbouring columns a lightness step too, the one
+   difference every eye sees. */
+const SAFE_BLUE = 260;
+const SAFE_AMBER = 80;
+const SAFE_LIGHT_MAX = 0.84;
+const SAFE_LIGHT_MIN = 0.38;
+const SAFE_TILT = 0.06;
+
+/*
+  The safe board's colours have names, so a giver who cannot trust their own
+  eyes is told what the target is (`targetName`). Five bands from the blue
+  end to the amber end, a lighter name for the top half and a darker for the
+  bottom. Every one of them must be refused as a cue by hueWords.js — a name
+  the board hands the giver is the answer, not a clue — and the logic check
+  holds them to it.
+*/
+export const SAFE_PALETTE = [
+  ['light blue', 'navy'],
+  ['powder blue', 'slate blue'],
+  ['pale grey', 'dark grey'],
+  ['beige', 'brown'],
+  ['light orange', 'burnt orange'],
+];
+
+const hex2 = (v) => Math.round(255 * Math.min(1, Math.max(0, v))).toString(16).padStart(2, '0');
+
 function hslToHex(h, s, l) {
   const S = s / 100;
   const L = l / 100;
   const k = (n) => (n + h / 30) % 12;
   const a = S * Math.min(L, 1 - L);
-  const f = (n) => {
-    const v = L - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
-    return Math.round(255 * v).toString(16).padStart(2, '0');
-  };
+  const f = (n) => hex2(L - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1))));
   return `#${f(0)}${f(8)}${f(4)}`;
 }
 
+/* OKLCH to linear sRGB (Björn Ottosson's published matrices). */
+function oklchToLinear(L, C, h) {
+  const rad = (h * Math.PI) / 180;
+  const a = C * Math.cos(rad);
+  const b = C * Math.sin(rad);
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+}
+
+const inGamut = (rgb) => rgb.every((v) => v >= -1e-4 && v <= 1 + 1e-4);
+const encode = (v) => (v <= 0.0031308 ? 12.92 * v : 1.055 * v ** (1 / 2.4) - 0.055);
+
+/* The most chroma a screen can show at this lightness and hue. A fixed number
+   of halvings keeps it deterministic, server and browser alike. */
+function maxChroma(L, h, upTo) {
+  if (inGamut(oklchToLinear(L, upTo, h))) return upTo;
+  let lo = 0;
+  let hi = upTo;
+  for (let i = 0; i < 16; i += 1) {
+    const mid = (lo + hi) / 2;
+    if (inGamut(oklchToLinear(L, mid, h))) lo = mid; else hi = mid;
+  }
+  return lo;
+}
+
+/*
+  Past the edge of what a screen can show, lower the chroma rather than clip
+  the channels: clipping shifts the hue, so a column would stop being one
+  hue all the way down.
+*/
+function oklchToHex(L, C, h) {
+  const rgb = oklchToLinear(L, maxChroma(L, h, C), h);
+  return `#${rgb.map((v) => hex2(encode(Math.max(0, v)))).join('')}`;
+}
+
+/* Column -1..1 from blue to amber; each half reaches as far out as the screen
+   allows at that lightness, so the ends are as far apart as they can be. */
+function safeColour(col, row, grid) {
+  const u = grid.cols === 1 ? 0 : (2 * col) / (grid.cols - 1) - 1;
+  const t = grid.rows === 1 ? 0 : row / (grid.rows - 1);
+  const L = SAFE_LIGHT_MAX - (SAFE_LIGHT_MAX - SAFE_LIGHT_MIN) * t + SAFE_TILT * u;
+  const h = u < 0 ? SAFE_BLUE : SAFE_AMBER;
+  const rowL = SAFE_LIGHT_MAX - (SAFE_LIGHT_MAX - SAFE_LIGHT_MIN) * t + SAFE_TILT * Math.sign(u);
+  return oklchToHex(L, Math.abs(u) * maxChroma(rowL, h, 0.4), h);
+}
+
 /** The colour at a square. Pure; the client calls the identical function. */
-export function colourAt(col, row) {
-  const hue = (HUE_START + (HUE_SPAN * col) / COLS) % 360;
-  const t = ROWS === 1 ? 0 : row / (ROWS - 1);
+export function colourAt(col, row, grid = DEFAULT_GRID) {
+  if (grid.space === 'safe') return safeColour(col, row, grid);
+  const t = grid.rows === 1 ? 0 : row / (grid.rows - 1);
+  if (grid.space === 'oklch') {
+    const hue = (OK_HUE_START + (HUE_SPAN * col) / grid.cols) % 360;
+    return oklchToHex(OK_LIGHT_MAX - (OK_LIGHT_MAX - OK_LIGHT_MIN) * t, OK_CHROMA, hue);
+  }
+  const hue = (HUE_START + (HUE_SPAN * col) / grid.cols) % 360;
   const light = LIGHT_MAX - (LIGHT_MAX - LIGHT_MIN) * t;
   const sat = SAT_TOP + (SAT_BOTTOM - SAT_TOP) * t;
   return hslToHex(hue, sat, light);
 }
 
+/** What the safe board calls a square, or null on a board without names. */
+export function nameOf(col, row, grid = DEFAULT_GRID) {
+  if (grid.space !== 'safe') return null;
+  const band = Math.min(SAFE_PALETTE.length - 1, Math.floor((col * SAFE_PALETTE.length) / grid.cols));
+  return SAFE_PALETTE[band][row < grid.rows / 2 ? 0 : 1];
+}
+
 /** Every square, row-major. Used by the grid renderer and by the checks. */
-export function allSquares() {
+export function allSquares(grid = DEFAULT_GRID) {
   const out = [];
-  for (let row = 0; row < ROWS; row += 1) {
-    for (let col = 0; col < COLS; col += 1) out.push({ col, row, hex: colourAt(col, row) });
+  for (let row = 0; row < grid.rows; row += 1) {
+    for (let col = 0; col < grid.cols; col += 1) out.push({ col, row, hex: colourAt(col, row, grid) });
   }
   return out;
 }
@@ -64,42 +208,62 @@ export function allSquares() {
 /*
   "G4"-style label, for saying a square out loud.
 
-  I and O are skipped, so the letters run A-H, J-N, P. Column 8 was rendering as
-  "I", and "I9" on a phone reads as nineteen — in a game where the second half
-  of the label really is a number. Pack IDs on this site already leave out I and
-  O for the same reason; a board label is read aloud even more often than a code
-  is typed.
+  I and O are skipped, so the letters run A-H, J-N, P-Z. Column 8 was
+  rendering as "I", and "I9" on a phone reads as nineteen — in a game where
+  the second half of the label really is a number. Pack IDs on this site
+  already leave out I and O for the same reason; a board label is read aloud
+  even more often than a code is typed.
 
-  Fourteen columns need fourteen letters, so the alphabet is written out rather
-  than computed: A + col with two holes in it is the kind of arithmetic that is
-  wrong once and then wrong forever.
+  The alphabet is written out rather than computed: A + col with two holes in
+  it is the kind of arithmetic that is wrong once and then wrong forever. The
+  boxed board's 30 columns run past its 24 letters, and carry on as a
+  spreadsheet does: AA, AB, ...
 */
-const COL_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P'];
+const COL_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P',
+  'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z'];
+
+function columnName(col) {
+  if (col < COL_LETTERS.length) return COL_LETTERS[col];
+  const first = COL_LETTERS[Math.floor(col / COL_LETTERS.length) - 1];
+  return first ? first + COL_LETTERS[col % COL_LETTERS.length] : null;
+}
 
 export function labelOf(col, row) {
-  return `${COL_LETTERS[col] || '?'}${row + 1}`;
+  return `${(Number.isInteger(col) && col >= 0 && columnName(col)) || '?'}${row + 1}`;
 }
 
-export function inBounds(col, row) {
+export function inBounds(col, row, grid = DEFAULT_GRID) {
   return Number.isInteger(col) && Number.isInteger(row)
-    && col >= 0 && col < COLS && row >= 0 && row < ROWS;
+    && col >= 0 && col < grid.cols && row >= 0 && row < grid.rows;
 }
 
 /*
-  Distance in grid steps, counting a diagonal as ONE step (Chebyshev).
+  Which scoring ring a marker is in: 0 on the target, 1 touching it, 2 the
+  ring beyond, and so on.
+
+  Steps are counted with a diagonal as ONE (Chebyshev), deliberately not
+  straight-line distance: the rings are the squares that TOUCH the target,
+  then the ring beyond. A diagonal neighbour is visually adjacent, so it has
+  to score the same as an orthogonal one or the rings become a diamond and
+  stop matching what the board shows.
 
-  Deliberately not straight-line distance: the scoring rings in this game are
-  the squares that TOUCH the target, then the ring beyond. A diagonal
-  neighbour is visually adjacent, so it has to score the same as an orthogonal
-  one or the rings become a diamond and stop matching what the board shows.
+  On a bigger board each square is a smaller step of colour, so a ring is
+  wider — as many squares as the board is times the phone board's size,
+  across and down: one square on 14 x 9, two on 30 x 16. Otherwise the same
+  guess that scores two on a phone scores nothing on the big screen.
 */
-export function ringDistance(a, b) {
-  return Math.max(Math.abs(a.col - b.col), Math.abs(a.row - b.row));
+export function ringWidth(grid = DEFAULT_GRID) {
+  return Math.max(1, Math.round(Math.sqrt((grid.cols * grid.rows) / (COLS * ROWS))));
+}
+
+export function ringDistance(a, b, grid = DEFAULT_GRID) {
+  const steps = Math.max(Math.abs(a.col - b.col), Math.abs(a.row - b.row));
+  return Math.ceil(steps / ringWidth(grid));
 }
 
 /** 3 for exact, 2 for touching, 1 for the next ring, 0 beyond. */
-export function scoreFor(marker, target) {
-  const d = ringDistance(marker, target);
+export function scoreFor(marker, target, grid = DEFAULT_GRID) {
+  const d = ringDistance(marker, target, grid);
   if (d === 0) return 3;
   if (d === 1) return 2;
   if (d === 2) return 1;
@@ -36,7 +36,7 @@
   about the board? "Ochre", no. "Coffee", yes.
 */
 export const COLOUR_WORDS = new Set(`
-red orange yellow green blue purple pink brown black white grey gray
+red orange yellow green blue purple pink brown black white grey gray navy
 violet indigo cyan magenta fuchsia turquoise teal aqua azure
 crimson scarlet maroon burgundy beige tan khaki taupe mauve lilac lavender
 periwinkle ochre chartreuse vermilion cerulean
@@ -1,5 +1,6 @@
 import { getRandomQuestions } from './questions.js';
-import { randomUUID } from 'crypto';
+import { random } from '../../engine/random.js';
+import { canHost } from '../../engine/roles.js';
 
 /*
   Say Anything — round phases:
@@ -24,6 +25,15 @@ function nextJudgeIndex(state) {
   return (state.judgeIndex + 1) % count;
 }
 
+/*
+  Answers are shown to the judge anonymously, so the id must not say whose it
+  is or in what order it came in. Drawn from the room's stream rather than
+  crypto, so a replay of the room hands out the same ids the live game did.
+*/
+function answerId() {
+  return random().toString(36).slice(2, 12);
+}
+
 function connectedNonJudge(state) {
   const judge = state.players[state.judgeIndex];
   return state.players.filter(p => p.connected && p.id !== judge?.id);
@@ -81,7 +91,7 @@ export const SayAnythingGame = {
 
         const answers = [
           ...state.round.answers,
-          { id: randomUUID(), playerId: player.id, username: player.username, text },
+          { id: answerId(), playerId: player.id, username: player.username, text },
         ];
 
         // Auto-advance to judging when all connected non-judges have answered
@@ -98,7 +108,7 @@ export const SayAnythingGame = {
       case 'force_judging': {
         // Host can force-advance from answering → judging (skip slow players)
         if (state.phase !== 'answering') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         if (state.round.answers.length === 0) return null; // need at least 1 answer
         return { ...state, phase: 'judging' };
       }
@@ -148,20 +158,20 @@ export const SayAnythingGame = {
       case 'force_reveal': {
         // Host can force-reveal (skip slow bettors)
         if (state.phase !== 'betting') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         return resolveRound(state);
       }
 
       case 'next_round': {
         if (state.phase !== 'reveal') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         return startRound(state);
       }
 
       case 'cancel_round': {
         // Host can abort the current round (judge offline, stuck, etc.) — rotates judge, no scoring
         if (!['picking', 'answering', 'judging', 'betting'].includes(state.phase)) return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         const newJudgeIndex = (state.judgeIndex + 1) % state.players.length;
         const choices = getRandomQuestions(3, state.usedQuestions, state.customQuestions);
         return {
@@ -221,6 +231,11 @@ export const SayAnythingGame = {
     };
   },
 
+  // The judge's pick and everyone's bets stay hidden, as for any non-judge.
+  deriveSpectatorState(state) {
+    return SayAnythingGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, disconnectedPlayer) {
     const judge = state.players[state.judgeIndex];
 
@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 export const questions = [
   "What is the best thing about being a kid?",
   "What would you do if you won the lottery tomorrow?",
@@ -105,6 +107,6 @@ export const questions = [
 export function getRandomQuestions(count = 5, exclude = [], custom = null) {
   const bank = Array.isArray(custom) && custom.length ? custom : questions;
   const pool = bank.filter(q => !exclude.includes(q));
-  const shuffled = (pool.length ? pool : bank).slice().sort(() => Math.random() - 0.5);
+  const shuffled = (pool.length ? pool : bank).slice().sort(() => random() - 0.5);
   return shuffled.slice(0, count);
 }
@@ -1,21 +1,72 @@
-import { pickLetter, pickCategories, normalizeAnswer, startsWithLetter } from './scattergoriesData.js';
+import { distance } from 'fastest-levenshtein';
+import { pickLetter, pickCategories, meetsLetterRule, alliterationBonus, LETTER_RULES } from './scattergoriesData.js';
+import { normalizeAnswer } from '../../utils/answerNormalizer.js';
+import { canHost } from '../../engine/roles.js';
 
 /*
   Scattergories on the engine.
 
   Round phases:
-    writing : everyone writes an answer starting with the round's letter for each
-              category, before the timer runs out
-    results : reveal all answers; score 1 point per answer that is valid (starts
-              with the letter) AND unique (no other player gave the same answer)
-
-  No server-side timer: clients count down to `deadline` and auto-submit; the
-  round resolves as soon as every connected player has submitted, or the host
-  hits "Reveal now". Highest total after N rounds wins.
+    writing   : everyone writes an answer starting with the round's letter for
+                each category, before the timer runs out
+    challenge : all answers shown with provisional points; anyone can flag an
+                entry ("Zebra" is not a thing in a kitchen) and the room votes
+                on each flag — skipped when nobody wrote anything
+    results   : score 1 point per answer that is valid AND unique (no other
+                player gave the same answer)
+
+  An answer is valid when it meets the game's letter rule — starts with the
+  letter, or the host's "ends with" or "all alliterative" variants
+  (scattergoriesData.js) — unless a challenge ruled otherwise: more votes to
+  reject than accept strike it, more to accept let it stand — even one the
+  letter check refused — and a tie leaves the letter check to decide. The
+  host (or a co-host) can override any ruling; the boxed game leaves disputes
+  to the table, and without this ours were argued out in chat. Rulings are
+  made before uniqueness is counted, so a struck answer no longer spoils the
+  same answer for someone else.
+
+  "The same answer" is the shared normalizer's (utils/answerNormalizer.js), as
+  in Herd: "Pizzas" and "pizza", "Roller Coaster" and "rollercoaster" are one
+  answer and neither scores. Past that, answers a typo or two apart ("Zuchini",
+  "Zucchini") are put to the room as "probably the same" — a spelling distance
+  cannot tell a typo from a different word, so nothing merges until the room
+  confirms it. Each entry that shares a group records who with and why.
+
+  Every entry records the letter rule that judged it (`rule`, `letterOk`) and,
+  with the alliteration bonus on, the extra points its further words earned
+  (`bonus`): "Big Blue Bus" is 1 + 2. A bonus is only paid on a point — a
+  duplicate scores nothing however alliterative — and never under "ends with",
+  where the letter is not at the start of anything.
+
+  The challenge phase ends when the host hits "Score it", when every connected
+  player has said they are done, or at its own deadline.
+
+  Clients count down to `round.deadline` and auto-submit; the round resolves as
+  soon as every connected player has submitted, or the host hits "Reveal now",
+  or — if neither happens — the server resolves it a few seconds after the
+  deadline (onDeadline). Highest total after N rounds wins.
 */
 const DEFAULT_ROUNDS = 3;
+/*
+  How long after the clock the server waits before resolving on its own. The
+  clients auto-submit AT the deadline, so resolving exactly then would race
+  their submissions in flight and score a full sheet as blank.
+*/
+const SUBMIT_GRACE_MS = 3000;
 const DEFAULT_CATS = 8;
 const DEFAULT_TIMER = 120;
+const CHALLENGE_SEC = 45;
+
+/*
+  How many edits apart two answers can be and still be "probably the same",
+  by the shorter answer's length. Short words get none: cat/bat, Rome/Rime
+  are different answers one letter apart, and the room would be asked to
+  reject them every round.
+*/
+function closeness(length) {
+  if (length < 5) return 0;
+  return length < 9 ? 1 : 2;
+}
 
 export const ScattergoriesGame = {
   minPlayers: 2,
@@ -30,6 +81,10 @@ export const ScattergoriesGame = {
       totalRounds: Number.isInteger(rounds) && rounds >= 1 && rounds <= 8 ? rounds : DEFAULT_ROUNDS,
       categoriesPerRound: Number.isInteger(cats) && cats >= 5 && cats <= 12 ? cats : DEFAULT_CATS,
       timerSec: Number.isInteger(timer) && timer >= 45 && timer <= 240 ? timer : DEFAULT_TIMER,
+      // Put near-misses to the room; off, only the normalizer groups answers.
+      closeMatches: settings.closeMatches !== false,
+      letterRule: LETTER_RULES.includes(settings.letterRule) ? settings.letterRule : 'starts',
+      alliterationBonus: settings.alliterationBonus === true,
       usedLetters: [],
       usedCats: [],
       // A host's own categories, resolved by the engine from settings.packCode.
@@ -37,6 +92,7 @@ export const ScattergoriesGame = {
         ? settings.customQuestions
         : null,
       round: null,
+      deadline: null, // the engine's timer: round.deadline plus the grace
       winner: null,
     };
   },
@@ -64,12 +120,68 @@ export const ScattergoriesGame = {
       }
 
       case 'force_reveal': {
-        if (state.phase !== 'writing' || player.id !== state.hostId) return null;
+        if (state.phase !== 'writing' || !canHost(state, player)) return null;
         return resolve(state);
       }
 
+      // Flag someone else's answer for the room to vote on.
+      case 'challenge': {
+        const entry = challengeable(state, payload);
+        if (!entry || entry.playerId === player.id) return null;
+        const key = challengeKey(payload);
+        if (state.round.challenges[key]) return null;
+        const challenge = { category: entry.category, playerId: entry.playerId, by: player.id, votes: {}, override: null };
+        return withChallenge(state, key, challenge);
+      }
+
+      // Everyone but the answer's author votes; a second vote replaces the first.
+      case 'vote_challenge': {
+        if (state.phase !== 'challenge') return null;
+        const key = challengeKey(payload);
+        const challenge = state.round.challenges[key];
+        if (!challenge || challenge.playerId === player.id || typeof payload.accept !== 'boolean') return null;
+        return withChallenge(state, key, { ...challenge, votes: { ...challenge.votes, [player.id]: payload.accept } });
+      }
+
+      // The host's word is final, and needs no flag first. `accept: null` hands it back to the vote.
+      case 'override_challenge': {
+        if (!canHost(state, player)) return null;
+        const entry = challengeable(state, payload);
+        if (!entry || (typeof payload.accept !== 'boolean' && payload.accept !== null)) return null;
+        const key = challengeKey(payload);
+        const challenge = state.round.challenges[key]
+          ?? { category: entry.category, playerId: entry.playerId, by: player.id, votes: {}, override: null };
+        return withChallenge(state, key, { ...challenge, override: payload.accept });
+      }
+
+      // "Probably the same": everyone whose answer is not in the pair votes.
+      case 'vote_match': {
+        if (state.phase !== 'challenge' || typeof payload.same !== 'boolean') return null;
+        const match = state.round.matches[payload.matchId];
+        if (!match || match.playerIds.includes(player.id)) return null;
+        return withMatch(state, payload.matchId, { ...match, votes: { ...match.votes, [player.id]: payload.same } });
+      }
+
+      case 'override_match': {
+        if (state.phase !== 'challenge' || !canHost(state, player)) return null;
+        const match = state.round.matches[payload.matchId];
+        if (!match || (typeof payload.same !== 'boolean' && payload.same !== null)) return null;
+        return withMatch(state, payload.matchId, { ...match, override: payload.same });
+      }
+
+      case 'done_challenging': {
+        if (state.phase !== 'challenge' || state.round.doneIds.includes(player.id)) return null;
+        const next = { ...state, round: { ...state.round, doneIds: [...state.round.doneIds, player.id] } };
+        return allDone(next) ? settle(next) : next;
+      }
+
+      case 'finish_challenges': {
+        if (state.phase !== 'challenge' || !canHost(state, player)) return null;
+        return settle(state);
+      }
+
       case 'next_round': {
-        if (state.phase !== 'results' || player.id !== state.hostId) return null;
+        if (state.phase !== 'results' || !canHost(state, player)) return null;
         if (state.currentRound >= state.totalRounds) return null;
         return startRound(state);
       }
@@ -96,11 +208,16 @@ export const ScattergoriesGame = {
           yourAnswers: round.submissions[playerId]?.answers || null,
         };
       }
-      // In 'results' the full round (with results) is revealed as-is.
+      // In 'challenge' and 'results' the full round is revealed as-is.
     }
     return { ...state, round, players: state.players.map(({ socketId, ...rest }) => rest) };
   },
 
+  // Who has submitted, never what, until the results.
+  deriveSpectatorState(state) {
+    return ScattergoriesGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, player) {
     // Don't let a disconnect hang the round: if everyone still here has submitted, resolve.
     if (state.phase === 'writing') {
@@ -108,6 +225,13 @@ export const ScattergoriesGame = {
       const allIn = connected.length > 0 && connected.every((p) => state.round.submissions[p.id]);
       if (allIn) return resolve(state);
     }
+    if (state.phase === 'challenge' && allDone(state)) return settle(state);
+    return null;
+  },
+
+  onDeadline(state) {
+    if (state.phase === 'writing') return resolve(state);
+    if (state.phase === 'challenge') return settle(state);
     return null;
   },
 };
@@ -117,8 +241,10 @@ function startRound(state) {
   const nextRound = state.currentRound + 1;
   const letter = pickLetter(state.usedLetters);
   const categories = pickCategories(state.categoriesPerRound, state.usedCats, state.customCategories);
+  const deadline = Date.now() + state.timerSec * 1000;
   return {
     ...state,
+    deadline: deadline + SUBMIT_GRACE_MS,
     status: 'playing',
     phase: 'writing',
     currentRound: nextRound,
@@ -129,41 +255,153 @@ function startRound(state) {
       phase: 'writing',
       letter,
       categories,
-      deadline: Date.now() + state.timerSec * 1000,
+      deadline,
       submissions: {}, // playerId -> { answers: [] }
       results: null,
     },
   };
 }
 
-function resolve(state) {
-  const { letter, categories, submissions } = state.round;
+/*
+  The round's answers scored as they stand: each challenge's ruling first,
+  then uniqueness among the answers left valid, grouped by the normalizer and
+  by whichever close matches the room has confirmed. Used for the provisional
+  points shown while the room argues, and again for the final ones.
+*/
+function score(state) {
+  const { letter, categories, submissions, challenges, matches } = state.round;
   const playerIds = state.players.map((p) => p.id);
+  const letterRule = state.letterRule ?? 'starts';
+  const bonusOn = state.alliterationBonus && letterRule !== 'ends';
 
-  // Score each category: valid (starts with letter) AND unique (no duplicate) = 1 pt.
   const results = categories.map((category, c) => {
     const entries = playerIds.map((pid) => {
       const raw = submissions[pid]?.answers?.[c] || '';
-      return { playerId: pid, answer: raw, valid: startsWithLetter(raw, letter) };
+      const letterOk = meetsLetterRule(raw, letter, letterRule);
+      const judged = { playerId: pid, answer: raw, rule: letterRule, letterOk, bonus: bonusOn ? alliterationBonus(raw, letter) : 0 };
+      const challenge = challenges[challengeKey({ category: c, playerId: pid })];
+      if (!challenge) return { ...judged, valid: letterOk };
+      const ruling = rule(challenge, letterOk);
+      return {
+        ...judged,
+        valid: ruling === 'accepted',
+        challenge: { by: challenge.by, ...tally(challenge), override: challenge.override, ruling },
+      };
     });
-    // count normalized valid answers to detect duplicates
-    const counts = {};
+
+    const close = Object.values(matches).filter((m) => m.category === c);
+    const same = close.filter((m) => matchRuling(m) === 'same');
+    const groupOf = grouper(same);
+    const groups = {};
     for (const e of entries) {
       if (!e.valid) continue;
-      const key = normalizeAnswer(e.answer);
-      counts[key] = (counts[key] || 0) + 1;
+      const g = groupOf(normalizeAnswer(e.answer));
+      (groups[g] ||= []).push(e);
     }
     for (const e of entries) {
-      const key = normalizeAnswer(e.answer);
-      e.unique = e.valid && counts[key] === 1;
-      e.point = e.unique ? 1 : 0;
+      const mates = e.valid ? groups[groupOf(normalizeAnswer(e.answer))].filter((m) => m !== e) : [];
+      e.unique = e.valid && mates.length === 0;
+      e.point = e.unique ? 1 + e.bonus : 0;
+      if (mates.length) e.group = { with: mates.map((m) => m.playerId), reason: groupReason(e, mates) };
     }
-    return { category, entries };
+    const matchList = close.map((m) => ({ id: m.id, answers: m.answers, edits: m.edits, ...tally(m), override: m.override, ruling: matchRuling(m) }));
+    return { category, entries, ...(matchList.length && { matches: matchList }) };
   });
 
   const gained = {};
   for (const r of results) for (const e of r.entries) gained[e.playerId] = (gained[e.playerId] || 0) + e.point;
+  return { results, gained };
+}
 
+/*
+  Why an entry shares its group: 'exact' — everyone wrote it the same way;
+  'normalised' — the same answer spelled or pluralised differently;
+  'close' — a near-miss the room confirmed.
+*/
+function groupReason(entry, mates) {
+  const key = normalizeAnswer(entry.answer);
+  if (mates.some((m) => normalizeAnswer(m.answer) !== key)) return 'close';
+  const text = (a) => a.trim().toLowerCase().replace(/\s+/g, ' ');
+  return mates.every((m) => text(m.answer) === text(entry.answer)) ? 'exact' : 'normalised';
+}
+
+// Normalised keys joined by confirmed matches; returns key -> its group's representative.
+function grouper(matches) {
+  const parent = {};
+  const find = (k) => (parent[k] && parent[k] !== k ? (parent[k] = find(parent[k])) : k);
+  for (const m of matches) {
+    const [a, b] = m.keys.map(find);
+    if (a !== b) parent[b] = a;
+  }
+  return find;
+}
+
+/*
+  The "probably the same" pairs for this round, per category: answers whose
+  normalised forms are a typo or two apart. Found once when writing ends, over
+  every answer given — a challenge that strikes one side just leaves its pair
+  with nothing to merge.
+*/
+function findMatches(state) {
+  const { categories, submissions } = state.round;
+  const matches = {};
+  if (!state.closeMatches) return matches;
+  categories.forEach((_, c) => {
+    const byKey = new Map();
+    for (const p of state.players) {
+      const raw = submissions[p.id]?.answers?.[c] || '';
+      const key = normalizeAnswer(raw);
+      if (!key) continue;
+      if (!byKey.has(key)) byKey.set(key, { answer: raw, playerIds: [] });
+      byKey.get(key).playerIds.push(p.id);
+    }
+    const keys = [...byKey.keys()].sort();
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        const edits = distance(keys[i], keys[j]);
+        if (edits > closeness(Math.min(keys[i].length, keys[j].length))) continue;
+        const id = `${c}:${keys[i]}|${keys[j]}`;
+        const [a, b] = [byKey.get(keys[i]), byKey.get(keys[j])];
+        matches[id] = {
+          id,
+          category: c,
+          keys: [keys[i], keys[j]],
+          answers: [a.answer, b.answer],
+          playerIds: [...a.playerIds, ...b.playerIds],
+          edits,
+          votes: {},
+          override: null,
+        };
+      }
+    }
+  });
+  return matches;
+}
+
+// Unconfirmed, a near-miss stays two answers: a majority has to say they are one.
+function matchRuling(match) {
+  if (match.override !== null) return match.override ? 'same' : 'different';
+  const { accept, reject } = tally(match);
+  return accept > reject ? 'same' : 'different';
+}
+
+// Writing is over: show every answer and open the floor, unless there is nothing to dispute.
+function resolve(state) {
+  const round = { ...state.round, challenges: {}, doneIds: [] };
+  round.matches = findMatches({ ...state, round });
+  const { results } = score({ ...state, round });
+  if (results.every((r) => r.entries.every((e) => !e.answer))) return settle({ ...state, round });
+  const deadline = Date.now() + CHALLENGE_SEC * 1000;
+  return {
+    ...state,
+    phase: 'challenge',
+    deadline,
+    round: { ...round, phase: 'challenge', challengeDeadline: deadline, results },
+  };
+}
+
+function settle(state) {
+  const { results, gained } = score(state);
   const players = state.players.map((p) => ({ ...p, score: (p.score ?? 0) + (gained[p.id] ?? 0) }));
 
   const isFinal = state.currentRound >= state.totalRounds;
@@ -173,8 +411,49 @@ function resolve(state) {
     ...state,
     status: isFinal ? 'finished' : 'playing',
     phase: 'results',
+    deadline: null,
     players,
     winner,
     round: { ...state.round, phase: 'results', results, roundGained: gained },
   };
 }
+
+const challengeKey = ({ category, playerId }) => `${category}:${playerId}`;
+
+// The entry a challenge payload points at, if it is open to one: a non-blank answer, this round.
+function challengeable(state, { category, playerId } = {}) {
+  if (state.phase !== 'challenge' || !Number.isInteger(category)) return null;
+  if (category < 0 || category >= state.round.categories.length) return null;
+  const answer = state.round.submissions[playerId]?.answers?.[category];
+  return answer ? { category, playerId, answer } : null;
+}
+
+// A new or changed challenge or match re-scores the provisional results, so everyone sees what the vote is doing.
+function withChallenge(state, key, challenge) {
+  return rescored(state, { ...state.round, challenges: { ...state.round.challenges, [key]: challenge } });
+}
+
+function withMatch(state, id, match) {
+  return rescored(state, { ...state.round, matches: { ...state.round.matches, [id]: match } });
+}
+
+function rescored(state, round) {
+  return { ...state, round: { ...round, results: score({ ...state, round }).results } };
+}
+
+function tally(challenge) {
+  const votes = Object.values(challenge.votes);
+  return { accept: votes.filter(Boolean).length, reject: votes.filter((v) => !v).length };
+}
+
+function rule(challenge, letterOk) {
+  if (challenge.override !== null) return challenge.override ? 'accepted' : 'rejected';
+  const { accept, reject } = tally(challenge);
+  if (accept !== reject) return accept > reject ? 'accepted' : 'rejected';
+  return letterOk ? 'accepted' : 'rejected';
+}
+
+function allDone(state) {
+  const connected = state.players.filter((p) => p.connected);
+  return connected.length > 0 && connected.every((p) => state.round.doneIds.includes(p.id));
+}
@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   Scattergories — letters, category bank, and scoring helpers.
 
@@ -6,6 +8,10 @@
   for each category. An answer scores 1 point if it's non-empty, starts with the
   round letter, AND is unique among players for that category (duplicates cancel
   out — the fun tension of trying to be original but valid).
+
+  The host can change what "with that letter" means (LETTER_RULES) and turn on
+  the boxed game's alliteration bonus: a point for each further word that
+  starts with the letter, so "Big Blue Bus" scores 3.
 */
 
 // Exclude the traditionally-hard letters (Q, U, V, X, Y, Z) so rounds stay fun.
@@ -32,50 +38,77 @@ export const CATEGORIES = [
   'An ice cream flavor', 'Something that smells nice', 'A dance move',
 ];
 
-// mulberry32 seeded PRNG (deterministic where a seed is supplied)
-function mulberry32(seed) {
-  return function () {
-    seed |= 0; seed = (seed + 0x6D2B79F5) | 0;
-    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
 // Pick a letter not already used this game (falls back to any once exhausted).
 export function pickLetter(usedLetters = []) {
   const pool = LETTERS.filter((l) => !usedLetters.includes(l));
   const from = pool.length ? pool : LETTERS;
-  return from[Math.floor(Math.random() * from.length)];
+  return from[Math.floor(random() * from.length)];
 }
 
 // Pick n distinct categories, avoiding ones used in recent rounds when possible.
 export function pickCategories(n, usedCats = [], custom = null) {
   const BANK = Array.isArray(custom) && custom.length ? custom : CATEGORIES;
-  const seed = (Date.now() ^ (usedCats.length * 2654435761)) >>> 0;
-  const rand = mulberry32(seed);
   const pool = BANK.filter((c) => !usedCats.includes(c));
   const from = (pool.length >= n ? pool : [...BANK]);
   const a = [...from];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(rand() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a.slice(0, n);
 }
 
-// Normalize for duplicate comparison: lowercase, trim, collapse spaces, drop a
-// leading article so "the office" and "office" collide.
-export function normalizeAnswer(s) {
-  return String(s || '')
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, ' ')
-    .replace(/^(a|an|the)\s+/, '');
-}
-
 export function startsWithLetter(s, letter) {
   const t = String(s || '').trim();
   if (!t) return false;
   return t[0].toLowerCase() === String(letter).toLowerCase();
 }
+
+/*
+  What "an answer with the round's letter" means this game:
+    starts       : the first character is the letter (the classic game)
+    ends         : the LAST letter is — hard mode; "Zebra" is an A answer
+    alliterative : every word starts with it, so "Big Blue Bus" is fine and
+                   "Big Red Bus" is not; one-word answers just have to start
+                   with it
+*/
+export const LETTER_RULES = ['starts', 'ends', 'alliterative'];
+
+const ARTICLES = new Set(['a', 'an', 'the']);
+
+/*
+  The words that count for alliteration. A leading or inner article does not
+  ("The Big Bang" is alliterative on B) unless the answer is nothing else —
+  or it starts with the letter itself: on T, "The Tempest" is two matching
+  words, and dropping the "The" would short the very answer the bonus is for.
+*/
+function words(s, letter) {
+  const all = String(s || '').trim().split(/[\s-]+/).filter(Boolean);
+  const kept = all.filter((w) => !ARTICLES.has(w.toLowerCase()) || sameLetter(w[0], letter));
+  return kept.length ? kept : all;
+}
+
+const sameLetter = (ch, letter) => !!ch && ch.toLowerCase() === String(letter).toLowerCase();
+
+export function endsWithLetter(s, letter) {
+  // Trailing punctuation is not the word's last letter: "Yahoo!" ends in O.
+  const t = String(s || '').trim().replace(/[^\p{L}\p{N}]+$/u, '');
+  return sameLetter(t[t.length - 1], letter);
+}
+
+export function isAlliterative(s, letter) {
+  const w = words(s, letter);
+  return w.length > 0 && w.every((word) => sameLetter(word[0], letter));
+}
+
+export function meetsLetterRule(s, letter, rule = 'starts') {
+  if (rule === 'ends') return endsWithLetter(s, letter);
+  if (rule === 'alliterative') return isAlliterative(s, letter);
+  return startsWithLetter(s, letter);
+}
+
+// Words after the first that start with the letter — the alliteration bonus.
+export function alliterationBonus(s, letter) {
+  const [, ...rest] = words(s, letter);
+  return rest.filter((word) => sameLetter(word[0], letter)).length;
+}
@@ -1,4 +1,7 @@
 import { shuffledDeck } from './tabooCards.js';
+import { canHost } from '../../engine/roles.js';
+import { tabooWordsIn, isRightGuess } from './typedClues.js';
+import { TEAM_ACTIONS, handleTeamAction, dealTeams, rebalance, nextGiver, passGiver } from '../../engine/teams.js';
 
 /*
   Taboo on the engine.
@@ -9,15 +12,36 @@ import { shuffledDeck } from './tabooCards.js';
   non-active team engaged instead of spectating.
 
   Turn: giver starts, then per card -> got it (+1), skip (0), or buzzed by the
-  other team (-1). Turn ends when the timer runs out (client-driven, like our
-  other games — no server timers) or the giver ends it. Teams alternate; most
+  other team (-1). Turn ends when the giver ends it or the timer runs out — the
+  server ends it then (onDeadline), so a giver whose phone sleeps cannot stall
+  the room. Teams alternate; most
   points after N rounds each wins.
 
   With 3 players there aren't two teams, so we fall back to CO-OP: one shared
   score, giver rotates, everyone else guesses (same approach as Fishbowl).
+
+  Teams are the host's to pick in the lobby — by hand, shuffled, balanced on
+  past score, and named (engine/teams.js); anyone left unpicked is dealt onto
+  the smaller side at kickoff. Someone arriving mid-game goes to whichever
+  team has fewer people online (onLateJoin), or onto the one team in co-op.
+  They start guessing at once. When people leave, the teams are levelled
+  between turns.
+
+  TYPED CLUES (`typedClues`), for remote teams whose call audio cannot carry a
+  spoken game: the giver types clues and the server is the referee
+  (typedClues.js). A clue that says the card's word is refused and never
+  shown — it would hand the guessers the answer. One that says a forbidden
+  word is refused too, or with `slipRule: 'penalty'` is shown struck through
+  and costs the card as a buzz would (-1). Guessers type guesses and a right
+  one scores the card itself, the way Caveman Clues checks guesses; got_word
+  and buzz are off, since there is nothing left for a person to judge.
 */
 const DEFAULT_TURN_SEC = 60;
 const DEFAULT_ROUNDS = 3; // turns per team
+const MAX_CLUE_LEN = 120;
+const MAX_GUESS_LEN = 40;
+const MAX_CLUES = 40;   // per card: a giver spamming clues must not grow state unbounded
+const MAX_GUESSES = 80;
 
 export const TabooGame = {
   minPlayers: 3,
@@ -30,14 +54,18 @@ export const TabooGame = {
       coop: false,
       turnSec: Number.isInteger(t) && t >= 30 && t <= 180 ? t : DEFAULT_TURN_SEC,
       totalRounds: Number.isInteger(r) && r >= 1 && r <= 8 ? r : DEFAULT_ROUNDS,
+      typedClues: settings.typedClues === true,
+      slipRule: settings.slipRule === 'penalty' ? 'penalty' : 'reject',
       teams: { A: [], B: [] },
+      teamNames: { A: null, B: null },
       teamScores: { A: 0, B: 0 },
       deck: [],
       deckIndex: 0,
       currentTeam: 'A',
       giverIndex: { A: 0, B: 0 },
       turnsTaken: { A: 0, B: 0 },
-      turn: null,      // { giverId, deadline, got, skipped, buzzed }
+      turn: null,      // { giverId, deadline, got, skipped, buzzed, clues?, guesses? }
+      deadline: null,  // the engine's timer; mirrors turn.deadline
       lastTurn: null,  // { team, giverId, got, buzzed }
       winner: null,
     };
@@ -46,9 +74,7 @@ export const TabooGame = {
   onStart(state) {
     const connected = state.players.filter((p) => p.connected);
     const coop = connected.length < 4;
-    const teams = { A: [], B: [] };
-    if (coop) connected.forEach((p) => teams.A.push(p.id));
-    else connected.forEach((p, i) => teams[i % 2 === 0 ? 'A' : 'B'].push(p.id));
+    const teams = coop ? { A: connected.map((p) => p.id), B: [] } : dealTeams(state);
     return {
       ...state,
       status: 'playing',
@@ -68,15 +94,29 @@ export const TabooGame = {
   },
 
   handleAction(state, action, payload, player) {
+    if (TEAM_ACTIONS.has(action)) return handleTeamAction(state, action, payload, player, state.status === 'lobby');
     switch (action) {
       case 'start_turn': {
         if (state.phase !== 'playing' || state.turn) return null;
         if (player.id !== currentGiverId(state)) return null;
-        return { ...state, turn: { giverId: player.id, deadline: Date.now() + state.turnSec * 1000, got: 0, skipped: 0, buzzed: 0 } };
+        const deadline = Date.now() + state.turnSec * 1000;
+        const typed = state.typedClues ? { clues: [], guesses: [], rejected: null } : {};
+        return { ...state, deadline, turn: { giverId: player.id, deadline, got: 0, skipped: 0, buzzed: 0, ...typed } };
+      }
+
+      case 'clue': {
+        if (!state.typedClues || !state.turn || player.id !== state.turn.giverId) return null;
+        return giveClue(state, payload, player);
+      }
+
+      case 'guess': {
+        if (!state.typedClues || !state.turn || player.id === state.turn.giverId) return null;
+        if (!state.teams[state.currentTeam]?.includes(player.id)) return null;
+        return makeGuess(state, payload, player);
       }
 
       case 'got_word': {
-        if (!state.turn || player.id !== state.turn.giverId) return null;
+        if (state.typedClues || !state.turn || player.id !== state.turn.giverId) return null;
         return scoreCard(state, +1, { got: 1 });
       }
 
@@ -90,7 +130,7 @@ export const TabooGame = {
         // That means the opposing team and nobody else — not the giver, not the
         // giver's guessing team, and not co-op (where everyone else is guessing,
         // so there is no one holding the card to police it).
-        if (!state.turn || state.coop) return null;
+        if (!state.turn || state.coop || state.typedClues) return null;
         if (player.id === state.turn.giverId) return null;
         const opposing = state.currentTeam === 'A' ? 'B' : 'A';
         if (!state.teams[opposing]?.includes(player.id)) return null;
@@ -99,7 +139,7 @@ export const TabooGame = {
 
       case 'end_turn': {
         if (!state.turn) return null;
-        if (player.id !== state.turn.giverId && player.id !== state.hostId) return null;
+        if (player.id !== state.turn.giverId && !canHost(state, player)) return null;
         return endTurn(state);
       }
 
@@ -128,13 +168,37 @@ export const TabooGame = {
       if (isGiver || onOpposingTeam) base.card = state.deck[state.deckIndex] || null;
     }
     delete base.deck;
+
+    // A refused clue is the giver's business: telling anyone else is a hint.
+    if (base.turn?.rejected !== undefined && playerId !== state.turn.giverId) {
+      const { rejected: _hidden, ...rest } = base.turn;
+      base.turn = rest;
+    }
     return base;
   },
 
+  // On neither team, so the card is never on the screen — the guessing team can see it.
+  deriveSpectatorState(state) {
+    return TabooGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, player) {
     if (state.turn && player?.id === state.turn.giverId) return endTurn(state);
+    // Between turns the teams can be levelled now; mid-turn it waits for endTurn.
+    if (state.phase === 'playing' && !state.turn) {
+      const level = rebalance(state);
+      return level === state ? null : level;
+    }
     return null;
   },
+
+  onDeadline(state) {
+    return state.turn ? endTurn(state) : null;
+  },
+
+  onLateJoin(state, player) {
+    return joinSmallerTeam(state, player);
+  },
 };
 
 // ── helpers ──────────────────────────────────────────────────────────────────
@@ -142,10 +206,15 @@ function teamMembers(state, team) {
   return state.teams[team].filter((id) => state.players.find((p) => p.id === id && p.connected));
 }
 
+// Counts who is online, not who was dealt in: a team of four with two gone is
+// the smaller team as far as the room is concerned.
+function joinSmallerTeam(state, player) {
+  const team = state.coop || teamMembers(state, 'A').length <= teamMembers(state, 'B').length ? 'A' : 'B';
+  return { ...state, teams: { ...state.teams, [team]: [...state.teams[team], player.id] } };
+}
+
 function currentGiverId(state) {
-  const members = teamMembers(state, state.currentTeam);
-  if (members.length === 0) return null;
-  return members[state.giverIndex[state.currentTeam] % members.length];
+  return nextGiver(state, state.currentTeam);
 }
 
 // Advance the deck and apply a score delta to the giver's team.
@@ -157,6 +226,8 @@ function scoreCard(state, delta, counters) {
     got: state.turn.got + (counters.got || 0),
     skipped: state.turn.skipped + (counters.skipped || 0),
     buzzed: state.turn.buzzed + (counters.buzzed || 0),
+    // Typed clues and guesses are about the card just finished; the next starts clean.
+    ...(state.typedClues && { clues: [], guesses: [], rejected: null, lastCard: { card: state.deck[state.deckIndex], clues: state.turn.clues } }),
   };
   let deckIndex = state.deckIndex + 1;
   let deck = state.deck;
@@ -164,13 +235,44 @@ function scoreCard(state, delta, counters) {
   return { ...state, teamScores, turn, deck, deckIndex };
 }
 
-function endTurn(state) {
+function giveClue(state, payload, player) {
+  if (state.turn.clues.length >= MAX_CLUES) return null;
+  const text = String(payload.text || '').trim().slice(0, MAX_CLUE_LEN);
+  if (!text) return null;
+
+  const card = state.deck[state.deckIndex];
+  const said = tabooWordsIn(text, card);
+  // The text of a refused clue is not kept: it may be the answer itself.
+  if (said.answer) return { ...state, turn: { ...state.turn, rejected: { reason: 'answer', at: Date.now() } } };
+  if (said.forbidden.length && state.slipRule === 'reject') {
+    return { ...state, turn: { ...state.turn, rejected: { reason: 'forbidden', words: said.forbidden, at: Date.now() } } };
+  }
+
+  const clue = { text, by: player.id, taboo: said.forbidden, at: Date.now() };
+  const next = { ...state, turn: { ...state.turn, clues: [...state.turn.clues, clue], rejected: null } };
+  // The penalty: the card is lost exactly as if the other team had buzzed it.
+  return said.forbidden.length ? scoreCard(next, -1, { buzzed: 1 }) : next;
+}
+
+function makeGuess(state, payload, player) {
+  if (state.turn.guesses.length >= MAX_GUESSES) return null;
+  const text = String(payload.text || '').trim().slice(0, MAX_GUESS_LEN);
+  if (!text) return null;
+
+  const right = isRightGuess(text, state.deck[state.deckIndex]);
+  const guess = { text, by: player.id, right, at: Date.now() };
+  const next = { ...state, turn: { ...state.turn, guesses: [...state.turn.guesses, guess] } };
+  return right ? scoreCard(next, +1, { got: 1 }) : next;
+}
+
+function endTurn(previous) {
+  const state = rebalance(previous); // a break in play: the one time players change sides
   const team = state.currentTeam;
   const lastTurn = state.turn
     ? { team, giverId: state.turn.giverId, got: state.turn.got, buzzed: state.turn.buzzed }
     : state.lastTurn;
   const turnsTaken = { ...state.turnsTaken, [team]: state.turnsTaken[team] + 1 };
-  const giverIndex = { ...state.giverIndex, [team]: state.giverIndex[team] + 1 };
+  const giverIndex = state.turn ? passGiver(state, team, state.turn.giverId) : state.giverIndex;
 
   const other = team === 'A' ? 'B' : 'A';
   const hasOther = teamMembers(state, other).length > 0;
@@ -185,7 +287,7 @@ function endTurn(state) {
     const winner = state.coop ? null
       : state.teamScores.A === state.teamScores.B ? null
         : state.teamScores.A > state.teamScores.B ? 'A' : 'B';
-    return { ...state, status: 'finished', phase: 'finished', turn: null, lastTurn, turnsTaken, giverIndex, winner };
+    return { ...state, status: 'finished', phase: 'finished', turn: null, deadline: null, lastTurn, turnsTaken, giverIndex, winner };
   }
-  return { ...state, turn: null, lastTurn, turnsTaken, giverIndex, currentTeam: nextTeam };
+  return { ...state, turn: null, deadline: null, lastTurn, turnsTaken, giverIndex, currentTeam: nextTeam };
 }
@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   Taboo card bank.
 
@@ -394,6 +396,6 @@ export const CARDS = [
 
 export function shuffledDeck() {
   const a = [...CARDS];
-  for (let i = a.length - 1; i > 0; i--) { const j = Math.floor(Math.random() * (i + 1)); [a[i], a[j]] = [a[j], a[i]]; }
+  for (let i = a.length - 1; i > 0; i--) { const j = Math.floor(random() * (i + 1)); [a[i], a[j]] = [a[j], a[i]]; }
   return a;
 }
@@ -0,0 +1,49 @@
+import { normalizeAnswer } from '../../utils/answerNormalizer.js';
+
+/*
+  The referee for typed-clue Taboo: which of a card's words a clue says.
+
+  Spoken Taboo is policed by the other team's ears. Typed, the server can do
+  it exactly — and has to do it the way a listener would, which means by stem
+  rather than by spelling: a giver who types "running" for a card that
+  forbids "Run" has said it, and so has one who types "pizzas" for Pizza. The
+  shared answer normaliser already decides what counts as the same word for
+  guesses, so it decides here too and the two can never disagree.
+
+  Forbidden words can be phrases ("Fast food"). The normaliser joins a phrase
+  into one key, so every run of consecutive clue words is checked as well:
+  "fast food" and "fastfood" both trip it.
+*/
+
+const MAX_PHRASE = 3;
+
+// The runs of one to MAX_PHRASE consecutive words in a clue, as the normaliser keys them.
+function clueKeys(text) {
+  const words = String(text || '').split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+  const keys = new Set();
+  for (let i = 0; i < words.length; i += 1) {
+    for (let n = 1; n <= MAX_PHRASE && i + n <= words.length; n += 1) {
+      const key = normalizeAnswer(words.slice(i, i + n).join(' '));
+      if (key) keys.add(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * What the clue gives away: `answer` when it says the card's word, and the
+ * forbidden words it says, as printed on the card.
+ */
+export function tabooWordsIn(text, card) {
+  const keys = clueKeys(text);
+  return {
+    answer: keys.has(normalizeAnswer(card.word)),
+    forbidden: card.forbidden.filter((w) => keys.has(normalizeAnswer(w))),
+  };
+}
+
+/** Is a typed guess the card's word? Through the same normaliser, so "Pizzas" is Pizza. */
+export function isRightGuess(text, card) {
+  const key = normalizeAnswer(text);
+  return !!key && key === normalizeAnswer(card.word);
+}
@@ -1,4 +1,8 @@
 import { getRandomQuestions } from './questions.js';
+import { random } from '../../engine/random.js';
+import { canHost } from '../../engine/roles.js';
+import { normalizeAnswer } from '../../utils/answerNormalizer.js';
+import { TEAM_ACTIONS, handleTeamAction, emptyTeams, dealTeams, rebalance } from '../../engine/teams.js';
 
 /*
   Team Trivia — live multiplayer multiple-choice trivia (Kahoot-style, but free,
@@ -8,22 +12,95 @@ import { getRandomQuestions } from './questions.js';
     answering : show the question + 4 options. Each player taps one answer.
     reveal    : show the correct answer + who got it + the leaderboard.
 
+  Question types (`round.type`), which only a custom pack brings — the built-in
+  bank is all multiple choice (packParse.js has the syntax):
+    mcq        two to four options, shuffled; a tap is { optionIndex }
+    truefalse  True then False, never shuffled; a tap is { optionIndex }
+    typed      players type { text }; right when it normalises
+               (utils/answerNormalizer.js) to the answer or an alternate
+    number     players send { number }; the closest answers are right, ties
+               all of them, exact or not
+  The answer to every type — answerIndex, or `answer` and `accepted` — is
+  hidden until the reveal.
+
   Scoring: +1 per correct answer (flat — fair and simple). Highest after N rounds wins.
   Auto-advances to reveal when every connected player has answered; the host can
   also force reveal / next round.
+
+  Speed scoring is the host's other choice (`scoring: 'speed'`), for rooms where
+  flat scoring ends in a five-way tie. Every question then has a clock, and a
+  right answer is worth SPEED_MAX at once, falling evenly to SPEED_MIN at the
+  buzzer — timed by the server when submit_answer arrives, never by the client's
+  own say-so. A run of right answers multiplies that (streakMultiplier); a wrong
+  answer or none at all ends the run. Flat scoring counts streaks too, for the
+  badges, but pays a point whatever.
+
+  `timer` puts a clock on every question in either mode; speed scoring cannot
+  do without one and falls back to DEFAULT_SPEED_SEC. At the deadline the server
+  reveals (onDeadline), a moment late so a tap already in flight still counts.
+
+  The reveal carries `results.breakdown`: per answer, how long it took, the
+  points, the streak and its multiplier — and `fastestCorrectId`, so the
+  client can crown the quickest right answer.
+
+  TEAMS (`teamPlay`), despite the name a newer thing than the game. Players
+  pick a side in the lobby or the host deals them (engine/teams.js, as in
+  Taboo), and each team gives one answer to each question:
+
+    'majority'  the option most of the team tapped; a tie goes to the option
+                the team reached for first
+    'captain'   the captain's tap; everyone else's is advice. The host names
+                the captain (set_captain), else the first of the team here
+
+  Teammates see each other's taps while the question is open — conferring is
+  the point — and never the other team's. The team's answer is scored exactly
+  as one player's would be, speed and streak included, into `teamScores`; a
+  majority answer is timed from the last tap that made it. Everyone still
+  scores their own answer to their own `score`, and `stats` keeps each
+  player's record, so the end screen can still say who carried the team.
+  `results.teams` reports each team's answer, its tally and how split it was.
+
+  Late joiners (onLateJoin) watch the question in front of them and play from
+  the next one, on 0 — joining halfway through a question would mean answering
+  with less time than everyone else, or after seeing the count tick up. In
+  teams they join whichever side has fewer people here.
 */
 const DEFAULT_ROUNDS = 8;
+export const SCORING_MODES = ['flat', 'speed'];
+export const TEAM_PLAY = ['majority', 'captain'];
+const DEFAULT_SPEED_SEC = 20;
+const SPEED_MAX = 1000;
+const SPEED_MIN = 500;
+// How long past the clock a tap is still taken: it left the phone in time.
+const LATENCY_GRACE_MS = 1000;
+const MAX_TYPED = 80;
 
 export const TeamTriviaGame = {
   minPlayers: 2,
 
   createInitialState(settings = {}) {
     const rounds = Number(settings.rounds);
+    const timer = Number(settings.timer);
+    const scoring = SCORING_MODES.includes(settings.scoring) ? settings.scoring : 'flat';
+    const validTimer = Number.isInteger(timer) && timer >= 10 && timer <= 60 ? timer : null;
+    const teamPlay = TEAM_PLAY.includes(settings.teamPlay) ? settings.teamPlay : null;
     return {
       phase: null,
       currentRound: 0,
       totalRounds: Number.isInteger(rounds) && rounds >= 3 && rounds <= 20 ? rounds : DEFAULT_ROUNDS,
+      scoring,
+      timerSec: validTimer ?? (scoring === 'speed' ? DEFAULT_SPEED_SEC : null),
       round: null,
+      deadline: null, // the engine's timer: round.deadline plus the grace
+      streaks: {},    // playerId -> right answers in a row
+      stats: {},      // playerId -> { answered, correct, fastest, bestStreak }
+      teamPlay,
+      ...(teamPlay && {
+        ...emptyTeams(),
+        teamScores: { A: 0, B: 0 },
+        teamStreaks: { A: 0, B: 0 },
+        captains: { A: null, B: null }, // the host's picks; captainOf() fills a gap
+      }),
       usedQuestions: [],
       // A host's own questions, resolved by the engine from settings.packCode.
       customQuestions: Array.isArray(settings.customQuestions) && settings.customQuestions.length
@@ -33,37 +110,51 @@ export const TeamTriviaGame = {
   },
 
   onStart(state) {
-    return startRound({ ...state, currentRound: 0, usedQuestions: [] });
+    const fresh = { ...state, currentRound: 0, usedQuestions: [], streaks: {}, stats: {} };
+    if (!state.teamPlay) return startRound(fresh);
+    return startRound({ ...fresh, teams: dealTeams(state), teamScores: { A: 0, B: 0 }, teamStreaks: { A: 0, B: 0 } });
   },
 
   handleAction(state, action, payload, player) {
+    if (state.teamPlay && TEAM_ACTIONS.has(action)) {
+      return handleTeamAction(state, action, payload, player, state.status === 'lobby');
+    }
     switch (action) {
+      case 'set_captain': {
+        if (!state.teamPlay || !canHost(state, player)) return null;
+        const { team, playerId } = payload;
+        if (!['A', 'B'].includes(team)) return null;
+        if (playerId !== null && !state.teams[team].includes(playerId)) return null;
+        return { ...state, captains: { ...state.captains, [team]: playerId } };
+      }
+
       case 'submit_answer': {
         if (state.phase !== 'answering') return null;
-        const { optionIndex } = payload;
-        if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex > 3) return null;
+        const given = readAnswer(state.round, payload);
+        if (!given) return null;
+        if (state.round.lateIds?.includes(player.id)) return null;
+        if (state.teamPlay && !teamOf(state, player.id)) return null;
         // first answer per player wins (idempotent)
         if (state.round.answers.find((a) => a.playerId === player.id)) return null;
+        const at = Date.now();
+        if (state.round.deadline && at > state.round.deadline + LATENCY_GRACE_MS) return null;
 
-        const answers = [...state.round.answers, { playerId: player.id, optionIndex }];
-        const eligible = state.players.filter((p) => p.connected);
-        const allAnswered = eligible.length > 0 && eligible.every((p) => answers.find((a) => a.playerId === p.id));
-
-        if (allAnswered) return revealRound({ ...state, round: { ...state.round, answers } });
-        return { ...state, round: { ...state.round, answers } };
+        const answer = { playerId: player.id, ...given, at };
+        const next = { ...state, round: { ...state.round, answers: [...state.round.answers, answer] } };
+        return allAnswered(next) ? revealRound(next) : next;
       }
 
       case 'force_reveal': {
         if (state.phase !== 'answering') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         return revealRound(state);
       }
 
       case 'next_round': {
         if (state.phase !== 'reveal') return null;
-        if (player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
         if (state.currentRound >= state.totalRounds) return null;
-        return startRound(state);
+        return startRound(state.teamPlay ? rebalance(seatEveryone(state)) : state);
       }
 
       default:
@@ -71,16 +162,23 @@ export const TeamTriviaGame = {
     }
   },
 
-  deriveClientState(state, playerId) {
+  // The pack stays on the server: it is every question's answer, correct
+  // option first, typed answers with their alternates, and the numbers.
+  deriveClientState({ customQuestions: _pack, ...state }, playerId) {
     let round = state.round;
     if (round && state.phase === 'answering') {
-      // hide the correct answer, and hide which option others picked (show only your own)
+      // hide the correct answer, and hide which option others picked (show
+      // only your own — or, in teams, your own team's)
+      const mine = state.teamPlay && teamOf(state, playerId);
+      const seen = (id) => id === playerId || (mine && teamOf(state, id) === mine);
       round = {
         ...round,
         answerIndex: null,
+        answer: null,
+        accepted: null,
         answers: round.answers
-          .filter((a) => a.playerId === playerId)
-          .map((a) => ({ playerId: a.playerId, optionIndex: a.optionIndex })),
+          .filter((a) => seen(a.playerId))
+          .map(({ playerId: id, optionIndex, text, number }) => ({ playerId: id, optionIndex, text, number })),
         // expose only the COUNT so the UI can show "3/5 answered"
         answeredCount: round.answers.length,
       };
@@ -88,30 +186,174 @@ export const TeamTriviaGame = {
     return {
       ...state,
       round,
+      ...(state.teamPlay && { captains: { A: captainOf(state, 'A'), B: captainOf(state, 'B') } }),
       players: state.players.map(({ socketId, ...rest }) => rest),
     };
   },
 
+  // The question and the answered count; the answer itself waits for the reveal.
+  deriveSpectatorState(state) {
+    return TeamTriviaGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state) {
     if (state.phase !== 'answering') return null;
-    const eligible = state.players.filter((p) => p.connected);
-    const allAnswered = eligible.length > 0 && eligible.every((p) => state.round.answers.find((a) => a.playerId === p.id));
-    if (allAnswered) return revealRound(state);
+    if (allAnswered(state)) return revealRound(state);
     return null;
   },
+
+  onDeadline(state) {
+    return state.phase === 'answering' ? revealRound(state) : null;
+  },
+
+  // Between questions there is nothing to sit out; mid-question, wait for the next.
+  onLateJoin(previous, player) {
+    const state = previous.teamPlay ? joinSmallerTeam(previous, player) : previous;
+    if (state.phase !== 'answering') return state;
+    return { ...state, round: { ...state.round, lateIds: [...(state.round.lateIds ?? []), player.id] } };
+  },
 };
 
 // ── helpers ──────────────────────────────────────────────────────────────────
+function allAnswered(state) {
+  const { answers, lateIds = [] } = state.round; // a round snapshotted before late joins has none
+  if (state.teamPlay === 'captain') {
+    const captains = ['A', 'B'].map((team) => captainOf(state, team)).filter(Boolean);
+    return captains.length > 0 && captains.every((id) => answers.some((a) => a.playerId === id));
+  }
+  // In teams, only the seated answer: someone offline at kickoff and back
+  // since has no side until the next question seats them.
+  const eligible = state.players.filter((p) => p.connected && !lateIds.includes(p.id)
+    && (!state.teamPlay || teamOf(state, p.id)));
+  return eligible.length > 0 && eligible.every((p) => answers.find((a) => a.playerId === p.id));
+}
+
+function teamOf(state, playerId) {
+  if (state.teams?.A.includes(playerId)) return 'A';
+  if (state.teams?.B.includes(playerId)) return 'B';
+  return null;
+}
+
+// Who answers for a team: the host's pick while they are here and seated for
+// this question, else the first teammate who is.
+function captainOf(state, team) {
+  const lateIds = state.round?.lateIds ?? [];
+  const able = state.teams[team].filter((id) => !lateIds.includes(id)
+    && state.players.some((p) => p.id === id && p.connected));
+  return able.includes(state.captains?.[team]) ? state.captains[team] : (able[0] ?? null);
+}
+
+// Counts who is online, not who was dealt in, as Taboo does.
+function joinSmallerTeam(state, player) {
+  if (teamOf(state, player.id)) return state;
+  const online = (team) => state.teams[team].filter((id) => state.players.some((p) => p.id === id && p.connected)).length;
+  const team = online('A') <= online('B') ? 'A' : 'B';
+  return { ...state, teams: { ...state.teams, [team]: [...state.teams[team], player.id] } };
+}
+
+// Anyone here without a side — dealt out while offline at kickoff — gets one.
+function seatEveryone(state) {
+  return state.players.filter((p) => p.connected && !teamOf(state, p.id)).reduce(joinSmallerTeam, state);
+}
+
+/*
+  A team's answer to the question, with when it was settled: the captain's
+  tap, or the answer most of the team gave — a tie to the one given first,
+  timed from the last tap for it. null when nobody on the team answered.
+*/
+function teamAnswer(state, team) {
+  const votes = state.round.answers.filter((a) => state.teams[team].includes(a.playerId));
+  if (state.teamPlay === 'captain') {
+    const captainId = captainOf(state, team);
+    return votes.find((a) => a.playerId === captainId) ?? null;
+  }
+  let best = null;
+  for (const vote of votes) {
+    const behind = votes.filter((a) => sameAnswer(state.round, a, vote));
+    if (!best || behind.length > best.count) {
+      best = { ...vote, count: behind.length, at: Math.max(...behind.map((a) => a.at ?? 0)) };
+    }
+  }
+  return best;
+}
+
+// What a player sent, as this question's type takes it; null if it is not an answer.
+function readAnswer(round, payload) {
+  const type = round.type ?? 'mcq';
+  if (type === 'typed') {
+    const text = String(payload.text ?? '').trim().slice(0, MAX_TYPED);
+    return text ? { text } : null;
+  }
+  if (type === 'number') {
+    const raw = payload.number;
+    const number = typeof raw === 'number' ? raw : parseFloat(String(raw ?? '').replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(number) ? { number } : null;
+  }
+  const { optionIndex } = payload;
+  if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= round.options.length) return null;
+  return { optionIndex };
+}
+
+function sameAnswer(round, a, b) {
+  if (round.type === 'typed') return normalizeAnswer(a.text) === normalizeAnswer(b.text);
+  if (round.type === 'number') return a.number === b.number;
+  return a.optionIndex === b.optionIndex;
+}
+
+/*
+  Whether an answer is right. `closest` is how far off the best answer to a
+  number question was, among whoever it is being compared with — the room for
+  players, the other team for a team.
+*/
+function isRight(round, a, closest) {
+  if (!a) return false;
+  if (round.type === 'typed') {
+    return [round.answer, ...round.accepted].some((ok) => normalizeAnswer(ok) === normalizeAnswer(a.text));
+  }
+  if (round.type === 'number') return Math.abs(a.number - round.answer) === closest;
+  return a.optionIndex === round.answerIndex;
+}
+
+function closestOf(round, answers) {
+  return round.type === 'number' && answers.length
+    ? Math.min(...answers.map((a) => Math.abs(a.number - round.answer)))
+    : null;
+}
+
+// How many gave each option, for a result bar; null when there are no options.
+function tallyOf(round, answers) {
+  return round.options ? round.options.map((_, i) => answers.filter((a) => a.optionIndex === i).length) : null;
+}
+
+/*
+  A picked question as the round plays it. Stored correct-first whatever the
+  type (packParse.js); a multiple choice is shuffled so the answer moves
+  around, true/false always reads True, False.
+*/
+function dealQuestion(picked) {
+  const type = picked.type ?? 'mcq';
+  if (type === 'truefalse') {
+    return { type, options: ['True', 'False'], answerIndex: picked.options[0] === 'True' ? 0 : 1 };
+  }
+  if (type === 'typed') {
+    return { type, options: null, answerIndex: null, answer: picked.options[0], accepted: picked.options.slice(1) };
+  }
+  if (type === 'number') {
+    return { type, options: null, answerIndex: null, answer: Number(picked.options[0]), unit: picked.unit ?? null };
+  }
+  const order = shuffle(picked.options.map((_, i) => i));
+  return { type, options: order.map((i) => picked.options[i]), answerIndex: order.indexOf(0) };
+}
+
 function startRound(state) {
   const nextRound = state.currentRound + 1;
   const [picked] = getRandomQuestions(1, state.usedQuestions, state.customQuestions);
-  // shuffle option order so the correct answer (authored at index 0) moves around
-  const order = shuffle([0, 1, 2, 3]);
-  const options = order.map((i) => picked.options[i]);
-  const answerIndex = order.indexOf(0);
+  const startedAt = Date.now();
+  const deadline = state.timerSec ? startedAt + state.timerSec * 1000 : null;
 
   return {
     ...state,
+    deadline: deadline && deadline + LATENCY_GRACE_MS,
     status: 'playing',
     phase: 'answering',
     currentRound: nextRound,
@@ -120,26 +362,96 @@ function startRound(state) {
       number: nextRound,
       question: picked.q,
       category: picked.category,
-      options,
-      answerIndex,          // hidden until reveal by deriveClientState
+      answer: null,
+      accepted: null,
+      unit: null,
+      ...dealQuestion(picked), // answerIndex, answer and accepted are hidden until the reveal
+      startedAt,
+      deadline,             // null when the host has not put a clock on it
       answers: [],
+      lateIds: [],          // joined mid-question; seated from the next one
       results: null,
     },
   };
 }
 
+/*
+  A run of right answers, as a multiplier: the second in a row is worth 1.1x,
+  the third 1.2x, and so on up to 1.5x from the sixth. Capped, because a
+  multiplier that keeps growing means the leader after question six cannot be
+  caught, and the tension this is for is gone again.
+*/
+export function streakMultiplier(streak) {
+  return Math.min(15, 10 + Math.max(0, streak - 1)) / 10;
+}
+
+// A right answer's speed points: SPEED_MAX at once, SPEED_MIN at the buzzer.
+export function speedPoints(ms, limitMs) {
+  const late = Math.min(1, Math.max(0, ms / limitMs));
+  return Math.round(SPEED_MAX - (SPEED_MAX - SPEED_MIN) * late);
+}
+
+// One answer's points — a player's, or a team's — under the room's scoring.
+function scoreAnswer(state, at, correct, streak) {
+  const timed = Number.isFinite(at) && Number.isFinite(state.round.startedAt);
+  const ms = timed ? Math.max(0, at - state.round.startedAt) : null;
+  const multiplier = state.scoring === 'speed' && correct ? streakMultiplier(streak) : 1;
+  let points = correct ? 1 : 0;
+  if (state.scoring === 'speed' && correct) {
+    points = Math.round(speedPoints(ms ?? 0, state.timerSec * 1000) * multiplier);
+  }
+  return { ms, points, multiplier };
+}
+
 function revealRound(state) {
-  const { answerIndex, answers } = state.round;
-  const correctIds = new Set(answers.filter((a) => a.optionIndex === answerIndex).map((a) => a.playerId));
+  const { answerIndex, answers, lateIds = [] } = state.round;
+  const closest = closestOf(state.round, answers);
+  const correctIds = new Set(answers.filter((a) => isRight(state.round, a, closest)).map((a) => a.playerId));
+
+  // Everyone seated for this question keeps or loses their run; late joiners start theirs next time.
+  const streaks = { ...state.streaks };
+  for (const p of state.players) {
+    if (!lateIds.includes(p.id)) streaks[p.id] = correctIds.has(p.id) ? (streaks[p.id] ?? 0) + 1 : 0;
+  }
+
+  const breakdown = answers.map((a) => {
+    const correct = correctIds.has(a.playerId);
+    const streak = streaks[a.playerId] ?? 0;
+    const { playerId, optionIndex, text, number } = a;
+    return { playerId, optionIndex, text, number, correct, ...scoreAnswer(state, a.at, correct, streak), streak };
+  });
+  const earned = Object.fromEntries(breakdown.map((b) => [b.playerId, b.points]));
+  const fastest = breakdown
+    .filter((b) => b.correct && b.ms !== null)
+    .sort((x, y) => x.ms - y.ms)[0];
 
   const players = state.players.map((p) => ({
     ...p,
-    score: (p.score ?? 0) + (correctIds.has(p.id) ? 1 : 0),
+    score: (p.score ?? 0) + (earned[p.id] ?? 0),
   }));
 
+  const stats = { ...state.stats };
+  for (const b of breakdown) {
+    const was = stats[b.playerId] ?? { answered: 0, correct: 0, fastest: 0, bestStreak: 0 };
+    stats[b.playerId] = {
+      answered: was.answered + 1,
+      correct: was.correct + (b.correct ? 1 : 0),
+      fastest: was.fastest + (b.playerId === fastest?.playerId ? 1 : 0),
+      bestStreak: Math.max(was.bestStreak, b.streak),
+    };
+  }
+
+  const teams = state.teamPlay ? teamResults(state) : null;
+  const teamScores = teams && {
+    A: state.teamScores.A + teams.A.points,
+    B: state.teamScores.B + teams.B.points,
+  };
+
   const isFinal = state.currentRound >= state.totalRounds;
   let winner = null;
-  if (isFinal) {
+  if (isFinal && teams) {
+    winner = teamScores.A === teamScores.B ? null : teamScores.A > teamScores.B ? 'A' : 'B';
+  } else if (isFinal) {
     const sorted = [...players].sort((a, b) => b.score - a.score);
     winner = sorted[0] ?? null;
   }
@@ -148,24 +460,73 @@ function revealRound(state) {
     ...state,
     status: isFinal ? 'finished' : 'playing',
     phase: 'reveal',
+    deadline: null,
     players,
+    streaks,
+    stats,
+    ...(teams && {
+      teamScores,
+      teamStreaks: { A: teams.A.streak, B: teams.B.streak },
+    }),
     winner,
     round: {
       ...state.round,
       results: {
+        type: state.round.type ?? 'mcq',
         answerIndex,
+        answer: state.round.answer ?? null,
+        accepted: state.round.accepted ?? null,
+        scoring: state.scoring,
         correctPlayerIds: [...correctIds],
-        // tally how many picked each option, for a result bar
-        tally: [0, 1, 2, 3].map((i) => answers.filter((a) => a.optionIndex === i).length),
+        breakdown,
+        fastestCorrectId: fastest?.playerId ?? null,
+        tally: tallyOf(state.round, answers),
+        teams,
       },
     },
   };
 }
 
+/*
+  Each team's answer and what it earned: the option it went with, its points
+  and streak, its own tally, and the split — how many of the team here went
+  with that answer, against it, or did not answer at all.
+*/
+function teamResults(state) {
+  const { round } = state;
+  const picks = { A: teamAnswer(state, 'A'), B: teamAnswer(state, 'B') };
+  const closest = closestOf(round, Object.values(picks).filter(Boolean));
+  const out = {};
+  for (const team of ['A', 'B']) {
+    const pick = picks[team];
+    const correct = isRight(round, pick, closest);
+    const streak = correct ? (state.teamStreaks?.[team] ?? 0) + 1 : 0;
+    const votes = round.answers.filter((a) => state.teams[team].includes(a.playerId));
+    const here = state.teams[team].filter((id) => state.players.some((p) => p.id === id && p.connected));
+    const agreed = pick ? votes.filter((a) => sameAnswer(round, a, pick)).length : 0;
+    out[team] = {
+      optionIndex: pick?.optionIndex ?? null,
+      text: pick?.text ?? null,
+      number: pick?.number ?? null,
+      correct,
+      ...scoreAnswer(state, pick?.at, correct, streak),
+      streak,
+      captainId: state.teamPlay === 'captain' ? captainOf(state, team) : null,
+      tally: tallyOf(round, votes),
+      split: {
+        agreed,
+        disagreed: votes.length - agreed,
+        unanswered: here.filter((id) => !votes.some((a) => a.playerId === id)).length,
+      },
+    };
+  }
+  return out;
+}
+
 function shuffle(arr) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   Team Trivia — multiple-choice question bank (server-side, authoritative).
   Each question: { q, options: [CORRECT, wrong, wrong, wrong], category }.
@@ -72,7 +74,7 @@ export function getRandomQuestions(n, usedQ = [], custom = null) {
   // Fisher–Yates
   const a = [...pool];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a.slice(0, n);
@@ -1,3 +1,6 @@
+import { random } from '../../engine/random.js';
+import { canHost } from '../../engine/roles.js';
+
 /*
   Two Truths and a Lie — multiplayer on the engine.
 
@@ -12,22 +15,30 @@
     - each guesser who spots the lie: +1
     - the subject: +1 for every player they fooled (guessed wrong)
   Highest total after everyone has been the subject wins.
+
+  Late joiners (onLateJoin) can't be a subject with nothing written, so after
+  the writing phase they land in `writingIds`: they write their three while the
+  room plays on, and are queued as the last subject once they submit. They may
+  guess in the meantime but nobody waits on them.
 */
 export const TwoTruthsGame = {
   minPlayers: 3,
 
   createInitialState() {
-    return { phase: null, subjects: [], subjectIndex: 0, submissions: {}, current: null };
+    return { phase: null, subjects: [], subjectIndex: 0, submissions: {}, current: null, writingIds: [] };
   },
 
   onStart(state) {
-    return { ...state, status: 'playing', phase: 'writing', subjects: [], subjectIndex: 0, submissions: {}, current: null };
+    return { ...state, status: 'playing', phase: 'writing', subjects: [], subjectIndex: 0, submissions: {}, current: null, writingIds: [] };
   },
 
   handleAction(state, action, payload, player) {
     switch (action) {
       case 'submit_statements': {
-        if (state.phase !== 'writing') return null;
+        const late = !!state.writingIds?.includes(player.id);
+        if (state.phase !== 'writing' && !late) return null;
+        // A latecomer still writing when the game ends has nobody left to fool.
+        if (late && state.status !== 'playing') return null;
         if (state.submissions[player.id]) return null;
         const raw = Array.isArray(payload.statements) ? payload.statements : [];
         const statements = raw.slice(0, 3).map((s) => String(s || '').trim().slice(0, 120));
@@ -36,6 +47,14 @@ export const TwoTruthsGame = {
         if (!Number.isInteger(lieIndex) || lieIndex < 0 || lieIndex > 2) return null;
 
         const submissions = { ...state.submissions, [player.id]: { statements, lieIndex } };
+        if (late) {
+          return {
+            ...state,
+            submissions,
+            writingIds: state.writingIds.filter((id) => id !== player.id),
+            subjects: [...state.subjects, player.id],
+          };
+        }
         const eligible = state.players.filter((p) => p.connected);
         const all = eligible.length > 0 && eligible.every((p) => submissions[p.id]);
         const next = { ...state, submissions };
@@ -44,7 +63,7 @@ export const TwoTruthsGame = {
       }
 
       case 'force_start': {
-        if (state.phase !== 'writing' || player.id !== state.hostId) return null;
+        if (state.phase !== 'writing' || !canHost(state, player)) return null;
         const ready = state.players.filter((p) => p.connected && state.submissions[p.id]).map((p) => p.id);
         if (ready.length < 2) return null;
         return beginSubjects(state, ready);
@@ -56,20 +75,17 @@ export const TwoTruthsGame = {
         const position = Number(payload.position);
         if (!Number.isInteger(position) || position < 0 || position > 2) return null;
         if (state.current.guesses.find((g) => g.voterId === player.id)) return null;
-        const guesses = [...state.current.guesses, { voterId: player.id, position }];
-        const guessers = state.players.filter((p) => p.connected && p.id !== state.current.subjectId);
-        const all = guessers.length > 0 && guessers.every((p) => guesses.find((g) => g.voterId === p.id));
-        if (all) return revealSubject({ ...state, current: { ...state.current, guesses } });
-        return { ...state, current: { ...state.current, guesses } };
+        const next = { ...state, current: { ...state.current, guesses: [...state.current.guesses, { voterId: player.id, position }] } };
+        return allGuessed(next) ? revealSubject(next) : next;
       }
 
       case 'force_reveal': {
-        if (state.phase !== 'guessing' || player.id !== state.hostId) return null;
+        if (state.phase !== 'guessing' || !canHost(state, player)) return null;
         return revealSubject(state);
       }
 
       case 'next': {
-        if (state.phase !== 'reveal' || player.id !== state.hostId) return null;
+        if (state.phase !== 'reveal' || !canHost(state, player)) return null;
         return advanceSubject(state);
       }
 
@@ -100,6 +116,11 @@ export const TwoTruthsGame = {
     };
   },
 
+  // The lie's position stays hidden until the reveal.
+  deriveSpectatorState(state) {
+    return TwoTruthsGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, player) {
     if (state.phase === 'writing') {
       const eligible = state.players.filter((p) => p.connected);
@@ -109,19 +130,28 @@ export const TwoTruthsGame = {
     if (state.phase === 'guessing') {
       // if the subject leaves, skip to the next subject
       if (player?.id === state.current.subjectId) return advanceSubject({ ...state, phase: 'reveal' });
-      const guessers = state.players.filter((p) => p.connected && p.id !== state.current.subjectId);
-      const all = guessers.length > 0 && guessers.every((p) => state.current.guesses.find((g) => g.voterId === p.id));
-      if (all) return revealSubject(state);
+      if (allGuessed(state)) return revealSubject(state);
     }
     return null;
   },
+
+  onLateJoin(state, player) {
+    if (state.phase === 'writing') return state;
+    return { ...state, writingIds: [...(state.writingIds ?? []), player.id] };
+  },
 };
 
 // ── helpers ──────────────────────────────────────────────────────────────────
+function allGuessed(state) {
+  const { subjectId, guesses } = state.current;
+  const guessers = state.players.filter((p) => p.connected && p.id !== subjectId && !state.writingIds?.includes(p.id));
+  return guessers.length > 0 && guessers.every((p) => guesses.find((g) => g.voterId === p.id));
+}
+
 function shuffle3(seedArr) {
   const a = [...seedArr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
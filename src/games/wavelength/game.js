@@ -1,4 +1,6 @@
 import { getSpectrum, scoreGuess } from './spectrums.js';
+import { canHost } from '../../engine/roles.js';
+import { TEAM_ACTIONS, handleTeamAction, emptyTeams, dealTeams, rebalance, nextGiver, passGiver } from '../../engine/teams.js';
 
 /*
   Spectrum — Wavelength-style guessing game on the engine.
@@ -11,14 +13,35 @@ import { getSpectrum, scoreGuess } from './spectrums.js';
 
   Scoring (per round): bullseye 4 / 3 / 2 / 1 / 0 by distance. Highest total
   after N rounds wins.
+
+  TEAMS (`teamPlay`), the way the tabletop game is played. Sides are picked in
+  the lobby (engine/teams.js) and the teams take turns:
+    clue     : a giver from the active team, in turn, writes the clue
+    dial     : the giver's team shares ONE dial. Anyone on it can drag it
+               (move_dial) and the last position stands, until one of them
+               locks it in (lock_dial)
+    counter  : the other team calls whether the target is left or right of
+               the dial (left_right) — one call, from whoever makes it
+    result   : the active team scores the dial by scoreGuess; the other team
+               takes a point for a right call, unless the dial hit the
+               bullseye. A target dead on the dial is neither side of it
+  Play runs to `targetScore` rather than a number of rounds; when both teams
+  are past it together, the higher wins, and a tie plays on. With fewer than
+  four people here at kickoff there is nobody to guess with, and the room
+  plays every player for themselves instead.
 */
 const DEFAULT_ROUNDS = 6;
+const DEFAULT_TARGET_SCORE = 10;
+const TEAMS_FROM = 4;
+const COUNTER_POINTS = 1;
 
 export const SpectrumGame = {
   minPlayers: 3,
 
   createInitialState(settings = {}) {
     const r = Number(settings.rounds);
+    const goal = Number(settings.targetScore);
+    const teamPlay = settings.teamPlay === true;
     return {
       phase: null,
       currentRound: 0,
@@ -26,21 +49,58 @@ export const SpectrumGame = {
       round: null,
       usedPairs: [],
       giverRotation: 0,
+      // A host's pack, from the engine as { left, right }; kept as PAIRS are.
+      customPairs: Array.isArray(settings.customQuestions)
+        ? settings.customQuestions.filter(isEnds).slice(0, 60).map((e) => [e.left, e.right])
+        : null,
+      teamPlay,
+      ...(teamPlay && {
+        ...emptyTeams(),
+        targetScore: Number.isInteger(goal) && goal >= 5 && goal <= 20 ? goal : DEFAULT_TARGET_SCORE,
+        teamScores: { A: 0, B: 0 },
+        giverIndex: { A: 0, B: 0 },
+      }),
     };
   },
 
   onStart(state) {
-    return startRound({ ...state, currentRound: 0, usedPairs: [], giverRotation: 0 });
+    const fresh = { ...state, currentRound: 0, usedPairs: [], giverRotation: 0 };
+    if (!state.teamPlay) return startRound(fresh);
+    if (state.players.filter((p) => p.connected).length < TEAMS_FROM) return startRound({ ...fresh, teamPlay: false });
+    return startRound({ ...fresh, teams: dealTeams(state), teamScores: { A: 0, B: 0 }, giverIndex: { A: 0, B: 0 }, winner: null });
   },
 
   handleAction(state, action, payload, player) {
+    if (state.teamPlay && TEAM_ACTIONS.has(action)) {
+      return handleTeamAction(state, action, payload, player, state.status === 'lobby');
+    }
     switch (action) {
       case 'submit_clue': {
         if (state.phase !== 'clue') return null;
         if (player.id !== state.round.clueGiverId) return null;
         const clue = String(payload.clue || '').trim().slice(0, 80);
         if (!clue) return null;
-        return { ...state, phase: 'guessing', round: { ...state.round, clue, phase: 'guessing' } };
+        const phase = state.teamPlay ? 'dial' : 'guessing';
+        return { ...state, phase, round: { ...state.round, clue, phase } };
+      }
+
+      case 'move_dial': {
+        if (state.phase !== 'dial' || !onDial(state, player.id)) return null;
+        const v = Number(payload.value);
+        if (!Number.isFinite(v) || v < 0 || v > 100) return null;
+        return { ...state, round: { ...state.round, dial: Math.round(v), dialBy: player.id } };
+      }
+
+      case 'lock_dial': {
+        if (state.phase !== 'dial' || !onDial(state, player.id)) return null;
+        return lockDial(state);
+      }
+
+      case 'left_right': {
+        if (state.phase !== 'counter') return null;
+        if (teamOf(state, player.id) !== otherTeam(state.round.team)) return null;
+        if (!['left', 'right'].includes(payload.side)) return null;
+        return resolveTeams({ ...state, round: { ...state.round, call: payload.side, callBy: player.id } });
       }
 
       case 'submit_guess': {
@@ -57,14 +117,20 @@ export const SpectrumGame = {
       }
 
       case 'force_reveal': {
-        if (state.phase !== 'guessing' || player.id !== state.hostId) return null;
+        if (!canHost(state, player)) return null;
+        // In teams the host moves things on a step at a time: lock the dial,
+        // then reveal without waiting for a call.
+        if (state.phase === 'dial') return lockDial(state);
+        if (state.phase === 'counter') return resolveTeams(state);
+        if (state.phase !== 'guessing') return null;
         return resolve(state);
       }
 
       case 'next_round': {
-        if (state.phase !== 'result' || player.id !== state.hostId) return null;
-        if (state.currentRound >= state.totalRounds) return null;
-        return startRound(state);
+        if (state.phase !== 'result' || !canHost(state, player)) return null;
+        if (state.status === 'finished') return null;
+        if (!state.teamPlay && state.currentRound >= state.totalRounds) return null;
+        return startRound(state.teamPlay ? rebalance(state) : state);
       }
 
       default:
@@ -91,12 +157,19 @@ export const SpectrumGame = {
     return { ...state, round, players: state.players.map(({ socketId, ...rest }) => rest) };
   },
 
+  // Not the clue giver, so the target is not shown until the result.
+  deriveSpectatorState(state) {
+    return SpectrumGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, player) {
     // If the clue-giver bails during 'clue', the round can't proceed — restart it
     // with a fresh giver so the game doesn't hang.
     if (state.phase === 'clue' && player?.id === state.round.clueGiverId) {
       return startRound({ ...state, currentRound: state.currentRound - 1 });
     }
+    // Nobody left to call: reveal rather than wait on an empty side.
+    if (state.phase === 'counter' && !here(state, otherTeam(state.round.team)).length) return resolveTeams(state);
     if (state.phase === 'guessing') {
       const guessers = state.players.filter((p) => p.connected && p.id !== state.round.clueGiverId);
       const all = guessers.length > 0 && guessers.every((p) => state.round.guesses.find((g) => g.playerId === p.id));
@@ -107,11 +180,45 @@ export const SpectrumGame = {
 };
 
 // ── helpers ──────────────────────────────────────────────────────────────────
+function isEnds(e) {
+  return !!e && typeof e.left === 'string' && typeof e.right === 'string' && !!e.left && !!e.right;
+}
+
+function teamOf(state, playerId) {
+  if (state.teams?.A.includes(playerId)) return 'A';
+  if (state.teams?.B.includes(playerId)) return 'B';
+  return null;
+}
+
+const otherTeam = (team) => (team === 'A' ? 'B' : 'A');
+
+function here(state, team) {
+  return state.teams[team].filter((id) => state.players.some((p) => p.id === id && p.connected));
+}
+
+// The active team's guessers are on the dial; their giver knows the answer.
+function onDial(state, playerId) {
+  return teamOf(state, playerId) === state.round.team && playerId !== state.round.clueGiverId;
+}
+
+// The dial stands; over to the other team — or straight to the reveal if nobody is there to call.
+function lockDial(state) {
+  if (!here(state, otherTeam(state.round.team)).length) return resolveTeams(state);
+  return { ...state, phase: 'counter', round: { ...state.round, phase: 'counter' } };
+}
+
 function startRound(state) {
   const nextRound = state.currentRound + 1;
-  const spec = getSpectrum(state.usedPairs);
+  const spec = getSpectrum(state.usedPairs, state.customPairs);
   const connected = state.players.filter((p) => p.connected);
-  const giver = connected[state.giverRotation % Math.max(connected.length, 1)] || state.players[0];
+  let giver = connected[state.giverRotation % Math.max(connected.length, 1)] || state.players[0];
+  // Teams alternate, A first; within a team, the givers take turns.
+  const team = state.teamPlay ? (nextRound % 2 === 1 ? 'A' : 'B') : null;
+  let giverIndex = state.giverIndex;
+  if (team) {
+    giver = { id: nextGiver(state, team) ?? state.teams[team][0] };
+    giverIndex = passGiver(state, team, giver.id);
+  }
 
   return {
     ...state,
@@ -120,6 +227,7 @@ function startRound(state) {
     currentRound: nextRound,
     usedPairs: [...state.usedPairs, spec.leftLabel + '|' + spec.rightLabel],
     giverRotation: state.giverRotation + 1,
+    ...(team && { giverIndex }),
     round: {
       number: nextRound,
       phase: 'clue',
@@ -129,11 +237,47 @@ function startRound(state) {
       clueGiverId: giver.id,
       clue: null,
       guesses: [],
+      ...(team && { team, dial: 50, dialBy: null, call: null, callBy: null }),
       result: null,
     },
   };
 }
 
+/*
+  A team round's reveal. The active team scores its dial; the other team's
+  call is right when the target is on the side it named, and is worth a point
+  only when the dial missed the bullseye — the tabletop rule, so a perfect
+  dial cannot be answered.
+*/
+function resolveTeams(state) {
+  const { target, dial, call, team } = state.round;
+  const points = scoreGuess(dial, target);
+  const side = target < dial ? 'left' : target > dial ? 'right' : null;
+  const callRight = !!call && call === side;
+  const counterPoints = callRight && points < 4 ? COUNTER_POINTS : 0;
+  const other = otherTeam(team);
+  const teamScores = {
+    ...state.teamScores,
+    [team]: state.teamScores[team] + points,
+    [other]: state.teamScores[other] + counterPoints,
+  };
+
+  const over = teamScores.A >= state.targetScore || teamScores.B >= state.targetScore;
+  const finished = over && teamScores.A !== teamScores.B;
+  return {
+    ...state,
+    status: finished ? 'finished' : 'playing',
+    phase: 'result',
+    teamScores,
+    winner: finished ? (teamScores.A > teamScores.B ? 'A' : 'B') : null,
+    round: {
+      ...state.round,
+      phase: 'result',
+      result: { target, dial, team, points, call, side, callRight, counterPoints },
+    },
+  };
+}
+
 function resolve(state) {
   const { target, guesses, clueGiverId } = state.round;
   const scored = guesses.map((g) => ({ ...g, points: scoreGuess(g.value, target) }));
@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   Spectrum — a "guess the point on the scale" game (Wavelength-inspired, original
   wording). Each round shows a spectrum between two opposites; a hidden target
@@ -43,13 +45,15 @@ export const PAIRS = [
   ['Overthinking', 'Not thinking at all'],
 ];
 
-export function getSpectrum(usedPairs = []) {
+// `customPairs` is a host's pack, in PAIRS' shape; when there is one it replaces PAIRS.
+export function getSpectrum(usedPairs = [], customPairs = null) {
+  const bank = customPairs?.length ? customPairs : PAIRS;
   const usedKey = new Set(usedPairs);
-  let pool = PAIRS.filter((p) => !usedKey.has(p[0] + '|' + p[1]));
-  if (pool.length === 0) pool = [...PAIRS];
-  const [left, right] = pool[Math.floor(Math.random() * pool.length)];
+  let pool = bank.filter((p) => !usedKey.has(p[0] + '|' + p[1]));
+  if (pool.length === 0) pool = [...bank];
+  const [left, right] = pool[Math.floor(random() * pool.length)];
   // Target somewhere in 8..92 so it's never pinned to an edge.
-  const target = 8 + Math.floor(Math.random() * 85);
+  const target = 8 + Math.floor(random() * 85);
   return { leftLabel: left, rightLabel: right, target };
 }
 
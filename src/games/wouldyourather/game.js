@@ -1,4 +1,5 @@
 import { PROMPTS, pickPrompt } from './wyrData.js';
+import { canHost } from '../../engine/roles.js';
 
 /*
   Would You Rather on the engine — a live poll icebreaker.
@@ -10,6 +11,8 @@ import { PROMPTS, pickPrompt } from './wyrData.js';
              scores. Highest total after N rounds wins.
 
   No server-side timer: resolves when everyone has voted, or the host reveals.
+  Someone who joins mid-vote sits that prompt out (round.lateIds) and votes
+  from the next one, starting on 0.
 */
 const DEFAULT_ROUNDS = 8;
 
@@ -47,20 +50,19 @@ export const WouldYouRatherGame = {
         const choice = payload.choice === 'A' || payload.choice === 'B' ? payload.choice : null;
         if (!choice) return null;
         if (state.round.votes[player.id]) return null; // one vote per round
+        if (state.round.lateIds?.includes(player.id)) return null;
         const votes = { ...state.round.votes, [player.id]: choice };
         const next = { ...state, round: { ...state.round, votes } };
-        const connected = state.players.filter((p) => p.connected);
-        const allIn = connected.length > 0 && connected.every((p) => votes[p.id]);
-        return allIn ? resolve(next) : next;
+        return allVoted(next) ? resolve(next) : next;
       }
 
       case 'force_reveal': {
-        if (state.phase !== 'voting' || player.id !== state.hostId) return null;
+        if (state.phase !== 'voting' || !canHost(state, player)) return null;
         return resolve(state);
       }
 
       case 'next_round': {
-        if (state.phase !== 'reveal' || player.id !== state.hostId) return null;
+        if (state.phase !== 'reveal' || !canHost(state, player)) return null;
         if (state.currentRound >= state.totalRounds) return null;
         return startRound(state);
       }
@@ -83,6 +85,7 @@ export const WouldYouRatherGame = {
           votedCount: voterIds.length,
           votedIds: voterIds,
           yourVote: round.votes[playerId] || null,
+          lateIds: round.lateIds,
         };
       }
       // 'reveal' exposes the full round (votes + result) as-is
@@ -90,17 +93,29 @@ export const WouldYouRatherGame = {
     return { ...state, round, players: state.players.map(({ socketId, ...rest }) => rest) };
   },
 
+  // The count of votes, not who voted which way, until the reveal.
+  deriveSpectatorState(state) {
+    return WouldYouRatherGame.deriveClientState(state, null);
+  },
+
   onPlayerDisconnect(state, player) {
-    if (state.phase === 'voting') {
-      const connected = state.players.filter((p) => p.connected);
-      const allIn = connected.length > 0 && connected.every((p) => state.round.votes[p.id]);
-      if (allIn) return resolve(state);
-    }
+    if (state.phase === 'voting' && allVoted(state)) return resolve(state);
     return null;
   },
+
+  onLateJoin(state, player) {
+    if (state.phase !== 'voting') return state;
+    return { ...state, round: { ...state.round, lateIds: [...(state.round.lateIds ?? []), player.id] } };
+  },
 };
 
 // ── helpers ──────────────────────────────────────────────────────────────────
+function allVoted(state) {
+  const { votes, lateIds = [] } = state.round; // a round snapshotted before late joins has none
+  const connected = state.players.filter((p) => p.connected && !lateIds.includes(p.id));
+  return connected.length > 0 && connected.every((p) => votes[p.id]);
+}
+
 function startRound(state) {
   const nextRound = state.currentRound + 1;
   const bank = (Array.isArray(state.customPrompts) && state.customPrompts.length) ? state.customPrompts : PROMPTS;
@@ -118,6 +133,7 @@ function startRound(state) {
       optionA: p.a,
       optionB: p.b,
       votes: {}, // playerId -> 'A' | 'B'
+      lateIds: [], // joined mid-vote; voting from the next prompt
       result: null,
     },
   };
@@ -1,3 +1,5 @@
+import { random } from '../../engine/random.js';
+
 /*
   Would You Rather — prompt bank. Workplace-safe, fun, a mix of relatable-office
   and absurd. Each round shows two options; everyone votes; you score a point for
@@ -70,5 +72,5 @@ export function pickPrompt(usedIndexes = [], size = PROMPTS.length) {
   const all = Array.from({ length: size }, (_, i) => i);
   const pool = all.filter((i) => !usedIndexes.includes(i));
   const from = pool.length ? pool : all;
-  return from[Math.floor(Math.random() * from.length)];
+  return from[Math.floor(random() * from.length)];
 }
@@ -13,6 +13,10 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { getRandomQuestion } from './utils/gameLogic.js';
 import { mountGame } from './engine/index.js';
+import { useStore } from './engine/store.js';
+import { createRedisStore } from './engine/redisStore.js';
+import { createClient as createRedisClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
 import { SayAnythingGame } from './games/sayAnything/game.js';
 import { GuesstimateGame } from './games/guesstimate/game.js';
 import { CloverGame } from './games/clover/game.js';
@@ -26,6 +30,7 @@ import { HueMatchGame } from './games/huematch/game.js';
 import { WouldYouRatherGame } from './games/wouldyourather/game.js';
 import { FishbowlGame } from './games/fishbowl/game.js';
 import { TabooGame } from './games/taboo/game.js';
+import { HerdGame } from './games/herd/game.js';
 import { cleanupOldGames } from './utils/dbCleanup.js';
 import { ensureAnalyticsIndexes } from './analytics.js';
 import dailyRouter, { ensureDailyIndexes } from './games/daily/dailyRoutes.js';
@@ -276,7 +281,14 @@ async function completedRoundResults(game, round) {
   return analyzeRoundAnswers(round._id);
 }
 
-// Socket.IO connection handling
+/*
+  Legacy Herd Mentality handlers, on the default namespace.
+
+  The game itself now runs on the engine at /herd (games/herd/game.js). These
+  stay because the Android app ships a frozen copy of the front end that still
+  speaks this protocol, and will until people update it. New work goes to the
+  engine version; this is kept alive, not extended.
+*/
 io.on('connection', (socket) => {
   console.log('New client connected');
 
@@ -884,7 +896,36 @@ io.on('connection', (socket) => {
   });
 });
 
+/*
+  More than one instance. With REDIS_URL set, engine rooms and rejoin tokens
+  live in Redis (engine/redisStore.js) and every emit fans out through the
+  Redis adapter, so a player's socket may sit on any replica and still hear
+  their room. Without it, this is the single-instance server it always was.
+
+  Boot waits for Redis and fails if it cannot connect: a replica quietly
+  falling back to its own memory would hand out room codes nobody else can see.
+
+  Two things to know when running several replicas: the polling transport
+  needs sticky sessions, and connectionStateRecovery does not replay missed
+  events through this adapter — a dropped socket comes back through the
+  rejoin token instead, as it does after any longer drop.
+
+  The legacy default-namespace handlers above keep their state in Mongo and
+  are unaffected.
+*/
+if (process.env.REDIS_URL) {
+  const pubClient = createRedisClient({ url: process.env.REDIS_URL });
+  const subClient = pubClient.duplicate();
+  pubClient.on('error', (err) => console.error('Redis error:', err.message));
+  subClient.on('error', (err) => console.error('Redis (subscriber) error:', err.message));
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+  useStore(createRedisStore(pubClient));
+  console.log('Engine rooms in Redis; broadcasts through the Redis adapter');
+}
+
 // ── Game suite — each game gets its own namespace ────────────────────────────
+mountGame(io, '/herd', HerdGame);
 mountGame(io, '/sa', SayAnythingGame);
 mountGame(io, '/guesstimate', GuesstimateGame);
 mountGame(io, '/clover', CloverGame);
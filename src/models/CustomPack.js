@@ -31,9 +31,13 @@ const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
   Hot Takes is deliberately NOT here. It is a daily single-player game served
   over REST, with no host and no room, so a pack has nothing to attach to.
   Scattergories takes its place — plain category prompts, and it is the busiest
-  party game on the site.
+  party game on the site. Chameleon packs are whole boards: a category and its
+  sixteen words, for the office or the in-jokes the built-in grids cannot know.
+  Guesstimate packs are numbers with units, mostly from teachers who want the
+  questions to be this term's topic. Spectrum packs are pairs of opposites —
+  "Quick fix ↔ Full rewrite" — which no built-in list will ever know.
 */
-export const PACK_GAMES = ['herd', 'teamtrivia', 'sayanything', 'wyr', 'scattergories'];
+export const PACK_GAMES = ['herd', 'teamtrivia', 'sayanything', 'wyr', 'scattergories', 'chameleon', 'guesstimate', 'spectrum'];
 
 /*
   Limits live in packParse.js, next to the code that enforces them.
@@ -54,8 +58,11 @@ const customPackSchema = new mongoose.Schema({
   //   herd/sayanything/wyr/hottakes -> `questions`, plain prompts
   //   teamtrivia                    -> `mcq`, each with its options
   questions: { type: [String], default: [] },
+  // Team Trivia, correct first in `options` whatever the type: multiple choice,
+  // true/false, a typed answer and its alternates, or a number (with a unit).
+  // Packs from before question types have no `type` and are all multiple choice.
   mcq: {
-    type: [{ _id: false, q: String, options: [String] }],
+    type: [{ _id: false, q: String, type: { type: String }, options: [String], unit: String }],
     default: [],
   },
   // Would You Rather: two choices per round.
@@ -63,6 +70,21 @@ const customPackSchema = new mongoose.Schema({
     type: [{ _id: false, a: String, b: String }],
     default: [],
   },
+  // Chameleon: one 4x4 board per round.
+  grids: {
+    type: [{ _id: false, category: String, words: [String] }],
+    default: [],
+  },
+  // Guesstimate: a question, its numeric answer, and the unit it is asked in.
+  numeric: {
+    type: [{ _id: false, q: String, a: Number, unit: String }],
+    default: [],
+  },
+  // Spectrum: the two ends of one dial.
+  spectrums: {
+    type: [{ _id: false, left: String, right: String }],
+    default: [],
+  },
   creatorAnonId: { type: String, default: '' },
   uses: { type: Number, default: 0 },
   reported: { type: Boolean, default: false },
@@ -37,8 +37,23 @@ export const PACK_LIMITS = {
   maxTitleLen: 60,
   minAnswers: 2,
   maxAnswers: 4,
+  // A type-the-answer question: the answer and the other spellings it accepts.
+  maxAccepted: 6,
+  // Chameleon grids: a whole 4x4 board per item, so far fewer make a pack.
+  gridWords: 16,
+  minGrids: 3,
+  maxGridWordLen: 24,
+  // Guesstimate: "metres", "million people", "°C".
+  maxUnitLen: 24,
+  // Spectrum: each end is printed under the dial, on a phone.
+  maxLabelLen: 32,
 };
 
+/** The fewest items a pack for this game can be saved or played with. */
+export function minItems(game) {
+  return game === 'chameleon' ? PACK_LIMITS.minGrids : PACK_LIMITS.minQuestions;
+}
+
 /** Normalise the things word processors and phones insert without asking. */
 export function normalise(raw) {
   return String(raw == null ? '' : raw)
@@ -143,9 +158,47 @@ function extractCorrect(answers) {
   return { answers: cleaned, correctIdx: correctIdx === -1 ? 0 : correctIdx };
 }
 
+/*
+  Team Trivia question types, told apart by what the host wrote rather than a
+  setting they have to find:
+
+    Capital of France? | Paris | London | Rome    mcq: two to four options
+    The sun is a star | True                      truefalse: one answer, true or false
+    Capital of France? | Paris                    typed: one answer, typed by players
+    Type: Capital of France? | Paris | Paree      typed, with the spellings it accepts
+    When did Apollo 11 land? | 1969               number: closest wins
+
+  A lone answer that reads as a number is a closest-number question — a
+  number alone, or with a unit we know (KNOWN_UNITS). Anything else after the
+  digits makes it a name: "7 Up" is a soda and "50 Cent" a rapper, not seven
+  of something called Up. "Type:" or "Number:" in front of the question
+  settles it either way.
+  T and F pass for True and False only as a pair: alone, "T" is the letter
+  after S and "F" is fluorine, and reading either as true/false would quietly
+  turn a real answer into the wrong question.
+  Every type is stored correct-first in `options`, like the multiple choice
+  always was: the typed answer and then its alternates, the number as written
+  out by parseNumber (so "1.2k" previews as 1200) with its unit alongside.
+*/
+const TYPE_TAG = /^(type|typed|number|closest)\s*:\s*/i;
+const TRUE_FALSE = /^(true|false|t|f)$/i;
+const TRUE_FALSE_WORD = /^(true|false)$/i;
+
+function questionType(tag, answers) {
+  if (tag) return /^(number|closest)$/i.test(tag) ? 'number' : 'typed';
+  if (answers.length === 1 && TRUE_FALSE_WORD.test(answers[0])) return 'truefalse';
+  if (answers.length === 2 && answers.every((a) => TRUE_FALSE.test(a))
+    && answers[0][0].toLowerCase() !== answers[1][0].toLowerCase()) {
+    return 'truefalse';
+  }
+  if (answers.length > 1) return 'mcq';
+  const n = parseNumber(answers[0]);
+  return n && (!n.unit || isKnownUnit(n.unit)) ? 'number' : 'typed';
+}
+
 /**
  * Parse Team Trivia questions. Returns { items, problems }.
- *   items    : [{ q, options:[CORRECT, ...others] }]
+ *   items    : [{ q, type, options:[CORRECT, ...others], unit? }]
  *   problems : [{ line, text, reason }]
  * Handles BOTH layouts: everything on one line, or a question with its answers
  * on the lines beneath it.
@@ -199,7 +252,7 @@ export function parseTrivia(raw) {
         collected.push(stripBullet(nxt.trim()));
         j += 1;
       }
-      if (collected.length >= PACK_LIMITS.minAnswers) {
+      if (collected.length) {
         answerStrings = collected;
         i = j;
       } else {
@@ -215,6 +268,8 @@ export function parseTrivia(raw) {
       i += 1;
     }
 
+    const tag = qText.match(TYPE_TAG);
+    if (tag) qText = qText.slice(tag[0].length);
     const q = qText.slice(0, PACK_LIMITS.maxQuestionLen).trim();
     if (q.length < PACK_LIMITS.minQuestionLen) {
       problems.push({ line: lineNo, text: line.slice(0, 80), reason: 'The question is too short.' });
@@ -227,7 +282,27 @@ export function parseTrivia(raw) {
 
     const { answers, correctIdx } = extractCorrect(answerStrings);
     const trimmed = answers.map((a) => a.slice(0, PACK_LIMITS.maxAnswerLen)).filter(Boolean);
-    if (trimmed.length < PACK_LIMITS.minAnswers) {
+    const type = trimmed.length ? questionType(tag?.[1], trimmed) : 'mcq';
+    if (type === 'number') {
+      const number = parseNumber(trimmed[0]);
+      if (!number) {
+        problems.push({ line: lineNo, text: q.slice(0, 80), reason: `"${trimmed[0].slice(0, 40)}" is not a number we can read. Write it in digits — 1200, 1,200 and 1.2k all work.` });
+        continue;
+      }
+      seen.add(q.toLowerCase());
+      items.push({ q, type, options: [String(number.value)], unit: number.unit.slice(0, PACK_LIMITS.maxUnitLen) || null });
+      if (items.length >= PACK_LIMITS.maxQuestions) { noteTruncation(problems, lines, i); break; }
+      continue;
+    }
+    if (type === 'truefalse') {
+      const marked = trimmed[Math.min(correctIdx, trimmed.length - 1)];
+      const isTrue = /^t/i.test(marked);
+      seen.add(q.toLowerCase());
+      items.push({ q, type, options: isTrue ? ['True', 'False'] : ['False', 'True'] });
+      if (items.length >= PACK_LIMITS.maxQuestions) { noteTruncation(problems, lines, i); break; }
+      continue;
+    }
+    if (type === 'mcq' && trimmed.length < PACK_LIMITS.minAnswers) {
       problems.push({ line: lineNo, text: q.slice(0, 80), reason: `Needs at least ${PACK_LIMITS.minAnswers} answers.` });
       continue;
     }
@@ -241,7 +316,8 @@ export function parseTrivia(raw) {
     const correct = trimmed[Math.min(correctIdx, trimmed.length - 1)];
     const others = trimmed.filter((_, k) => k !== Math.min(correctIdx, trimmed.length - 1));
     seen.add(q.toLowerCase());
-    items.push({ q, options: [correct, ...others].slice(0, PACK_LIMITS.maxAnswers) });
+    const cap = type === 'typed' ? PACK_LIMITS.maxAccepted : PACK_LIMITS.maxAnswers;
+    items.push({ q, type, options: [correct, ...others].slice(0, cap) });
     if (items.length >= PACK_LIMITS.maxQuestions) { noteTruncation(problems, lines, i); break; }
   }
 
@@ -284,12 +360,21 @@ export function parsePrompts(raw) {
   return { items, problems };
 }
 
+// What a rejected pair is told, in the words of the game it is for.
+const CHOICES = {
+  two: 'Needs two choices. Separate them with | or the word "or" — for example: Be able to fly | Be invisible',
+  short: 'One of the two choices is too short.',
+  same: 'Both choices are the same.',
+};
+
 /**
  * Parse Would You Rather pairs: two options per line.
  *   Have unlimited coffee | Have unlimited lunch
- * Returns { items:[{a,b}], problems }.
+ * Returns { items:[{a,b}], problems }. `say` words the problems for another
+ * game's pairs, and with a `long` message, a side over `maxLen` is reported
+ * rather than cut short.
  */
-export function parsePairs(raw) {
+export function parsePairs(raw, say = CHOICES) {
   const lines = normalise(raw).split('\n');
   const items = [];
   const problems = [];
@@ -317,19 +402,19 @@ export function parsePairs(raw) {
     b = (b || '').trim().replace(/\?$/, '').trim();
 
     if (!b) {
-      problems.push({
-        line: idx + 1,
-        text: line.slice(0, 80),
-        reason: 'Needs two choices. Separate them with | or the word "or" — for example: Be able to fly | Be invisible',
-      });
+      problems.push({ line: idx + 1, text: line.slice(0, 80), reason: say.two });
       return;
     }
     if (a.length < 2 || b.length < 2) {
-      problems.push({ line: idx + 1, text: line.slice(0, 80), reason: 'One of the two choices is too short.' });
+      problems.push({ line: idx + 1, text: line.slice(0, 80), reason: say.short });
       return;
     }
     if (a.toLowerCase() === b.toLowerCase()) {
-      problems.push({ line: idx + 1, text: line.slice(0, 80), reason: 'Both choices are the same.' });
+      problems.push({ line: idx + 1, text: line.slice(0, 80), reason: say.same });
+      return;
+    }
+    if (say.long && Math.max(a.length, b.length) > say.maxLen) {
+      problems.push({ line: idx + 1, text: line.slice(0, 80), reason: say.long });
       return;
     }
     const key = `${a.toLowerCase()}|${b.toLowerCase()}`;
@@ -345,6 +430,267 @@ export function parsePairs(raw) {
   return { items, problems };
 }
 
+/*
+  Parse Spectrum ends: the two opposites a dial runs between, one pair a line.
+
+    Quick fix | Full rewrite
+    Quick fix ↔ Full rewrite
+    Quick fix - Full rewrite
+
+  These are Would You Rather pairs by another name, so parsePairs does the
+  work; all this adds is the separators a scale is written with. An arrow
+  is what people type for "from one to the other", and a dash with a space
+  either side is the phone keyboard's version of it. A dash INSIDE a word
+  ("Old-fashioned") is part of the label and left alone. Only the first
+  separator counts, so "Short-term - Long-term" splits where it should.
+
+  An end that would not fit under the dial is reported, not cut: a label
+  trimmed mid-word reads like a bug on the one screen everyone is watching.
+*/
+const SPECTRUM_SEPARATOR = /\s*(?:↔|⟷|<->|<=>|←→|⇔)\s*|\s+[-–—]+\s+/;
+
+const ENDS = {
+  two: 'Needs two ends. Separate them with | or ↔ — for example: Quick fix | Full rewrite',
+  short: 'One of the two ends is too short.',
+  same: 'Both ends are the same.',
+  long: `An end is too long to fit under the dial — keep each to ${PACK_LIMITS.maxLabelLen} characters.`,
+  maxLen: PACK_LIMITS.maxLabelLen,
+};
+
+/** Parse Spectrum ends. Returns { items:[{left,right}], problems }. */
+export function parseSpectrums(raw) {
+  const lines = normalise(raw).split('\n')
+    .map((line) => (line.includes('|') || line.includes('\t') ? line : line.replace(SPECTRUM_SEPARATOR, ' | ')));
+  const { items, problems } = parsePairs(lines.join('\n'), ENDS);
+  return { items: items.map(({ a, b }) => ({ left: a, right: b })), problems };
+}
+
+/*
+  Parse Chameleon grids: a category and its sixteen words.
+
+    Animals: Dog, Cat, Lion, ... Dolphin
+    Animals | Dog | Cat | ... | Dolphin
+
+  or the category on a line of its own with the words beneath it — one per
+  line, or a few to a line — until a blank line. Sixteen exactly, because the
+  board is a 4x4 grid and a gap or an overflow is not something the game can
+  guess its way around; the problem says how many we found, so the host knows
+  whether to add or cut.
+
+  Words split on commas as well as the usual separators. A question can hold a
+  comma; a grid word, in practice, never does.
+*/
+const GRID_SEPARATOR = /\s*[,|;\t]\s*|\s+\/\s+/;
+const gridWords = (line) => line.split(GRID_SEPARATOR).map((w) => stripBullet(w.trim())).filter(Boolean);
+
+export function parseGrids(raw) {
+  const lines = normalise(raw).split('\n');
+  const items = [];
+  const problems = [];
+  const seen = new Set();
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = stripQuestionBullet(lines[i].trim());
+    const lineNo = i + 1;
+    if (!line) { i += 1; continue; }
+    if (items.length >= PACK_LIMITS.maxQuestions) { noteTruncation(problems, lines, i); break; }
+
+    // "Category: words" or "Category | words" on one line...
+    const colon = line.indexOf(':');
+    let category;
+    let words;
+    if (colon > 0 && gridWords(line.slice(colon + 1)).length >= 2) {
+      category = line.slice(0, colon);
+      words = gridWords(line.slice(colon + 1));
+      i += 1;
+    } else if (gridWords(line).length > 2) {
+      [category, ...words] = gridWords(line);
+      i += 1;
+    } else {
+      // ...or a heading with the words on the lines below it.
+      category = line.replace(/:\s*$/, '');
+      words = [];
+      i += 1;
+      while (i < lines.length && lines[i].trim()) { words.push(...gridWords(lines[i].trim())); i += 1; }
+    }
+
+    category = category.trim().slice(0, PACK_LIMITS.maxQuestionLen);
+    const shown = category.slice(0, 80);
+    if (category.length < 2) {
+      problems.push({ line: lineNo, text: line.slice(0, 80), reason: 'Give the grid a category — for example: Animals: Dog, Cat, ...' });
+      continue;
+    }
+    if (seen.has(category.toLowerCase())) {
+      problems.push({ line: lineNo, text: shown, reason: 'Duplicate category — skipped.' });
+      continue;
+    }
+    if (words.length !== PACK_LIMITS.gridWords) {
+      problems.push({
+        line: lineNo,
+        text: shown,
+        reason: `We found ${words.length} words — a grid needs exactly ${PACK_LIMITS.gridWords}.`,
+      });
+      continue;
+    }
+    const long = words.find((w) => w.length > PACK_LIMITS.maxGridWordLen);
+    if (long) {
+      problems.push({ line: lineNo, text: shown, reason: `"${long.slice(0, 40)}" is too long for a grid square (${PACK_LIMITS.maxGridWordLen} characters at most).` });
+      continue;
+    }
+    const lower = words.map((w) => w.toLowerCase());
+    const twice = words.find((w, k) => lower.indexOf(w.toLowerCase()) !== k);
+    if (twice) {
+      problems.push({ line: lineNo, text: shown, reason: `"${twice}" is in the grid twice.` });
+      continue;
+    }
+    seen.add(category.toLowerCase());
+    items.push({ category, words });
+  }
+
+  return { items, problems };
+}
+
+/*
+  Parse Guesstimate questions: a question, its answer as a number, and a unit
+  if it has one.
+
+    How tall is the Eiffel Tower? | 330 | metres
+    How tall is the Eiffel Tower? | 330 metres
+    How many people live in Tokyo?<tab>14 million
+
+  or the number on the line beneath the question. Numbers are read the way
+  people write them — "1,234,567", "1 234 567", "1.2k", "3 million", "-40" —
+  and a word after the number that is not a multiplier is the unit.
+
+  Comma is never a field separator in this kind, unlike trivia: next to a
+  number it is a thousands separator far more often than it is a break. And a
+  bare "m" is not a million. "330m" is the Eiffel Tower in metres, so it stays
+  a unit, and a host who means a million writes "mn" or "million".
+*/
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, mn: 1e6, million: 1e6, bn: 1e9, billion: 1e9, trillion: 1e12 };
+// Thousands grouped by comma, space, apostrophe (Swiss) or the narrow space French
+// typesetting uses; then an exponent ("1e6", "6.02E23") if there is one.
+const NUMBER = /^([-+]?)\s*([$£€¥₹]?)\s*((?:(?:\d{1,3}(?:[,' \u202f]\d{3})+|\d+)(?:\.\d+)?|\.\d+)(?:e[-+]?\d+)?)(?![\d,.])\s*(.*)$/i;
+// A currency sign is the unit, written in front: "$5" is 5 with a unit of $.
+const CURRENCY = /^[$£€¥₹]$/;
+
+/*
+  The units a Team Trivia answer can carry and still be read as a number
+  without a "Number:" tag. Deliberately the everyday ones: a word we do not
+  know after the digits is far more often a name ("7 Up", "50 Cent", "9 to 5")
+  than a unit, and a name turned into a closest-number question is a question
+  nobody can get right.
+*/
+const KNOWN_UNITS = new Set(`
+% percent ° °c °f degrees
+mm cm m km metres meters metre meter kilometres kilometers miles mile mi
+in inch inches ft foot feet yd yard yards
+g kg grams kilograms kilos tonnes tons lb lbs pounds oz ounces stone
+ml l litres liters gallons pints
+mph kph km/h knots
+s sec secs seconds min mins minutes h hr hrs hours days weeks months years yrs
+kcal calories people dollars euros pence cents
+`.trim().split(/\s+/));
+
+function isKnownUnit(unit) {
+  return CURRENCY.test(unit) || KNOWN_UNITS.has(unit.toLowerCase()) || KNOWN_UNITS.has(unit.toLowerCase().replace(/^°\s*/, '°'));
+}
+const NUMERIC_SEPARATOR = /\s*(?:\t+|[|;])\s*/;
+
+/** A written number as { value, unit }, or null when there is no number to read. */
+export function parseNumber(text) {
+  const m = String(text ?? '').trim().replace(/^[−–—]\s*/, '-').match(NUMBER);
+  if (!m) return null;
+  let value = Number(m[3].replace(/[,' \u202f]/g, ''));
+  let unit = m[4].trim();
+  const word = unit.match(/^([a-z]+)\.?(?:\s+|$)/i);
+  // After a currency sign, "m" is millions ("£1.2m"); alone it stays metres.
+  const times = word && (MULTIPLIERS[word[1].toLowerCase()] ?? (m[2] && /^m$/i.test(word[1]) ? 1e6 : null));
+  if (times) {
+    value *= times;
+    unit = unit.slice(word[0].length).trim();
+  }
+  if (m[2] && !unit) unit = m[2];
+  // 1.2 * 1000 is 1199.9999999999998; twelve significant figures is plenty.
+  value = Number((m[1] === '-' ? -value : value).toPrecision(12));
+  return Number.isFinite(value) ? { value, unit } : null;
+}
+
+/** "14,000,000 people" — a parsed answer the way the preview shows it back. */
+export function describeNumber({ a, unit }) {
+  const n = a.toLocaleString('en', { maximumFractionDigits: 6 });
+  if (unit && CURRENCY.test(unit)) return a < 0 ? `-${unit}${n.slice(1)}` : `${unit}${n}`;
+  return `${n}${unit ? ` ${unit}` : ''}`;
+}
+
+/**
+ * Parse Guesstimate questions. Returns { items:[{ q, a, unit }], problems }.
+ * `a` is a number; `unit` is a string, or null when the question has none.
+ */
+export function parseNumeric(raw) {
+  const lines = normalise(raw).split('\n');
+  const items = [];
+  const problems = [];
+  const seen = new Set();
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = stripQuestionBullet(lines[i].trim());
+    const lineNo = i + 1;
+    if (!line) { i += 1; continue; }
+    if (items.length >= PACK_LIMITS.maxQuestions) { noteTruncation(problems, lines, i); break; }
+    i += 1;
+
+    let [q, answer = '', unit = ''] = line.split(NUMERIC_SEPARATOR);
+    if (!answer) {
+      const qm = line.lastIndexOf('?');
+      const below = (lines[i] || '').trim();
+      if (qm > 0 && qm < line.length - 1) {
+        // "How tall is it? 330 metres" — the answer straight after the question.
+        q = line.slice(0, qm + 1);
+        answer = line.slice(qm + 1);
+      } else if (below && parseNumber(stripBullet(below))) {
+        answer = stripBullet(below);
+        i += 1;
+      }
+    }
+
+    q = q.trim().slice(0, PACK_LIMITS.maxQuestionLen).trim();
+    const shown = q.slice(0, 80);
+    if (!answer.trim()) {
+      problems.push({
+        line: lineNo,
+        text: line.slice(0, 80),
+        reason: 'No answer found. Put the number after the question, separated by | — for example: How tall is the Eiffel Tower? | 330 | metres',
+      });
+      continue;
+    }
+    const number = parseNumber(answer);
+    if (!number) {
+      problems.push({
+        line: lineNo,
+        text: shown,
+        reason: `"${answer.trim().slice(0, 40)}" is not a number we can read. Write it in digits — 1200, 1,200 and 1.2k all work.`,
+      });
+      continue;
+    }
+    if (q.length < PACK_LIMITS.minQuestionLen) {
+      problems.push({ line: lineNo, text: line.slice(0, 80), reason: 'The question is too short.' });
+      continue;
+    }
+    if (seen.has(q.toLowerCase())) {
+      problems.push({ line: lineNo, text: shown, reason: 'Duplicate question — skipped.' });
+      continue;
+    }
+    seen.add(q.toLowerCase());
+    unit = (unit.trim() || number.unit).slice(0, PACK_LIMITS.maxUnitLen).trim();
+    items.push({ q, a: number.value, unit: unit || null });
+  }
+
+  return { items, problems };
+}
+
 /** One entry point: returns { kind, items, problems, count }. */
 export function parsePack(game, raw) {
   if (game === 'teamtrivia') {
@@ -355,6 +701,18 @@ export function parsePack(game, raw) {
     const { items, problems } = parsePairs(raw);
     return { kind: 'pairs', items, problems, count: items.length };
   }
+  if (game === 'chameleon') {
+    const { items, problems } = parseGrids(raw);
+    return { kind: 'grids', items, problems, count: items.length };
+  }
+  if (game === 'guesstimate') {
+    const { items, problems } = parseNumeric(raw);
+    return { kind: 'numeric', items, problems, count: items.length };
+  }
+  if (game === 'spectrum') {
+    const { items, problems } = parseSpectrums(raw);
+    return { kind: 'spectrum', items, problems, count: items.length };
+  }
   const { items, problems } = parsePrompts(raw);
   return { kind: 'prompts', items, problems, count: items.length };
 }
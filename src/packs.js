@@ -1,6 +1,6 @@
 import express from 'express';
 import CustomPack, { PACK_GAMES } from './models/CustomPack.js';
-import { parsePack, PACK_LIMITS } from './models/packParse.js';
+import { parsePack, minItems, describeNumber, PACK_LIMITS } from './models/packParse.js';
 
 /*
   Custom question packs — create one, fetch one by code.
@@ -78,6 +78,16 @@ const clean = (code) =>
 
 const router = express.Router();
 
+// What a pack of each kind is made of, for "Please write at least 8 …".
+const ITEMS = {
+  trivia: 'questions',
+  prompts: 'questions',
+  pairs: 'pairs',
+  grids: 'grids',
+  numeric: 'questions with a number',
+  spectrum: 'spectrums',
+};
+
 /** POST /api/packs — create a pack, return its code. */
 router.post('/', async (req, res) => {
   if (rateLimited(hits, clientIp(req), RL_MAX_CREATE)) {
@@ -91,22 +101,29 @@ router.post('/', async (req, res) => {
     const parsed = parsePack(game, b.questions);
     const isMcq = parsed.kind === 'trivia';
     const isPairs = parsed.kind === 'pairs';
-    if (parsed.count < PACK_LIMITS.minQuestions) {
+    const isGrids = parsed.kind === 'grids';
+    const isNumeric = parsed.kind === 'numeric';
+    const isSpectrum = parsed.kind === 'spectrum';
+    const min = minItems(game);
+    if (parsed.count < min) {
       return res.status(400).json({
         ok: false,
-        error: `Please write at least ${PACK_LIMITS.minQuestions} questions — we understood ${parsed.count}.`,
+        error: `Please write at least ${min} ${ITEMS[parsed.kind]} — we understood ${parsed.count}.`,
         problems: parsed.problems,
       });
     }
 
-    const questions = (isMcq || isPairs) ? [] : parsed.items;
+    const questions = (isMcq || isPairs || isGrids || isNumeric || isSpectrum) ? [] : parsed.items;
     const mcq = isMcq ? parsed.items : [];
     const pairs = isPairs ? parsed.items : [];
+    const grids = isGrids ? parsed.items : [];
+    const numeric = isNumeric ? parsed.items : [];
+    const spectrums = isSpectrum ? parsed.items : [];
     const count = parsed.count;
 
     const packCode = await CustomPack.generatePackCode(title);
     await CustomPack.create({
-      packCode, game, title, questions, mcq, pairs,
+      packCode, game, title, questions, mcq, pairs, grids, numeric, spectrums,
       creatorAnonId: str(b.anonId, 40),
     });
 
@@ -130,9 +147,9 @@ router.post('/preview', (req, res) => {
   if (rateLimited(previewHits, clientIp(req), RL_MAX_PREVIEW)) {
     return res.status(429).json({ ok: false, error: 'Slow down a moment.' });
   }
+  const game = PACK_GAMES.includes(req.body?.game) ? req.body.game : 'herd';
   try {
     const b = req.body || {};
-    const game = PACK_GAMES.includes(b.game) ? b.game : 'herd';
     const parsed = parsePack(game, b.questions);
     return res.json({
       ok: true,
@@ -142,15 +159,26 @@ router.post('/preview', (req, res) => {
       problems: parsed.problems.slice(0, 20),
       // Show the host their own answer key while they are writing — they are
       // the author, so there is nothing to hide from them here. It is only the
-      // fetch-by-code route that must never echo answers.
-      preview: parsed.items.slice(0, 60),
-      min: PACK_LIMITS.minQuestions,
+      // fetch-by-code route that must never echo answers. A number comes back
+      // written out as well — "1.2k" is 1,200 — so the host can see how it was read.
+      preview: parsed.items.slice(0, 60).map((item) => previewItem(parsed.kind, item)),
+      min: minItems(game),
     });
   } catch (e) {
-    return res.json({ ok: true, count: 0, problems: [], preview: [], min: PACK_LIMITS.minQuestions });
+    return res.json({ ok: true, count: 0, problems: [], preview: [], min: minItems(game) });
   }
 });
 
+// A parsed item as the editor shows it: numbers, and every trivia question's
+// answer, written out the way the game will take them.
+function previewItem(kind, item) {
+  if (kind === 'numeric') return { ...item, answer: describeNumber(item) };
+  if (kind !== 'trivia') return item;
+  if (item.type === 'number') return { ...item, answer: describeNumber({ a: Number(item.options[0]), unit: item.unit }) };
+  if (item.type === 'typed') return { ...item, answer: item.options.join(' / ') };
+  return { ...item, answer: item.options[0] };
+}
+
 /** GET /api/packs/:code — fetch a pack for playing or previewing. */
 router.get('/:code', async (req, res) => {
   try {
@@ -163,6 +191,9 @@ router.get('/:code', async (req, res) => {
 
     const isMcq = pack.game === 'teamtrivia';
     const isPairs = pack.game === 'wyr';
+    const isGrids = pack.game === 'chameleon';
+    const isNumeric = pack.game === 'guesstimate';
+    const isSpectrum = pack.game === 'spectrum';
     return res.json({
       ok: true,
       packCode: pack.packCode,
@@ -171,11 +202,18 @@ router.get('/:code', async (req, res) => {
       // Never send the MCQ options to a browser that is only previewing a pack:
       // in Team Trivia the first option IS the answer, so echoing them back
       // would hand the correct answers to anyone with the code.
+      // A grid is safe to show whole: the secret word is picked when it is played.
+      // A Guesstimate number is the answer, so only the question and its unit go.
       questions: isMcq
         ? pack.mcq.map((m) => m.q)
         : isPairs ? pack.pairs.map((p) => `${p.a}  —or—  ${p.b}`)
-          : pack.questions,
-      count: isMcq ? pack.mcq.length : isPairs ? pack.pairs.length : pack.questions.length,
+          : isGrids ? pack.grids.map((g) => `${g.category}: ${g.words.join(', ')}`)
+            : isNumeric ? pack.numeric.map((n) => (n.unit ? `${n.q} (${n.unit})` : n.q))
+              : isSpectrum ? pack.spectrums.map((e) => `${e.left} ↔ ${e.right}`)
+                : pack.questions,
+      count: isMcq ? pack.mcq.length : isPairs ? pack.pairs.length
+        : isGrids ? pack.grids.length : isNumeric ? pack.numeric.length
+          : isSpectrum ? pack.spectrums.length : pack.questions.length,
     });
   } catch (e) {
     return res.status(500).json({ ok: false, error: 'Could not load that pack.' });
@@ -199,8 +237,11 @@ export async function usePack(packCode) {
     if (!pack) return null;
     const items = pack.game === 'teamtrivia' ? pack.mcq
       : pack.game === 'wyr' ? pack.pairs
-        : pack.questions;
-    if (!Array.isArray(items) || items.length < PACK_LIMITS.minQuestions) return null;
+        : pack.game === 'chameleon' ? pack.grids
+          : pack.game === 'guesstimate' ? pack.numeric
+            : pack.game === 'spectrum' ? pack.spectrums
+              : pack.questions;
+    if (!Array.isArray(items) || items.length < minItems(pack.game)) return null;
     return items;
   } catch {
     return null;
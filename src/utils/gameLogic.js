@@ -1,5 +1,6 @@
 import Answer from '../models/Answer.js';
 import { PREDEFINED_QUESTIONS } from './constants.js';
+import { random } from '../engine/random.js';
 
 /**
  * Analyzes answers for a round and determines:
@@ -9,7 +10,21 @@ import { PREDEFINED_QUESTIONS } from './constants.js';
  */
 export async function analyzeRoundAnswers(roundId) {
   const answers = await Answer.find({ roundId });
-  if (!answers.length) return null;
+  return scoreRoundAnswers(answers);
+}
+
+/*
+  The same analysis over answers already in hand.
+
+  The engine port of Herd (games/herd/game.js) keeps its answers on the room
+  state and resolves inside a synchronous handleAction, so it cannot await a
+  query. Splitting the rule out keeps ONE definition of "who scores" for both
+  the legacy handlers and the engine — the lesson of checkWinCondition below.
+
+  Each answer needs playerId, username, normalizedAnswer and originalAnswer.
+*/
+export function scoreRoundAnswers(answers) {
+  if (!answers?.length) return null;
 
   // Count normalized answers
   const answerCounts = {};
@@ -116,7 +131,9 @@ export function determinePinkCowHolder(currentHolder, uniqueAnswerPlayer) {
   So: one definition, compared as strings, used everywhere.
 */
 export function checkWinCondition(player, pinkCowHolder) {
-  return (player.score || 0) >= 8 && String(player._id) !== String(pinkCowHolder || '');
+  // `_id` on a Mongoose Player, `id` on an engine player.
+  const id = player._id ?? player.id;
+  return (player.score || 0) >= 8 && String(id) !== String(pinkCowHolder || '');
 }
 
 /**
@@ -137,7 +154,7 @@ export function getRandomQuestion(usedQuestions = [], pool = null) {
   const availableQuestions = source.filter(q => !usedQuestions.includes(q));
   if (availableQuestions.length === 0) {
     // If all questions have been used, start over
-    return source[Math.floor(Math.random() * source.length)];
+    return source[Math.floor(random() * source.length)];
   }
-  return availableQuestions[Math.floor(Math.random() * availableQuestions.length)];
+  return availableQuestions[Math.floor(random() * availableQuestions.length)];
 }